@@ -248,6 +248,33 @@ function App() {
     };
   }, []);
 
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const refreshMonitoringStatus = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/monitoring/status`, {
+          headers: getAuthHeaders(),
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        setMonitoringStatus((prev) => ({
+          ...prev,
+          isMonitoring: data.isMonitoring,
+          activeEndpoint: data.activeEndpoint,
+          standbyEndpoint: data.standbyEndpoint,
+          endpoints: data.endpoints,
+        }));
+      } catch (err) {
+        console.warn('[App] Failed to refresh monitoring status:', err.message);
+      }
+    };
+
+    const interval = setInterval(refreshMonitoringStatus, 15000);
+    return () => clearInterval(interval);
+  }, [isAuthenticated]);
+
   useEffect(() => {
     if (!isAuthenticated) return;
 
@@ -286,16 +313,30 @@ function App() {
               signature: newTransaction.signature,
               time: newTransaction.timestamp,
               transactionType: newTransaction.transactionType,
-              solSpent: newTransaction.transactionType === 'buy' ? newTransaction.solAmount.toFixed(6) : null,
-              solReceived: newTransaction.transactionType === 'sell' ? newTransaction.solAmount.toFixed(6) : null,
+              solSpent: ['buy', 'token_create', 'pool_create', 'lp_add'].includes(newTransaction.transactionType) ? newTransaction.solAmount.toFixed(6) : null,
+              solReceived: ['sell', 'lp_remove'].includes(newTransaction.transactionType) ? newTransaction.solAmount.toFixed(6) : null,
+              venue: newTransaction.venue || null,
+              isLate: newTransaction.isLate || false,
+              baseFee: newTransaction.baseFee || 0,
+              priorityFee: newTransaction.priorityFee || 0,
+              jitoTip: newTransaction.jitoTip || 0,
+              counterparty: newTransaction.counterparty || null,
+              counterpartyMonitored: newTransaction.counterpartyMonitored || false,
+              solPriceUsd: newTransaction.solPriceUsd || null,
+              solPriceFallback: newTransaction.solPriceFallback || false,
               wallet: {
                 address: newTransaction.walletAddress,
                 name: newTransaction.walletName || null,
                 group_id: newTransaction.groupId,
                 group_name: newTransaction.groupName,
               },
-              tokensBought: newTransaction.transactionType === 'buy' ? newTransaction.tokens : [],
-              tokensSold: newTransaction.transactionType === 'sell' ? newTransaction.tokens : [],
+              tokensBought: newTransaction.tokens.filter((token) => (token.operationType || newTransaction.transactionType) === 'buy'),
+              tokensSold: newTransaction.tokens.filter((token) => (token.operationType || newTransaction.transactionType) === 'sell'),
+              tokensTransferred: newTransaction.tokens.filter((token) => ['transfer_in', 'transfer_out'].includes(token.operationType)),
+              eventTokens: newTransaction.tokens.filter((token) => ['token_create', 'pool_create', 'lp_add', 'lp_remove'].includes(token.operationType)),
+              deployers: newTransaction.createdMint
+                ? { [newTransaction.createdMint]: { address: newTransaction.walletAddress, name: newTransaction.walletName || null } }
+                : {},
             };
             return [formattedTransaction, ...prev].slice(0, 4000);
           });
@@ -346,35 +387,17 @@ function App() {
     fastInit(timeframe, newType, selectedGroup);
   };
 
-  const handleGroupChange = async (groupId) => {
+  const handleGroupChange = (groupId) => {
     const selectedGroupId = groupId || null;
-    
-    
+
     setSelectedGroup(selectedGroupId);
     setLoading(true);
     setError(null);
-    
+
     setTransactions([]);
     setSelectedGroupInfo(null);
 
-    try {
-      const response = await fetch(`${API_BASE}/groups/switch`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify({ groupId: selectedGroupId }),
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to switch group: HTTP ${response.status}`);
-      }
-      
-      fastInit(timeframe, transactionType, selectedGroupId);
-      
-    } catch (error) {
-      console.error('Error switching group:', error);
-      setError(`Failed to switch group: ${error.message}`);
-      setLoading(false);
-    }
+    fastInit(timeframe, transactionType, selectedGroupId);
   };
 
   const handleAddWalletsBulk = async (wallets, groupId, progressCallback) => {
@@ -524,12 +547,88 @@ function App() {
     }
   };
 
+  const startBackfill = async ({ since, walletAddress, groupId }) => {
+    const response = await fetch(`${API_BASE}/wallets/backfill`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ since, walletAddress: walletAddress || null, groupId: groupId || null }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: Failed to start backfill`);
+    }
+
+    return data.job;
+  };
+
+  const fetchBackfillJob = async (jobId) => {
+    const response = await fetch(`${API_BASE}/wallets/backfill/${jobId}`, {
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: Failed to fetch backfill job`);
+    }
+
+    return data.job;
+  };
+
+  const fetchGroupThresholds = async (groupId) => {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/thresholds`, {
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: Failed to fetch thresholds`);
+    }
+
+    return data;
+  };
+
+  const saveGroupThresholds = async (groupId, thresholds) => {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/thresholds`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(thresholds),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: Failed to save group thresholds`);
+    }
+
+    return data.group;
+  };
+
+  const saveWalletThresholds = async (groupId, address, thresholds) => {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/wallets/${address}/thresholds`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(thresholds),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: Failed to save wallet thresholds`);
+    }
+
+    return data.wallet;
+  };
+
   const toggleMonitoring = async (action) => {
     try {
       const response = await fetch(`${API_BASE}/monitoring/toggle`, {
         method: 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify({ action, groupId: selectedGroup }),
+        body: JSON.stringify({ action }),
       });
 
       const data = await response.json();
@@ -588,6 +687,12 @@ function App() {
         onAddWalletsBulk={handleAddWalletsBulk} 
         onCreateGroup={createGroup} 
         onRemoveAllWallets={removeAllWallets}
+        onStartBackfill={startBackfill}
+        onFetchBackfillJob={fetchBackfillJob}
+        onBackfillComplete={() => fastInit(timeframe, transactionType, selectedGroup)}
+        onFetchThresholds={fetchGroupThresholds}
+        onSaveGroupThresholds={saveGroupThresholds}
+        onSaveWalletThresholds={saveWalletThresholds}
         groups={groups} 
         selectedGroup={selectedGroup}
         selectedGroupInfo={selectedGroupInfo}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
 const AdminPanel = ({ user, onClose }) => {
   const [activeTab, setActiveTab] = useState('whitelist');
@@ -9,6 +9,11 @@ const AdminPanel = ({ user, onClose }) => {
   const [newTelegramId, setNewTelegramId] = useState('');
   const [newUserNotes, setNewUserNotes] = useState('');
   const [error, setError] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [reclassifyJobs, setReclassifyJobs] = useState([]);
+  const [reclassifyForm, setReclassifyForm] = useState({ walletAddress: '', groupId: '', tokenMint: '', from: '', to: '' });
+  const [selectedJobId, setSelectedJobId] = useState(null);
+  const [jobChanges, setJobChanges] = useState([]);
 
   const getApiBase = () => {
     if (window.location.hostname === 'localhost') {
@@ -67,9 +72,28 @@ const AdminPanel = ({ user, onClose }) => {
       fetchUsers();
     } else if (activeTab === 'stats') {
       fetchStats();
+    } else if (activeTab === 'reclassify') {
+      fetchGroups();
+      fetchReclassifyJobs();
     }
   }, [activeTab]);
 
+  const hasActiveReclassifyJobs = reclassifyJobs.some((job) => job.status === 'pending' || job.status === 'running');
+  const pollReclassifyRef = useRef(null);
+  pollReclassifyRef.current = () => {
+    fetchReclassifyJobs();
+    if (selectedJobId) {
+      fetchJobChanges(selectedJobId);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab !== 'reclassify' || !hasActiveReclassifyJobs) return;
+
+    const interval = setInterval(() => pollReclassifyRef.current(), 3000);
+    return () => clearInterval(interval);
+  }, [activeTab, hasActiveReclassifyJobs]);
+
   const fetchWhitelist = async () => {
     setLoading(true);
     try {
@@ -112,6 +136,87 @@ const AdminPanel = ({ user, onClose }) => {
     }
   };
 
+  const fetchGroups = async () => {
+    try {
+      const response = await fetchWithErrorHandling(`${getApiBase()}/groups`);
+      const data = await response.json();
+      setGroups(data);
+    } catch (error) {
+      console.error('Error fetching groups:', error);
+      setError(error.message);
+    }
+  };
+
+  const fetchReclassifyJobs = async () => {
+    try {
+      const response = await fetchWithErrorHandling(`${getApiBase()}/admin/reclassify`);
+      const data = await response.json();
+      setReclassifyJobs(data.jobs || []);
+    } catch (error) {
+      console.error('Error fetching reclassify jobs:', error);
+      setError(error.message);
+    }
+  };
+
+  const fetchJobChanges = async (jobId) => {
+    try {
+      const response = await fetchWithErrorHandling(`${getApiBase()}/admin/reclassify/${jobId}/changes?limit=100`);
+      const data = await response.json();
+      setJobChanges(data.changes || []);
+    } catch (error) {
+      console.error('Error fetching reclassify changes:', error);
+      setError(error.message);
+    }
+  };
+
+  const selectJob = (jobId) => {
+    if (selectedJobId === jobId) {
+      setSelectedJobId(null);
+      setJobChanges([]);
+      return;
+    }
+    setSelectedJobId(jobId);
+    setJobChanges([]);
+    fetchJobChanges(jobId);
+  };
+
+  const startReclassify = async () => {
+    const { walletAddress, groupId, tokenMint, from, to } = reclassifyForm;
+    if (!walletAddress.trim() && !groupId && !tokenMint.trim() && !from && !to) {
+      if (!confirm('No filter set. Reclassify every stored transaction?')) return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetchWithErrorHandling(`${getApiBase()}/admin/reclassify`, {
+        method: 'POST',
+        body: JSON.stringify({
+          walletAddress: walletAddress.trim() || null,
+          groupId: groupId || null,
+          tokenMint: tokenMint.trim() || null,
+          from: from ? new Date(from).toISOString() : null,
+          to: to ? new Date(to).toISOString() : null,
+        })
+      });
+      const data = await response.json();
+      setSelectedJobId(data.job.id);
+      setJobChanges([]);
+      fetchReclassifyJobs();
+    } catch (error) {
+      console.error('Error starting reclassify job:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeSnapshot = (snapshot) => {
+    if (!snapshot) return 'not classified';
+    const sol = snapshot.solSpent || snapshot.solReceived;
+    const tokens = snapshot.tokens.map((token) => `${token.operationType} ${Number(token.amount).toLocaleString()} ${token.mint.slice(0, 6)}...`).join(', ');
+    return `${snapshot.type} ${Number(sol).toFixed(4)} SOL${snapshot.venue ? ` via ${snapshot.venue}` : ''}${tokens ? ` [${tokens}]` : ''}`;
+  };
+
   const addToWhitelist = async () => {
     if (!newTelegramId.trim()) {
       setError('Telegram ID is required');
@@ -221,7 +326,7 @@ const AdminPanel = ({ user, onClose }) => {
         )}
 
         <div className="flex border-b">
-          {['whitelist', 'users', 'stats'].map((tab) => (
+          {['whitelist', 'users', 'stats', 'reclassify'].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -426,6 +531,140 @@ const AdminPanel = ({ user, onClose }) => {
               )}
             </div>
           )}
+
+          {activeTab === 'reclassify' && (
+            <div className="space-y-6">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-lg font-medium mb-1">Reclassify Stored Transactions</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Re-fetches matching transactions, runs them through the current classifier and updates rows that changed.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <input
+                    type="text"
+                    placeholder="Wallet address (optional)"
+                    value={reclassifyForm.walletAddress}
+                    onChange={(e) => setReclassifyForm({ ...reclassifyForm, walletAddress: e.target.value })}
+                    className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
+                  <select
+                    value={reclassifyForm.groupId}
+                    onChange={(e) => setReclassifyForm({ ...reclassifyForm, groupId: e.target.value })}
+                    disabled={!!reclassifyForm.walletAddress.trim()}
+                    className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                  >
+                    <option value="">All groups</option>
+                    {groups.map((group) => (
+                      <option key={group.id} value={group.id}>{group.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    placeholder="Token mint (optional)"
+                    value={reclassifyForm.tokenMint}
+                    onChange={(e) => setReclassifyForm({ ...reclassifyForm, tokenMint: e.target.value })}
+                    className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
+                  <label className="text-sm text-gray-600">
+                    From
+                    <input
+                      type="datetime-local"
+                      value={reclassifyForm.from}
+                      onChange={(e) => setReclassifyForm({ ...reclassifyForm, from: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                  </label>
+                  <label className="text-sm text-gray-600">
+                    To
+                    <input
+                      type="datetime-local"
+                      value={reclassifyForm.to}
+                      onChange={(e) => setReclassifyForm({ ...reclassifyForm, to: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                  </label>
+                  <button
+                    onClick={startReclassify}
+                    disabled={loading}
+                    className="self-end bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {loading ? 'Starting...' : 'Start Reclassification'}
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <h4 className="text-md font-medium text-gray-800 mb-3">Jobs</h4>
+                {reclassifyJobs.length === 0 ? (
+                  <p className="text-gray-500">No reclassify jobs yet</p>
+                ) : (
+                  reclassifyJobs.map((job) => {
+                    const progress = job.totalTransactions > 0
+                      ? Math.min(100, Math.round((job.processedTransactions / job.totalTransactions) * 100))
+                      : 0;
+                    return (
+                      <div key={job.id} className="p-4 border rounded-lg">
+                        <div className="flex items-center justify-between">
+                          <div className="flex-1">
+                            <div className="font-medium">
+                              {job.walletAddress
+                                ? `Wallet ${job.walletAddress.slice(0, 8)}...`
+                                : job.groupName ? `Group ${job.groupName}` : 'All wallets'}
+                              {job.tokenMint && <span className="text-gray-600"> • Token {job.tokenMint.slice(0, 8)}...</span>}
+                            </div>
+                            <div className="text-xs text-gray-400">
+                              {job.from ? new Date(job.from).toLocaleString() : 'Beginning'} → {job.to ? new Date(job.to).toLocaleString() : 'Now'}
+                              {` • Created ${new Date(job.createdAt).toLocaleString()}`}
+                            </div>
+                          </div>
+                          <span className={`px-2 py-1 text-xs rounded-full ${
+                            job.status === 'completed' ? 'bg-green-100 text-green-800'
+                              : job.status === 'failed' ? 'bg-red-100 text-red-800'
+                                : 'bg-blue-100 text-blue-800'
+                          }`}>
+                            {job.status}
+                          </span>
+                          <button
+                            onClick={() => selectJob(job.id)}
+                            className="ml-2 px-3 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+                          >
+                            {selectedJobId === job.id ? 'Hide Changes' : 'Changes'}
+                          </button>
+                        </div>
+                        <div className="mt-3 w-full bg-gray-200 rounded-full h-2">
+                          <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${progress}%` }}></div>
+                        </div>
+                        <div className="mt-2 text-xs text-gray-600">
+                          {job.processedTransactions}/{job.totalTransactions} checked • {job.changedTransactions} updated
+                          • {job.unclassifiedTransactions} no longer classified • {job.errors} errors
+                          {job.lastError && <span className="text-red-600"> • {job.lastError}</span>}
+                        </div>
+
+                        {selectedJobId === job.id && (
+                          <div className="mt-3 border-t pt-3 space-y-2">
+                            {jobChanges.length === 0 ? (
+                              <p className="text-sm text-gray-500">No changes recorded</p>
+                            ) : (
+                              jobChanges.map((change) => (
+                                <div key={change.id} className="text-xs font-mono">
+                                  <div className="text-gray-800">
+                                    {change.signature.slice(0, 16)}... {change.walletAddress ? `${change.walletAddress.slice(0, 8)}...` : ''}
+                                    <span className={change.changeType === 'updated' ? 'text-blue-600' : 'text-yellow-600'}> {change.changeType}</span>
+                                  </div>
+                                  <div className="text-red-600">- {describeSnapshot(change.before)}</div>
+                                  <div className="text-green-600">+ {describeSnapshot(change.after)}</div>
+                                </div>
+                              ))
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })
+                )}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -1,7 +1,20 @@
 import React from 'react';
 
 function MonitoringStatus({ status, onToggle }) {
-  const { isMonitoring, processedSignatures } = status;
+  const { isMonitoring, processedSignatures, activeEndpoint, standbyEndpoint, endpoints = [] } = status;
+  const activeHealth = endpoints.find((endpoint) => endpoint.url === activeEndpoint);
+
+  const formatEndpoint = (url) => {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  const endpointSummary = endpoints
+    .map((endpoint) => `${formatEndpoint(endpoint.url)}: score ${endpoint.score}, ${endpoint.latencyMs ?? '-'}ms, lag ${endpoint.slotLag ?? '-'} slots, ${endpoint.errorRate}% errors`)
+    .join('\n');
 
   return (
     <div className="bg-gray-900 border-b border-gray-700 px-4 py-2">
@@ -16,6 +29,13 @@ function MonitoringStatus({ status, onToggle }) {
           <div className="text-gray-400 text-xs hidden sm:block">
             {isMonitoring ? '🔍 Tracking wallet activities' : '⏸️ Click Start to begin monitoring'}
           </div>
+          {activeEndpoint && (
+            <div className="text-gray-400 text-xs hidden md:block" title={endpointSummary}>
+              📡 {formatEndpoint(activeEndpoint)}
+              {activeHealth && <span className="text-gray-500"> · score {activeHealth.score}</span>}
+              {standbyEndpoint && <span className="text-gray-500"> · standby {formatEndpoint(standbyEndpoint)}</span>}
+            </div>
+          )}
         </div>
 
         <div className="flex items-center space-x-2">
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Chart as ChartJS, LinearScale, PointElement, ScatterController, Tooltip } from 'chart.js';
+import { CandlestickController, CandlestickElement } from 'chartjs-chart-financial';
+import { Chart } from 'react-chartjs-2';
+import { formatNumber } from '../utils/pnlCalculator';
+
+ChartJS.register(CandlestickController, CandlestickElement, LinearScale, PointElement, ScatterController, Tooltip);
+
+const INTERVALS = ['1m', '5m', '1h'];
+const REFRESH_INTERVAL = 60000;
+
+const getAuthHeaders = () => {
+  const sessionToken = localStorage.getItem('sessionToken');
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${sessionToken}`
+  };
+};
+
+const formatTime = (time, resolution) => {
+  const date = new Date(time);
+  if (resolution === '1h') {
+    return `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, '0')}:00`;
+  }
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+function PriceChart({ mint, groupId }) {
+  const [resolution, setResolution] = useState('5m');
+  const [candles, setCandles] = useState([]);
+  const [trades, setTrades] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCandles = async () => {
+      try {
+        const params = new URLSearchParams({ interval: resolution });
+        if (groupId) params.set('groupId', groupId);
+
+        const response = await fetch(`/api/tokens/${mint}/candles?${params}`, {
+          headers: getAuthHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        if (!cancelled) {
+          setCandles(data.candles);
+          setTrades(data.trades);
+          setError(null);
+        }
+      } catch (err) {
+        console.error(`[PriceChart] Failed to load candles for ${mint}:`, err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setLoading(true);
+    fetchCandles();
+    const timer = setInterval(fetchCandles, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [mint, groupId, resolution]);
+
+  const chartData = useMemo(() => {
+    const priceAt = (time) => {
+      const candle = candles.filter((c) => c.time <= time).pop();
+      return candle ? candle.close : null;
+    };
+    const markers = (side) => trades
+      .filter((trade) => trade.side === side)
+      .map((trade) => ({
+        x: trade.time,
+        y: trade.priceUsd || priceAt(trade.time),
+        trade,
+      }))
+      .filter((point) => point.y);
+
+    return {
+      datasets: [
+        {
+          type: 'candlestick',
+          label: 'Price',
+          data: candles.map((c) => ({ x: c.time, o: c.open, h: c.high, l: c.low, c: c.close })),
+          borderColors: { up: '#22c55e', down: '#ef4444', unchanged: '#9ca3af' },
+          backgroundColors: { up: 'rgba(34, 197, 94, 0.6)', down: 'rgba(239, 68, 68, 0.6)', unchanged: 'rgba(156, 163, 175, 0.6)' },
+        },
+        {
+          type: 'scatter',
+          label: 'Buys',
+          data: markers('buy'),
+          pointStyle: 'triangle',
+          pointRadius: 6,
+          backgroundColor: '#3b82f6',
+          borderColor: '#1d4ed8',
+        },
+        {
+          type: 'scatter',
+          label: 'Sells',
+          data: markers('sell'),
+          pointStyle: 'triangle',
+          rotation: 180,
+          pointRadius: 6,
+          backgroundColor: '#f97316',
+          borderColor: '#c2410c',
+        },
+      ],
+    };
+  }, [candles, trades]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        mode: 'nearest',
+        intersect: false,
+        callbacks: {
+          title: (items) => items.length > 0 ? new Date(items[0].parsed.x).toLocaleString() : '',
+          label: (ctx) => {
+            const point = ctx.raw;
+            if (point.trade) {
+              const { trade } = point;
+              const wallet = trade.walletName || `${trade.walletAddress.slice(0, 4)}...${trade.walletAddress.slice(-4)}`;
+              return `${wallet} ${trade.side} ${formatNumber(trade.amount, 0)}${trade.solAmount ? ` for ${trade.solAmount.toFixed(4)} SOL` : ''}`;
+            }
+            return `O ${formatNumber(point.o, 8)}  H ${formatNumber(point.h, 8)}  L ${formatNumber(point.l, 8)}  C ${formatNumber(point.c, 8)}`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        offset: true,
+        grid: { color: 'rgba(75, 85, 99, 0.3)' },
+        ticks: {
+          color: '#9ca3af',
+          maxTicksLimit: 6,
+          callback: (value) => formatTime(value, resolution),
+        },
+      },
+      y: {
+        type: 'linear',
+        position: 'right',
+        grid: { color: 'rgba(75, 85, 99, 0.3)' },
+        ticks: {
+          color: '#9ca3af',
+          callback: (value) => `$${formatNumber(value, 8)}`,
+        },
+      },
+    },
+  }), [resolution]);
+
+  return (
+    <div className="bg-gray-900/50 rounded p-2 mb-3">
+      <div className="flex items-center justify-between mb-2 text-xs">
+        <div className="flex items-center space-x-3 text-gray-400">
+          <span className="text-gray-300">Price</span>
+          <span className="text-blue-400">▲ buys</span>
+          <span className="text-orange-400">▼ sells</span>
+        </div>
+        <div className="flex space-x-1">
+          {INTERVALS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setResolution(option)}
+              className={`px-2 py-0.5 rounded ${
+                resolution === option ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-gray-200'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="h-48">
+        {loading && candles.length === 0 ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center h-full text-red-400 text-xs">{error}</div>
+        ) : candles.length === 0 ? (
+          <div className="flex items-center justify-center h-full text-gray-500 text-xs">
+            No price history yet
+          </div>
+        ) : (
+          <Chart type="candlestick" data={chartData} options={options} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PriceChart;
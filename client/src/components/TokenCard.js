@@ -1,14 +1,17 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { useTokenData, useSolPrice } from '../hooks/usePrices';
 import { calculateTokenPnL, formatPnL, getPnLColor, formatNumber } from '../utils/pnlCalculator';
+import PriceChart from './PriceChart';
 
-function TokenCard({ token, onOpenChart }) {
+function TokenCard({ token, groupId, onOpenChart }) {
   const [showDetails, setShowDetails] = useState(true);
+  const [showChart, setShowChart] = useState(false);
   const [showAllWallets, setShowAllWallets] = useState(false);
-  const { solPrice, loading: solLoading } = useSolPrice();
+  const { solPrice, loading: solLoading, warning: solPriceWarning } = useSolPrice();
   const { tokenData: data, loading, error } = useTokenData(token.mint);
 
   const WALLETS_DISPLAY_LIMIT = 3;
+  const GRADUATION_VENUES = { pumpswap: 'PumpSwap', raydium: 'Raydium' };
 
   const groupPnL = useMemo(() => {
     if (!data || !data.price || !solPrice || loading) {
@@ -20,8 +23,6 @@ function TokenCard({ token, onOpenChart }) {
     
     const PnL = {
       ...calculatedPnL,
-      realizedPnLUSD: calculatedPnL.realizedPnLSOL * solPrice,
-      unrealizedPnLUSD: calculatedPnL.unrealizedPnLSOL * solPrice,
       currentPriceUSD: data.price,
       currentPriceSOL: data.priceInSol || (data.price / solPrice),
       marketCap: data.marketCap,
@@ -95,6 +96,11 @@ function TokenCard({ token, onOpenChart }) {
   const tokenAge = data?.age || null;
   const formattedAge = tokenAge ? formatAge(tokenAge) : 'Unknown';
   const deploymentTime = tokenAge?.createdAt;
+  const bondingCurve = data?.bondingCurve || null;
+  const graduatedVenue = bondingCurve?.graduatedTo ? (GRADUATION_VENUES[bondingCurve.graduatedTo] || bondingCurve.graduatedTo) : null;
+  const graduatedTitle = bondingCurve?.graduatedAt
+    ? `Graduated${graduatedVenue ? ` to ${graduatedVenue}` : ''} at ${new Date(bondingCurve.graduatedAt).toLocaleString()}`
+    : 'Bonding curve complete, migration time unknown';
 
   const displayPnL = groupPnL?.totalPnLSOL || 0;
   const displayPrice = data?.price || 0;
@@ -117,6 +123,22 @@ function TokenCard({ token, onOpenChart }) {
                   NEW
                 </span>
               )}
+              {bondingCurve?.graduated && (
+                <span
+                  className="bg-green-700 text-white text-xs font-bold px-2 py-0.5 rounded"
+                  title={graduatedTitle}
+                >
+                  GRADUATED
+                </span>
+              )}
+              {token.deployer && (
+                <span
+                  className="bg-purple-700 text-white text-xs font-bold px-2 py-0.5 rounded"
+                  title={`Deployed by tracked wallet ${token.deployer.name || token.deployer.address}`}
+                >
+                  DEPLOYER
+                </span>
+              )}
               <span className="text-gray-300 text-sm truncate">
                 {token.name || 'Unknown Token'}
               </span>
@@ -171,6 +193,19 @@ function TokenCard({ token, onOpenChart }) {
                 d={!showDetails ? "M19 9l-7 7-7-7" : "M5 15l7-7 7 7"} />
             </svg>
           </button>
+          <button
+            onClick={() => {
+              setShowChart(!showChart);
+              setShowDetails(true);
+            }}
+            className={`p-1 transition-colors ${showChart ? 'text-blue-400' : 'text-gray-500 hover:text-blue-400'}`}
+            title={showChart ? "Hide price chart" : "Show price chart"}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+            </svg>
+          </button>
           <button
             onClick={openGmgnChart}
             className="p-1 text-gray-500 hover:text-blue-400 transition-colors"
@@ -186,6 +221,8 @@ function TokenCard({ token, onOpenChart }) {
 
       {showDetails && (
         <div className="p-3 bg-gray-800/50">
+          {showChart && <PriceChart mint={token.mint} groupId={groupId} />}
+
           {loading && (
             <div className="flex items-center justify-center py-4">
               <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500 mr-3"></div>
@@ -231,6 +268,42 @@ function TokenCard({ token, onOpenChart }) {
                   )}
                 </div>
               </div>
+              {bondingCurve && (
+                <div>
+                  <div className="text-gray-400 mb-1">Bonding Curve</div>
+                  {bondingCurve.graduated ? (
+                    <div className="text-green-400 font-medium" title={graduatedTitle}>
+                      Graduated{graduatedVenue ? ` to ${graduatedVenue}` : ''}
+                      <div className="text-gray-500 text-xs">
+                        {bondingCurve.graduatedAt ? new Date(bondingCurve.graduatedAt).toLocaleString() : 'Migration time unknown'}
+                      </div>
+                    </div>
+                  ) : (
+                    <div>
+                      <div className="w-full bg-gray-700 rounded h-1.5 mt-1.5">
+                        <div
+                          className="bg-green-500 h-1.5 rounded"
+                          style={{ width: `${Math.min(100, bondingCurve.progress || 0)}%` }}
+                        ></div>
+                      </div>
+                      <div className="text-gray-500 text-xs mt-1">
+                        {(bondingCurve.progress || 0).toFixed(1)}% · {(bondingCurve.solReserves || 0).toFixed(2)} SOL
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {groupPnL && (solPriceWarning || groupPnL.fallbackRateTxs > 0) && (
+            <div className="bg-yellow-900/20 border border-yellow-700 rounded p-2 mb-3 text-xs text-yellow-400">
+              {solPriceWarning && <div>{solPriceWarning}</div>}
+              {groupPnL.fallbackRateTxs > 0 && (
+                <div>
+                  USD values for {groupPnL.fallbackRateTxs} trade(s) use a fallback SOL/USD rate instead of the rate at execution time
+                </div>
+              )}
             </div>
           )}
 
@@ -269,6 +342,21 @@ function TokenCard({ token, onOpenChart }) {
                   </div>
                 </div>
               </div>
+              <div>
+                <div className="text-gray-400 mb-1">Fees & Tips</div>
+                <div className="text-white font-medium">
+                  {groupPnL.totalCostsSOL.toFixed(4)} SOL
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400 mb-1">Net PnL</div>
+                <div className={`font-medium ${getPnLColor(groupPnL.netPnLSOL)}`}>
+                  {formatPnL(groupPnL.netPnLSOL)}
+                  <div className="text-xs text-gray-500">
+                    gross {formatPnL(groupPnL.totalPnLSOL)} · ${formatNumber(groupPnL.netPnLUSD)}
+                  </div>
+                </div>
+              </div>
             </div>
           )}
 
@@ -294,7 +382,34 @@ function TokenCard({ token, onOpenChart }) {
                     </span>
                     <span className="text-gray-500">
                       {wallet.txBuys}B · {wallet.txSells}S
+                      {wallet.txTransfers > 0 && (
+                        <span title={`${wallet.txTransfers} token transfer(s), cost basis carried between tracked wallets`}> · {wallet.txTransfers}T</span>
+                      )}
+                      {wallet.txLiquidity > 0 && (
+                        <span title={`${wallet.txLiquidity} pool creation or liquidity add/remove event(s)`}> · {wallet.txLiquidity}LP</span>
+                      )}
                     </span>
+                    {(wallet.entryMarketCap || wallet.exitMarketCap) && (
+                      <span
+                        className="text-gray-500"
+                        title="Average market cap at execution for this wallet's buys and sells"
+                      >
+                        MC {wallet.entryMarketCap ? `$${formatNumber(wallet.entryMarketCap)}` : '-'} → {wallet.exitMarketCap ? `$${formatNumber(wallet.exitMarketCap)}` : '-'}
+                      </span>
+                    )}
+                    {(wallet.isDeployer || token.deployer?.address === wallet.address) && (
+                      <span className="bg-purple-900/40 text-purple-300 px-1 rounded" title="This wallet created the token">
+                        dev
+                      </span>
+                    )}
+                    {wallet.lateTxs > 0 && (
+                      <span
+                        className="bg-yellow-900/40 text-yellow-400 px-1 rounded"
+                        title={`${wallet.lateTxs} transaction(s) recovered after a stream gap`}
+                      >
+                        late
+                      </span>
+                    )}
                     <button
                       onClick={() => copyToClipboard(wallet.address)}
                       className="text-gray-500 hover:text-blue-400 transition-colors"
@@ -3,6 +3,8 @@ import TokenCard from './TokenCard';
 import CompactControls from './CompactControls';
 import soundManager from '../utils/soundManager';
 
+const LIQUIDITY_EVENTS = ['token_create', 'pool_create', 'lp_add', 'lp_remove'];
+
 function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, groups, selectedGroup, onGroupChange, walletCount, selectedGroupInfo }) {
   const [items, setItems] = useState([]);
   const [hours, setHours] = useState(timeframe || '24');
@@ -28,11 +30,39 @@ function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, gro
       return matchesTimeframe && matchesGroup;
     });
 
-    filteredTransactions.forEach((tx) => {
+    const getTokenLegs = (tx) => {
+      if (LIQUIDITY_EVENTS.includes(tx.transactionType)) {
+        const tokens = tx.eventTokens || [];
+        const devBuys = tx.transactionType === 'token_create' ? tx.tokensBought || [] : [];
+        const devBuySol = devBuys.reduce((sum, token) => sum + (parseFloat(token.sol_amount) || 0), 0);
+        const sol = (tx.transactionType === 'lp_remove' ? parseFloat(tx.solReceived) : parseFloat(tx.solSpent)) || 0;
+        const eventSol = Math.max(0, sol - devBuySol);
+        return [
+          ...tokens.map((token) => ({ token, side: tx.transactionType, sol: eventSol / tokens.length })),
+          ...devBuys.map((token) => ({ token, side: 'buy', sol: parseFloat(token.sol_amount) || 0 })),
+        ];
+      }
+      if (tx.transactionType === 'transfer_in' || tx.transactionType === 'transfer_out') {
+        return (tx.tokensTransferred || []).map((token) => ({ token, side: tx.transactionType, sol: parseFloat(token.sol_amount) || 0 }));
+      }
+      if (tx.transactionType === 'swap') {
+        return [
+          ...(tx.tokensSold || []).map((token) => ({ token, side: 'sell', sol: parseFloat(token.sol_amount) || 0 })),
+          ...(tx.tokensBought || []).map((token) => ({ token, side: 'buy', sol: parseFloat(token.sol_amount) || 0 })),
+        ];
+      }
       const tokens = tx.transactionType === 'buy' ? tx.tokensBought : tx.tokensSold;
-      if (!tokens || tokens.length === 0) return;
+      const sol = tx.transactionType === 'buy' ? parseFloat(tx.solSpent) || 0 : parseFloat(tx.solReceived) || 0;
+      return (tokens || []).map((token) => ({ token, side: tx.transactionType, sol }));
+    };
 
-      tokens.forEach((token) => {
+    filteredTransactions.forEach((tx) => {
+      const legs = getTokenLegs(tx);
+      if (legs.length === 0) return;
+      const txCosts = (Number(tx.baseFee) || 0) + (Number(tx.priorityFee) || 0) + (Number(tx.jitoTip) || 0);
+      const costs = txCosts / legs.length;
+
+      legs.forEach(({ token, side, sol }) => {
         if (EXCLUDED_TOKENS.includes(token.mint)) return;
 
         if (!byToken.has(token.mint)) {
@@ -42,6 +72,7 @@ function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, gro
             name: token.name || 'Unknown Token',
             decimals: token.decimals || 6,
             wallets: [],
+            deployer: null,
             summary: {
               uniqueWallets: new Set(),
               totalBuys: 0,
@@ -58,6 +89,31 @@ function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, gro
         const walletAddress = tx.wallet.address;
         const wallet = tokenData.wallets.find((w) => w.address === walletAddress);
         const txTime = new Date(tx.time);
+        const isCreate = side === 'token_create';
+        const isLiquidity = side === 'pool_create' || side === 'lp_add' || side === 'lp_remove';
+        const deployer = tx.deployers?.[token.mint] || (isCreate ? { address: walletAddress, name: tx.wallet.name || null } : null);
+        if (deployer && !tokenData.deployer) {
+          tokenData.deployer = deployer;
+        }
+        const spentSol = side === 'buy' || isCreate ? sol : 0;
+        const receivedSol = side === 'sell' ? sol : 0;
+        const solRate = Number(tx.solPriceUsd) || null;
+        const toUsd = (value) => (solRate ? value * solRate : 0);
+        const unpriced = (value) => (solRate ? 0 : value);
+        const marketCap = parseFloat(token.market_cap) || 0;
+        const entryMc = side === 'buy' && marketCap > 0 ? { weighted: marketCap * (token.amount || 0), amount: token.amount || 0 } : { weighted: 0, amount: 0 };
+        const exitMc = side === 'sell' && marketCap > 0 ? { weighted: marketCap * (token.amount || 0), amount: token.amount || 0 } : { weighted: 0, amount: 0 };
+        const transfer = side === 'transfer_in' || side === 'transfer_out'
+          ? {
+              direction: side === 'transfer_in' ? 'in' : 'out',
+              amount: token.amount || 0,
+              counterparty: tx.counterparty || null,
+              counterpartyMonitored: tx.counterpartyMonitored || false,
+              solValue: sol,
+              usdValue: toUsd(sol),
+              unpricedSol: unpriced(sol),
+            }
+          : null;
 
         if (!tokenData.summary.latestActivity || txTime > new Date(tokenData.summary.latestActivity)) {
           tokenData.summary.latestActivity = tx.time;
@@ -69,35 +125,66 @@ function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, gro
             name: tx.wallet.name || null,
             groupId: tx.wallet.group_id,
             groupName: tx.wallet.group_name,
-            txBuys: tx.transactionType === 'buy' ? 1 : 0,
-            txSells: tx.transactionType === 'sell' ? 1 : 0,
-            solSpent: tx.transactionType === 'buy' ? parseFloat(tx.solSpent) || 0 : 0,
-            solReceived: tx.transactionType === 'sell' ? parseFloat(tx.solReceived) || 0 : 0,
-            tokensBought: tx.transactionType === 'buy' ? token.amount || 0 : 0,
-            tokensSold: tx.transactionType === 'sell' ? token.amount || 0 : 0,
-            pnlSol: (tx.transactionType === 'sell' ? parseFloat(tx.solReceived) || 0 : 0) - 
-                    (tx.transactionType === 'buy' ? parseFloat(tx.solSpent) || 0 : 0),
+            txBuys: side === 'buy' ? 1 : 0,
+            txSells: side === 'sell' ? 1 : 0,
+            txTransfers: transfer ? 1 : 0,
+            txLiquidity: isLiquidity ? 1 : 0,
+            transfers: transfer ? [transfer] : [],
+            isDeployer: isCreate,
+            solSpent: side === 'buy' || isCreate ? sol : 0,
+            solReceived: side === 'sell' ? sol : 0,
+            tokensBought: side === 'buy' || isCreate ? token.amount || 0 : 0,
+            tokensSold: side === 'sell' ? token.amount || 0 : 0,
+            pnlSol: (side === 'sell' ? sol : 0) - (side === 'buy' || isCreate ? sol : 0),
+            costsSol: costs,
+            entryMc,
+            exitMc,
+            usdSpent: toUsd(spentSol),
+            usdReceived: toUsd(receivedSol),
+            usdCosts: toUsd(costs),
+            unpricedSolSpent: unpriced(spentSol),
+            unpricedSolReceived: unpriced(receivedSol),
+            unpricedCostsSol: unpriced(costs),
+            fallbackRateTxs: tx.solPriceFallback ? 1 : 0,
+            lateTxs: tx.isLate ? 1 : 0,
             lastActivity: tx.time,
           });
           tokenData.summary.uniqueWallets.add(walletAddress);
         } else {
-          wallet.txBuys += tx.transactionType === 'buy' ? 1 : 0;
-          wallet.txSells += tx.transactionType === 'sell' ? 1 : 0;
-          wallet.solSpent += tx.transactionType === 'buy' ? parseFloat(tx.solSpent) || 0 : 0;
-          wallet.solReceived += tx.transactionType === 'sell' ? parseFloat(tx.solReceived) || 0 : 0;
-          wallet.tokensBought += tx.transactionType === 'buy' ? token.amount || 0 : 0;
-          wallet.tokensSold += tx.transactionType === 'sell' ? token.amount || 0 : 0;
+          wallet.txBuys += side === 'buy' ? 1 : 0;
+          wallet.txSells += side === 'sell' ? 1 : 0;
+          wallet.txTransfers += transfer ? 1 : 0;
+          wallet.txLiquidity += isLiquidity ? 1 : 0;
+          if (transfer) {
+            wallet.transfers.push(transfer);
+          }
+          wallet.isDeployer = wallet.isDeployer || isCreate;
+          wallet.solSpent += side === 'buy' || isCreate ? sol : 0;
+          wallet.solReceived += side === 'sell' ? sol : 0;
+          wallet.tokensBought += side === 'buy' || isCreate ? token.amount || 0 : 0;
+          wallet.tokensSold += side === 'sell' ? token.amount || 0 : 0;
           wallet.pnlSol = wallet.solReceived - wallet.solSpent;
+          wallet.costsSol += costs;
+          wallet.entryMc = { weighted: wallet.entryMc.weighted + entryMc.weighted, amount: wallet.entryMc.amount + entryMc.amount };
+          wallet.exitMc = { weighted: wallet.exitMc.weighted + exitMc.weighted, amount: wallet.exitMc.amount + exitMc.amount };
+          wallet.usdSpent += toUsd(spentSol);
+          wallet.usdReceived += toUsd(receivedSol);
+          wallet.usdCosts += toUsd(costs);
+          wallet.unpricedSolSpent += unpriced(spentSol);
+          wallet.unpricedSolReceived += unpriced(receivedSol);
+          wallet.unpricedCostsSol += unpriced(costs);
+          wallet.fallbackRateTxs += tx.solPriceFallback ? 1 : 0;
+          wallet.lateTxs += tx.isLate ? 1 : 0;
           
           if (txTime > new Date(wallet.lastActivity)) {
             wallet.lastActivity = tx.time;
           }
         }
 
-        tokenData.summary.totalBuys += tx.transactionType === 'buy' ? 1 : 0;
-        tokenData.summary.totalSells += tx.transactionType === 'sell' ? 1 : 0;
-        tokenData.summary.totalSpentSOL += tx.transactionType === 'buy' ? parseFloat(tx.solSpent) || 0 : 0;
-        tokenData.summary.totalReceivedSOL += tx.transactionType === 'sell' ? parseFloat(tx.solReceived) || 0 : 0;
+        tokenData.summary.totalBuys += side === 'buy' ? 1 : 0;
+        tokenData.summary.totalSells += side === 'sell' ? 1 : 0;
+        tokenData.summary.totalSpentSOL += side === 'buy' || isCreate ? sol : 0;
+        tokenData.summary.totalReceivedSOL += side === 'sell' ? sol : 0;
       });
     });
 
@@ -108,7 +195,13 @@ function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, gro
         uniqueWallets: t.summary.uniqueWallets.size,
         netSOL: +(t.summary.totalReceivedSOL - t.summary.totalSpentSOL).toFixed(6),
       },
-      wallets: t.wallets.sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+      wallets: t.wallets
+        .map((w) => ({
+          ...w,
+          entryMarketCap: w.entryMc.amount > 0 ? w.entryMc.weighted / w.entryMc.amount : null,
+          exitMarketCap: w.exitMc.amount > 0 ? w.exitMc.weighted / w.exitMc.amount : null,
+        }))
+        .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
     }));
 
     return result;
@@ -230,6 +323,7 @@ function TokenTracker({ groupId, transactions, timeframe, onTimeframeChange, gro
               <TokenCard 
                 key={token.mint} 
                 token={token} 
+                groupId={groupId}
                 onOpenChart={() => openGmgnChart(token.mint)} 
               />
             ))}
@@ -1,6 +1,14 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 
-function WalletManager({ onAddWalletsBulk, onCreateGroup, onRemoveAllWallets, groups, selectedGroup, selectedGroupInfo, walletCount }) {
+const EMPTY_THRESHOLDS = { buyThreshold: '', sellThreshold: '', feeThreshold: '' };
+
+const toThresholdForm = (row) => ({
+  buyThreshold: row?.buy_threshold ?? '',
+  sellThreshold: row?.sell_threshold ?? '',
+  feeThreshold: row?.fee_threshold ?? '',
+});
+
+function WalletManager({ onAddWalletsBulk, onCreateGroup, onRemoveAllWallets, onStartBackfill, onFetchBackfillJob, onBackfillComplete, onFetchThresholds, onSaveGroupThresholds, onSaveWalletThresholds, groups, selectedGroup, selectedGroupInfo, walletCount }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [groupId, setGroupId] = useState('');
   const [newGroupName, setNewGroupName] = useState('');
@@ -22,6 +30,74 @@ function WalletManager({ onAddWalletsBulk, onCreateGroup, onRemoveAllWallets, gr
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteResults, setDeleteResults] = useState(null);
 
+  const [backfillSince, setBackfillSince] = useState(() =>
+    new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  );
+  const [backfillWallet, setBackfillWallet] = useState('');
+  const [backfillLoading, setBackfillLoading] = useState(false);
+  const [backfillJob, setBackfillJob] = useState(null);
+  const [backfillError, setBackfillError] = useState(null);
+
+  const [thresholds, setThresholds] = useState(null);
+  const [groupThresholdForm, setGroupThresholdForm] = useState(EMPTY_THRESHOLDS);
+  const [walletThresholdForm, setWalletThresholdForm] = useState({ address: '', ...EMPTY_THRESHOLDS });
+  const [thresholdsLoading, setThresholdsLoading] = useState(false);
+  const [thresholdsMessage, setThresholdsMessage] = useState(null);
+
+  const fetchThresholdsRef = useRef(onFetchThresholds);
+  fetchThresholdsRef.current = onFetchThresholds;
+
+  const loadThresholds = useCallback(async () => {
+    if (!selectedGroup || !fetchThresholdsRef.current) return;
+    try {
+      const data = await fetchThresholdsRef.current(selectedGroup);
+      setThresholds(data);
+      setGroupThresholdForm(toThresholdForm(data.group));
+    } catch (error) {
+      setThresholdsMessage({ type: 'error', text: error.message });
+    }
+  }, [selectedGroup]);
+
+  useEffect(() => {
+    setThresholds(null);
+    setThresholdsMessage(null);
+    if (isExpanded) {
+      loadThresholds();
+    }
+  }, [isExpanded, selectedGroup, loadThresholds]);
+
+  const handleSaveGroupThresholds = async (e) => {
+    e.preventDefault();
+    try {
+      setThresholdsLoading(true);
+      setThresholdsMessage(null);
+      await onSaveGroupThresholds(selectedGroup, groupThresholdForm);
+      await loadThresholds();
+      setThresholdsMessage({ type: 'success', text: 'Group thresholds saved' });
+    } catch (error) {
+      setThresholdsMessage({ type: 'error', text: error.message });
+    } finally {
+      setThresholdsLoading(false);
+    }
+  };
+
+  const handleSaveWalletThresholds = async (e, address, values) => {
+    e.preventDefault();
+    if (!address) return;
+    try {
+      setThresholdsLoading(true);
+      setThresholdsMessage(null);
+      await onSaveWalletThresholds(selectedGroup, address, values);
+      await loadThresholds();
+      setWalletThresholdForm({ address: '', ...EMPTY_THRESHOLDS });
+      setThresholdsMessage({ type: 'success', text: `Overrides saved for ${address.slice(0, 8)}...` });
+    } catch (error) {
+      setThresholdsMessage({ type: 'error', text: error.message });
+    } finally {
+      setThresholdsLoading(false);
+    }
+  };
+
   const handleCreateGroup = async (e) => {
     e.preventDefault();
     if (!newGroupName.trim()) return;
@@ -273,6 +349,46 @@ function WalletManager({ onAddWalletsBulk, onCreateGroup, onRemoveAllWallets, gr
     }
   };
 
+  const handleStartBackfill = async (e) => {
+    e.preventDefault();
+    if (!backfillSince) return;
+    try {
+      setBackfillLoading(true);
+      setBackfillError(null);
+      const job = await onStartBackfill({
+        since: new Date(backfillSince).toISOString(),
+        walletAddress: backfillWallet.trim() || null,
+        groupId: backfillWallet.trim() ? null : selectedGroup,
+      });
+      setBackfillJob(job);
+      setBackfillWallet('');
+    } catch (error) {
+      setBackfillError(error.message);
+    } finally {
+      setBackfillLoading(false);
+    }
+  };
+
+  const backfillActive = backfillJob && (backfillJob.status === 'pending' || backfillJob.status === 'running');
+
+  useEffect(() => {
+    if (!backfillActive) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const job = await onFetchBackfillJob(backfillJob.id);
+        setBackfillJob(job);
+        if (job.status === 'completed' && onBackfillComplete) {
+          onBackfillComplete();
+        }
+      } catch (error) {
+        setBackfillError(error.message);
+      }
+    }, 3000);
+
+    return () => clearInterval(interval);
+  }, [backfillActive, backfillJob?.id]);
+
   const clearBulkData = () => {
     setBulkText('');
     setBulkResults(null);
@@ -411,6 +527,178 @@ function WalletManager({ onAddWalletsBulk, onCreateGroup, onRemoveAllWallets, gr
             </div>
           </div>
 
+          <div>
+            <h4 className="text-white text-sm font-medium mb-2">Historical Backfill</h4>
+            <form onSubmit={handleStartBackfill} className="space-y-2">
+              <div className="flex space-x-2">
+                <input
+                  type="date"
+                  value={backfillSince}
+                  max={new Date().toISOString().slice(0, 10)}
+                  onChange={(e) => setBackfillSince(e.target.value)}
+                  className="bg-gray-700 border border-gray-600 text-white text-sm rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  disabled={backfillLoading || backfillActive}
+                />
+                <input
+                  type="text"
+                  value={backfillWallet}
+                  onChange={(e) => setBackfillWallet(e.target.value)}
+                  className="flex-1 bg-gray-700 border border-gray-600 text-white text-sm rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono"
+                  placeholder={`Wallet address (empty = ${currentGroupName})`}
+                  disabled={backfillLoading || backfillActive}
+                />
+                <button
+                  type="submit"
+                  disabled={backfillLoading || backfillActive || !backfillSince}
+                  className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm px-4 py-2 rounded transition-colors"
+                >
+                  {backfillLoading ? 'Starting...' : 'Backfill'}
+                </button>
+              </div>
+            </form>
+
+            {backfillError && (
+              <div className="mt-2 text-red-400 text-sm">{backfillError}</div>
+            )}
+
+            {backfillJob && (
+              <div className={`mt-2 p-3 rounded border ${
+                backfillJob.status === 'completed'
+                  ? 'bg-green-900/20 border-green-700'
+                  : backfillJob.status === 'failed'
+                    ? 'bg-red-900/20 border-red-700'
+                    : 'bg-purple-900/20 border-purple-700'
+              }`}>
+                <div className="flex items-center space-x-3 mb-2">
+                  {backfillActive && (
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-purple-500"></div>
+                  )}
+                  <span className="text-gray-300 text-sm">
+                    {backfillJob.walletAddress || backfillJob.groupName || 'All Groups'} • {backfillJob.status} • {backfillJob.completedWallets}/{backfillJob.totalWallets} wallets
+                  </span>
+                </div>
+                {backfillJob.totalWallets > 0 && (
+                  <div className="w-full bg-gray-700 rounded-full h-2 mb-2">
+                    <div
+                      className="bg-purple-500 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${Math.min((backfillJob.completedWallets / backfillJob.totalWallets) * 100, 100)}%` }}
+                    ></div>
+                  </div>
+                )}
+                <div className="text-xs text-gray-400">
+                  {backfillJob.signaturesScanned} signatures scanned • {backfillJob.transactionsSaved} transactions saved
+                  {backfillJob.errors > 0 && ` • ${backfillJob.errors} wallets failed`}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {selectedGroup && thresholds && (
+            <div>
+              <h4 className="text-white text-sm font-medium mb-2">Classification Thresholds · {currentGroupName}</h4>
+              <form onSubmit={handleSaveGroupThresholds} className="flex space-x-2">
+                {[
+                  ['buyThreshold', 'Buy', thresholds.defaults.buy],
+                  ['sellThreshold', 'Sell', thresholds.defaults.sell],
+                  ['feeThreshold', 'Fee', thresholds.defaults.fee],
+                ].map(([key, label, fallback]) => (
+                  <input
+                    key={key}
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={groupThresholdForm[key]}
+                    onChange={(e) => setGroupThresholdForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                    className="w-28 bg-gray-700 border border-gray-600 text-white text-sm rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder={`${label} ${fallback}`}
+                    title={`${label} threshold in SOL (empty = default ${fallback})`}
+                    disabled={thresholdsLoading}
+                  />
+                ))}
+                <button
+                  type="submit"
+                  disabled={thresholdsLoading}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm px-4 py-2 rounded transition-colors"
+                >
+                  Save
+                </button>
+              </form>
+
+              <form
+                onSubmit={(e) => handleSaveWalletThresholds(e, walletThresholdForm.address.trim(), walletThresholdForm)}
+                className="flex space-x-2 mt-2"
+              >
+                <input
+                  type="text"
+                  value={walletThresholdForm.address}
+                  onChange={(e) => setWalletThresholdForm((prev) => ({ ...prev, address: e.target.value }))}
+                  className="flex-1 bg-gray-700 border border-gray-600 text-white text-sm rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono"
+                  placeholder="Wallet address for override"
+                  disabled={thresholdsLoading}
+                />
+                {[['buyThreshold', 'Buy'], ['sellThreshold', 'Sell'], ['feeThreshold', 'Fee']].map(([key, label]) => (
+                  <input
+                    key={key}
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={walletThresholdForm[key]}
+                    onChange={(e) => setWalletThresholdForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                    className="w-24 bg-gray-700 border border-gray-600 text-white text-sm rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder={label}
+                    title={`${label} threshold override in SOL (empty = group value)`}
+                    disabled={thresholdsLoading}
+                  />
+                ))}
+                <button
+                  type="submit"
+                  disabled={thresholdsLoading || !walletThresholdForm.address.trim()}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm px-4 py-2 rounded transition-colors"
+                >
+                  Override
+                </button>
+              </form>
+
+              {thresholds.walletOverrides.length > 0 && (
+                <div className="mt-2 space-y-1">
+                  {thresholds.walletOverrides.map((wallet) => (
+                    <div key={wallet.address} className="flex items-center justify-between bg-gray-900/50 p-2 rounded text-xs">
+                      <span className="text-gray-300 font-mono">
+                        {wallet.name || `${wallet.address.slice(0, 4)}...${wallet.address.slice(-4)}`}
+                      </span>
+                      <span className="text-gray-400">
+                        buy {wallet.buy_threshold ?? '—'} · sell {wallet.sell_threshold ?? '—'} · fee {wallet.fee_threshold ?? '—'}
+                      </span>
+                      <div className="flex space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => setWalletThresholdForm({ address: wallet.address, ...toThresholdForm(wallet) })}
+                          className="text-gray-500 hover:text-blue-400 transition-colors"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={(e) => handleSaveWalletThresholds(e, wallet.address, EMPTY_THRESHOLDS)}
+                          className="text-gray-500 hover:text-red-400 transition-colors"
+                          disabled={thresholdsLoading}
+                        >
+                          Clear
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {thresholdsMessage && (
+                <div className={`mt-2 text-sm ${thresholdsMessage.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                  {thresholdsMessage.text}
+                </div>
+              )}
+            </div>
+          )}
+
           <div>
             <h4 className="text-white text-sm font-medium mb-2">Bulk Import</h4>
             
@@ -55,6 +55,8 @@ function WalletPill({ wallet, tokenMint }) {
                     </div>
                     <div className="text-gray-500 text-xs">
                         {wallet.txBuys}B · {wallet.txSells}S
+                        {wallet.txTransfers > 0 && <span> · {wallet.txTransfers}T</span>}
+                        {wallet.txLiquidity > 0 && <span> · {wallet.txLiquidity}LP</span>}
                         {error && <span className="text-red-500 ml-1" title={error}>⚠</span>}
                     </div>
                 </div>
@@ -7,6 +7,11 @@ const CACHE_TTL = 30000;
 const BATCH_DELAY = 200;
 const MAX_BATCH_SIZE = 25;
 const REQUEST_TIMEOUT = 15000;
+const POLL_INTERVAL = CACHE_TTL;
+const STREAM_RETRY_DELAY = 5000;
+const STREAM_STALE_INTERVALS = 3;
+const SUBSCRIBE_DELAY = 300;
+const MAX_STREAM_MINTS = 200;
 
 const getAuthHeaders = () => {
   const sessionToken = localStorage.getItem('sessionToken');
@@ -232,10 +237,164 @@ const queueTokenData = (mint) => {
   });
 };
 
+const tokenListeners = new Map();
+const solListeners = new Set();
+let priceStream = null;
+let streamId = null;
+let streamRefreshMs = POLL_INTERVAL;
+let lastPriceEventAt = 0;
+let subscribeTimer = null;
+let retryTimer = null;
+
+const isPriceStreamLive = () => (
+  streamId !== null && Date.now() - lastPriceEventAt < streamRefreshMs * STREAM_STALE_INTERVALS
+);
+
+const syncSubscriptions = async () => {
+  if (!streamId) return;
+
+  const mints = Array.from(tokenListeners.keys()).slice(0, MAX_STREAM_MINTS);
+  try {
+    const response = await fetch('/api/prices/subscriptions', {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ streamId, mints })
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    logError('syncSubscriptions', error, { mints: mints.length });
+  }
+};
+
+const scheduleSubscriptionSync = () => {
+  if (subscribeTimer) {
+    clearTimeout(subscribeTimer);
+  }
+  subscribeTimer = setTimeout(() => {
+    subscribeTimer = null;
+    syncSubscriptions();
+  }, SUBSCRIBE_DELAY);
+};
+
+const applyPriceUpdate = (event) => {
+  lastPriceEventAt = Date.now();
+
+  let update;
+  try {
+    update = JSON.parse(event.data);
+  } catch (error) {
+    logError('applyPriceUpdate', error);
+    return;
+  }
+
+  const now = Date.now();
+
+  if (update.sol && update.sol.price) {
+    globalTokenCache.set('sol-price', { data: update.sol, timestamp: now });
+    solListeners.forEach(listener => listener(update.sol));
+  }
+
+  Object.entries(update.tokens || {}).forEach(([mint, delta]) => {
+    const cached = globalTokenCache.get(`token-${mint}`);
+    if (!cached || !cached.data) return;
+
+    const merged = { ...cached.data, ...delta };
+    globalTokenCache.set(`token-${mint}`, { data: merged, timestamp: now });
+    (tokenListeners.get(mint) || []).forEach(listener => listener(merged));
+  });
+};
+
+const closePriceStream = () => {
+  if (priceStream) {
+    priceStream.close();
+  }
+  priceStream = null;
+  streamId = null;
+  lastPriceEventAt = 0;
+};
+
+const openPriceStream = () => {
+  if (priceStream || typeof EventSource === 'undefined') return;
+
+  const sessionToken = localStorage.getItem('sessionToken');
+  if (!sessionToken) return;
+
+  const eventSource = new EventSource(`/api/prices/stream?token=${encodeURIComponent(sessionToken)}`);
+  priceStream = eventSource;
+
+  eventSource.addEventListener('ready', (event) => {
+    try {
+      const ready = JSON.parse(event.data);
+      streamId = ready.streamId;
+      streamRefreshMs = ready.refreshMs || POLL_INTERVAL;
+      lastPriceEventAt = Date.now();
+      scheduleSubscriptionSync();
+    } catch (error) {
+      logError('priceStream:ready', error);
+    }
+  });
+
+  eventSource.addEventListener('prices', applyPriceUpdate);
+
+  eventSource.onerror = () => {
+    if (priceStream !== eventSource) return;
+    console.warn('[usePrices:priceStream] Connection lost, falling back to polling');
+    closePriceStream();
+
+    if (!retryTimer) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        if (tokenListeners.size > 0 || solListeners.size > 0) {
+          openPriceStream();
+        }
+      }, STREAM_RETRY_DELAY);
+    }
+  };
+};
+
+const closePriceStreamIfIdle = () => {
+  if (tokenListeners.size === 0 && solListeners.size === 0) {
+    closePriceStream();
+  }
+};
+
+const subscribeToSolPrice = (listener) => {
+  solListeners.add(listener);
+  openPriceStream();
+
+  return () => {
+    solListeners.delete(listener);
+    closePriceStreamIfIdle();
+  };
+};
+
+const subscribeToToken = (mint, listener) => {
+  if (!tokenListeners.has(mint)) {
+    tokenListeners.set(mint, new Set());
+    scheduleSubscriptionSync();
+  }
+  tokenListeners.get(mint).add(listener);
+  openPriceStream();
+
+  return () => {
+    const listeners = tokenListeners.get(mint);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      tokenListeners.delete(mint);
+      scheduleSubscriptionSync();
+    }
+    closePriceStreamIfIdle();
+  };
+};
+
 export const useSolPrice = () => {
   const [solPrice, setSolPrice] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
   const isMountedRef = useRef(true);
 
   const fetchSolPrice = useCallback(async () => {
@@ -243,6 +402,7 @@ export const useSolPrice = () => {
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
       if (isMountedRef.current) {
         setSolPrice(cached.data.price);
+        setWarning(cached.data.fallback ? cached.data.warning || 'Using fallback SOL price' : null);
       }
       return cached.data.price;
     }
@@ -272,8 +432,8 @@ export const useSolPrice = () => {
 
         const data = await response.json();
         
-        if (data.success || data.price) {
-          const price = data.price || 150;
+        if (data.success && data.price) {
+          const price = data.price;
           
           globalTokenCache.set('sol-price', {
             data: { price, ...data },
@@ -283,6 +443,7 @@ export const useSolPrice = () => {
           if (isMountedRef.current) {
             setSolPrice(price);
             setError(null);
+            setWarning(data.fallback ? data.warning || 'Using fallback SOL price' : null);
           }
           return price;
         } else {
@@ -299,9 +460,11 @@ export const useSolPrice = () => {
       logError('useSolPrice', err);
       if (isMountedRef.current) {
         setError(err.message);
-        setSolPrice(150);
+        if (solPrice) {
+          setWarning(`SOL price refresh failed, showing last known price: ${err.message}`);
+        }
       }
-      return 150;
+      return solPrice;
     } finally {
       if (isMountedRef.current) {
         setLoading(false);
@@ -309,6 +472,9 @@ export const useSolPrice = () => {
     }
   }, [loading, solPrice]);
 
+  const fetchSolPriceRef = useRef(fetchSolPrice);
+  fetchSolPriceRef.current = fetchSolPrice;
+
   useEffect(() => {
     isMountedRef.current = true;
     fetchSolPrice();
@@ -317,7 +483,27 @@ export const useSolPrice = () => {
     };
   }, [fetchSolPrice]);
 
-  return { solPrice, loading, error, refetch: fetchSolPrice };
+  useEffect(() => {
+    const unsubscribe = subscribeToSolPrice((data) => {
+      if (!isMountedRef.current) return;
+      setSolPrice(data.price);
+      setError(null);
+      setWarning(data.fallback ? data.warning || 'Using fallback SOL price' : null);
+    });
+
+    const pollTimer = setInterval(() => {
+      if (!isPriceStreamLive()) {
+        fetchSolPriceRef.current();
+      }
+    }, POLL_INTERVAL);
+
+    return () => {
+      unsubscribe();
+      clearInterval(pollTimer);
+    };
+  }, []);
+
+  return { solPrice, loading, error, warning, refetch: fetchSolPrice };
 };
 
 export const useTokenData = (tokenMint) => {
@@ -412,6 +598,30 @@ export const useTokenData = (tokenMint) => {
     };
   }, [tokenMint]);
 
+  const fetchTokenDataRef = useRef(fetchTokenData);
+  fetchTokenDataRef.current = fetchTokenData;
+
+  useEffect(() => {
+    if (!tokenMint || typeof tokenMint !== 'string' || tokenMint.length < 32) return;
+
+    const unsubscribe = subscribeToToken(tokenMint, (data) => {
+      if (!isMountedRef.current) return;
+      setTokenData(data);
+      setError(null);
+    });
+
+    const pollTimer = setInterval(() => {
+      if (!isPriceStreamLive()) {
+        fetchTokenDataRef.current();
+      }
+    }, POLL_INTERVAL);
+
+    return () => {
+      unsubscribe();
+      clearInterval(pollTimer);
+    };
+  }, [tokenMint]);
+
   return { tokenData, loading, error, refetch: fetchTokenData };
 };
 
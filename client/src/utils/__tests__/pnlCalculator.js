@@ -0,0 +1,92 @@
+import { calculateTokenPnL, calculateWalletPnL, getAverageBuyPrices } from '../pnlCalculator';
+
+const CURRENT_SOL_PRICE = 250;
+const TOKEN_PRICE = 0.5;
+
+const transfer = (direction, amount, counterparty, extra = {}) => ({
+    direction,
+    amount,
+    counterparty,
+    counterpartyMonitored: true,
+    solValue: 0,
+    usdValue: 0,
+    unpricedSol: 0,
+    ...extra
+});
+
+const buyer = {
+    address: 'walletA',
+    tokensBought: 1000,
+    solSpent: 1,
+    usdSpent: 100,
+    transfers: [transfer('out', 400, 'walletB')]
+};
+
+const relay = {
+    address: 'walletB',
+    transfers: [transfer('in', 400, 'walletA'), transfer('out', 200, 'walletC')]
+};
+
+const holder = {
+    address: 'walletC',
+    tokensSold: 200,
+    solReceived: 0.8,
+    usdReceived: 160,
+    transfers: [transfer('in', 200, 'walletB')]
+};
+
+test('carries the sender basis at trade-time USD through a chain of tracked wallets', () => {
+    const prices = getAverageBuyPrices([buyer, relay, holder], CURRENT_SOL_PRICE);
+
+    expect(prices.walletB.sol).toBeCloseTo(0.001);
+    expect(prices.walletB.usd).toBeCloseTo(0.1);
+    expect(prices.walletC.sol).toBeCloseTo(0.001);
+    expect(prices.walletC.usd).toBeCloseTo(0.1);
+});
+
+test('calculateWalletPnL realizes a transferred-in position against the carried basis', () => {
+    const prices = getAverageBuyPrices([buyer, relay, holder], CURRENT_SOL_PRICE);
+    const pnl = calculateWalletPnL(holder, TOKEN_PRICE, CURRENT_SOL_PRICE, prices);
+
+    expect(pnl.transferredIn).toBe(200);
+    expect(pnl.soldTokens).toBe(200);
+    expect(pnl.currentHoldings).toBe(0);
+    expect(pnl.realizedPnLSOL).toBeCloseTo(0.6);
+    expect(pnl.realizedPnLUSD).toBeCloseTo(140);
+});
+
+test('calculateWalletPnL moves the transferred basis out of the sender and into the relay', () => {
+    const prices = getAverageBuyPrices([buyer, relay, holder], CURRENT_SOL_PRICE);
+    const sender = calculateWalletPnL(buyer, TOKEN_PRICE, CURRENT_SOL_PRICE, prices);
+    const middle = calculateWalletPnL(relay, TOKEN_PRICE, CURRENT_SOL_PRICE, prices);
+
+    expect(sender.costBasisOutSOL).toBeCloseTo(0.4);
+    expect(sender.totalSpentSOL).toBeCloseTo(0.6);
+    expect(sender.totalSpentUSD).toBeCloseTo(60);
+    expect(middle.currentHoldings).toBe(200);
+    expect(middle.totalSpentSOL).toBeCloseTo(0.2);
+    expect(middle.totalSpentUSD).toBeCloseTo(20);
+    expect(middle.unrealizedPnLUSD).toBeCloseTo(80);
+});
+
+test('calculateWalletPnL values a transfer from an untracked wallet at its own trade-time rate', () => {
+    const wallet = {
+        address: 'walletD',
+        transfers: [transfer('in', 100, 'outsider', { counterpartyMonitored: false, solValue: 0.5, usdValue: 60 })]
+    };
+    const pnl = calculateWalletPnL(wallet, TOKEN_PRICE, CURRENT_SOL_PRICE, {});
+
+    expect(pnl.totalSpentSOL).toBeCloseTo(0.5);
+    expect(pnl.totalSpentUSD).toBeCloseTo(60);
+});
+
+test('calculateTokenPnL resolves wallets that transfer to each other', () => {
+    const loop = [
+        { address: 'walletE', tokensBought: 100, solSpent: 1, usdSpent: 150, transfers: [transfer('in', 50, 'walletF')] },
+        { address: 'walletF', transfers: [transfer('in', 50, 'walletE')] }
+    ];
+    const result = calculateTokenPnL(loop, TOKEN_PRICE, CURRENT_SOL_PRICE);
+
+    expect(result.walletPnLs).toHaveLength(2);
+    result.walletPnLs.forEach(({ pnl }) => expect(Number.isFinite(pnl.totalSpentUSD)).toBe(true));
+});
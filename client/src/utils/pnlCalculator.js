@@ -3,52 +3,154 @@ export const roundToDecimals = (value, decimals = 6) => {
     return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
 };
 
-export const calculateWalletPnL = (walletData, tokenPrice, solPrice) => {
-    const totalTokensBought = Number(walletData.tokensBought || 0);
+export const getAverageBuyPrices = (wallets, solPrice) => {
+    const byAddress = new Map((wallets || []).map(wallet => [wallet.address, wallet]));
+    const prices = {};
+    const resolving = new Set();
+
+    const resolve = (address) => {
+        if (prices[address] || resolving.has(address) || !byAddress.has(address)) return prices[address];
+        const wallet = byAddress.get(address);
+        resolving.add(address);
+        (wallet.transfers || []).forEach(transfer => {
+            if (transfer.direction === 'in' && transfer.counterpartyMonitored) resolve(transfer.counterparty);
+        });
+        resolving.delete(address);
+
+        const { tokensIn, costBasisInSOL, costBasisInUSD } = getTransferTotals(wallet, prices, solPrice);
+
+        const tokens = Number(wallet.tokensBought || 0) + tokensIn;
+        if (tokens > 0) {
+            prices[address] = {
+                sol: (Number(wallet.solSpent || 0) + costBasisInSOL) / tokens,
+                usd: (getTradeTimeUsd(wallet, solPrice).spentUSD + costBasisInUSD) / tokens
+            };
+        }
+        return prices[address];
+    };
+
+    byAddress.forEach((wallet, address) => resolve(address));
+    return prices;
+};
+
+export const getTransferTotals = (walletData, avgBuyPrices = {}, solPrice) => {
+    let tokensIn = 0;
+    let tokensOut = 0;
+    let costBasisInSOL = 0;
+    let costBasisInUSD = 0;
+
+    (walletData.transfers || []).forEach(transfer => {
+        const amount = Number(transfer.amount || 0);
+        if (transfer.direction === 'in') {
+            const sender = transfer.counterpartyMonitored ? avgBuyPrices[transfer.counterparty] : undefined;
+            tokensIn += amount;
+            if (sender) {
+                costBasisInSOL += amount * sender.sol;
+                costBasisInUSD += amount * sender.usd;
+            } else {
+                costBasisInSOL += Number(transfer.solValue || 0);
+                costBasisInUSD += Number(transfer.usdValue || 0) + Number(transfer.unpricedSol || 0) * (solPrice || 0);
+            }
+        } else {
+            tokensOut += amount;
+        }
+    });
+
+    return { tokensIn, tokensOut, costBasisInSOL, costBasisInUSD };
+};
+
+export const getTradeTimeUsd = (walletData, solPrice) => {
+    const toUsd = (usd, unpricedSol) => Number(usd || 0) + Number(unpricedSol || 0) * (solPrice || 0);
+    return {
+        spentUSD: toUsd(walletData.usdSpent, walletData.unpricedSolSpent),
+        receivedUSD: toUsd(walletData.usdReceived, walletData.unpricedSolReceived),
+        costsUSD: toUsd(walletData.usdCosts, walletData.unpricedCostsSol),
+        fallbackRateTxs: Number(walletData.fallbackRateTxs || 0)
+    };
+};
+
+export const calculateWalletPnL = (walletData, tokenPrice, solPrice, avgBuyPrices = {}) => {
+    const { tokensIn, tokensOut, costBasisInSOL, costBasisInUSD } = getTransferTotals(walletData, avgBuyPrices, solPrice);
+    const totalTokensBought = Number(walletData.tokensBought || 0) + tokensIn;
     const totalTokensSold = Number(walletData.tokensSold || 0);
-    const totalSpentSOL = Number(walletData.solSpent || 0);
+    const totalSpentSOL = Number(walletData.solSpent || 0) + costBasisInSOL;
     const totalReceivedSOL = Number(walletData.solReceived || 0);
+    const costsSOL = Number(walletData.costsSol || 0);
+    const tradeUsd = getTradeTimeUsd(walletData, solPrice);
+    const totalSpentUSD = tradeUsd.spentUSD + costBasisInUSD;
 
     if (totalTokensBought === 0) {
+        const realizedPnLUSD = tradeUsd.receivedUSD - totalSpentUSD;
         return {
             totalPnLSOL: roundToDecimals(totalReceivedSOL - totalSpentSOL),
             realizedPnLSOL: roundToDecimals(totalReceivedSOL - totalSpentSOL),
             unrealizedPnLSOL: 0,
+            costsSOL: roundToDecimals(costsSOL),
+            netPnLSOL: roundToDecimals(totalReceivedSOL - totalSpentSOL - costsSOL),
+            totalSpentSOL: roundToDecimals(totalSpentSOL),
+            totalSpentUSD: roundToDecimals(totalSpentUSD, 2),
+            costBasisOutSOL: 0,
             currentHoldings: 0,
             avgBuyPriceSOL: 0,
-            totalPnLUSD: roundToDecimals((totalReceivedSOL - totalSpentSOL) * solPrice, 2)
+            totalPnLUSD: roundToDecimals(realizedPnLUSD, 2),
+            realizedPnLUSD: roundToDecimals(realizedPnLUSD, 2),
+            unrealizedPnLUSD: 0,
+            costsUSD: roundToDecimals(tradeUsd.costsUSD, 2),
+            netPnLUSD: roundToDecimals(realizedPnLUSD - tradeUsd.costsUSD, 2),
+            fallbackRateTxs: tradeUsd.fallbackRateTxs
         };
     }
 
-    const currentHoldings = Math.max(0, totalTokensBought - totalTokensSold);
+    const currentHoldings = Math.max(0, totalTokensBought - totalTokensSold - tokensOut);
     const soldTokens = Math.min(totalTokensSold, totalTokensBought);
     const avgBuyPriceSOL = totalSpentSOL / totalTokensBought;
+    const avgBuyPriceUSD = totalSpentUSD / totalTokensBought;
+    const transferredOut = Math.min(tokensOut, totalTokensBought);
+    const costBasisOutSOL = transferredOut * avgBuyPriceSOL;
+    const costBasisOutUSD = transferredOut * avgBuyPriceUSD;
 
     let realizedPnLSOL = 0;
+    let realizedPnLUSD = 0;
     if (soldTokens > 0) {
         const soldTokensCostBasisSOL = soldTokens * avgBuyPriceSOL;
         realizedPnLSOL = totalReceivedSOL - soldTokensCostBasisSOL;
+        realizedPnLUSD = tradeUsd.receivedUSD - soldTokens * avgBuyPriceUSD;
     }
 
     let unrealizedPnLSOL = 0;
+    let unrealizedPnLUSD = 0;
     if (currentHoldings > 0 && tokenPrice && solPrice) {
         const currentPriceSOL = tokenPrice / solPrice;
         const currentMarketValueSOL = currentHoldings * currentPriceSOL;
         const remainingCostBasisSOL = currentHoldings * avgBuyPriceSOL;
         unrealizedPnLSOL = currentMarketValueSOL - remainingCostBasisSOL;
+        unrealizedPnLUSD = currentHoldings * tokenPrice - currentHoldings * avgBuyPriceUSD;
     }
 
     const totalPnLSOL = realizedPnLSOL + unrealizedPnLSOL;
+    const totalPnLUSD = realizedPnLUSD + unrealizedPnLUSD;
 
     return {
         totalPnLSOL: roundToDecimals(totalPnLSOL),
         realizedPnLSOL: roundToDecimals(realizedPnLSOL),
         unrealizedPnLSOL: roundToDecimals(unrealizedPnLSOL),
+        costsSOL: roundToDecimals(costsSOL),
+        netPnLSOL: roundToDecimals(totalPnLSOL - costsSOL),
+        totalSpentSOL: roundToDecimals(totalSpentSOL - costBasisOutSOL),
+        totalSpentUSD: roundToDecimals(totalSpentUSD - costBasisOutUSD, 2),
+        costBasisOutSOL: roundToDecimals(costBasisOutSOL),
         currentHoldings: roundToDecimals(currentHoldings),
         avgBuyPriceSOL: roundToDecimals(avgBuyPriceSOL),
-        totalPnLUSD: roundToDecimals(totalPnLSOL * solPrice, 2),
+        totalPnLUSD: roundToDecimals(totalPnLUSD, 2),
+        realizedPnLUSD: roundToDecimals(realizedPnLUSD, 2),
+        unrealizedPnLUSD: roundToDecimals(unrealizedPnLUSD, 2),
+        costsUSD: roundToDecimals(tradeUsd.costsUSD, 2),
+        netPnLUSD: roundToDecimals(totalPnLUSD - tradeUsd.costsUSD, 2),
+        fallbackRateTxs: tradeUsd.fallbackRateTxs,
         soldTokens: roundToDecimals(soldTokens),
-        soldPercentage: totalTokensBought > 0 ? roundToDecimals((soldTokens / totalTokensBought) * 100, 1) : 0
+        soldPercentage: totalTokensBought > 0 ? roundToDecimals((soldTokens / totalTokensBought) * 100, 1) : 0,
+        transferredIn: roundToDecimals(tokensIn),
+        transferredOut: roundToDecimals(tokensOut)
     };
 };
 
@@ -58,12 +160,18 @@ export const calculateTokenPnL = (wallets, tokenPrice, solPrice) => {
             totalPnLSOL: 0,
             realizedPnLSOL: 0,
             unrealizedPnLSOL: 0,
+            totalCostsSOL: 0,
+            netPnLSOL: 0,
             totalTokensBought: 0,
             totalTokensSold: 0,
             currentHoldings: 0,
             totalSpentSOL: 0,
             totalReceivedSOL: 0,
             totalPnLUSD: 0,
+            realizedPnLUSD: 0,
+            unrealizedPnLUSD: 0,
+            netPnLUSD: 0,
+            fallbackRateTxs: 0,
             avgBuyPriceSOL: 0,
             soldPercentage: 0,
             walletPnLs: []
@@ -76,9 +184,16 @@ export const calculateTokenPnL = (wallets, tokenPrice, solPrice) => {
     let totalReceivedSOL = 0;
     let totalRealizedPnLSOL = 0;
     let totalUnrealizedPnLSOL = 0;
+    let totalCostsSOL = 0;
+    let totalRealizedPnLUSD = 0;
+    let totalUnrealizedPnLUSD = 0;
+    let totalCostsUSD = 0;
+    let fallbackRateTxs = 0;
+    let currentHoldings = 0;
+    const avgBuyPrices = getAverageBuyPrices(wallets, solPrice);
 
     const walletPnLs = wallets.map(wallet => {
-        const walletPnL = calculateWalletPnL(wallet, tokenPrice, solPrice);
+        const walletPnL = calculateWalletPnL(wallet, tokenPrice, solPrice, avgBuyPrices);
         
         totalTokensBought += Number(wallet.tokensBought || 0);
         totalTokensSold += Number(wallet.tokensSold || 0);
@@ -86,6 +201,12 @@ export const calculateTokenPnL = (wallets, tokenPrice, solPrice) => {
         totalReceivedSOL += Number(wallet.solReceived || 0);
         totalRealizedPnLSOL += walletPnL.realizedPnLSOL;
         totalUnrealizedPnLSOL += walletPnL.unrealizedPnLSOL;
+        totalCostsSOL += Number(wallet.costsSol || 0);
+        totalRealizedPnLUSD += walletPnL.realizedPnLUSD;
+        totalUnrealizedPnLUSD += walletPnL.unrealizedPnLUSD;
+        totalCostsUSD += walletPnL.costsUSD;
+        fallbackRateTxs += walletPnL.fallbackRateTxs;
+        currentHoldings += walletPnL.currentHoldings;
         
         return {
             address: wallet.address,
@@ -93,21 +214,27 @@ export const calculateTokenPnL = (wallets, tokenPrice, solPrice) => {
         };
     });
 
-    const currentHoldings = Math.max(0, totalTokensBought - totalTokensSold);
     const avgBuyPriceSOL = totalTokensBought > 0 ? totalSpentSOL / totalTokensBought : 0;
     const totalPnLSOL = totalRealizedPnLSOL + totalUnrealizedPnLSOL;
+    const totalPnLUSD = totalRealizedPnLUSD + totalUnrealizedPnLUSD;
     const soldPercentage = totalTokensBought > 0 ? (totalTokensSold / totalTokensBought) * 100 : 0;
 
     return {
         totalPnLSOL: roundToDecimals(totalPnLSOL),
         realizedPnLSOL: roundToDecimals(totalRealizedPnLSOL),
         unrealizedPnLSOL: roundToDecimals(totalUnrealizedPnLSOL),
+        totalCostsSOL: roundToDecimals(totalCostsSOL),
+        netPnLSOL: roundToDecimals(totalPnLSOL - totalCostsSOL),
         totalTokensBought: roundToDecimals(totalTokensBought),
         totalTokensSold: roundToDecimals(totalTokensSold),
         currentHoldings: roundToDecimals(currentHoldings),
         totalSpentSOL: roundToDecimals(totalSpentSOL),
         totalReceivedSOL: roundToDecimals(totalReceivedSOL),
-        totalPnLUSD: roundToDecimals(totalPnLSOL * solPrice, 2),
+        totalPnLUSD: roundToDecimals(totalPnLUSD, 2),
+        realizedPnLUSD: roundToDecimals(totalRealizedPnLUSD, 2),
+        unrealizedPnLUSD: roundToDecimals(totalUnrealizedPnLUSD, 2),
+        netPnLUSD: roundToDecimals(totalPnLUSD - totalCostsUSD, 2),
+        fallbackRateTxs,
         avgBuyPriceSOL: roundToDecimals(avgBuyPriceSOL),
         soldPercentage: roundToDecimals(soldPercentage, 1),
         walletPnLs
@@ -0,0 +1,16 @@
+require('dotenv').config();
+const { parseRoles, createServices, startBackgroundRoles, registerShutdown } = require('./utils/bootstrap');
+const { createApp, startApiServer } = require('./utils/apiServer');
+const { startSessionCleaner } = require('./utils/sessionCleaner');
+
+const services = createServices(parseRoles('api'));
+const sseClients = new Set();
+const server = startApiServer(createApp(services, sseClients));
+
+registerShutdown(services, async () => {
+  sseClients.forEach((client) => client.end());
+  server.close();
+});
+
+startSessionCleaner(services.auth);
+startBackgroundRoles(services);
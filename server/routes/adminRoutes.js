@@ -1,6 +1,8 @@
-module.exports = (auth, db) => {
+module.exports = (auth, db, monitoringService, reclassifyService) => {
   const express = require('express');
   const router = express.Router();
+  const streamIdRegex = /^\d+-\d+$/;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
   router.get('/whitelist', auth.authRequired, auth.adminRequired, async (req, res) => {
     try {
@@ -117,8 +119,8 @@ module.exports = (auth, db) => {
           (SELECT COUNT(*) FROM transactions) as total_transactions,
           (SELECT COUNT(*) FROM groups) as total_groups,
           (SELECT COUNT(*) FROM whitelist) as whitelist_size,
-          (SELECT COALESCE(SUM(sol_spent), 0) FROM transactions) as total_sol_spent,
-          (SELECT COALESCE(SUM(sol_received), 0) FROM transactions) as total_sol_received
+          (SELECT COALESCE(SUM(sol_spent), 0) FROM transactions WHERE transaction_type IN ('buy', 'token_create')) as total_sol_spent,
+          (SELECT COALESCE(SUM(sol_received), 0) FROM transactions WHERE transaction_type = 'sell') as total_sol_received
       `;
       const result = await db.pool.query(query);
       res.json(result.rows[0]);
@@ -128,5 +130,189 @@ module.exports = (auth, db) => {
     }
   });
 
+  router.get('/queue', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      const stats = await monitoringService.getQueueStats();
+      res.json({ success: true, queue: stats });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching queue stats:`, error);
+      res.status(500).json({ error: 'Failed to fetch queue stats' });
+    }
+  });
+
+  router.get('/queue/dead', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      if (req.query.before && !streamIdRegex.test(req.query.before)) {
+        return res.status(400).json({ error: 'Invalid dead-letter cursor' });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const before = req.query.before ? `(${req.query.before}` : '+';
+      const items = await monitoringService.queue.listDead(limit, before);
+      res.json({
+        success: true,
+        items,
+        nextCursor: items.length === limit ? items[items.length - 1].id : null,
+      });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error listing dead-letter queue:`, error);
+      res.status(500).json({ error: 'Failed to list dead-letter queue' });
+    }
+  });
+
+  router.get('/queue/dead/:id', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      if (!streamIdRegex.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid dead-letter item id' });
+      }
+      const item = await monitoringService.queue.getDead(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Dead-letter item not found' });
+      }
+      res.json({ success: true, item });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error inspecting dead-letter item:`, error);
+      res.status(500).json({ error: 'Failed to inspect dead-letter item' });
+    }
+  });
+
+  router.post('/queue/dead/requeue', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      const requeued = await monitoringService.queue.requeueAllDead();
+      console.log(`[${new Date().toISOString()}] ♻️ Admin ${req.user.id} requeued ${requeued} dead-letter items`);
+      res.json({ success: true, requeued, message: `Requeued ${requeued} items` });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error requeuing dead-letter queue:`, error);
+      res.status(500).json({ error: 'Failed to requeue dead-letter items' });
+    }
+  });
+
+  router.post('/queue/dead/:id/requeue', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      if (!streamIdRegex.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid dead-letter item id' });
+      }
+      const newId = await monitoringService.queue.requeueDead(req.params.id);
+      if (!newId) {
+        return res.status(404).json({ error: 'Dead-letter item not found' });
+      }
+      res.json({ success: true, id: newId, message: 'Item requeued' });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error requeuing dead-letter item:`, error);
+      res.status(500).json({ error: 'Failed to requeue dead-letter item' });
+    }
+  });
+
+  router.delete('/queue/dead', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      const purged = await monitoringService.queue.purgeAllDead();
+      console.log(`[${new Date().toISOString()}] 🗑️ Admin ${req.user.id} purged ${purged} dead-letter items`);
+      res.json({ success: true, purged, message: `Purged ${purged} items` });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error purging dead-letter queue:`, error);
+      res.status(500).json({ error: 'Failed to purge dead-letter queue' });
+    }
+  });
+
+  router.delete('/queue/dead/:id', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      if (!streamIdRegex.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid dead-letter item id' });
+      }
+      const purged = await monitoringService.queue.purgeDead(req.params.id);
+      if (!purged) {
+        return res.status(404).json({ error: 'Dead-letter item not found' });
+      }
+      res.json({ success: true, message: 'Item purged' });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error purging dead-letter item:`, error);
+      res.status(500).json({ error: 'Failed to purge dead-letter item' });
+    }
+  });
+
+  router.post('/reclassify', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      const { walletAddress, groupId, tokenMint, from, to } = req.body;
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({ success: false, error: 'Invalid "from" or "to" date' });
+      }
+
+      if ((walletAddress && typeof walletAddress !== 'string') || (tokenMint && typeof tokenMint !== 'string')) {
+        return res.status(400).json({ success: false, error: 'Invalid wallet address or token mint' });
+      }
+
+      if (groupId && (typeof groupId !== 'string' || !uuidRegex.test(groupId))) {
+        return res.status(400).json({ success: false, error: 'Invalid group id' });
+      }
+
+      if (fromDate && toDate && fromDate > toDate) {
+        return res.status(400).json({ success: false, error: '"from" must be before "to"' });
+      }
+
+      console.log(`[${new Date().toISOString()}] 🔁 Reclassify requested by admin ${req.user.username || req.user.id}${walletAddress ? ` for wallet ${walletAddress}` : groupId ? ` for group ${groupId}` : ''}${tokenMint ? ` for token ${tokenMint}` : ''}`);
+
+      const job = await reclassifyService.createJob({
+        walletAddress: walletAddress ? walletAddress.trim() : null,
+        groupId: groupId || null,
+        tokenMint: tokenMint ? tokenMint.trim() : null,
+        from: fromDate,
+        to: toDate,
+        createdBy: req.user.id,
+      });
+
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error starting reclassify job:`, error);
+      const status = error.message === 'Group not found'
+        ? 404
+        : ['Wallet not found', 'Invalid token mint', 'No transactions to reclassify'].includes(error.message) ? 400 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/reclassify', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const jobs = await db.getReclassifyJobs(limit);
+      res.json({ success: true, jobs });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching reclassify jobs:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch reclassify jobs' });
+    }
+  });
+
+  router.get('/reclassify/:jobId', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      if (!uuidRegex.test(req.params.jobId)) {
+        return res.status(400).json({ success: false, error: 'Invalid reclassify job id' });
+      }
+      const job = await db.getReclassifyJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Reclassify job not found' });
+      }
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching reclassify job:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch reclassify job' });
+    }
+  });
+
+  router.get('/reclassify/:jobId/changes', auth.authRequired, auth.adminRequired, async (req, res) => {
+    try {
+      if (!uuidRegex.test(req.params.jobId)) {
+        return res.status(400).json({ success: false, error: 'Invalid reclassify job id' });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      const changes = await db.getReclassifyChanges(req.params.jobId, limit, offset);
+      res.json({ success: true, changes });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching reclassify changes:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch reclassify changes' });
+    }
+  });
+
   return router;
 };
@@ -39,28 +39,5 @@ module.exports = (db, solanaGrpcService) => {
     }
   });
 
-  router.post('/switch', auth.authRequired, async (req, res) => {
-    try {
-      const { groupId } = req.body;
-      
-      if (groupId) {
-        const query = `SELECT id FROM groups WHERE id = $1`;
-        const result = await db.pool.query(query, [groupId]);
-        if (result.rows.length === 0) {
-          return res.status(404).json({ error: 'Group not found' });
-        }
-      }
-      
-      await solanaGrpcService.switchGroup(groupId);
-      res.json({
-        success: true,
-        message: `Switched to global group ${groupId || 'all'}`,
-      });
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] ❌ Error switching group:`, error);
-      res.status(500).json({ error: 'Failed to switch group' });
-    }
-  });
-
   return router;
 };
@@ -1,7 +1,24 @@
 module.exports = (auth, db, solanaGrpcService) => {
   const express = require('express');
   const router = express.Router();
-  const { redis } = require('../src/services/tokenService'); 
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  const parseThresholds = (body) => {
+    const values = {};
+    for (const key of ['buyThreshold', 'sellThreshold', 'feeThreshold']) {
+      const raw = body[key];
+      if (raw === undefined || raw === null || raw === '') {
+        values[key] = null;
+        continue;
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `${key} must be a non-negative number or null` };
+      }
+      values[key] = value;
+    }
+    return { values };
+  };
 
   router.get('/', auth.authRequired, async (req, res) => {
     try {
@@ -38,53 +55,68 @@ module.exports = (auth, db, solanaGrpcService) => {
     }
   });
 
-  router.post('/switch', auth.authRequired, async (req, res) => {
+  router.get('/:groupId/thresholds', auth.authRequired, async (req, res) => {
     try {
-      const { groupId } = req.body;
-      const userId = req.user.id;
-      
-      console.log(`[${new Date().toISOString()}] 🔄 Group switch requested: user ${userId} -> ${groupId || 'all'}`);
-      
-      if (groupId) {
-        const query = `SELECT id FROM groups WHERE id = $1`;
-        const result = await db.pool.query(query, [groupId]);
-        if (result.rows.length === 0) {
-          return res.status(404).json({ error: 'Group not found' });
-        }
+      if (!uuidRegex.test(req.params.groupId)) {
+        return res.status(400).json({ error: 'Invalid group id' });
       }
-      
-      await solanaGrpcService.switchGroup(groupId);
-      
-      const refreshMessage = JSON.stringify({
-        type: 'GROUP_SWITCH',
-        groupId: groupId || null,
-        timestamp: Date.now(),
-        message: 'Group context changed, please refresh'
-      });
-      
-      const channels = ['transactions'];
-      if (groupId) {
-        channels.push(`transactions:group:${groupId}`);
+      const thresholds = await db.getGroupThresholds(req.params.groupId);
+      if (!thresholds) {
+        return res.status(404).json({ error: 'Group not found' });
       }
-      
-      const pipeline = redis.pipeline();
-      channels.forEach(channel => {
-        pipeline.publish(channel, refreshMessage);
-      });
-      await pipeline.exec();
-      
-      console.log(`[${new Date().toISOString()}] ✅ Group switch completed and clients notified`);
-      
       res.json({
-        success: true,
-        message: `Switched to group ${groupId || 'all'}`,
-        groupId: groupId || null,
-        actionRequired: 'refresh'
+        defaults: solanaGrpcService.monitoringService.getDefaultThresholds(),
+        ...thresholds,
       });
-      
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] ❌ Error switching group:`, error);
-      res.status(500).json({ error: 'Failed to switch group' });
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching group thresholds:`, error);
+      res.status(500).json({ error: 'Failed to fetch group thresholds' });
+    }
+  });
+
+  router.put('/:groupId/thresholds', auth.authRequired, async (req, res) => {
+    try {
+      if (!uuidRegex.test(req.params.groupId)) {
+        return res.status(400).json({ error: 'Invalid group id' });
+      }
+      const { values, error } = parseThresholds(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const group = await db.updateGroupThresholds(req.params.groupId, values);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      console.log(`[${new Date().toISOString()}] 🎚️ Thresholds for group ${group.name} updated: buy=${values.buyThreshold ?? 'default'}, sell=${values.sellThreshold ?? 'default'}, fee=${values.feeThreshold ?? 'default'}`);
+      res.json({ success: true, group, message: 'Group thresholds updated' });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error updating group thresholds:`, error);
+      res.status(500).json({ error: 'Failed to update group thresholds' });
+    }
+  });
+
+  router.put('/:groupId/wallets/:address/thresholds', auth.authRequired, async (req, res) => {
+    try {
+      if (!uuidRegex.test(req.params.groupId)) {
+        return res.status(400).json({ error: 'Invalid group id' });
+      }
+      const { values, error } = parseThresholds(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const wallet = await db.updateWalletThresholds(req.params.address, req.params.groupId, values);
+      if (!wallet) {
+        return res.status(404).json({ error: 'Wallet not found in this group' });
+      }
+
+      console.log(`[${new Date().toISOString()}] 🎚️ Threshold overrides for wallet ${wallet.address.slice(0, 8)}... updated: buy=${values.buyThreshold ?? 'group'}, sell=${values.sellThreshold ?? 'group'}, fee=${values.feeThreshold ?? 'group'}`);
+      res.json({ success: true, wallet, message: 'Wallet thresholds updated' });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error updating wallet thresholds:`, error);
+      res.status(500).json({ error: 'Failed to update wallet thresholds' });
     }
   });
 
@@ -1,34 +1,93 @@
-module.exports = (auth, db, priceService, solanaGrpcService) => {
+module.exports = (auth, db, priceService, solanaGrpcService, solPriceHistory) => {
   const express = require('express');
+  const PriceHistoryService = require('../src/services/priceHistoryService');
   const router = express.Router();
 
+  const CANDLE_WINDOWS = {
+    '1m': 6 * 60 * 60 * 1000,
+    '5m': 48 * 60 * 60 * 1000,
+    '1h': 14 * 24 * 60 * 60 * 1000,
+  };
+  const MAX_CANDLES = 1500;
+  const MAX_SOL_HISTORY_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+  const fallbackSolPrice = async (reason) => {
+    const latest = await db.getLatestSolPrice().catch(() => null);
+    if (!latest) {
+      return null;
+    }
+    console.warn(`[${new Date().toISOString()}] ⚠️ ${reason}, serving last recorded SOL price $${latest.price} from ${new Date(latest.sampledAt).toISOString()}`);
+    return {
+      success: true,
+      price: latest.price,
+      source: latest.source,
+      lastUpdated: latest.sampledAt,
+      fallback: true,
+      warning: `Live SOL price unavailable, using last recorded price from ${new Date(latest.sampledAt).toISOString()}`
+    };
+  };
+
   router.get('/solana/price', auth.authRequired, async (req, res) => {
     try {
-      
       const priceData = await Promise.race([
         priceService.getSolPrice(),
         new Promise((_, reject) => setTimeout(() => reject(new Error('SOL price timeout')), 10000))
       ]);
-      
-      if (!priceData || !priceData.success) {
-        console.warn(`[${new Date().toISOString()}] ⚠️ Invalid SOL price data:`, priceData);
+
+      if (priceData.success && !priceData.stale) {
+        return res.json({ ...priceData, fallback: false });
+      }
+
+      const recorded = await fallbackSolPrice('Live SOL price unavailable');
+      if (recorded && (!priceData.success || recorded.lastUpdated > priceData.lastUpdated)) {
+        return res.json(recorded);
+      }
+      if (priceData.success) {
         return res.json({
-          success: true,
-          price: 150,
-          source: 'fallback',
-          error: 'Could not fetch current SOL price, using fallback'
+          ...priceData,
+          fallback: true,
+          warning: `SOL price is stale, last updated ${new Date(priceData.lastUpdated).toISOString()}`
         });
       }
-      
-      res.json(priceData);
+
+      res.status(503).json({ success: false, error: 'No SOL price available' });
     } catch (error) {
       console.error(`[${new Date().toISOString()}] ❌ Error in SOL price endpoint:`, error.message);
-      res.json({ 
-        success: true, 
-        price: 150,
-        source: 'fallback_error',
-        error: 'SOL price service unavailable'
-      });
+      const recorded = await fallbackSolPrice('SOL price service unavailable');
+      if (recorded) {
+        return res.json(recorded);
+      }
+      res.status(503).json({ success: false, error: 'SOL price service unavailable' });
+    }
+  });
+
+  router.get('/solana/price/history', auth.authRequired, async (req, res) => {
+    const parseTime = (value) => new Date(isNaN(value) ? value : Number(value));
+
+    try {
+      if (req.query.at) {
+        const at = parseTime(req.query.at);
+        if (isNaN(at.getTime())) {
+          return res.status(400).json({ success: false, error: 'Invalid "at" timestamp' });
+        }
+        const rate = await solPriceHistory.getPriceAt(at);
+        return res.json({ success: true, at: at.toISOString(), ...rate });
+      }
+
+      const to = req.query.to ? parseTime(req.query.to) : new Date();
+      const from = req.query.from ? parseTime(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ success: false, error: 'Invalid "from"/"to" range' });
+      }
+      if (to.getTime() - from.getTime() > MAX_SOL_HISTORY_RANGE) {
+        return res.status(400).json({ success: false, error: 'Range too large. Maximum 7 days per request' });
+      }
+
+      const prices = await solPriceHistory.getSeries(from, to);
+      res.json({ success: true, from: from.toISOString(), to: to.toISOString(), prices });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching SOL price history:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch SOL price history' });
     }
   });
 
@@ -100,7 +159,7 @@ module.exports = (auth, db, priceService, solanaGrpcService) => {
                 data: {
                   price: tokenData.price || 0,
                   priceInSol: tokenData.priceInSol || 0,
-                  marketCap: tokenData.marketCap || 0,
+                  marketCap: tokenData.marketCap ?? null,
                   liquidity: tokenData.liquidity || 0,
                   volume24h: tokenData.volume24h || 0,
                   pools: tokenData.pools || 0,
@@ -108,7 +167,7 @@ module.exports = (auth, db, priceService, solanaGrpcService) => {
                   token: {
                     symbol: tokenData.symbol || 'UNK',
                     name: tokenData.name || 'Unknown Token',
-                    supply: tokenData.supply || 0,
+                    supply: tokenData.supply ?? null,
                     decimals: tokenData.decimals || 6
                   },
                   age: {
@@ -116,8 +175,10 @@ module.exports = (auth, db, priceService, solanaGrpcService) => {
                     ageInHours: tokenData.ageInHours || null,
                     isNew: (tokenData.ageInHours || 999) < 24
                   },
+                  bondingCurve: tokenData.bondingCurve || null,
                   lastUpdated: tokenData.lastUpdated || new Date().toISOString(),
-                  source: tokenData.source || 'price_service',
+                  source: tokenData.source || null,
+                  confidence: tokenData.confidence || 0,
                   cached
                 }
               };
@@ -184,6 +245,51 @@ module.exports = (auth, db, priceService, solanaGrpcService) => {
     }
   });
 
+  router.get('/tokens/:mint/candles', auth.authRequired, async (req, res) => {
+    try {
+      const { mint } = req.params;
+      const resolution = req.query.interval || '5m';
+      const size = PriceHistoryService.RESOLUTIONS[resolution];
+
+      if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(mint)) {
+        return res.status(400).json({ success: false, error: 'Invalid mint address' });
+      }
+
+      if (!size) {
+        return res.status(400).json({ success: false, error: `Invalid interval. Use one of: ${Object.keys(PriceHistoryService.RESOLUTIONS).join(', ')}` });
+      }
+
+      const to = req.query.to ? new Date(isNaN(req.query.to) ? req.query.to : Number(req.query.to)) : new Date();
+      const from = req.query.from ? new Date(isNaN(req.query.from) ? req.query.from : Number(req.query.from)) : new Date(to.getTime() - CANDLE_WINDOWS[resolution]);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ success: false, error: 'Invalid "from"/"to" range' });
+      }
+
+      if ((to.getTime() - from.getTime()) / size > MAX_CANDLES) {
+        return res.status(400).json({ success: false, error: `Range too large for ${resolution} candles. Maximum ${MAX_CANDLES} candles per request` });
+      }
+
+      const [candles, trades] = await Promise.all([
+        db.getPriceCandles(mint, resolution, from, to),
+        db.getTokenTrades(mint, from, to, req.query.groupId || null),
+      ]);
+
+      res.json({
+        success: true,
+        mint,
+        interval: resolution,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        candles,
+        trades,
+      });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching candles for ${req.params.mint}:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch candles' });
+    }
+  });
+
   router.get('/health', (req, res) => {
     const grpcStatus = solanaGrpcService.getStatus();
     res.json({ 
@@ -193,18 +299,40 @@ module.exports = (auth, db, priceService, solanaGrpcService) => {
         connected: grpcStatus.isConnected,
         monitoredWallets: grpcStatus.monitoredWallets,
         messageCount: grpcStatus.messageCount,
-        stats: grpcStatus.stats
-      }
+        stats: grpcStatus.stats,
+        subscription: grpcStatus.subscription,
+        metaSources: grpcStatus.metaSources
+      },
+      priceProviders: priceService.getProviderStatus()
+    });
+  });
+
+  router.get('/monitoring/status', auth.authRequired, (req, res) => {
+    const grpcStatus = solanaGrpcService.getStatus();
+    res.json({
+      success: true,
+      isMonitoring: grpcStatus.isConnected,
+      monitoredGroups: grpcStatus.monitoredGroups,
+      leader: grpcStatus.leader,
+      activeEndpoint: grpcStatus.activeEndpoint,
+      standbyEndpoint: grpcStatus.standbyEndpoint,
+      hotStandby: grpcStatus.hotStandby,
+      endpoints: grpcStatus.endpoints,
+      lastSlot: grpcStatus.lastSlot,
+      recovering: grpcStatus.recovering,
+      subscription: grpcStatus.subscription,
+      metaSources: grpcStatus.metaSources,
+      grpcStats: grpcStatus.stats
     });
   });
 
   router.post('/monitoring/toggle', auth.authRequired, async (req, res) => {
     try {
-      const { action, groupId } = req.body;
+      const { action } = req.body;
   
       if (action === 'start') {
-        await solanaGrpcService.start(groupId);
-        res.json({ success: true, message: `Global gRPC monitoring started${groupId ? ` for group ${groupId}` : ''}` });
+        await solanaGrpcService.start();
+        res.json({ success: true, message: 'Global gRPC monitoring started for all groups' });
       } else if (action === 'stop') {
         await solanaGrpcService.stop();
         res.json({ success: true, message: 'Global gRPC monitoring stopped' });
@@ -0,0 +1,115 @@
+module.exports = (auth, redis, priceStream, sseClients) => {
+  const express = require('express');
+  const crypto = require('crypto');
+  const PriceStreamService = require('../src/services/priceStreamService');
+  const router = express.Router();
+
+  const MAX_STREAM_MINTS = parseInt(process.env.PRICE_STREAM_MAX_CLIENT_MINTS) || 200;
+  const solanaAddressRegex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+  router.get('/stream', async (req, res) => {
+    try {
+      const token = req.query.token || (req.headers.authorization && req.headers.authorization.substring(7));
+      if (!token) return res.status(401).json({ error: 'No authentication token provided' });
+
+      const session = await auth.validateSession(token);
+      if (!session) return res.status(401).json({ error: 'Invalid or expired session' });
+
+      const streamId = crypto.randomUUID();
+      console.log(`[${new Date().toISOString()}] ✅ Price stream client authenticated: ${session.user_id}, stream ${streamId}`);
+
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Headers', 'Cache-Control');
+      res.flushHeaders();
+
+      sseClients.add(res);
+
+      let mints = new Set();
+      const streamChannel = PriceStreamService.streamChannel(streamId);
+      const subscriber = redis.duplicate();
+      await subscriber.subscribe(PriceStreamService.CHANNEL, streamChannel);
+
+      const messageHandler = (channel, message) => {
+        if (!res.writable) return;
+
+        try {
+          if (channel === streamChannel) {
+            mints = new Set(JSON.parse(message));
+            return;
+          }
+
+          const update = JSON.parse(message);
+          const tokens = {};
+          Object.entries(update.tokens || {}).forEach(([mint, data]) => {
+            if (mints.has(mint)) tokens[mint] = data;
+          });
+
+          res.write(`event: prices\ndata: ${JSON.stringify({ at: update.at, sol: update.sol || null, tokens })}\n\n`);
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] ❌ Error parsing price stream message:`, error.message);
+        }
+      };
+
+      subscriber.on('message', messageHandler);
+      res.write(`event: ready\ndata: ${JSON.stringify({ streamId, refreshMs: priceStream.intervalMs })}\n\n`);
+
+      const keepAlive = setInterval(() => {
+        if (!res.writable) return clearInterval(keepAlive);
+        res.write(': keep-alive\n\n');
+        priceStream.subscribe([...mints]).catch((error) => {
+          console.warn(`[${new Date().toISOString()}] ⚠️ Failed to renew price subscriptions for stream ${streamId}:`, error.message);
+        });
+      }, 30000);
+
+      req.on('close', () => {
+        console.log(`[${new Date().toISOString()}] 🔌 Price stream client disconnected: ${streamId}`);
+        clearInterval(keepAlive);
+        subscriber.off('message', messageHandler);
+        subscriber.quit();
+        sseClients.delete(res);
+        res.end();
+      });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Price stream setup error:`, error.message);
+      res.status(500).json({ error: 'Failed to setup price stream' });
+    }
+  });
+
+  router.post('/subscriptions', auth.authRequired, async (req, res) => {
+    try {
+      const { streamId, mints } = req.body;
+
+      if (!streamId || typeof streamId !== 'string') {
+        return res.status(400).json({ success: false, error: 'Missing streamId' });
+      }
+      if (!Array.isArray(mints)) {
+        return res.status(400).json({ success: false, error: 'Missing mints array in request body' });
+      }
+      if (mints.length > MAX_STREAM_MINTS) {
+        return res.status(400).json({ success: false, error: `Too many mints requested. Maximum ${MAX_STREAM_MINTS} allowed, got ${mints.length}`, limit: MAX_STREAM_MINTS });
+      }
+
+      const invalidMints = mints.filter((mint) => typeof mint !== 'string' || !solanaAddressRegex.test(mint));
+      if (invalidMints.length > 0) {
+        return res.status(400).json({ success: false, error: `Invalid mint addresses found: ${invalidMints.length} invalid out of ${mints.length}`, invalidMints: invalidMints.slice(0, 5) });
+      }
+
+      const uniqueMints = [...new Set(mints)];
+      await priceStream.subscribe(uniqueMints);
+      const receivers = await redis.publish(PriceStreamService.streamChannel(streamId), JSON.stringify(uniqueMints));
+      if (receivers === 0) {
+        return res.status(404).json({ success: false, error: 'Price stream not found or already closed' });
+      }
+
+      res.json({ success: true, streamId, subscribed: uniqueMints.length });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error updating price subscriptions:`, error.message);
+      res.status(500).json({ success: false, error: 'Failed to update price subscriptions' });
+    }
+  });
+
+  return router;
+};
@@ -24,31 +24,14 @@ module.exports = (auth, db, redis, sseClients) => {
   
       const subscriber = redis.duplicate();
       
-      const channels = ['transactions']; 
-      if (groupId) {
-        channels.push(`transactions:group:${groupId}`); 
-      }
-      
-      await Promise.all(channels.map(channel => subscriber.subscribe(channel)));
+      const channel = groupId ? `transactions:group:${groupId}` : 'transactions';
+      await subscriber.subscribe(channel);
   
 const messageHandler = (channel, message) => {
     if (!res.writable) return;
     
     try {
-        const data = JSON.parse(message);
-        
-        if (data.type === 'GROUP_SWITCH') {
-            console.log(`[${new Date().toISOString()}] 🔄 SSE client received group switch: ${data.groupId}`);
-            
-            res.write(`event: group-switch\ndata: ${JSON.stringify(data)}\n\n`);
-            
-            if (data.groupId !== undefined) {
-                currentGroupId = data.groupId; 
-            }
-            return;
-        }
-        
-        const transaction = data;
+        const transaction = JSON.parse(message);
         if (groupId && transaction.groupId !== groupId) {
             return; 
         }
@@ -1,6 +1,7 @@
-module.exports = (auth, db, solanaGrpcService) => {
+module.exports = (auth, db, solanaGrpcService, backfillService) => {
   const express = require('express');
   const router = express.Router();
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
   router.get('/', auth.authRequired, async (req, res) => {
     try {
@@ -25,6 +26,11 @@ module.exports = (auth, db, solanaGrpcService) => {
                 totalSpentSOL: Number(stats.total_sol_spent || 0).toFixed(6),
                 totalReceivedSOL: Number(stats.total_sol_received || 0).toFixed(6),
                 netSOL: (Number(stats.total_sol_received || 0) - Number(stats.total_sol_spent || 0)).toFixed(6),
+                totalSpentUSD: Number(stats.total_usd_spent || 0).toFixed(2),
+                totalReceivedUSD: Number(stats.total_usd_received || 0).toFixed(2),
+                netUSD: (Number(stats.total_usd_received || 0) - Number(stats.total_usd_spent || 0)).toFixed(2),
+                fallbackPricedTransactions: Number(stats.fallback_priced_transactions || 0),
+                unpricedTransactions: Number(stats.unpriced_transactions || 0),
                 lastTransactionAt: stats.last_transaction_at,
               },
             };
@@ -294,17 +300,16 @@ module.exports = (auth, db, solanaGrpcService) => {
         
         setImmediate(async () => {
           try {
-            const addressesToSubscribe = results.successfulWallets.map(w => w.address);
-            
-            const relevantAddresses = results.successfulWallets
-              .filter(wallet => !solanaGrpcService.activeGroupId || wallet.groupId === solanaGrpcService.activeGroupId)
-              .map(w => w.address);
-
-            if (relevantAddresses.length > 0 && solanaGrpcService.isStarted) {
-              await solanaGrpcService.subscribeToWalletsBatch(relevantAddresses, 200);
-              console.log(`[${new Date().toISOString()}] ✅ Global gRPC subscriptions completed: ${relevantAddresses.length} wallets`);
+            const walletsToSubscribe = results.successfulWallets.map(w => ({
+              address: w.address,
+              groupId: w.groupId || null
+            }));
+
+            if (walletsToSubscribe.length > 0 && solanaGrpcService.isStarted) {
+              await solanaGrpcService.subscribeToWalletsBatch(walletsToSubscribe, 200);
+              console.log(`[${new Date().toISOString()}] ✅ Global gRPC subscriptions completed: ${walletsToSubscribe.length} wallets`);
             } else {
-              console.log(`[${new Date().toISOString()}] ⏭️ Skipping gRPC subscriptions: ${relevantAddresses.length} relevant, gRPC started: ${solanaGrpcService.isStarted}`);
+              console.log(`[${new Date().toISOString()}] ⏭️ Skipping gRPC subscriptions: ${walletsToSubscribe.length} wallets, gRPC started: ${solanaGrpcService.isStarted}`);
             }
           } catch (grpcError) {
             console.warn(`[${new Date().toISOString()}] ⚠️ Global gRPC subscription failed:`, grpcError.message);
@@ -343,13 +348,78 @@ module.exports = (auth, db, solanaGrpcService) => {
     }
   });
 
+  router.post('/backfill', auth.authRequired, async (req, res) => {
+    try {
+      const { walletAddress, groupId, since } = req.body;
+      const sinceDate = new Date(since);
+
+      if (!since || isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ success: false, error: 'Valid "since" date is required' });
+      }
+
+      if (sinceDate.getTime() >= Date.now()) {
+        return res.status(400).json({ success: false, error: '"since" must be in the past' });
+      }
+
+      if (walletAddress && typeof walletAddress !== 'string') {
+        return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+      }
+
+      if (groupId && (typeof groupId !== 'string' || !uuidRegex.test(groupId))) {
+        return res.status(400).json({ success: false, error: 'Invalid group id' });
+      }
+
+      console.log(`[${new Date().toISOString()}] 🕰️ Backfill requested by user ${req.user.username || req.user.id}${walletAddress ? ` for wallet ${walletAddress}` : groupId ? ` for group ${groupId}` : ' for all wallets'}`);
+
+      const job = await backfillService.createJob({
+        walletAddress: walletAddress ? walletAddress.trim() : null,
+        groupId: groupId || null,
+        since: sinceDate,
+        createdBy: req.user.id,
+      });
+
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error starting backfill:`, error);
+      const status = error.message === 'Wallet not found' || error.message === 'No wallets to backfill' ? 400 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/backfill', auth.authRequired, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const jobs = await db.getBackfillJobs(limit);
+      res.json({ success: true, jobs });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching backfill jobs:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch backfill jobs' });
+    }
+  });
+
+  router.get('/backfill/:jobId', auth.authRequired, async (req, res) => {
+    try {
+      if (!uuidRegex.test(req.params.jobId)) {
+        return res.status(400).json({ success: false, error: 'Invalid backfill job id' });
+      }
+      const job = await db.getBackfillJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Backfill job not found' });
+      }
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Error fetching backfill job:`, error);
+      res.status(500).json({ success: false, error: 'Failed to fetch backfill job' });
+    }
+  });
+
   router.post('/toggle', auth.authRequired, async (req, res) => {
     try {
-      const { action, groupId } = req.body;
+      const { action } = req.body;
 
       if (action === 'start') {
-        await solanaGrpcService.start(groupId);
-        res.json({ success: true, message: `Global gRPC monitoring started${groupId ? ` for group ${groupId}` : ''}` });
+        await solanaGrpcService.start();
+        res.json({ success: true, message: 'Global gRPC monitoring started for all groups' });
       } else if (action === 'stop') {
         await solanaGrpcService.stop();
         res.json({ success: true, message: 'Global gRPC monitoring stopped' });
@@ -2,6 +2,9 @@ const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
 
+const LIQUIDITY_OPERATION_TYPES = ['token_create', 'pool_create', 'lp_add', 'lp_remove'];
+const JOB_TABLES = ['backfill_jobs', 'reclassify_jobs'];
+
 class Database {
     constructor() {
         this.pool = new Pool({
@@ -14,7 +17,7 @@ class Database {
             console.error('❌ Unexpected error on idle PostgreSQL client', err);
         });
 
-        this.initDatabase();
+        this.ready = this.initDatabase();
     }
 
     async initDatabase() {
@@ -51,6 +54,38 @@ class Database {
                     ADD COLUMN IF NOT EXISTS market_cap NUMERIC,
                     ADD COLUMN IF NOT EXISTS deployment_time TIMESTAMP;
                 `);
+                await client.query(`
+                    ALTER TABLE transactions
+                    ADD COLUMN IF NOT EXISTS venue VARCHAR(32),
+                    ADD COLUMN IF NOT EXISTS is_late BOOLEAN DEFAULT FALSE,
+                    ADD COLUMN IF NOT EXISTS base_fee NUMERIC DEFAULT 0 NOT NULL,
+                    ADD COLUMN IF NOT EXISTS priority_fee NUMERIC DEFAULT 0 NOT NULL,
+                    ADD COLUMN IF NOT EXISTS jito_tip NUMERIC DEFAULT 0 NOT NULL,
+                    ADD COLUMN IF NOT EXISTS counterparty VARCHAR(44),
+                    ADD COLUMN IF NOT EXISTS counterparty_monitored BOOLEAN DEFAULT FALSE,
+                    ADD COLUMN IF NOT EXISTS thresholds JSONB,
+                    ADD COLUMN IF NOT EXISTS sol_price_usd NUMERIC,
+                    ADD COLUMN IF NOT EXISTS sol_price_fallback BOOLEAN DEFAULT FALSE;
+                `);
+                for (const table of ['groups', 'wallets']) {
+                    await client.query(`
+                        ALTER TABLE ${table}
+                        ADD COLUMN IF NOT EXISTS buy_threshold NUMERIC,
+                        ADD COLUMN IF NOT EXISTS sell_threshold NUMERIC,
+                        ADD COLUMN IF NOT EXISTS fee_threshold NUMERIC;
+                    `);
+                }
+                await client.query(`
+                    ALTER TABLE tokens
+                    ADD COLUMN IF NOT EXISTS deployer_wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL;
+                `);
+                for (const table of JOB_TABLES) {
+                    await client.query(`
+                        ALTER TABLE ${table}
+                        ADD COLUMN IF NOT EXISTS owner VARCHAR(128),
+                        ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+                    `);
+                }
                 console.log('✅ Database schema initialized');
             } finally {
                 client.release();
@@ -81,17 +116,57 @@ class Database {
     async getGroups() {
         const query = `
             SELECT g.id, g.name, COUNT(w.id) as wallet_count, g.created_by, g.created_at,
+                   g.buy_threshold, g.sell_threshold, g.fee_threshold,
                    u.username as created_by_username, u.first_name as created_by_name
             FROM groups g
             LEFT JOIN wallets w ON g.id = w.group_id AND w.is_active = true
             LEFT JOIN users u ON g.created_by = u.id
-            GROUP BY g.id, g.name, g.created_by, g.created_at, u.username, u.first_name
+            GROUP BY g.id, g.name, g.created_by, g.created_at, g.buy_threshold, g.sell_threshold,
+                     g.fee_threshold, u.username, u.first_name
             ORDER BY g.created_at
         `;
         const result = await this.pool.query(query);
         return result.rows;
     }
 
+    async getGroupThresholds(groupId) {
+        const groupResult = await this.pool.query(
+            'SELECT id, name, buy_threshold, sell_threshold, fee_threshold FROM groups WHERE id = $1',
+            [groupId]
+        );
+        if (groupResult.rows.length === 0) {
+            return null;
+        }
+        const walletsResult = await this.pool.query(`
+            SELECT address, name, buy_threshold, sell_threshold, fee_threshold
+            FROM wallets
+            WHERE group_id = $1
+              AND (buy_threshold IS NOT NULL OR sell_threshold IS NOT NULL OR fee_threshold IS NOT NULL)
+            ORDER BY name, address
+        `, [groupId]);
+        return { group: groupResult.rows[0], walletOverrides: walletsResult.rows };
+    }
+
+    async updateGroupThresholds(groupId, { buyThreshold, sellThreshold, feeThreshold }) {
+        const result = await this.pool.query(`
+            UPDATE groups
+            SET buy_threshold = $2, sell_threshold = $3, fee_threshold = $4
+            WHERE id = $1
+            RETURNING id, name, buy_threshold, sell_threshold, fee_threshold
+        `, [groupId, buyThreshold, sellThreshold, feeThreshold]);
+        return result.rows[0] || null;
+    }
+
+    async updateWalletThresholds(address, groupId, { buyThreshold, sellThreshold, feeThreshold }) {
+        const result = await this.pool.query(`
+            UPDATE wallets
+            SET buy_threshold = $3, sell_threshold = $4, fee_threshold = $5, updated_at = CURRENT_TIMESTAMP
+            WHERE address = $1 AND group_id = $2
+            RETURNING address, name, group_id, buy_threshold, sell_threshold, fee_threshold
+        `, [address, groupId, buyThreshold, sellThreshold, feeThreshold]);
+        return result.rows[0] || null;
+    }
+
     async addWalletsBatchOptimized(wallets) {
         if (!wallets || wallets.length === 0) {
             throw new Error('Wallets array is required');
@@ -371,7 +446,7 @@ class Database {
             console.log(`[${new Date().toISOString()}] 🚀 Transactions fetch: ${hours}h, limit ${limit}${groupId ? `, group ${groupId}` : ''}`);
             const startTime = Date.now();
     
-            let whereConditions = [`t.block_time >= NOW() - INTERVAL '${hours} hours'`];
+            let whereConditions = [`t.block_time >= NOW() - INTERVAL '${hours} hours'`, `t.transaction_type <> 'unclassified'`];
             let queryParams = [limit];
             let paramIndex = 2;
             
@@ -396,6 +471,16 @@ class Database {
                     t.transaction_type,
                     t.sol_spent,
                     t.sol_received,
+                    t.venue,
+                    t.is_late,
+                    t.base_fee,
+                    t.priority_fee,
+                    t.jito_tip,
+                    t.counterparty,
+                    t.counterparty_monitored,
+                    t.thresholds,
+                    t.sol_price_usd,
+                    t.sol_price_fallback,
                     w.address as wallet_address,
                     w.name as wallet_name,
                     w.group_id,
@@ -416,7 +501,9 @@ class Database {
                                     'sol_amount', to_.sol_amount,
                                     'usd_value', to_.usd_value,
                                     'market_cap', to_.market_cap,
-                                    'deployment_time', to_.deployment_time
+                                    'deployment_time', to_.deployment_time,
+                                    'deployer_address', dw.address,
+                                    'deployer_name', dw.name
                                 )
                                 ELSE NULL
                             END
@@ -428,9 +515,12 @@ class Database {
                 LEFT JOIN groups g ON w.group_id = g.id
                 LEFT JOIN token_operations to_ ON t.id = to_.transaction_id
                 LEFT JOIN tokens tk ON to_.token_id = tk.id
+                LEFT JOIN wallets dw ON tk.deployer_wallet_id = dw.id
                 WHERE ${whereClause}
                 GROUP BY t.id, t.signature, t.block_time, t.transaction_type, 
-                         t.sol_spent, t.sol_received, w.address, w.name, 
+                         t.sol_spent, t.sol_received, t.venue, t.is_late, t.base_fee, t.priority_fee,
+                         t.jito_tip, t.counterparty, t.counterparty_monitored, t.thresholds, t.sol_price_usd,
+                         t.sol_price_fallback, w.address, w.name, 
                          w.group_id, g.name
                 ORDER BY t.block_time DESC
                 LIMIT $1
@@ -453,6 +543,16 @@ class Database {
                     transactionType: row.transaction_type,
                     solSpent: row.sol_spent ? Number(row.sol_spent).toFixed(6) : null,
                     solReceived: row.sol_received ? Number(row.sol_received).toFixed(6) : null,
+                    venue: row.venue,
+                    isLate: row.is_late || false,
+                    baseFee: Number(row.base_fee) || 0,
+                    priorityFee: Number(row.priority_fee) || 0,
+                    jitoTip: Number(row.jito_tip) || 0,
+                    counterparty: row.counterparty || null,
+                    counterpartyMonitored: row.counterparty_monitored || false,
+                    thresholds: row.thresholds || null,
+                    solPriceUsd: Number(row.sol_price_usd) || Number(tokens.find(t => t.sol_price_usd)?.sol_price_usd) || null,
+                    solPriceFallback: row.sol_price_fallback || false,
                     wallet: {
                         address: row.wallet_address,
                         name: row.wallet_name,
@@ -484,7 +584,39 @@ class Database {
                         usd_value: Number(t.usd_value) || 0,
                         market_cap: Number(t.market_cap) || 0,
                         deployment_time: t.deployment_time
-                    }))
+                    })),
+                    tokensTransferred: tokens.filter(t => t.operation_type === 'transfer_in' || t.operation_type === 'transfer_out').map(t => ({
+                        mint: t.mint,
+                        symbol: t.symbol,
+                        name: t.name,
+                        amount: Number(t.amount),
+                        decimals: t.decimals,
+                        operationType: t.operation_type,
+                        token_price_usd: Number(t.token_price_usd) || 0,
+                        sol_price_usd: Number(t.sol_price_usd) || 0,
+                        sol_amount: Number(t.sol_amount) || 0,
+                        usd_value: Number(t.usd_value) || 0,
+                        market_cap: Number(t.market_cap) || 0,
+                        deployment_time: t.deployment_time
+                    })),
+                    eventTokens: tokens.filter(t => LIQUIDITY_OPERATION_TYPES.includes(t.operation_type)).map(t => ({
+                        mint: t.mint,
+                        symbol: t.symbol,
+                        name: t.name,
+                        amount: Number(t.amount),
+                        decimals: t.decimals,
+                        operationType: t.operation_type,
+                        token_price_usd: Number(t.token_price_usd) || 0,
+                        sol_price_usd: Number(t.sol_price_usd) || 0,
+                        sol_amount: Number(t.sol_amount) || 0,
+                        usd_value: Number(t.usd_value) || 0,
+                        market_cap: Number(t.market_cap) || 0,
+                        deployment_time: t.deployment_time
+                    })),
+                    deployers: tokens.filter(t => t.deployer_address).reduce((acc, t) => {
+                        acc[t.mint] = { address: t.deployer_address, name: t.deployer_name };
+                        return acc;
+                    }, {})
                 };
             });
     
@@ -497,26 +629,34 @@ class Database {
     async getMonitoringStatus(groupId = null) {
         try {
             
-            let query = `
-                SELECT 
-                    COUNT(DISTINCT w.id) as active_wallets,
-                    COUNT(CASE WHEN t.transaction_type = 'buy' AND t.block_time >= CURRENT_DATE THEN 1 END) as buy_transactions_today,
-                    COUNT(CASE WHEN t.transaction_type = 'sell' AND t.block_time >= CURRENT_DATE THEN 1 END) as sell_transactions_today,
-                    COALESCE(SUM(CASE WHEN t.block_time >= CURRENT_DATE THEN t.sol_spent ELSE 0 END), 0) as sol_spent_today,
-                    COALESCE(SUM(CASE WHEN t.block_time >= CURRENT_DATE THEN t.sol_received ELSE 0 END), 0) as sol_received_today,
-                    COUNT(DISTINCT CASE WHEN t.block_time >= CURRENT_DATE THEN to_.token_id END) as unique_tokens_today
-                FROM wallets w
-                LEFT JOIN transactions t ON w.id = t.wallet_id 
-                LEFT JOIN token_operations to_ ON t.id = to_.transaction_id
-                WHERE w.is_active = TRUE
-            `;
-            
             const params = [];
-            
+            let walletFilter = '';
+
             if (groupId) {
-                query += ` AND w.group_id = $1::uuid`;
+                walletFilter = ` AND w.group_id = $1::uuid`;
                 params.push(groupId);
             }
+
+            const query = `
+                WITH scoped_transactions AS (
+                    SELECT t.*
+                    FROM transactions t
+                    JOIN wallets w ON w.id = t.wallet_id
+                    WHERE w.is_active = TRUE${walletFilter}
+                      AND t.transaction_type <> 'unclassified'
+                )
+                SELECT 
+                    (SELECT COUNT(*) FROM wallets w WHERE w.is_active = TRUE${walletFilter}) as active_wallets,
+                    COUNT(CASE WHEN t.transaction_type = 'buy' AND t.block_time >= CURRENT_DATE THEN 1 END) as buy_transactions_today,
+                    COUNT(CASE WHEN t.transaction_type = 'sell' AND t.block_time >= CURRENT_DATE THEN 1 END) as sell_transactions_today,
+                    COALESCE(SUM(CASE WHEN t.block_time >= CURRENT_DATE AND t.transaction_type IN ('buy', 'token_create') THEN t.sol_spent ELSE 0 END), 0) as sol_spent_today,
+                    COALESCE(SUM(CASE WHEN t.block_time >= CURRENT_DATE AND t.transaction_type = 'sell' THEN t.sol_received ELSE 0 END), 0) as sol_received_today,
+                    (SELECT COUNT(DISTINCT to_.token_id)
+                     FROM token_operations to_
+                     JOIN scoped_transactions st ON st.id = to_.transaction_id
+                     WHERE st.block_time >= CURRENT_DATE) as unique_tokens_today
+                FROM scoped_transactions t
+            `;
             
             const result = await this.pool.query(query, params);
             return result.rows[0];
@@ -529,7 +669,10 @@ class Database {
 
     async getWalletByAddress(address) {
         const query = `
-            SELECT w.*, g.name as group_name, u.username as added_by_username
+            SELECT w.*, g.name as group_name, u.username as added_by_username,
+                   g.buy_threshold as group_buy_threshold,
+                   g.sell_threshold as group_sell_threshold,
+                   g.fee_threshold as group_fee_threshold
             FROM wallets w
             LEFT JOIN groups g ON w.group_id = g.id
             LEFT JOIN users u ON w.added_by = u.id
@@ -543,25 +686,339 @@ class Database {
         try {
             const query = `
                 SELECT 
-                    COUNT(CASE WHEN transaction_type = 'buy' THEN 1 END) as total_buy_transactions,
-                    COUNT(CASE WHEN transaction_type = 'sell' THEN 1 END) as total_sell_transactions,
-                    COALESCE(SUM(sol_spent), 0) as total_sol_spent,
-                    COALESCE(SUM(sol_received), 0) as total_sol_received,
-                    MAX(block_time) as last_transaction_at,
+                    COUNT(DISTINCT CASE WHEN t.transaction_type = 'buy' THEN t.id END) as total_buy_transactions,
+                    COUNT(DISTINCT CASE WHEN t.transaction_type = 'sell' THEN t.id END) as total_sell_transactions,
+                    (SELECT COALESCE(SUM(sol_spent) FILTER (WHERE transaction_type IN ('buy', 'token_create')), 0)
+                     FROM transactions WHERE wallet_id = $1) as total_sol_spent,
+                    (SELECT COALESCE(SUM(sol_received) FILTER (WHERE transaction_type = 'sell'), 0)
+                     FROM transactions WHERE wallet_id = $1) as total_sol_received,
+                    MAX(t.block_time) as last_transaction_at,
                     COUNT(DISTINCT CASE WHEN to_.operation_type = 'buy' THEN to_.token_id END) as unique_tokens_bought,
                     COUNT(DISTINCT CASE WHEN to_.operation_type = 'sell' THEN to_.token_id END) as unique_tokens_sold
                 FROM transactions t
                 LEFT JOIN token_operations to_ ON t.id = to_.transaction_id
+                WHERE t.wallet_id = $1 AND t.transaction_type <> 'unclassified'
+            `;
+            const usdQuery = `
+                SELECT
+                    COALESCE(SUM(t.sol_spent * r.rate) FILTER (WHERE t.transaction_type IN ('buy', 'token_create')), 0) as total_usd_spent,
+                    COALESCE(SUM(t.sol_received * r.rate) FILTER (WHERE t.transaction_type = 'sell'), 0) as total_usd_received,
+                    COUNT(*) FILTER (WHERE t.sol_price_fallback AND t.transaction_type <> 'unclassified') as fallback_priced_transactions,
+                    COUNT(*) FILTER (WHERE r.rate IS NULL AND t.transaction_type IN ('buy', 'sell', 'token_create') AND (t.sol_spent > 0 OR t.sol_received > 0)) as unpriced_transactions
+                FROM transactions t
+                CROSS JOIN LATERAL (
+                    SELECT COALESCE(t.sol_price_usd, (
+                        SELECT MAX(o.sol_price_usd) FROM token_operations o WHERE o.transaction_id = t.id
+                    )) as rate
+                ) r
                 WHERE t.wallet_id = $1
             `;
-            const result = await this.pool.query(query, [walletId]);
-            return result.rows[0];
+            const [result, usdResult] = await Promise.all([
+                this.pool.query(query, [walletId]),
+                this.pool.query(usdQuery, [walletId]),
+            ]);
+            return { ...result.rows[0], ...usdResult.rows[0] };
         } catch (error) {
             console.error('❌ Error in getWalletStats:', error);
             throw error;
         }
     }
 
+    async createBackfillJob({ walletIds, groupId = null, walletId = null, since, createdBy = null }) {
+        return this.withTransaction(async (client) => {
+            const jobResult = await client.query(`
+                INSERT INTO backfill_jobs (group_id, wallet_id, since, total_wallets, created_by)
+                VALUES ($1::uuid, $2::uuid, $3, $4, $5::uuid)
+                RETURNING *
+            `, [groupId, walletId, since, walletIds.length, createdBy]);
+            const job = jobResult.rows[0];
+
+            await client.query(`
+                INSERT INTO backfill_job_wallets (job_id, wallet_id)
+                SELECT $1::uuid, unnest($2::uuid[])
+            `, [job.id, walletIds]);
+
+            return this.formatBackfillJob(job);
+        });
+    }
+
+    async getBackfillJob(jobId) {
+        const result = await this.pool.query(`
+            SELECT bj.*, g.name as group_name, w.address as wallet_address
+            FROM backfill_jobs bj
+            LEFT JOIN groups g ON bj.group_id = g.id
+            LEFT JOIN wallets w ON bj.wallet_id = w.id
+            WHERE bj.id = $1::uuid
+        `, [jobId]);
+        return result.rows[0] ? this.formatBackfillJob(result.rows[0]) : null;
+    }
+
+    async getBackfillJobs(limit = 20) {
+        const result = await this.pool.query(`
+            SELECT bj.*, g.name as group_name, w.address as wallet_address
+            FROM backfill_jobs bj
+            LEFT JOIN groups g ON bj.group_id = g.id
+            LEFT JOIN wallets w ON bj.wallet_id = w.id
+            ORDER BY bj.created_at DESC
+            LIMIT $1
+        `, [limit]);
+        return result.rows.map((row) => this.formatBackfillJob(row));
+    }
+
+    formatBackfillJob(row) {
+        return {
+            id: row.id,
+            groupId: row.group_id,
+            groupName: row.group_name || null,
+            walletId: row.wallet_id,
+            walletAddress: row.wallet_address || null,
+            since: row.since,
+            status: row.status,
+            totalWallets: row.total_wallets,
+            completedWallets: row.completed_wallets,
+            signaturesScanned: row.signatures_scanned,
+            transactionsSaved: row.transactions_saved,
+            errors: row.errors_count,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            updatedAt: row.updated_at,
+        };
+    }
+
+    async createReclassifyJob({ groupId = null, walletId = null, tokenMint = null, from = null, to = null, totalTransactions, createdBy = null }) {
+        const result = await this.pool.query(`
+            INSERT INTO reclassify_jobs (group_id, wallet_id, token_mint, from_time, to_time, total_transactions, created_by)
+            VALUES ($1::uuid, $2::uuid, $3, $4, $5, $6, $7::uuid)
+            RETURNING *
+        `, [groupId, walletId, tokenMint, from, to, totalTransactions, createdBy]);
+        return this.formatReclassifyJob(result.rows[0]);
+    }
+
+    async claimJob(table, owner, leaseMs) {
+        if (!JOB_TABLES.includes(table)) throw new Error(`Unknown job table: ${table}`);
+        const result = await this.pool.query(`
+            UPDATE ${table}
+            SET status = 'running', owner = $1, heartbeat_at = NOW(),
+                started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+            WHERE id = (
+                SELECT id FROM ${table}
+                WHERE status = 'pending'
+                   OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - $2 * INTERVAL '1 millisecond'))
+                ORDER BY created_at
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [owner, leaseMs]);
+        return result.rows[0] || null;
+    }
+
+    async heartbeatJob(table, jobId, owner) {
+        if (!JOB_TABLES.includes(table)) throw new Error(`Unknown job table: ${table}`);
+        const result = await this.pool.query(`
+            UPDATE ${table}
+            SET heartbeat_at = NOW()
+            WHERE id = $1 AND owner = $2 AND status = 'running'
+        `, [jobId, owner]);
+        return result.rowCount > 0;
+    }
+
+    async releaseJob(table, jobId, owner) {
+        if (!JOB_TABLES.includes(table)) throw new Error(`Unknown job table: ${table}`);
+        await this.pool.query(`
+            UPDATE ${table}
+            SET status = 'pending', owner = NULL, heartbeat_at = NULL, updated_at = NOW()
+            WHERE id = $1 AND owner = $2 AND status = 'running'
+        `, [jobId, owner]);
+    }
+
+    async getReclassifyJob(jobId) {
+        const result = await this.pool.query(`
+            SELECT rj.*, g.name as group_name, w.address as wallet_address
+            FROM reclassify_jobs rj
+            LEFT JOIN groups g ON rj.group_id = g.id
+            LEFT JOIN wallets w ON rj.wallet_id = w.id
+            WHERE rj.id = $1::uuid
+        `, [jobId]);
+        return result.rows[0] ? this.formatReclassifyJob(result.rows[0]) : null;
+    }
+
+    async getReclassifyJobs(limit = 20) {
+        const result = await this.pool.query(`
+            SELECT rj.*, g.name as group_name, w.address as wallet_address
+            FROM reclassify_jobs rj
+            LEFT JOIN groups g ON rj.group_id = g.id
+            LEFT JOIN wallets w ON rj.wallet_id = w.id
+            ORDER BY rj.created_at DESC
+            LIMIT $1
+        `, [limit]);
+        return result.rows.map((row) => this.formatReclassifyJob(row));
+    }
+
+    async getReclassifyChanges(jobId, limit = 50, offset = 0) {
+        const result = await this.pool.query(`
+            SELECT rc.*, w.address as wallet_address
+            FROM reclassify_changes rc
+            LEFT JOIN wallets w ON rc.wallet_id = w.id
+            WHERE rc.job_id = $1::uuid
+            ORDER BY rc.created_at, rc.id
+            LIMIT $2 OFFSET $3
+        `, [jobId, limit, offset]);
+        return result.rows.map((row) => ({
+            id: row.id,
+            transactionId: row.transaction_id,
+            signature: row.signature,
+            walletAddress: row.wallet_address || null,
+            changeType: row.change_type,
+            before: row.before,
+            after: row.after,
+            createdAt: row.created_at,
+        }));
+    }
+
+    formatReclassifyJob(row) {
+        return {
+            id: row.id,
+            groupId: row.group_id,
+            groupName: row.group_name || null,
+            walletId: row.wallet_id,
+            walletAddress: row.wallet_address || null,
+            tokenMint: row.token_mint,
+            from: row.from_time,
+            to: row.to_time,
+            status: row.status,
+            totalTransactions: row.total_transactions,
+            processedTransactions: row.processed_transactions,
+            changedTransactions: row.changed_transactions,
+            unclassifiedTransactions: row.unclassified_transactions,
+            errors: row.errors_count,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            updatedAt: row.updated_at,
+        };
+    }
+
+    async getPriceCandles(mint, resolution, from, to) {
+        const result = await this.pool.query(`
+            SELECT EXTRACT(EPOCH FROM bucket_start) * 1000 AS time, open, high, low, close, samples
+            FROM token_price_candles
+            WHERE mint = $1 AND resolution = $2 AND bucket_start >= $3 AND bucket_start <= $4
+            ORDER BY bucket_start
+        `, [mint, resolution, from.toISOString(), to.toISOString()]);
+        return result.rows.map((row) => ({
+            time: Number(row.time),
+            open: Number(row.open),
+            high: Number(row.high),
+            low: Number(row.low),
+            close: Number(row.close),
+            samples: row.samples,
+        }));
+    }
+
+    async getSolPriceAt(time, toleranceMs = 10 * 60 * 1000) {
+        const result = await this.pool.query(`
+            SELECT price_usd, source, EXTRACT(EPOCH FROM sampled_at) * 1000 AS sampled_at
+            FROM (
+                (SELECT * FROM sol_price_samples WHERE sampled_at <= $1 ORDER BY sampled_at DESC LIMIT 1)
+                UNION ALL
+                (SELECT * FROM sol_price_samples WHERE sampled_at > $1 ORDER BY sampled_at ASC LIMIT 1)
+            ) nearest
+            WHERE ABS(EXTRACT(EPOCH FROM (sampled_at - $1::timestamp))) * 1000 <= $2
+            ORDER BY ABS(EXTRACT(EPOCH FROM (sampled_at - $1::timestamp)))
+            LIMIT 1
+        `, [time, toleranceMs]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+        return {
+            price: Number(result.rows[0].price_usd),
+            source: result.rows[0].source,
+            sampledAt: Number(result.rows[0].sampled_at),
+        };
+    }
+
+    async recordSolPrices(rows) {
+        await this.pool.query(`
+            INSERT INTO sol_price_samples (sampled_at, price_usd, source)
+            SELECT to_timestamp(s.minute / 1000.0) AT TIME ZONE 'UTC', s.price_usd, s.source
+            FROM unnest($1::bigint[], $2::numeric[], $3::varchar[]) AS s(minute, price_usd, source)
+            ON CONFLICT (sampled_at) DO UPDATE SET
+                price_usd = EXCLUDED.price_usd,
+                source = EXCLUDED.source
+        `, [rows.map((row) => row.minute), rows.map((row) => row.price), rows.map((row) => row.source)]);
+    }
+
+    async getLatestSolPrice() {
+        const result = await this.pool.query(`
+            SELECT price_usd, source, EXTRACT(EPOCH FROM sampled_at) * 1000 AS sampled_at
+            FROM sol_price_samples
+            ORDER BY sampled_at DESC
+            LIMIT 1
+        `);
+        if (result.rows.length === 0) {
+            return null;
+        }
+        return {
+            price: Number(result.rows[0].price_usd),
+            source: result.rows[0].source,
+            sampledAt: Number(result.rows[0].sampled_at),
+        };
+    }
+
+    async getSolPriceSeries(from, to) {
+        const result = await this.pool.query(`
+            SELECT EXTRACT(EPOCH FROM sampled_at) * 1000 AS time, price_usd, source
+            FROM sol_price_samples
+            WHERE sampled_at >= $1 AND sampled_at <= $2
+            ORDER BY sampled_at
+        `, [from.toISOString(), to.toISOString()]);
+        return result.rows.map((row) => ({
+            time: Number(row.time),
+            price: Number(row.price_usd),
+            source: row.source,
+        }));
+    }
+
+    async getTokenTrades(mint, from, to, groupId = null, limit = 500) {
+        const params = [mint, from.toISOString(), to.toISOString(), limit];
+        let groupFilter = '';
+        if (groupId) {
+            params.push(groupId);
+            groupFilter = `AND w.group_id = $${params.length}::uuid`;
+        }
+
+        const result = await this.pool.query(`
+            SELECT t.signature, EXTRACT(EPOCH FROM t.block_time) * 1000 AS time,
+                   o.operation_type, o.amount, o.sol_amount, o.token_price_usd,
+                   w.address AS wallet_address, w.name AS wallet_name
+            FROM token_operations o
+            JOIN tokens tk ON o.token_id = tk.id
+            JOIN transactions t ON o.transaction_id = t.id
+            JOIN wallets w ON t.wallet_id = w.id
+            WHERE tk.mint = $1
+              AND t.block_time >= $2 AND t.block_time <= $3
+              AND o.operation_type IN ('buy', 'sell')
+              AND t.transaction_type <> 'unclassified'
+              ${groupFilter}
+            ORDER BY t.block_time
+            LIMIT $4
+        `, params);
+        return result.rows.map((row) => ({
+            signature: row.signature,
+            time: Number(row.time),
+            side: row.operation_type,
+            walletAddress: row.wallet_address,
+            walletName: row.wallet_name,
+            amount: Number(row.amount),
+            solAmount: row.sol_amount !== null ? Number(row.sol_amount) : null,
+            priceUsd: row.token_price_usd !== null ? Number(row.token_price_usd) : null,
+        }));
+    }
+
     async withTransaction(callback) {
         const client = await this.pool.connect();
         try {
@@ -35,6 +35,9 @@ CREATE TABLE IF NOT EXISTS groups (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name VARCHAR(255) UNIQUE NOT NULL,
     created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    buy_threshold NUMERIC,
+    sell_threshold NUMERIC,
+    fee_threshold NUMERIC,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -45,6 +48,9 @@ CREATE TABLE IF NOT EXISTS wallets (
     group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
     added_by UUID REFERENCES users(id) ON DELETE SET NULL,
     is_active BOOLEAN DEFAULT TRUE,
+    buy_threshold NUMERIC,
+    sell_threshold NUMERIC,
+    fee_threshold NUMERIC,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -56,6 +62,7 @@ CREATE TABLE IF NOT EXISTS tokens (
     name VARCHAR(255),
     decimals INTEGER,
     deployment_time TIMESTAMP,
+    deployer_wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -70,6 +77,16 @@ CREATE TABLE IF NOT EXISTS transactions (
     sol_received NUMERIC DEFAULT 0 NOT NULL,
     usd_spent NUMERIC DEFAULT 0 NOT NULL,
     usd_received NUMERIC DEFAULT 0 NOT NULL,
+    venue VARCHAR(32),
+    is_late BOOLEAN DEFAULT FALSE,
+    base_fee NUMERIC DEFAULT 0 NOT NULL,
+    priority_fee NUMERIC DEFAULT 0 NOT NULL,
+    jito_tip NUMERIC DEFAULT 0 NOT NULL,
+    counterparty VARCHAR(44),
+    counterparty_monitored BOOLEAN DEFAULT FALSE,
+    thresholds JSONB,
+    sol_price_usd NUMERIC,
+    sol_price_fallback BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -110,6 +127,102 @@ CREATE TABLE IF NOT EXISTS monitoring_stats (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE CASCADE,
+    since TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+    total_wallets INTEGER DEFAULT 0,
+    completed_wallets INTEGER DEFAULT 0,
+    signatures_scanned INTEGER DEFAULT 0,
+    transactions_saved INTEGER DEFAULT 0,
+    errors_count INTEGER DEFAULT 0,
+    last_error TEXT,
+    owner VARCHAR(128),
+    heartbeat_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS backfill_job_wallets (
+    job_id UUID REFERENCES backfill_jobs(id) ON DELETE CASCADE,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE CASCADE,
+    before_signature VARCHAR(88),
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+    signatures_scanned INTEGER DEFAULT 0,
+    transactions_saved INTEGER DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, wallet_id)
+);
+
+CREATE TABLE IF NOT EXISTS reclassify_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE CASCADE,
+    token_mint VARCHAR(44),
+    from_time TIMESTAMP,
+    to_time TIMESTAMP,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+    total_transactions INTEGER DEFAULT 0,
+    processed_transactions INTEGER DEFAULT 0,
+    changed_transactions INTEGER DEFAULT 0,
+    unclassified_transactions INTEGER DEFAULT 0,
+    errors_count INTEGER DEFAULT 0,
+    last_error TEXT,
+    cursor_block_time TIMESTAMP,
+    cursor_id UUID,
+    owner VARCHAR(128),
+    heartbeat_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reclassify_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID REFERENCES reclassify_jobs(id) ON DELETE CASCADE,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    signature VARCHAR(88) NOT NULL,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL,
+    change_type VARCHAR(20) NOT NULL,
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS token_price_samples (
+    mint VARCHAR(44) NOT NULL,
+    sampled_at TIMESTAMP NOT NULL,
+    price_usd NUMERIC NOT NULL,
+    price_sol NUMERIC,
+    market_cap NUMERIC,
+    PRIMARY KEY (mint, sampled_at)
+);
+
+CREATE TABLE IF NOT EXISTS sol_price_samples (
+    sampled_at TIMESTAMP PRIMARY KEY,
+    price_usd NUMERIC NOT NULL,
+    source VARCHAR(32)
+);
+
+CREATE TABLE IF NOT EXISTS token_price_candles (
+    mint VARCHAR(44) NOT NULL,
+    resolution VARCHAR(4) NOT NULL,
+    bucket_start TIMESTAMP NOT NULL,
+    open NUMERIC NOT NULL,
+    high NUMERIC NOT NULL,
+    low NUMERIC NOT NULL,
+    close NUMERIC NOT NULL,
+    samples INTEGER DEFAULT 1,
+    PRIMARY KEY (mint, resolution, bucket_start)
+);
+
 CREATE INDEX IF NOT EXISTS idx_wallets_address ON wallets(address);
 CREATE INDEX IF NOT EXISTS idx_wallets_group_id ON wallets(group_id);
 CREATE INDEX IF NOT EXISTS idx_wallets_added_by ON wallets(added_by);
@@ -133,6 +246,11 @@ CREATE INDEX IF NOT EXISTS idx_wallet_stats_wallet_id ON wallet_stats(wallet_id)
 CREATE INDEX IF NOT EXISTS idx_transactions_wallet_time ON transactions(wallet_id, block_time DESC);
 CREATE INDEX IF NOT EXISTS idx_token_ops_tx_token ON token_operations(transaction_id, token_id);
 CREATE INDEX IF NOT EXISTS idx_wallets_group_active ON wallets(group_id, is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reclassify_jobs_status ON reclassify_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reclassify_changes_job ON reclassify_changes(job_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_token_price_samples_time ON token_price_samples(sampled_at);
+CREATE INDEX IF NOT EXISTS idx_token_price_candles_bucket ON token_price_candles(resolution, bucket_start);
 
 INSERT INTO users (telegram_id, username, first_name, is_admin, is_active)
 VALUES (789676557, 'admin', 'Admin', true, true)
@@ -0,0 +1,255 @@
+const os = require('os');
+const { PublicKey } = require('@solana/web3.js');
+
+class BackfillService {
+    constructor(monitoringService, db) {
+        this.monitoringService = monitoringService;
+        this.db = db;
+        this.connection = monitoringService.connection;
+        this.pageSize = 1000;
+        this.concurrency = parseInt(process.env.BACKFILL_CONCURRENCY) || 5;
+        this.pageRetries = parseInt(process.env.BACKFILL_PAGE_RETRIES) || 3;
+        this.nodeId = `${os.hostname()}-${process.pid}`;
+        this.pollMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+        this.leaseMs = parseInt(process.env.JOB_LEASE_TTL_MS) || 60000;
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    async createJob({ walletAddress = null, groupId = null, since, createdBy = null }) {
+        let wallets;
+        let walletId = null;
+
+        if (walletAddress) {
+            const wallet = await this.db.getWalletByAddress(walletAddress);
+            if (!wallet || !wallet.is_active) {
+                throw new Error('Wallet not found');
+            }
+            wallets = [wallet];
+            walletId = wallet.id;
+        } else {
+            wallets = await this.db.getActiveWallets(groupId);
+        }
+
+        if (wallets.length === 0) {
+            throw new Error('No wallets to backfill');
+        }
+
+        const job = await this.db.createBackfillJob({
+            walletIds: wallets.map((w) => w.id),
+            groupId: walletAddress ? null : groupId,
+            walletId,
+            since,
+            createdBy,
+        });
+
+        console.log(`[${new Date().toISOString()}] 🕰️ Backfill job ${job.id} queued: ${wallets.length} wallets since ${new Date(since).toISOString()}`);
+        return job;
+    }
+
+    start() {
+        if (this.timer) return;
+        console.log(`[${new Date().toISOString()}] 🔄 Picking up backfill jobs every ${this.pollMs / 1000}s`);
+        this.timer = setInterval(() => this.runJobs(), this.pollMs);
+        setImmediate(() => this.runJobs());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    keepClaim(jobId) {
+        const claim = { lost: false };
+        claim.timer = setInterval(async () => {
+            try {
+                if (!(await this.db.heartbeatJob('backfill_jobs', jobId, this.nodeId))) {
+                    claim.lost = true;
+                }
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] ❌ Failed to renew backfill job ${jobId}:`, error.message);
+            }
+        }, Math.floor(this.leaseMs / 3));
+        return claim;
+    }
+
+    checkClaim(claim) {
+        if (claim.lost) throw new Error('Job claim lost');
+        if (!this.timer) throw new Error('Job runner stopped');
+    }
+
+    async runJobs() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        try {
+            while (this.timer) {
+                const job = await this.db.claimJob('backfill_jobs', this.nodeId, this.leaseMs);
+                if (!job) break;
+
+                await this.runJob(job);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Backfill runner error:`, error.message);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async runJob(job) {
+        const startTime = Date.now();
+        console.log(`[${new Date().toISOString()}] 🕰️ Running backfill job ${job.id}`);
+
+        const claim = this.keepClaim(job.id);
+
+        try {
+            const walletsResult = await this.db.pool.query(`
+                SELECT bjw.*, w.address
+                FROM backfill_job_wallets bjw
+                JOIN wallets w ON bjw.wallet_id = w.id
+                WHERE bjw.job_id = $1 AND bjw.status IN ('pending', 'running')
+                ORDER BY w.created_at
+            `, [job.id]);
+
+            for (const jobWallet of walletsResult.rows) {
+                this.checkClaim(claim);
+                try {
+                    await this.backfillWallet(job, jobWallet, claim);
+                    await this.finishWallet(job.id, jobWallet.wallet_id, 'completed');
+                } catch (error) {
+                    if (claim.lost || !this.timer) throw error;
+                    console.error(`[${new Date().toISOString()}] ❌ Backfill failed for wallet ${jobWallet.address}:`, error.message);
+                    await this.finishWallet(job.id, jobWallet.wallet_id, 'failed', error.message);
+                }
+            }
+
+            await this.db.pool.query(`
+                UPDATE backfill_jobs
+                SET status = 'completed', owner = NULL, finished_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND owner = $2
+            `, [job.id, this.nodeId]);
+
+            console.log(`[${new Date().toISOString()}] ✅ Backfill job ${job.id} completed in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            if (claim.lost) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Backfill job ${job.id} was claimed by another runner, stopping`);
+                return;
+            }
+            if (!this.timer) {
+                console.log(`[${new Date().toISOString()}] ⏸️ Backfill job ${job.id} paused, releasing claim`);
+                await this.db.releaseJob('backfill_jobs', job.id, this.nodeId);
+                return;
+            }
+            console.error(`[${new Date().toISOString()}] ❌ Backfill job ${job.id} failed:`, error.message);
+            await this.db.pool.query(`
+                UPDATE backfill_jobs
+                SET status = 'failed', owner = NULL, last_error = $3, finished_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND owner = $2
+            `, [job.id, this.nodeId, error.message]);
+        } finally {
+            clearInterval(claim.timer);
+        }
+    }
+
+    async backfillWallet(job, jobWallet, claim) {
+        const wallet = await this.db.getWalletByAddress(jobWallet.address);
+        if (!wallet) {
+            throw new Error('Wallet no longer exists');
+        }
+
+        const sinceTime = Math.floor(new Date(job.since).getTime() / 1000);
+        const pubkey = new PublicKey(wallet.address);
+        let before = jobWallet.before_signature || undefined;
+
+        while (true) {
+            this.checkClaim(claim);
+            const signatures = await this.connection.getSignaturesForAddress(pubkey, { before, limit: this.pageSize });
+            if (signatures.length === 0) break;
+
+            const inRange = signatures.filter((s) => !s.err && s.blockTime && s.blockTime >= sinceTime);
+            const saved = await this.processPage(wallet, inRange, claim);
+
+            const last = signatures[signatures.length - 1];
+            before = last.signature;
+            await this.saveProgress(job.id, wallet.id, before, inRange.length, saved);
+
+            console.log(`[${new Date().toISOString()}] 📜 Backfill ${wallet.address}: ${inRange.length} signatures scanned, ${saved} transactions saved`);
+
+            if (signatures.length < this.pageSize || (last.blockTime && last.blockTime < sinceTime)) break;
+        }
+    }
+
+    async processPage(wallet, signatures, claim) {
+        let pending = signatures;
+        let saved = 0;
+
+        for (let attempt = 1; ; attempt++) {
+            const failed = [];
+            for (let i = 0; i < pending.length; i += this.concurrency) {
+                const batch = pending.slice(i, i + this.concurrency);
+                const results = await Promise.allSettled(batch.map((s) =>
+                    this.monitoringService.processTransaction({ signature: s.signature, blockTime: s.blockTime }, wallet, { throwOnError: true })
+                ));
+                results.forEach((result, index) => {
+                    if (result.status === 'rejected') {
+                        failed.push({ sig: batch[index], error: result.reason });
+                    } else if (result.value !== null) {
+                        saved++;
+                    }
+                });
+            }
+
+            if (failed.length === 0) return saved;
+
+            const [first] = failed;
+            if (attempt >= this.pageRetries) {
+                throw new Error(`${failed.length} signatures failed after ${attempt} attempts (${first.sig.signature}: ${first.error.message})`);
+            }
+
+            console.warn(`[${new Date().toISOString()}] ⚠️ Backfill ${wallet.address}: ${failed.length} signatures failed, retrying page (attempt ${attempt}/${this.pageRetries})`);
+            await new Promise((resolve) => setTimeout(resolve, 2000 * attempt));
+            this.checkClaim(claim);
+            pending = failed.map((entry) => entry.sig);
+        }
+    }
+
+    async saveProgress(jobId, walletId, beforeSignature, scanned, saved) {
+        await this.db.withTransaction(async (client) => {
+            await client.query(`
+                UPDATE backfill_job_wallets
+                SET before_signature = $3, status = 'running',
+                    signatures_scanned = signatures_scanned + $4,
+                    transactions_saved = transactions_saved + $5,
+                    updated_at = NOW()
+                WHERE job_id = $1 AND wallet_id = $2
+            `, [jobId, walletId, beforeSignature, scanned, saved]);
+            await client.query(`
+                UPDATE backfill_jobs
+                SET signatures_scanned = signatures_scanned + $2,
+                    transactions_saved = transactions_saved + $3,
+                    updated_at = NOW()
+                WHERE id = $1
+            `, [jobId, scanned, saved]);
+        });
+    }
+
+    async finishWallet(jobId, walletId, status, errorMessage = null) {
+        await this.db.withTransaction(async (client) => {
+            await client.query(`
+                UPDATE backfill_job_wallets
+                SET status = $3, updated_at = NOW()
+                WHERE job_id = $1 AND wallet_id = $2
+            `, [jobId, walletId, status]);
+            await client.query(`
+                UPDATE backfill_jobs
+                SET completed_wallets = completed_wallets + 1,
+                    errors_count = errors_count + $2,
+                    last_error = COALESCE($3, last_error),
+                    updated_at = NOW()
+                WHERE id = $1
+            `, [jobId, status === 'failed' ? 1 : 0, errorMessage]);
+        });
+    }
+}
+
+module.exports = BackfillService;
@@ -0,0 +1,265 @@
+const os = require('os');
+
+const PROMOTE_DUE_RETRIES = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, member in ipairs(due) do
+    local item = cjson.decode(member)
+    redis.call('XADD', KEYS[2], '*', 'data', item.data, 'attempts', tostring(item.attempts), 'lastError', item.error or '')
+    redis.call('ZREM', KEYS[1], member)
+end
+return #due
+`;
+
+const REQUEUE_DEAD = `
+local entries = redis.call('XRANGE', KEYS[1], ARGV[1], ARGV[1])
+if #entries == 0 then
+    return false
+end
+local fields = entries[1][2]
+local data = ''
+for i = 1, #fields, 2 do
+    if fields[i] == 'data' then
+        data = fields[i + 1]
+    end
+end
+local newId = redis.call('XADD', KEYS[2], '*', 'data', data, 'attempts', '0')
+redis.call('XDEL', KEYS[1], ARGV[1])
+return newId
+`;
+
+function toFields(values) {
+    const fields = {};
+    for (let i = 0; i < values.length; i += 2) {
+        fields[values[i]] = values[i + 1];
+    }
+    return fields;
+}
+
+function parseData(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseEntry([id, values]) {
+    if (!values) return null;
+    const fields = toFields(values);
+    return {
+        id,
+        raw: fields.data,
+        data: parseData(fields.data),
+        attempts: parseInt(fields.attempts) || 0,
+        lastError: fields.lastError || null,
+    };
+}
+
+function parseDeadEntry([id, values], includeData = false) {
+    const fields = toFields(values);
+    const data = parseData(fields.data) || {};
+    const entry = {
+        id,
+        sourceId: fields.sourceId || null,
+        attempts: parseInt(fields.attempts) || 0,
+        error: fields.error || null,
+        failedAt: fields.failedAt ? new Date(Number(fields.failedAt)).toISOString() : null,
+        signature: data.signature || null,
+        walletAddress: data.walletAddress || null,
+    };
+    if (includeData) {
+        entry.data = data;
+    }
+    return entry;
+}
+
+class DurableQueue {
+    constructor(redis, name, options = {}) {
+        this.redis = redis;
+        this.name = name;
+        this.streamKey = `${name}:stream`;
+        this.retryKey = `${name}:retry`;
+        this.deadKey = `${name}:dead`;
+        this.group = options.group || 'processors';
+        this.consumer = options.consumer || `${os.hostname()}-${process.pid}`;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryBaseMs = options.retryBaseMs || 2000;
+        this.retryMaxMs = options.retryMaxMs || 5 * 60 * 1000;
+        this.claimIdleMs = options.claimIdleMs || 60000;
+        this.deadMaxLength = options.deadMaxLength || 10000;
+        this.ready = null;
+        this.stats = {
+            enqueued: 0,
+            acked: 0,
+            retried: 0,
+            deadLettered: 0,
+            reclaimed: 0,
+        };
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = this.redis.xgroup('CREATE', this.streamKey, this.group, '0', 'MKSTREAM').catch((error) => {
+                if (!String(error.message).includes('BUSYGROUP')) {
+                    this.ready = null;
+                    throw error;
+                }
+            });
+        }
+        return this.ready;
+    }
+
+    async enqueue(data, attempts = 0) {
+        await this.init();
+        this.stats.enqueued++;
+        return this.redis.xadd(this.streamKey, '*', 'data', JSON.stringify(data), 'attempts', attempts);
+    }
+
+    async read(count) {
+        await this.init();
+        await this.promoteDueRetries(count);
+
+        try {
+            const reclaimed = await this.reclaimStale(count);
+            const remaining = count - reclaimed.length;
+            if (remaining <= 0) return reclaimed;
+
+            const result = await this.redis.xreadgroup(
+                'GROUP', this.group, this.consumer,
+                'COUNT', remaining,
+                'STREAMS', this.streamKey, '>'
+            );
+            const fresh = result ? result[0][1].map(parseEntry).filter(Boolean) : [];
+            return [...reclaimed, ...fresh];
+        } catch (error) {
+            if (String(error.message).includes('NOGROUP')) {
+                this.ready = null;
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async reclaimStale(count) {
+        const [, entries] = await this.redis.xautoclaim(
+            this.streamKey, this.group, this.consumer, this.claimIdleMs, '0', 'COUNT', count
+        );
+        const reclaimed = (entries || []).map(parseEntry).filter(Boolean);
+        if (reclaimed.length > 0) {
+            this.stats.reclaimed += reclaimed.length;
+            console.log(`[${new Date().toISOString()}] ♻️ Reclaimed ${reclaimed.length} stale ${this.name} entries`);
+        }
+        return reclaimed;
+    }
+
+    async promoteDueRetries(count) {
+        return this.redis.eval(PROMOTE_DUE_RETRIES, 2, this.retryKey, this.streamKey, Date.now(), count);
+    }
+
+    async ack(ids) {
+        if (ids.length === 0) return;
+        await this.redis.multi()
+            .xack(this.streamKey, this.group, ...ids)
+            .xdel(this.streamKey, ...ids)
+            .exec();
+        this.stats.acked += ids.length;
+    }
+
+    async fail(entry, error) {
+        const attempts = entry.attempts + 1;
+        const message = (error && error.message) || String(error);
+
+        if (attempts >= this.maxAttempts || !entry.data) {
+            await this.redis.multi()
+                .xadd(this.deadKey, 'MAXLEN', '~', this.deadMaxLength, '*',
+                    'data', entry.raw || '', 'attempts', attempts, 'error', message,
+                    'failedAt', Date.now(), 'sourceId', entry.id)
+                .xack(this.streamKey, this.group, entry.id)
+                .xdel(this.streamKey, entry.id)
+                .exec();
+            this.stats.deadLettered++;
+            return { deadLettered: true, attempts };
+        }
+
+        const delay = Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+        const member = JSON.stringify({ id: entry.id, data: entry.raw, attempts, error: message });
+        await this.redis.multi()
+            .zadd(this.retryKey, Date.now() + delay, member)
+            .xack(this.streamKey, this.group, entry.id)
+            .xdel(this.streamKey, entry.id)
+            .exec();
+        this.stats.retried++;
+        return { deadLettered: false, attempts, delay };
+    }
+
+    async nextRetryDelay() {
+        const next = await this.redis.zrange(this.retryKey, 0, 0, 'WITHSCORES');
+        if (!next || next.length < 2) return null;
+        return Math.max(0, Number(next[1]) - Date.now());
+    }
+
+    async listDead(count = 50, before = '+') {
+        const entries = await this.redis.xrevrange(this.deadKey, before, '-', 'COUNT', count);
+        return entries.map((entry) => parseDeadEntry(entry));
+    }
+
+    async getDead(id) {
+        const entries = await this.redis.xrange(this.deadKey, id, id);
+        return entries.length > 0 ? parseDeadEntry(entries[0], true) : null;
+    }
+
+    async requeueDead(id) {
+        await this.init();
+        return this.redis.eval(REQUEUE_DEAD, 2, this.deadKey, this.streamKey, id);
+    }
+
+    async requeueAllDead() {
+        const [last] = await this.redis.xrevrange(this.deadKey, '+', '-', 'COUNT', 1);
+        if (!last) return 0;
+
+        const lastId = last[0];
+        let requeued = 0;
+        let cursor = '-';
+        while (true) {
+            const entries = await this.redis.xrange(this.deadKey, cursor, lastId, 'COUNT', 100);
+            if (entries.length === 0) break;
+            for (const [id] of entries) {
+                if (await this.requeueDead(id)) {
+                    requeued++;
+                }
+            }
+            cursor = `(${entries[entries.length - 1][0]}`;
+        }
+        return requeued;
+    }
+
+    async purgeDead(id) {
+        return this.redis.xdel(this.deadKey, id);
+    }
+
+    async purgeAllDead() {
+        const length = await this.redis.xlen(this.deadKey);
+        await this.redis.del(this.deadKey);
+        return length;
+    }
+
+    async getStats() {
+        await this.init();
+        const [[, streamLength], [, pending], [, retrying], [, dead]] = await this.redis.multi()
+            .xlen(this.streamKey)
+            .xpending(this.streamKey, this.group)
+            .zcard(this.retryKey)
+            .xlen(this.deadKey)
+            .exec();
+        return {
+            streamLength,
+            pending: pending ? Number(pending[0]) : 0,
+            retrying,
+            deadLettered: dead,
+            maxAttempts: this.maxAttempts,
+            ...this.stats,
+        };
+    }
+}
+
+module.exports = DurableQueue;
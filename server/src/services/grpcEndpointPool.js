@@ -0,0 +1,159 @@
+const grpcPackage = require("@triton-one/yellowstone-grpc");
+const { CommitmentLevel } = grpcPackage;
+
+const DEFAULT_ENDPOINT = 'http://45.134.108.254:10000';
+
+const CLIENT_OPTIONS = {
+    'grpc.keepalive_time_ms': 30000,
+    'grpc.keepalive_timeout_ms': 5000,
+    'grpc.keepalive_permit_without_calls': true,
+    'grpc.http2.max_pings_without_data': 0,
+    'grpc.http2.min_time_between_pings_ms': 10000,
+    'grpc.http2.min_ping_interval_without_data_ms': 30000
+};
+
+class GrpcEndpointPool {
+    constructor(urls) {
+        this.endpoints = urls.map((url) => ({
+            url,
+            client: null,
+            score: 100,
+            latencyMs: null,
+            slot: null,
+            slotLag: 0,
+            requests: 0,
+            errors: 0,
+            messages: 0,
+            lastError: null,
+            lastCheckedAt: null,
+        }));
+        this.maxSlotLag = parseInt(process.env.GRPC_MAX_SLOT_LAG) || 20;
+        this.healthTimeout = 5000;
+    }
+
+    static fromEnv() {
+        const urls = (process.env.GRPC_ENDPOINTS || process.env.GRPC_ENDPOINT || DEFAULT_ENDPOINT)
+            .split(',')
+            .map((url) => url.trim())
+            .filter((url) => url.length > 0);
+        return new GrpcEndpointPool([...new Set(urls)]);
+    }
+
+    getClient(endpoint) {
+        if (!endpoint.client) {
+            const Client = grpcPackage.default;
+            if (!Client) {
+                throw new Error('gRPC Client not found in default export');
+            }
+            endpoint.client = new Client(endpoint.url, undefined, CLIENT_OPTIONS);
+        }
+        return endpoint.client;
+    }
+
+    async resetClient(endpoint) {
+        if (!endpoint || !endpoint.client) return;
+        const client = endpoint.client;
+        endpoint.client = null;
+        try {
+            if (typeof client.close === 'function') {
+                await client.close();
+            }
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Error closing gRPC client for ${endpoint.url}:`, error.message);
+        }
+    }
+
+    rank(exclude = []) {
+        const candidates = this.endpoints.filter((endpoint) => !exclude.includes(endpoint.url));
+        return (candidates.length > 0 ? candidates : this.endpoints).slice().sort((a, b) => b.score - a.score);
+    }
+
+    best(exclude = []) {
+        return this.rank(exclude)[0];
+    }
+
+    recordMessage(endpoint) {
+        endpoint.messages++;
+    }
+
+    recordSlot(endpoint, slot) {
+        const slotNumber = Number(slot);
+        if (slotNumber && (!endpoint.slot || slotNumber > endpoint.slot)) {
+            endpoint.slot = slotNumber;
+        }
+    }
+
+    recordSuccess(endpoint) {
+        endpoint.requests++;
+        this.decay(endpoint);
+    }
+
+    recordError(endpoint, error) {
+        endpoint.requests++;
+        endpoint.errors++;
+        endpoint.lastError = error?.message || String(error);
+        this.decay(endpoint);
+        this.updateScore(endpoint);
+    }
+
+    decay(endpoint) {
+        if (endpoint.requests > 100) {
+            endpoint.requests = Math.ceil(endpoint.requests / 2);
+            endpoint.errors = Math.ceil(endpoint.errors / 2);
+        }
+    }
+
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const startTime = Date.now();
+            try {
+                const response = await Promise.race([
+                    this.getClient(endpoint).getSlot(CommitmentLevel.CONFIRMED),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Health check timeout')), this.healthTimeout)
+                    )
+                ]);
+                endpoint.latencyMs = Date.now() - startTime;
+                this.recordSlot(endpoint, response.slot);
+                this.recordSuccess(endpoint);
+            } catch (error) {
+                endpoint.latencyMs = null;
+                this.recordError(endpoint, error);
+            }
+            endpoint.lastCheckedAt = Date.now();
+        }));
+
+        const tip = Math.max(0, ...this.endpoints.map((endpoint) => endpoint.slot || 0));
+        this.endpoints.forEach((endpoint) => {
+            endpoint.slotLag = endpoint.slot ? tip - endpoint.slot : null;
+            this.updateScore(endpoint);
+        });
+    }
+
+    updateScore(endpoint) {
+        const errorRate = endpoint.requests > 0 ? endpoint.errors / endpoint.requests : 0;
+        const latencyPenalty = endpoint.latencyMs === null ? 40 : Math.min(endpoint.latencyMs / 20, 30);
+        const lagPenalty = endpoint.slotLag === null ? 30 : Math.min(endpoint.slotLag * 2, 30);
+        endpoint.score = Math.max(0, Math.round(100 - latencyPenalty - lagPenalty - errorRate * 40));
+    }
+
+    isLagging(endpoint) {
+        return endpoint.slotLag !== null && endpoint.slotLag > this.maxSlotLag;
+    }
+
+    getStatus() {
+        return this.endpoints.map((endpoint) => ({
+            url: endpoint.url,
+            score: endpoint.score,
+            latencyMs: endpoint.latencyMs,
+            slot: endpoint.slot,
+            slotLag: endpoint.slotLag,
+            errorRate: endpoint.requests > 0 ? Math.round((endpoint.errors / endpoint.requests) * 10000) / 100 : 0,
+            messages: endpoint.messages,
+            lastError: endpoint.lastError,
+            lastCheckedAt: endpoint.lastCheckedAt,
+        }));
+    }
+}
+
+module.exports = GrpcEndpointPool;
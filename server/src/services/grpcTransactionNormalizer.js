@@ -0,0 +1,183 @@
+const bs58 = require('bs58');
+const { SYSTEM_PROGRAM_ID, TOKEN_PROGRAM_IDS } = require('./swapDecoder');
+
+const PROGRAM_NAMES = {
+    [SYSTEM_PROGRAM_ID]: 'system',
+    [TOKEN_PROGRAM_IDS[0]]: 'spl-token',
+    [TOKEN_PROGRAM_IDS[1]]: 'spl-token-2022',
+};
+
+function toBuffer(value) {
+    if (!value) return Buffer.alloc(0);
+    if (typeof value === 'string') return Buffer.from(value, 'base64');
+    if (value.data && !(value instanceof Uint8Array)) return Buffer.from(value.data);
+    return Buffer.from(value);
+}
+
+function encode(value) {
+    return bs58.encode(toBuffer(value));
+}
+
+function readU64(data, offset) {
+    return data.readBigUInt64LE(offset).toString();
+}
+
+function parseSystemInstruction(data, accounts) {
+    if (data.length < 12 || data.readUInt32LE(0) !== 2) return null;
+    return {
+        type: 'transfer',
+        info: {
+            source: accounts[0],
+            destination: accounts[1],
+            lamports: Number(readU64(data, 4)),
+        },
+    };
+}
+
+function parseTokenInstruction(data, accounts) {
+    if ((data[0] === 0 || data[0] === 20) && data.length >= 34) {
+        return {
+            type: data[0] === 0 ? 'initializeMint' : 'initializeMint2',
+            info: {
+                mint: accounts[0],
+                decimals: data[1],
+                mintAuthority: bs58.encode(data.subarray(2, 34)),
+            },
+        };
+    }
+    if (data[0] === 3 && data.length >= 9) {
+        return {
+            type: 'transfer',
+            info: {
+                source: accounts[0],
+                destination: accounts[1],
+                authority: accounts[2],
+                amount: readU64(data, 1),
+            },
+        };
+    }
+    if (data[0] === 12 && data.length >= 10) {
+        const amount = readU64(data, 1);
+        const decimals = data[9];
+        const uiAmount = Number(amount) / Math.pow(10, decimals);
+        return {
+            type: 'transferChecked',
+            info: {
+                source: accounts[0],
+                mint: accounts[1],
+                destination: accounts[2],
+                authority: accounts[3],
+                tokenAmount: { amount, decimals, uiAmount, uiAmountString: String(uiAmount) },
+            },
+        };
+    }
+    return null;
+}
+
+function normalizeInstruction(instruction, accountKeys) {
+    const programId = accountKeys[instruction.programIdIndex] || null;
+    const accounts = Array.from(instruction.accounts || []).map((index) => accountKeys[index]);
+    const data = toBuffer(instruction.data);
+
+    let parsed = null;
+    if (programId === SYSTEM_PROGRAM_ID) {
+        parsed = parseSystemInstruction(data, accounts);
+    } else if (TOKEN_PROGRAM_IDS.includes(programId)) {
+        parsed = parseTokenInstruction(data, accounts);
+    }
+
+    const normalized = parsed
+        ? { program: PROGRAM_NAMES[programId], programId, parsed }
+        : { programId, accounts, data: bs58.encode(data) };
+    if (instruction.stackHeight !== undefined && instruction.stackHeight !== null) {
+        normalized.stackHeight = instruction.stackHeight;
+    }
+    return normalized;
+}
+
+function normalizeTokenBalance(balance) {
+    const uiTokenAmount = balance.uiTokenAmount || {};
+    return {
+        accountIndex: balance.accountIndex,
+        mint: balance.mint,
+        owner: balance.owner || undefined,
+        programId: balance.programId || undefined,
+        uiTokenAmount: {
+            amount: String(uiTokenAmount.amount ?? '0'),
+            decimals: uiTokenAmount.decimals ?? 0,
+            uiAmount: uiTokenAmount.uiAmount ?? null,
+            uiAmountString: uiTokenAmount.uiAmountString ?? String(uiTokenAmount.uiAmount ?? 0),
+        },
+    };
+}
+
+function buildAccountKeys(message, loadedAddresses) {
+    const header = message.header || {};
+    const staticKeys = (message.accountKeys || []).map(encode);
+    const signers = header.numRequiredSignatures || 0;
+    const readonlySigned = header.numReadonlySignedAccounts || 0;
+    const readonlyUnsigned = header.numReadonlyUnsignedAccounts || 0;
+
+    const keys = staticKeys.map((pubkey, index) => ({
+        pubkey,
+        signer: index < signers,
+        writable: index < signers
+            ? index < signers - readonlySigned
+            : index < staticKeys.length - readonlyUnsigned,
+        source: 'transaction',
+    }));
+    loadedAddresses.writable.forEach((pubkey) => keys.push({ pubkey, signer: false, writable: true, source: 'lookupTable' }));
+    loadedAddresses.readonly.forEach((pubkey) => keys.push({ pubkey, signer: false, writable: false, source: 'lookupTable' }));
+    return keys;
+}
+
+function normalizeGrpcTransaction(info, { slot = null, blockTime = null, loadedAddresses = null } = {}) {
+    const message = info.transaction?.message || {};
+    const meta = info.meta || {};
+    const loaded = loadedAddresses || {
+        writable: (meta.loadedWritableAddresses || []).map(encode),
+        readonly: (meta.loadedReadonlyAddresses || []).map(encode),
+    };
+
+    const accountKeys = buildAccountKeys(message, loaded);
+    const addresses = accountKeys.map((key) => key.pubkey);
+
+    return {
+        slot: slot !== null ? Number(slot) : null,
+        blockTime,
+        version: message.versioned ? 0 : 'legacy',
+        transaction: {
+            signatures: (info.transaction?.signatures || []).map(encode),
+            message: {
+                accountKeys,
+                recentBlockhash: message.recentBlockhash ? encode(message.recentBlockhash) : null,
+                instructions: (message.instructions || []).map((instruction) => normalizeInstruction(instruction, addresses)),
+                addressTableLookups: (message.addressTableLookups || []).map((lookup) => ({
+                    accountKey: encode(lookup.accountKey),
+                    writableIndexes: Array.from(lookup.writableIndexes || []),
+                    readonlyIndexes: Array.from(lookup.readonlyIndexes || []),
+                })),
+            },
+        },
+        meta: {
+            err: meta.err || null,
+            fee: Number(meta.fee || 0),
+            preBalances: (meta.preBalances || []).map(Number),
+            postBalances: (meta.postBalances || []).map(Number),
+            preTokenBalances: (meta.preTokenBalances || []).map(normalizeTokenBalance),
+            postTokenBalances: (meta.postTokenBalances || []).map(normalizeTokenBalance),
+            innerInstructions: meta.innerInstructionsNone ? [] : (meta.innerInstructions || []).map((inner) => ({
+                index: inner.index,
+                instructions: (inner.instructions || []).map((instruction) => normalizeInstruction(instruction, addresses)),
+            })),
+            logMessages: meta.logMessagesNone ? [] : (meta.logMessages || []),
+            loadedAddresses: loaded,
+            computeUnitsConsumed: meta.computeUnitsConsumed !== undefined ? Number(meta.computeUnitsConsumed) : undefined,
+        },
+    };
+}
+
+module.exports = {
+    normalizeGrpcTransaction,
+    encode,
+};
@@ -0,0 +1,189 @@
+const LeaderElection = require('./leaderElection');
+
+const CONTROL_CHANNEL = 'grpc:control';
+const STATUS_KEY = 'grpc:status';
+const DESIRED_STATE_KEY = 'grpc:desired_state';
+const LEADER_KEY = 'grpc:leader';
+
+const OFFLINE_STATUS = {
+    isConnected: false,
+    isStarted: false,
+    monitoredWallets: 0,
+    monitoredGroups: 0,
+    messageCount: 0,
+    activeEndpoint: null,
+    standbyEndpoint: null,
+    endpoints: [],
+    stats: {},
+    mode: 'grpc',
+};
+
+class IngestionControl {
+    constructor(redis, monitoringService, options = {}) {
+        this.redis = redis;
+        this.monitoringService = monitoringService;
+        this.grpcService = options.grpcService || null;
+        this.startService = options.startService || ((leadership) => this.grpcService.start(leadership));
+        this.onLeadership = options.onLeadership || null;
+        this.onDemotion = options.onDemotion || null;
+        this.election = this.grpcService
+            ? new LeaderElection(redis, LEADER_KEY, {
+                ttlMs: parseInt(process.env.LEADER_LEASE_TTL_MS) || 15000,
+            })
+            : null;
+        this.statusIntervalMs = parseInt(process.env.GRPC_STATUS_INTERVAL_MS) || 5000;
+        this.statusTimer = null;
+        this.subscriber = null;
+        this.cachedStatus = null;
+    }
+
+    get isLeader() {
+        return !!(this.election && this.election.isLeader);
+    }
+
+    get isStarted() {
+        return this.getStatus().isStarted;
+    }
+
+    async init() {
+        this.statusTimer = setInterval(() => this.syncStatus(), this.statusIntervalMs);
+        await this.syncStatus();
+
+        if (!this.election) {
+            console.log(`[${new Date().toISOString()}] 📡 Ingestion control running in follower mode (no local gRPC ingester)`);
+            return;
+        }
+
+        this.subscriber = this.redis.duplicate();
+        this.subscriber.on('message', (channel, message) => this.handleCommand(message));
+        await this.subscriber.subscribe(CONTROL_CHANNEL);
+
+        this.election.start({
+            onElected: async () => {
+                const epoch = this.election.epoch;
+                const desired = await this.redis.get(DESIRED_STATE_KEY);
+                if (desired !== 'stopped' && this.election.holds(epoch)) {
+                    await this.startService(this.leadership(epoch));
+                }
+                if (!this.election.holds(epoch)) return;
+                if (this.onLeadership) {
+                    await this.onLeadership();
+                }
+                await this.syncStatus();
+            },
+            onDemoted: async () => {
+                await this.grpcService.stop();
+                if (this.onDemotion) {
+                    await this.onDemotion();
+                }
+            },
+        });
+    }
+
+    leadership(epoch = this.election.epoch) {
+        return {
+            isCurrent: () => this.election.holds(epoch),
+            onExhausted: async () => {
+                if (!this.election.holds(epoch)) return;
+                await this.election.resign('gRPC ingestion gave up');
+            },
+        };
+    }
+
+    async shutdown() {
+        clearInterval(this.statusTimer);
+        this.statusTimer = null;
+        if (this.election) {
+            await this.election.stop();
+        }
+        if (this.grpcService) {
+            await this.grpcService.shutdown();
+        }
+        if (this.subscriber) {
+            await this.subscriber.quit().catch(() => {});
+            this.subscriber = null;
+        }
+    }
+
+    async syncStatus() {
+        try {
+            if (this.isLeader) {
+                this.cachedStatus = { ...this.grpcService.getStatus(), leader: this.election.nodeId };
+                await this.redis.set(STATUS_KEY, JSON.stringify(this.cachedStatus), 'PX', this.statusIntervalMs * 3);
+            } else {
+                const raw = await this.redis.get(STATUS_KEY);
+                this.cachedStatus = raw ? JSON.parse(raw) : null;
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Failed to sync gRPC status:`, error.message);
+        }
+    }
+
+    getStatus() {
+        if (this.isLeader) {
+            return { ...this.grpcService.getStatus(), leader: this.election.nodeId };
+        }
+        return this.cachedStatus || { ...OFFLINE_STATUS, leader: null };
+    }
+
+    async sendCommand(action, payload = {}) {
+        if (this.isLeader) {
+            return this.executeCommand(action, payload);
+        }
+        await this.redis.publish(CONTROL_CHANNEL, JSON.stringify({ action, ...payload }));
+        return { forwarded: true };
+    }
+
+    async handleCommand(message) {
+        if (!this.isLeader) return;
+        try {
+            const { action, ...payload } = JSON.parse(message);
+            console.log(`[${new Date().toISOString()}] 📨 Received gRPC control command: ${action}`);
+            await this.executeCommand(action, payload);
+            await this.syncStatus();
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Failed to apply gRPC control command:`, error.message);
+        }
+    }
+
+    async executeCommand(action, payload) {
+        switch (action) {
+            case 'start':
+                return this.grpcService.start(this.leadership());
+            case 'stop':
+                return this.grpcService.stop();
+            case 'subscribe':
+                return this.grpcService.subscribeToWalletsBatch(payload.wallets || []);
+            case 'reload':
+                await this.grpcService.loadMonitoredWallets();
+                return this.grpcService.updateSubscription();
+            default:
+                throw new Error(`Unknown gRPC control command: ${action}`);
+        }
+    }
+
+    async start() {
+        await this.redis.set(DESIRED_STATE_KEY, 'running');
+        return this.sendCommand('start');
+    }
+
+    async stop() {
+        await this.redis.set(DESIRED_STATE_KEY, 'stopped');
+        return this.sendCommand('stop');
+    }
+
+    async subscribeToWalletsBatch(wallets) {
+        return this.sendCommand('subscribe', { wallets });
+    }
+
+    async removeAllWallets(groupId = null) {
+        if (this.isLeader) {
+            return this.grpcService.removeAllWallets(groupId);
+        }
+        const result = await this.monitoringService.removeAllWallets(groupId);
+        await this.sendCommand('reload');
+        return result;
+    }
+}
+
+module.exports = IngestionControl;
@@ -0,0 +1,122 @@
+const os = require('os');
+
+const ACQUIRE_LEASE = `
+if redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2], 'NX') then
+    return redis.call('INCR', KEYS[2])
+end
+return 0
+`;
+
+const RENEW_LEASE = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const RELEASE_LEASE = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+class LeaderElection {
+    constructor(redis, key, options = {}) {
+        this.redis = redis;
+        this.key = key;
+        this.nodeId = options.nodeId || `${os.hostname()}-${process.pid}`;
+        this.ttlMs = options.ttlMs || 15000;
+        this.renewMs = options.renewMs || Math.floor(this.ttlMs / 3);
+        this.isLeader = false;
+        this.epoch = 0;
+        this.leaseExpiresAt = 0;
+        this.resignedUntil = 0;
+        this.timer = null;
+        this.ticking = false;
+        this.onElected = null;
+        this.onDemoted = null;
+    }
+
+    start({ onElected, onDemoted } = {}) {
+        if (this.timer) return;
+        this.onElected = onElected;
+        this.onDemoted = onDemoted;
+        this.timer = setInterval(() => this.tick(), this.renewMs);
+        this.tick();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.isLeader) {
+            await this.redis.eval(RELEASE_LEASE, 1, this.key, this.nodeId).catch(() => {});
+            await this.demote('released');
+        }
+    }
+
+    async resign(reason) {
+        if (!this.isLeader) return;
+        this.resignedUntil = Date.now() + this.ttlMs;
+        await this.redis.eval(RELEASE_LEASE, 1, this.key, this.nodeId).catch(() => {});
+        await this.demote(reason);
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            if (this.isLeader) {
+                const renewed = await this.redis.eval(RENEW_LEASE, 1, this.key, this.nodeId, this.ttlMs);
+                if (renewed) {
+                    this.leaseExpiresAt = Date.now() + this.ttlMs;
+                } else {
+                    await this.demote('lease lost');
+                }
+            } else if (Date.now() >= this.resignedUntil) {
+                const epoch = await this.redis.eval(ACQUIRE_LEASE, 2, this.key, `${this.key}:epoch`, this.nodeId, this.ttlMs);
+                if (epoch) {
+                    this.isLeader = true;
+                    this.epoch = epoch;
+                    this.leaseExpiresAt = Date.now() + this.ttlMs;
+                    console.log(`[${new Date().toISOString()}] 👑 ${this.nodeId} elected leader for ${this.key} (epoch ${epoch})`);
+                    if (this.onElected) {
+                        Promise.resolve()
+                            .then(() => this.onElected())
+                            .catch((error) => console.error(`[${new Date().toISOString()}] ❌ Error after election:`, error.message));
+                    }
+                }
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Leader election error for ${this.key}:`, error.message);
+            if (this.isLeader && Date.now() >= this.leaseExpiresAt - this.renewMs) {
+                await this.demote('lease expired');
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async demote(reason) {
+        if (!this.isLeader) return;
+        this.isLeader = false;
+        console.warn(`[${new Date().toISOString()}] 🔻 ${this.nodeId} stepped down as leader for ${this.key} (${reason})`);
+        if (this.onDemoted) {
+            try {
+                await this.onDemoted();
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] ❌ Error while stepping down:`, error.message);
+            }
+        }
+    }
+
+    holds(epoch) {
+        return this.isLeader && this.epoch === epoch;
+    }
+
+    async getLeader() {
+        return this.redis.get(this.key);
+    }
+}
+
+module.exports = LeaderElection;
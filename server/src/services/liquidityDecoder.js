@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const {
+    DEX_PROGRAMS,
+    TOKEN_PROGRAM_IDS,
+    WRAPPED_SOL_MINT,
+    USDC_MINT,
+    SYSTEM_PROGRAM_ID,
+    getAccountKeys,
+    getProgramId,
+    groupInstructions,
+} = require('./swapDecoder');
+
+const EVENT_PRIORITY = ['token_create', 'pool_create', 'lp_add', 'lp_remove'];
+
+const ANCHOR_INSTRUCTIONS = {
+    pumpfun: {
+        token_create: ['create', 'create_v2'],
+    },
+    pumpswap: {
+        pool_create: ['create_pool'],
+        lp_add: ['deposit'],
+        lp_remove: ['withdraw'],
+    },
+    raydium_cpmm: {
+        pool_create: ['initialize', 'initialize_with_permission'],
+        lp_add: ['deposit'],
+        lp_remove: ['withdraw'],
+    },
+    raydium_clmm: {
+        pool_create: ['create_pool'],
+        lp_add: ['open_position', 'open_position_v2', 'open_position_with_token22_nft', 'increase_liquidity', 'increase_liquidity_v2'],
+        lp_remove: ['decrease_liquidity', 'decrease_liquidity_v2'],
+    },
+    raydium_launchlab: {
+        token_create: ['initialize', 'initialize_v2', 'initialize_with_token_2022'],
+    },
+    orca: {
+        pool_create: ['initialize_pool', 'initialize_pool_v2'],
+        lp_add: ['increase_liquidity', 'increase_liquidity_v2'],
+        lp_remove: ['decrease_liquidity', 'decrease_liquidity_v2'],
+    },
+    meteora_dlmm: {
+        pool_create: ['initialize_lb_pair', 'initialize_permission_lb_pair', 'initialize_customizable_permissionless_lb_pair'],
+        lp_add: ['add_liquidity', 'add_liquidity_by_weight', 'add_liquidity_by_strategy', 'add_liquidity_by_strategy_one_side', 'add_liquidity_one_side'],
+        lp_remove: ['remove_liquidity', 'remove_liquidity_by_range', 'remove_all_liquidity'],
+    },
+    meteora: {
+        pool_create: ['initialize_permissionless_pool', 'initialize_permissionless_constant_product_pool_with_config', 'initialize_permissionless_constant_product_pool_with_config2'],
+        lp_add: ['add_balance_liquidity', 'add_imbalance_liquidity', 'bootstrap_liquidity'],
+        lp_remove: ['remove_balance_liquidity', 'remove_liquidity_single_side'],
+    },
+    meteora_damm: {
+        pool_create: ['initialize_pool', 'initialize_customizable_pool', 'initialize_pool_with_dynamic_config'],
+        lp_add: ['add_liquidity'],
+        lp_remove: ['remove_liquidity', 'remove_all_liquidity'],
+    },
+    meteora_dbc: {
+        token_create: ['initialize_virtual_pool_with_spl_token', 'initialize_virtual_pool_with_token2022'],
+    },
+};
+
+const RAYDIUM_AMM_INSTRUCTIONS = {
+    1: 'pool_create',
+    3: 'lp_add',
+    4: 'lp_remove',
+};
+
+function anchorDiscriminator(name) {
+    return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8).toString('hex');
+}
+
+const DISCRIMINATORS = new Map();
+Object.entries(DEX_PROGRAMS).forEach(([programId, { venue }]) => {
+    const events = ANCHOR_INSTRUCTIONS[venue];
+    if (!events) return;
+    const byDiscriminator = new Map();
+    Object.entries(events).forEach(([type, names]) => {
+        names.forEach((name) => byDiscriminator.set(anchorDiscriminator(name), type));
+    });
+    DISCRIMINATORS.set(programId, byDiscriminator);
+});
+
+function decodeData(instruction) {
+    if (typeof instruction.data !== 'string') return null;
+    try {
+        return Buffer.from(bs58.decode(instruction.data));
+    } catch (error) {
+        return null;
+    }
+}
+
+function matchInstruction(instruction, programId) {
+    const program = DEX_PROGRAMS[programId];
+    if (!program) return null;
+    const data = decodeData(instruction);
+    if (!data || data.length === 0) return null;
+
+    if (program.venue === 'raydium') {
+        const type = RAYDIUM_AMM_INSTRUCTIONS[data[0]];
+        return type ? { type, venue: program.venue, programId } : null;
+    }
+
+    const byDiscriminator = DISCRIMINATORS.get(programId);
+    if (!byDiscriminator || data.length < 8) return null;
+    const type = byDiscriminator.get(data.subarray(0, 8).toString('hex'));
+    return type ? { type, venue: program.venue, programId } : null;
+}
+
+function findCreatedMints(instructions, accountKeys) {
+    const mints = [];
+    instructions.forEach((instruction) => {
+        if (!TOKEN_PROGRAM_IDS.includes(getProgramId(instruction, accountKeys))) return;
+        const parsed = instruction.parsed;
+        if (!parsed || !parsed.info) return;
+        if (parsed.type === 'initializeMint' || parsed.type === 'initializeMint2') {
+            mints.push({ mint: parsed.info.mint, decimals: parsed.info.decimals ?? null });
+        }
+    });
+    return mints;
+}
+
+function getWalletTokenDeltas(meta, walletAddress) {
+    const deltas = new Map();
+    const apply = (balance, sign) => {
+        if (balance.owner !== walletAddress) return;
+        if (balance.mint === WRAPPED_SOL_MINT || balance.mint === USDC_MINT) return;
+        const entry = deltas.get(balance.mint) || { mint: balance.mint, decimals: balance.uiTokenAmount?.decimals ?? 0, delta: 0 };
+        entry.delta += sign * Number(balance.uiTokenAmount?.amount || 0);
+        deltas.set(balance.mint, entry);
+    };
+    (meta.preTokenBalances || []).forEach((balance) => apply(balance, -1));
+    (meta.postTokenBalances || []).forEach((balance) => apply(balance, 1));
+    return Array.from(deltas.values()).filter((entry) => entry.delta !== 0);
+}
+
+function findDevBuyLamports(tx, walletAddress, accountKeys) {
+    let lamports = 0;
+    groupInstructions(tx).forEach((instructions) => {
+        const programIds = instructions.map((instruction) => getProgramId(instruction, accountKeys));
+        if (!programIds.some((programId) => DEX_PROGRAMS[programId])) return;
+        if (instructions.some((instruction, index) => matchInstruction(instruction, programIds[index]))) return;
+
+        instructions.forEach((instruction, index) => {
+            if (programIds[index] !== SYSTEM_PROGRAM_ID) return;
+            const parsed = instruction.parsed;
+            if (parsed && parsed.type === 'transfer' && parsed.info && parsed.info.source === walletAddress) {
+                lamports += Number(parsed.info.lamports || 0);
+            }
+        });
+    });
+    return lamports;
+}
+
+function decodeLiquidityEvent(tx, walletAddress, accountKeys = null) {
+    if (!tx || !tx.meta || !tx.transaction) return null;
+
+    accountKeys = accountKeys || getAccountKeys(tx);
+    const instructions = groupInstructions(tx).flat();
+    const matches = instructions
+        .map((instruction) => matchInstruction(instruction, getProgramId(instruction, accountKeys)))
+        .filter(Boolean);
+
+    const createdMints = findCreatedMints(instructions, accountKeys);
+    const isFeePayer = accountKeys[0] === walletAddress;
+    if (createdMints.length > 0 && isFeePayer && !matches.some((match) => match.type === 'token_create')) {
+        matches.push({ type: 'token_create', venue: null, programId: null });
+    }
+
+    if (matches.length === 0) return null;
+    const event = matches.sort((a, b) => EVENT_PRIORITY.indexOf(a.type) - EVENT_PRIORITY.indexOf(b.type))[0];
+    if (event.type === 'token_create' && (!isFeePayer || createdMints.length === 0)) return null;
+
+    const deltas = getWalletTokenDeltas(tx.meta, walletAddress);
+    let mints;
+    if (event.type === 'token_create') {
+        mints = createdMints.map(({ mint, decimals }) => {
+            const delta = deltas.find((entry) => entry.mint === mint);
+            return { mint, decimals: delta ? delta.decimals : decimals ?? 0, amount: delta ? Math.max(0, delta.delta) : 0 };
+        });
+    } else {
+        const deposited = event.type !== 'lp_remove';
+        const matching = deltas.filter((entry) => (deposited ? entry.delta < 0 : entry.delta > 0));
+        mints = (matching.length > 0 ? matching : deltas).map((entry) => ({
+            mint: entry.mint,
+            decimals: entry.decimals,
+            amount: Math.abs(entry.delta),
+        }));
+    }
+
+    let devBuy = null;
+    if (event.type === 'token_create' && mints.some((entry) => entry.amount > 0)) {
+        const lamports = findDevBuyLamports(tx, walletAddress, accountKeys);
+        devBuy = lamports > 0 ? { lamports } : null;
+    }
+
+    return { ...event, mints, devBuy };
+}
+
+module.exports = {
+    decodeLiquidityEvent,
+};
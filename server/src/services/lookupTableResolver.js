@@ -0,0 +1,130 @@
+const { PublicKey } = require('@solana/web3.js');
+const { keyToString } = require('./swapDecoder');
+
+function toAddress(key) {
+    if (!key) return null;
+    if (key instanceof Uint8Array) return new PublicKey(key).toBase58();
+    return keyToString(key);
+}
+
+class LookupTableResolver {
+    constructor(connection, recorder = null) {
+        this.connection = connection;
+        this.recorder = recorder;
+        this.cache = new Map();
+        this.pending = new Map();
+        this.cacheTtl = parseInt(process.env.ALT_CACHE_TTL_MS) || 10 * 60 * 1000;
+        this.maxEntries = 5000;
+        this.stats = {
+            hits: 0,
+            fetches: 0,
+            errors: 0,
+        };
+    }
+
+    fromMeta(meta) {
+        if (!meta) return null;
+        if (meta.loadedAddresses) {
+            return {
+                writable: (meta.loadedAddresses.writable || []).map(toAddress),
+                readonly: (meta.loadedAddresses.readonly || []).map(toAddress),
+            };
+        }
+        if (meta.loadedWritableAddresses || meta.loadedReadonlyAddresses) {
+            return {
+                writable: (meta.loadedWritableAddresses || []).map(toAddress),
+                readonly: (meta.loadedReadonlyAddresses || []).map(toAddress),
+            };
+        }
+        return null;
+    }
+
+    async getTable(address, minLength = 0) {
+        const cached = this.cache.get(address);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTtl && cached.addresses.length >= minLength) {
+            this.stats.hits++;
+            return cached.addresses;
+        }
+
+        if (!this.pending.has(address)) {
+            this.pending.set(address, this.fetchTable(address).finally(() => this.pending.delete(address)));
+        }
+        return this.pending.get(address);
+    }
+
+    async fetchTable(address) {
+        this.stats.fetches++;
+        try {
+            const result = await this.connection.getAddressLookupTable(new PublicKey(address));
+            if (!result.value) {
+                throw new Error('lookup table not found');
+            }
+            const addresses = result.value.state.addresses.map(toAddress);
+            if (this.recorder) {
+                this.recorder.recordRpc('getAddressLookupTable', [address], { addresses });
+            }
+            if (this.cache.size >= this.maxEntries) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            this.cache.set(address, { addresses, fetchedAt: Date.now() });
+            return addresses;
+        } catch (error) {
+            this.stats.errors++;
+            console.warn(`[${new Date().toISOString()}] ⚠️ Failed to fetch address lookup table ${address.slice(0, 8)}...:`, error.message);
+            return null;
+        }
+    }
+
+    preload(address, addresses) {
+        this.cache.set(address, { addresses, fetchedAt: Date.now() });
+    }
+
+    async resolve(message, meta) {
+        const lookups = message?.addressTableLookups || [];
+        const fromMeta = this.fromMeta(meta);
+        if (fromMeta && (fromMeta.writable.length > 0 || fromMeta.readonly.length > 0 || lookups.length === 0)) {
+            return fromMeta;
+        }
+
+        const writable = [];
+        const readonly = [];
+        for (const lookup of lookups) {
+            const tableAddress = toAddress(lookup.accountKey);
+            const writableIndexes = Array.from(lookup.writableIndexes || []);
+            const readonlyIndexes = Array.from(lookup.readonlyIndexes || []);
+            const required = Math.max(-1, ...writableIndexes, ...readonlyIndexes) + 1;
+
+            const table = await this.getTable(tableAddress, required);
+            if (!table || table.length < required) {
+                throw new Error(`Unable to resolve address lookup table ${tableAddress}`);
+            }
+            writable.push(...writableIndexes.map((index) => table[index]));
+            readonly.push(...readonlyIndexes.map((index) => table[index]));
+        }
+        return { writable, readonly };
+    }
+
+    async getAccountKeys(message, meta) {
+        if (!message) return [];
+        if (message.accountKeys && message.accountKeys.some((key) => key && key.pubkey)) {
+            return message.accountKeys.map(toAddress);
+        }
+
+        const staticKeys = (message.staticAccountKeys || message.accountKeys || []).map(toAddress);
+        if (!message.addressTableLookups || message.addressTableLookups.length === 0) {
+            return staticKeys;
+        }
+
+        const loaded = await this.resolve(message, meta);
+        return [...staticKeys, ...loaded.writable, ...loaded.readonly];
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cachedTables: this.cache.size,
+        };
+    }
+}
+
+module.exports = LookupTableResolver;
@@ -2,7 +2,16 @@ const { Connection, PublicKey } = require('@solana/web3.js');
 const { fetchTokenMetadata } = require('./tokenService');
 const Database = require('../database/connection');
 const PriceService = require('./priceService');
+const SolPriceHistoryService = require('./solPriceHistoryService');
 const { redis } = require('./tokenService');
+const { decodeSwaps, decodeTokenTransfers, extractTradeCosts, WRAPPED_SOL_MINT, USDC_MINT } = require('./swapDecoder');
+const { decodeLiquidityEvent } = require('./liquidityDecoder');
+const LookupTableResolver = require('./lookupTableResolver');
+const DurableQueue = require('./durableQueue');
+const TrafficRecorder = require('./trafficRecorder');
+
+const SPENDING_TYPES = ['buy', 'token_create', 'pool_create', 'lp_add'];
+const RECEIVING_TYPES = ['sell', 'lp_remove'];
 
 class WalletMonitoringService {
     constructor() {
@@ -12,6 +21,9 @@ class WalletMonitoringService {
             httpHeaders: { 'Connection': 'keep-alive' }
         });
         this.priceService = new PriceService();
+        this.solPriceHistory = new SolPriceHistoryService(this.priceService, this.db);
+        this.recorder = TrafficRecorder.fromEnv();
+        this.lookupTableResolver = new LookupTableResolver(this.connection, this.recorder);
         this.isMonitoring = false;
         this.processedSignatures = new Set();
         this.recentlyProcessed = new Set();
@@ -33,15 +45,22 @@ class WalletMonitoringService {
             errors: 0,
             lastScanDuration: 0,
             startTime: Date.now(),
+            grpcMetaUsed: 0,
+            rpcMetaFetches: 0,
         };
         this.isProcessingQueue = false;
-        this.queueKey = 'grpc:queue';
+        this.legacyQueueKey = 'grpc:queue';
+        this.legacyQueueMigrated = false;
+        this.queue = new DurableQueue(redis, 'grpc:queue', {
+            maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+            retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_MS) || 2000,
+            claimIdleMs: parseInt(process.env.QUEUE_CLAIM_IDLE_MS) || 60000,
+        });
+        this.queuePollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000;
+        this.queueWorkerEnabled = false;
+        this.queueSweepTimer = null;
+        this.queueRetryTimer = null;
         this.batchSize = 400;
-        this.solPriceCache = {
-            price: 150,
-            lastUpdated: 0,
-            cacheTimeout: 60000 
-        };
     }
 
     stopMonitoring() {
@@ -49,108 +68,198 @@ class WalletMonitoringService {
         console.log('⏹️ Legacy monitoring stopped (gRPC mode)');
     }
 
-    async processQueue() {
-        if (this.isProcessingQueue) return;
-        this.isProcessingQueue = true;
-    
+    startQueueWorker() {
+        if (this.queueWorkerEnabled) return;
+        this.queueWorkerEnabled = true;
+        this.queueSweepTimer = setInterval(() => this.processQueue(), this.queuePollInterval);
+        setImmediate(() => this.processQueue());
+    }
+
+    stopQueueWorker() {
+        this.queueWorkerEnabled = false;
+        clearInterval(this.queueSweepTimer);
+        clearTimeout(this.queueRetryTimer);
+        this.queueSweepTimer = null;
+        this.queueRetryTimer = null;
+    }
+
+    async migrateLegacyQueue() {
+        if (this.legacyQueueMigrated) return;
+        let moved = 0;
         while (true) {
-            const requestData = await redis.lpop(this.queueKey, this.batchSize);
-            if (!requestData || requestData.length === 0) break;
-    
-            const requests = requestData.map((data) => {
+            const items = await redis.lpop(this.legacyQueueKey, this.batchSize);
+            if (!items || items.length === 0) break;
+            for (const item of items) {
                 try {
-                    return JSON.parse(data);
+                    await this.queue.enqueue(JSON.parse(item));
+                    moved++;
                 } catch (error) {
-                    console.error(`[${new Date().toISOString()}] ❌ Invalid gRPC queue entry:`, error.message);
-                    return null;
+                    console.error(`[${new Date().toISOString()}] ❌ Invalid legacy gRPC queue entry:`, error.message);
                 }
-            }).filter((req) => req !== null);
-    
-            if (requests.length === 0) continue;
-    
-            const batchResults = await Promise.all(
-                requests.map(async (request) => {
-                    const { signature, walletAddress, blockTime, groupId } = request;
-                    try {
-                        const wallet = await this.db.getWalletByAddress(walletAddress);
-                        if (!wallet) {
-                            console.warn(`[${new Date().toISOString()}] ⚠️ Wallet ${walletAddress} not found in gRPC processing`);
+            }
+        }
+        this.legacyQueueMigrated = true;
+        if (moved > 0) {
+            console.log(`[${new Date().toISOString()}] 📦 Moved ${moved} entries from legacy list ${this.legacyQueueKey} to the durable queue`);
+        }
+    }
+
+    async processQueueItem(request) {
+        const { signature, walletAddress, blockTime, late, tx, metaSource } = request;
+        const wallet = await this.db.getWalletByAddress(walletAddress);
+        if (!wallet) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Wallet ${walletAddress} not found in gRPC processing`);
+            return null;
+        }
+
+        const txData = await this.processTransaction({ signature, blockTime, late, tx, metaSource }, wallet, { throwOnError: true, trackMetaSource: true });
+        if (!txData) {
+            return null;
+        }
+
+        console.log(`[${new Date().toISOString()}] ✅ Processed gRPC transaction ${signature}`);
+        return {
+            signature,
+            walletAddress,
+            walletName: wallet.name,
+            groupId: wallet.group_id, 
+            groupName: wallet.group_name,
+            transactionType: txData.type,
+            solAmount: txData.solAmount,
+            venue: txData.venue,
+            isLate: txData.isLate,
+            baseFee: txData.baseFee,
+            priorityFee: txData.priorityFee,
+            jitoTip: txData.jitoTip,
+            counterparty: txData.counterparty,
+            counterpartyMonitored: txData.counterpartyMonitored,
+            createdMint: txData.createdMint,
+            solPriceUsd: txData.solPriceUsd,
+            solPriceFallback: txData.solPriceFallback,
+            tokens: txData.tokensChanged.map((tc) => ({
+                mint: tc.mint,
+                amount: tc.rawChange / Math.pow(10, tc.decimals),
+                symbol: tc.symbol,
+                name: tc.name,
+                operationType: tc.operationType,
+                sol_amount: tc.sol_amount,
+                usd_value: tc.usd_value,
+                token_price_usd: tc.token_price_usd,
+                market_cap: tc.market_cap,
+            })),
+            timestamp: new Date(blockTime * 1000).toISOString(),
+        };
+    }
+
+    async processQueue() {
+        if (!this.queueWorkerEnabled || this.isProcessingQueue) return;
+        this.isProcessingQueue = true;
+
+        try {
+            await this.migrateLegacyQueue();
+
+            while (true) {
+                const entries = await this.queue.read(this.batchSize);
+                if (entries.length === 0) break;
+
+                const processedIds = [];
+                const batchResults = await Promise.all(
+                    entries.map(async (entry) => {
+                        try {
+                            if (!entry.data) {
+                                throw new Error('Invalid queue entry payload');
+                            }
+                            const result = await this.processQueueItem(entry.data);
+                            processedIds.push(entry.id);
+                            return result;
+                        } catch (error) {
+                            const signature = entry.data?.signature || entry.id;
+                            const outcome = await this.queue.fail(entry, error);
+                            if (outcome.deadLettered) {
+                                console.error(`[${new Date().toISOString()}] ☠️ gRPC signature ${signature} moved to dead-letter queue after ${outcome.attempts} attempts:`, error.message);
+                            } else {
+                                console.warn(`[${new Date().toISOString()}] 🔁 gRPC signature ${signature} failed (attempt ${outcome.attempts}), retrying in ${outcome.delay}ms:`, error.message);
+                            }
                             return null;
                         }
-    
-                        const txData = await this.processTransaction({ signature, blockTime }, wallet);
-                        if (txData) {
-                            console.log(`[${new Date().toISOString()}] ✅ Processed gRPC transaction ${signature}`);
-                            return {
-                                signature,
-                                walletAddress,
-                                walletName: wallet.name,
-                                groupId: wallet.group_id, 
-                                groupName: wallet.group_name,
-                                transactionType: txData.type,
-                                solAmount: txData.solAmount,
-                                tokens: txData.tokensChanged.map((tc) => ({
-                                    mint: tc.mint,
-                                    amount: tc.rawChange / Math.pow(10, tc.decimals),
-                                    symbol: tc.symbol,
-                                    name: tc.name,
-                                })),
-                                timestamp: new Date(blockTime * 1000).toISOString(),
-                            };
-                        }
-                        return null;
-                    } catch (error) {
-                        console.error(`[${new Date().toISOString()}] ❌ Error processing gRPC signature ${signature}:`, error.message);
-                        return null;
-                    }
-                })
-            );
-    
-            const successfulTxs = batchResults.filter((tx) => tx !== null);
-            if (successfulTxs.length > 0) {
-                const pipeline = redis.pipeline();
-                
-                successfulTxs.forEach((tx) => {
-                    pipeline.publish('transactions', JSON.stringify(tx));
+                    })
+                );
+
+                const successfulTxs = batchResults.filter((tx) => tx !== null);
+                if (successfulTxs.length > 0) {
+                    const pipeline = redis.pipeline();
                     
-                    if (tx.groupId) {
-                        pipeline.publish(`transactions:group:${tx.groupId}`, JSON.stringify(tx));
-                    }
+                    successfulTxs.forEach((tx) => {
+                        pipeline.publish('transactions', JSON.stringify(tx));
+                        
+                        if (tx.groupId) {
+                            pipeline.publish(`transactions:group:${tx.groupId}`, JSON.stringify(tx));
+                        }
+                        
+                        console.log(`[${new Date().toISOString()}] 📤 Publishing gRPC transaction ${tx.signature} to channels: transactions${tx.groupId ? `, transactions:group:${tx.groupId}` : ''}`);
+                    });
                     
-                    console.log(`[${new Date().toISOString()}] 📤 Publishing gRPC transaction ${tx.signature} to channels: transactions${tx.groupId ? `, transactions:group:${tx.groupId}` : ''}`);
-                });
-                
-                await pipeline.exec();
+                    await pipeline.exec();
+                }
+
+                await this.queue.ack(processedIds);
             }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ gRPC queue processing error:`, error.message);
+        } finally {
+            this.isProcessingQueue = false;
         }
-    
-        this.isProcessingQueue = false;
-        const queueLength = await redis.llen(this.queueKey);
-        if (queueLength > 0) {
-            setImmediate(() => this.processQueue());
+
+        await this.scheduleRetryWake();
+    }
+
+    async scheduleRetryWake() {
+        try {
+            const delay = await this.queue.nextRetryDelay();
+            clearTimeout(this.queueRetryTimer);
+            this.queueRetryTimer = delay === null ? null : setTimeout(() => this.processQueue(), delay + 50);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Failed to schedule gRPC queue retry:`, error.message);
         }
     }
 
+    async getQueueStats() {
+        return this.queue.getStats();
+    }
+
+    getMetaSourceStats() {
+        const total = this.stats.grpcMetaUsed + this.stats.rpcMetaFetches;
+        return {
+            grpc: this.stats.grpcMetaUsed,
+            rpcFallback: this.stats.rpcMetaFetches,
+            rpcFallbackRate: total > 0 ? Math.round((this.stats.rpcMetaFetches / total) * 10000) / 100 : 0,
+        };
+    }
+
     async processWebhookMessage(message) {
-        const { signature, walletAddress, blockTime, groupId } = message;
+        const { signature, walletAddress, blockTime, groupId, late = false, tx = null, metaSource = null } = message;
         const requestId = require('uuid').v4();
         
-        await redis.lpush(this.queueKey, JSON.stringify({
+        await this.queue.enqueue({
             requestId,
             signature,
             walletAddress,
             blockTime,
             groupId,
+            late,
+            tx,
+            metaSource,
             timestamp: Date.now(),
             source: 'grpc'
-        }));
+        });
 
-        if (!this.isProcessingQueue) {
+        if (this.queueWorkerEnabled && !this.isProcessingQueue) {
             setImmediate(() => this.processQueue());
         }
     }
 
-    async fetchTransactionWithRetry(signature, maxRetries = 3) {
+    async fetchTransactionWithRetry(signature, { maxRetries = 3, throwOnError = false } = {}) {
+        let lastError = null;
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 const options = {
@@ -159,6 +268,7 @@ class WalletMonitoringService {
                 };
     
                 const tx = await this.connection.getParsedTransaction(signature, options);
+                this.recorder.recordRpc('getParsedTransaction', [signature, options], tx);
                 
                 if (!tx) {
                     console.warn(`[${new Date().toISOString()}] ⚠️ gRPC Transaction ${signature} not found (attempt ${attempt})`);
@@ -166,7 +276,8 @@ class WalletMonitoringService {
                         await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
                         continue;
                     }
-                    return null;
+                    lastError = new Error('transaction not found');
+                    break;
                 }
     
                 if (tx.meta?.err) {
@@ -177,6 +288,7 @@ class WalletMonitoringService {
                 return tx;
             } catch (error) {
                 console.error(`[${new Date().toISOString()}] ❌ Error fetching gRPC transaction ${signature} (attempt ${attempt}):`, error.message);
+                lastError = error;
                 
                 if (attempt < maxRetries) {
                     console.log(`[${new Date().toISOString()}] ⏳ Waiting before retry...`);
@@ -186,34 +298,21 @@ class WalletMonitoringService {
         }
         
         console.error(`[${new Date().toISOString()}] ❌ Failed to fetch gRPC transaction ${signature} after ${maxRetries} attempts`);
+        if (throwOnError) {
+            throw new Error(`Failed to fetch transaction ${signature}: ${lastError ? lastError.message : 'unknown error'}`);
+        }
         return null;
     }
 
-    async fetchSolPrice() {
-        const now = Date.now();
-        
-        if (now - this.solPriceCache.lastUpdated < this.solPriceCache.cacheTimeout) {
-            return this.solPriceCache.price;
-        }
-
-        try {
-            const priceData = await this.priceService.getSolPrice();
-            const newPrice = priceData.price || 150;
-
-            this.solPriceCache = {
-                price: newPrice,
-                lastUpdated: now,
-                cacheTimeout: 60000
-            };
-            
-            return newPrice;
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] ❌ Error fetching SOL price in gRPC mode:`, error.message);
-            return this.solPriceCache.price; 
-        }
+    async getSolPriceAt(blockTime) {
+        const time = blockTime ? blockTime * 1000 : Date.now();
+        const rate = await this.solPriceHistory.getPriceAt(time);
+        this.recorder.recordPrice('SOL', time, rate);
+        return rate;
     }
 
-    async processTransaction(sig, wallet) {
+    async processTransaction(sig, wallet, { throwOnError = false, trackMetaSource = false } = {}) {
+        const processedKey = `${sig.signature}-${wallet.id}`;
         try {
             if (!sig.signature || !sig.blockTime) {
                 console.warn(`[${new Date().toISOString()}] ⚠️ Invalid gRPC signature object:`, sig);
@@ -228,7 +327,6 @@ class WalletMonitoringService {
                 return null;
             }
 
-            const processedKey = `${sig.signature}-${wallet.id}`;
             if (this.recentlyProcessed.has(processedKey)) {
                 return null;
             }
@@ -239,122 +337,34 @@ class WalletMonitoringService {
                 toDelete.forEach(key => this.recentlyProcessed.delete(key));
             }
 
-            const tx = await this.fetchTransactionWithRetry(sig.signature);
-            if (!tx || !tx.meta || !tx.meta.preBalances || !tx.meta.postBalances) {
-                console.warn(`[${new Date().toISOString()}] ⚠️ Invalid gRPC transaction ${sig.signature} - missing metadata`);
-                return null;
-            }
-
-            const walletPubkey = wallet.address;
-            let walletIndex = -1;
-            if (tx.transaction.message.accountKeys) {
-                if (Array.isArray(tx.transaction.message.accountKeys)) {
-                    walletIndex = tx.transaction.message.accountKeys.findIndex(
-                        (key) => key.pubkey ? key.pubkey.toString() === walletPubkey : key.toString() === walletPubkey
-                    );
-                } else if (tx.transaction.message.staticAccountKeys) {
-                    walletIndex = tx.transaction.message.staticAccountKeys.findIndex(
-                        (key) => key.toString() === walletPubkey
-                    );
-                }
-                if (walletIndex === -1 && tx.transaction.message.addressTableLookups) {
-                    console.warn(`[${new Date().toISOString()}] ⚠️ gRPC Versioned transaction with address table lookups not fully supported yet`);
-                    return null;
+            if (trackMetaSource) {
+                if (sig.tx && sig.metaSource === 'grpc') {
+                    this.stats.grpcMetaUsed++;
+                } else {
+                    this.stats.rpcMetaFetches++;
                 }
             }
 
-            if (walletIndex === -1) {
-                console.warn(`[${new Date().toISOString()}] ⚠️ gRPC Wallet ${walletPubkey} not found in transaction ${sig.signature}`);
+            const tx = sig.tx || await this.fetchTransactionWithRetry(sig.signature, { throwOnError });
+            if (!tx || !tx.meta || !tx.meta.preBalances || !tx.meta.postBalances) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Invalid gRPC transaction ${sig.signature} - missing metadata`);
                 return null;
             }
 
-            const preBalance = tx.meta.preBalances[walletIndex] || 0;
-            const postBalance = tx.meta.postBalances[walletIndex] || 0;
-            const solChange = (postBalance - preBalance) / 1e9;
-
-            const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-            let transactionType, totalSolAmount = 0, usdcAmount = 0;
-            let tokenChanges = [];
-
-            const solPrice = await this.fetchSolPrice();
-
-            let usdcChange = 0;
-            const usdcPreBalance = (tx.meta.preTokenBalances || []).find(b => b.mint === USDC_MINT && b.owner === walletPubkey);
-            const usdcPostBalance = (tx.meta.postTokenBalances || []).find(b => b.mint === USDC_MINT && b.owner === walletPubkey);
-            
-            if (usdcPreBalance && usdcPostBalance) {
-                usdcChange = (Number(usdcPostBalance.uiTokenAmount.amount) - Number(usdcPreBalance.uiTokenAmount.amount)) / 1e6;
-            } else if (usdcPostBalance) {
-                usdcChange = Number(usdcPostBalance.uiTokenAmount.uiAmount || 0);
-            } else if (usdcPreBalance) {
-                usdcChange = -Number(usdcPreBalance.uiTokenAmount.uiAmount || 0);
-            }
-
-            console.log(`[${new Date().toISOString()}] 💰 gRPC Transaction analysis for ${sig.signature}:`);
-            console.log(`  - SOL change: ${solChange.toFixed(6)} SOL`);
-            console.log(`  - USDC change: ${usdcChange.toFixed(6)} USDC`);
-            console.log(`  - Using thresholds: buy>${this.BUY_THRESHOLD}, sell>${this.SELL_THRESHOLD}, fee>${this.FEE_THRESHOLD}`);
-
-            if (usdcChange !== 0) {
-                usdcAmount = Math.abs(usdcChange);
-                const usdcSolEquivalent = usdcAmount / solPrice;
-                if (usdcChange < 0) {
-                    transactionType = 'buy';
-                    totalSolAmount = usdcSolEquivalent;
-                    console.log(`[${new Date().toISOString()}] 🛒 gRPC USDC buy detected: ${usdcAmount} USDC (${usdcSolEquivalent.toFixed(6)} SOL equivalent)`);
-                } else if (usdcChange > 0) {
-                    transactionType = 'sell';
-                    totalSolAmount = usdcSolEquivalent;
-                    console.log(`[${new Date().toISOString()}] 💰 gRPC USDC sell detected: ${usdcAmount} USDC (${usdcSolEquivalent.toFixed(6)} SOL equivalent)`);
-                }
-                tokenChanges = await this.analyzeTokenChanges(tx.meta, transactionType, walletPubkey);
-            } else if (solChange < -this.BUY_THRESHOLD) {
-                transactionType = 'buy';
-                totalSolAmount = Math.abs(solChange);
-                console.log(`[${new Date().toISOString()}] 🛒 gRPC SOL buy detected: ${Math.abs(solChange).toFixed(6)} SOL (threshold: ${this.BUY_THRESHOLD})`);
-                tokenChanges = await this.analyzeTokenChanges(tx.meta, transactionType, walletPubkey);
-            } else if (solChange > this.SELL_THRESHOLD) {
-                transactionType = 'sell';
-                totalSolAmount = solChange;
-                console.log(`[${new Date().toISOString()}] 💰 gRPC SOL sell detected: ${solChange.toFixed(6)} SOL (threshold: ${this.SELL_THRESHOLD})`);
-                tokenChanges = await this.analyzeTokenChanges(tx.meta, transactionType, walletPubkey);
-            } else {
-                console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${sig.signature} - SOL change too small: ${solChange.toFixed(6)} (buy threshold: ${this.BUY_THRESHOLD}, sell threshold: ${this.SELL_THRESHOLD})`);
+            const classification = await this.classifyTransaction(tx, wallet, sig.signature);
+            if (!classification) {
                 return null;
             }
 
+            const { transactionType, usdcAmount, tokenChanges, venue, counterparty = null, counterpartyMonitored = false, createdMint = null, costs, thresholds, solPrice, solPriceFallback } = classification;
+
             if (tokenChanges.length === 0) {
                 console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${sig.signature} - no token changes detected`);
                 return null;
             }
 
-            const mints = tokenChanges.map(tc => tc.mint);
-            const tokenInfos = await this.priceService.getTokenPrices(mints);
-
-            const enrichedTokenChanges = tokenChanges.map(tc => {
-                const tokenInfo = tokenInfos.get(tc.mint) || {
-                    price: 0,
-                    marketCap: 0,
-                    deploymentTime: null,
-                    ageInHours: null,
-                    symbol: tc.symbol,
-                    name: tc.name,
-                    decimals: tc.decimals,
-                };
-                return {
-                    mint: tc.mint,
-                    rawChange: tc.rawChange,
-                    decimals: tc.decimals,
-                    symbol: tc.symbol,
-                    name: tc.name,
-                    token_price_usd: tokenInfo.price,
-                    usd_value: (tc.rawChange / Math.pow(10, tc.decimals)) * tokenInfo.price,
-                    sol_amount: (tc.rawChange / Math.pow(10, tc.decimals)) * (tokenInfo.price / solPrice),
-                    market_cap: tokenInfo.marketCap,
-                    deployment_time: tokenInfo.deploymentTime,
-                    ageInHours: tokenInfo.ageInHours,
-                };
-            });
+            const tokenInfos = await this.priceService.getTokenPrices(tokenChanges.map(tc => tc.mint));
+            const { enrichedTokenChanges, solSpent, solReceived, usdSpent, usdReceived, totalSolAmount } = this.valueClassification(classification, tokenInfos, solPrice);
 
             return await this.db.withTransaction(async (client) => {
                 const finalCheck = await client.query(
@@ -368,9 +378,11 @@ class WalletMonitoringService {
                 const query = `
                     INSERT INTO transactions (
                         wallet_id, signature, block_time, transaction_type,
-                        sol_spent, sol_received, usd_spent, usd_received
+                        sol_spent, sol_received, usd_spent, usd_received, venue, is_late,
+                        base_fee, priority_fee, jito_tip, counterparty, counterparty_monitored, thresholds,
+                        sol_price_usd, sol_price_fallback
                     ) 
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
                     RETURNING id, signature, transaction_type
                 `;
                 const result = await client.query(query, [
@@ -378,10 +390,20 @@ class WalletMonitoringService {
                     sig.signature,
                     new Date(sig.blockTime * 1000).toISOString(),
                     transactionType,
-                    transactionType === 'buy' ? totalSolAmount : 0,
-                    transactionType === 'sell' ? totalSolAmount : 0,
-                    transactionType === 'buy' && usdcAmount ? usdcAmount : 0,
-                    transactionType === 'sell' && usdcAmount ? usdcAmount : 0,
+                    solSpent,
+                    solReceived,
+                    usdSpent,
+                    usdReceived,
+                    venue,
+                    !!sig.late,
+                    costs.baseFee / 1e9,
+                    costs.priorityFee / 1e9,
+                    costs.jitoTip / 1e9,
+                    counterparty,
+                    counterpartyMonitored,
+                    JSON.stringify(thresholds),
+                    solPrice,
+                    solPriceFallback,
                 ]);
 
                 if (result.rows.length === 0) {
@@ -390,29 +412,418 @@ class WalletMonitoringService {
 
                 const transaction = result.rows[0];
                 const tokenSavePromises = enrichedTokenChanges.map((tokenChange) =>
-                    this.saveTokenOperationInTransaction(client, transaction.id, tokenChange, transactionType)
+                    this.saveTokenOperationInTransaction(client, transaction.id, tokenChange, tokenChange.operationType)
                 );
                 await Promise.all(tokenSavePromises);
 
-                console.log(`[${new Date().toISOString()}] ✅ Successfully saved gRPC transaction ${sig.signature} as ${transactionType} with ${totalSolAmount.toFixed(6)} SOL`);
+                if (transactionType === 'token_create' && createdMint) {
+                    await client.query(
+                        'UPDATE tokens SET deployer_wallet_id = $1 WHERE mint = $2 AND deployer_wallet_id IS NULL',
+                        [wallet.id, createdMint]
+                    );
+                }
+
+                console.log(`[${new Date().toISOString()}] ✅ Successfully saved gRPC transaction ${sig.signature} as ${transactionType} with ${totalSolAmount.toFixed(6)} SOL${venue ? ` via ${venue}` : ''}${sig.late ? ' (recovered late)' : ''}`);
 
                 return {
                     signature: sig.signature,
                     type: transactionType,
                     solAmount: totalSolAmount,
                     usdcAmount,
+                    venue,
+                    isLate: !!sig.late,
+                    baseFee: costs.baseFee / 1e9,
+                    priorityFee: costs.priorityFee / 1e9,
+                    jitoTip: costs.jitoTip / 1e9,
+                    counterparty,
+                    counterpartyMonitored,
+                    createdMint,
+                    thresholds,
+                    solPriceUsd: solPrice,
+                    solPriceFallback,
                     tokensChanged: enrichedTokenChanges,
                 };
             });
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ Error processing gRPC transaction ${sig.signature}:`, error.message);
+            this.recentlyProcessed.delete(processedKey);
+            if (throwOnError) {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    async classifyTransaction(tx, wallet, signature) {
+        const walletPubkey = wallet.address;
+        const accountKeys = await this.lookupTableResolver.getAccountKeys(tx.transaction.message, tx.meta);
+        const walletIndex = accountKeys.indexOf(walletPubkey);
+
+        if (walletIndex === -1) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ gRPC Wallet ${walletPubkey} not found in transaction ${signature}`);
             return null;
         }
+
+        const solRate = await this.getSolPriceAt(tx.blockTime);
+        const solPrice = solRate.price;
+        const costs = extractTradeCosts(tx, walletPubkey, accountKeys);
+        const thresholds = this.getThresholds(wallet);
+        const liquidityEvent = decodeLiquidityEvent(tx, walletPubkey, accountKeys);
+        const swaps = liquidityEvent ? [] : decodeSwaps(tx, walletPubkey, accountKeys);
+
+        let classification = null;
+        if (liquidityEvent) {
+            classification = await this.classifyLiquidityEvent(liquidityEvent, tx, walletIndex, signature, costs);
+        } else if (swaps.length > 0) {
+            classification = await this.classifyDecodedSwaps(swaps, signature, solPrice, thresholds);
+        } else {
+            const transfers = decodeTokenTransfers(tx, walletPubkey, accountKeys);
+            if (transfers.length > 0) {
+                classification = await this.classifyTransfers(transfers, tx, walletIndex, walletPubkey, signature, costs, thresholds);
+            }
+            if (!classification) {
+                classification = await this.classifyByBalanceDelta(tx, walletIndex, walletPubkey, signature, solPrice, costs, thresholds);
+            }
+        }
+        if (!classification) {
+            return null;
+        }
+
+        return { ...classification, costs, thresholds, solPrice, solPriceFallback: solRate.fallback };
+    }
+
+    getDefaultThresholds() {
+        return { buy: this.BUY_THRESHOLD, sell: this.SELL_THRESHOLD, fee: this.FEE_THRESHOLD };
+    }
+
+    getThresholds(wallet) {
+        const isSet = (value) => value !== null && value !== undefined;
+        const pick = (walletValue, groupValue, fallback) => {
+            if (isSet(walletValue)) return { value: Number(walletValue), source: 'wallet' };
+            if (isSet(groupValue)) return { value: Number(groupValue), source: 'group' };
+            return { value: fallback, source: 'default' };
+        };
+
+        const buy = pick(wallet.buy_threshold, wallet.group_buy_threshold, this.BUY_THRESHOLD);
+        const sell = pick(wallet.sell_threshold, wallet.group_sell_threshold, this.SELL_THRESHOLD);
+        const fee = pick(wallet.fee_threshold, wallet.group_fee_threshold, this.FEE_THRESHOLD);
+
+        return {
+            source: { buy: buy.source, sell: sell.source, fee: fee.source },
+            groupId: wallet.group_id || null,
+            buy: buy.value,
+            sell: sell.value,
+            fee: fee.value,
+        };
+    }
+
+    async classifyByBalanceDelta(tx, walletIndex, walletPubkey, signature, solPrice, costs, thresholds) {
+        const preBalance = tx.meta.preBalances[walletIndex] || 0;
+        const postBalance = tx.meta.postBalances[walletIndex] || 0;
+        const solChange = (postBalance - preBalance + costs.total) / 1e9;
+
+        let transactionType, totalSolAmount = 0, usdcAmount = 0;
+        let tokenChanges = [];
+
+        const usdcChange = this.getUsdcChange(tx.meta, walletPubkey);
+
+        console.log(`[${new Date().toISOString()}] 💰 gRPC Transaction analysis for ${signature}:`);
+        console.log(`  - SOL change: ${solChange.toFixed(6)} SOL (excluding ${(costs.total / 1e9).toFixed(6)} SOL fees and tips)`);
+        console.log(`  - USDC change: ${usdcChange.toFixed(6)} USDC`);
+        console.log(`  - Using thresholds: buy>${thresholds.buy} (${thresholds.source.buy}), sell>${thresholds.sell} (${thresholds.source.sell}), fee>${thresholds.fee} (${thresholds.source.fee})`);
+
+        if (usdcChange !== 0) {
+            usdcAmount = Math.abs(usdcChange);
+            const usdcSolEquivalent = usdcAmount / solPrice;
+            if (usdcChange < 0) {
+                transactionType = 'buy';
+                totalSolAmount = usdcSolEquivalent;
+                console.log(`[${new Date().toISOString()}] 🛒 gRPC USDC buy detected: ${usdcAmount} USDC (${usdcSolEquivalent.toFixed(6)} SOL equivalent)`);
+            } else if (usdcChange > 0) {
+                transactionType = 'sell';
+                totalSolAmount = usdcSolEquivalent;
+                console.log(`[${new Date().toISOString()}] 💰 gRPC USDC sell detected: ${usdcAmount} USDC (${usdcSolEquivalent.toFixed(6)} SOL equivalent)`);
+            }
+            tokenChanges = await this.analyzeTokenChanges(tx.meta, transactionType, walletPubkey);
+        } else if (solChange < -thresholds.buy) {
+            transactionType = 'buy';
+            totalSolAmount = Math.abs(solChange);
+            console.log(`[${new Date().toISOString()}] 🛒 gRPC SOL buy detected: ${Math.abs(solChange).toFixed(6)} SOL (threshold: ${thresholds.buy})`);
+            tokenChanges = await this.analyzeTokenChanges(tx.meta, transactionType, walletPubkey);
+        } else if (solChange > thresholds.sell) {
+            transactionType = 'sell';
+            totalSolAmount = solChange;
+            console.log(`[${new Date().toISOString()}] 💰 gRPC SOL sell detected: ${solChange.toFixed(6)} SOL (threshold: ${thresholds.sell})`);
+            tokenChanges = await this.analyzeTokenChanges(tx.meta, transactionType, walletPubkey);
+        } else {
+            const swapChanges = await this.analyzeTokenChanges(tx.meta, 'swap', walletPubkey);
+            if (swapChanges.length > 0) {
+                console.log(`[${new Date().toISOString()}] 🔁 gRPC Token-to-token swap detected: ${swapChanges.map(tc => `${tc.operationType} ${tc.symbol}`).join(', ')}`);
+                return { transactionType: 'swap', totalSolAmount: 0, usdcAmount: 0, tokenChanges: swapChanges, venue: null };
+            }
+            console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${signature} - SOL change too small: ${solChange.toFixed(6)} (buy threshold: ${thresholds.buy}, sell threshold: ${thresholds.sell})`);
+            return null;
+        }
+
+        return { transactionType, totalSolAmount, usdcAmount, tokenChanges, venue: null };
+    }
+
+    getUsdcChange(meta, walletPubkey) {
+        const usdcPreBalance = (meta.preTokenBalances || []).find(b => b.mint === USDC_MINT && b.owner === walletPubkey);
+        const usdcPostBalance = (meta.postTokenBalances || []).find(b => b.mint === USDC_MINT && b.owner === walletPubkey);
+
+        if (usdcPreBalance && usdcPostBalance) {
+            return (Number(usdcPostBalance.uiTokenAmount.amount) - Number(usdcPreBalance.uiTokenAmount.amount)) / 1e6;
+        } else if (usdcPostBalance) {
+            return Number(usdcPostBalance.uiTokenAmount.uiAmount || 0);
+        } else if (usdcPreBalance) {
+            return -Number(usdcPreBalance.uiTokenAmount.uiAmount || 0);
+        }
+        return 0;
+    }
+
+    async classifyTransfers(transfers, tx, walletIndex, walletPubkey, signature, costs, thresholds) {
+        const direction = transfers[0].direction;
+        if (transfers.some((transfer) => transfer.direction !== direction)) {
+            console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${signature} - token transfers in both directions, treating as trade`);
+            return null;
+        }
+
+        const solChange = ((tx.meta.postBalances[walletIndex] || 0) - (tx.meta.preBalances[walletIndex] || 0) + costs.total) / 1e9;
+        const usdcChange = this.getUsdcChange(tx.meta, walletPubkey);
+        const paidOut = solChange < -thresholds.buy || usdcChange < 0;
+        const paidIn = solChange > thresholds.sell || usdcChange > 0;
+        if ((direction === 'in' && paidOut) || (direction === 'out' && paidIn)) {
+            console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${signature} - token transfer settled against SOL/USDC, treating as trade`);
+            return null;
+        }
+
+        const transactionType = direction === 'in' ? 'transfer_in' : 'transfer_out';
+        const counterparty = transfers[0].counterparty;
+        const counterpartyWallet = counterparty ? await this.db.getWalletByAddress(counterparty) : null;
+
+        const mintChanges = new Map();
+        transfers.forEach((transfer) => {
+            const existing = mintChanges.get(transfer.mint);
+            if (existing) {
+                existing.rawChange += transfer.amount;
+            } else {
+                mintChanges.set(transfer.mint, {
+                    mint: transfer.mint,
+                    rawChange: transfer.amount,
+                    decimals: transfer.decimals,
+                    operationType: transactionType,
+                });
+            }
+        });
+        const tokenChanges = await this.attachTokenMetadata(Array.from(mintChanges.values()));
+
+        console.log(`[${new Date().toISOString()}] 📦 gRPC Token ${transactionType} detected for ${signature}: ${tokenChanges.map(tc => tc.symbol).join(', ')} ${direction === 'in' ? 'from' : 'to'} ${counterparty ? `${counterparty.slice(0, 8)}...` : 'unknown'}${counterpartyWallet ? ' (monitored)' : ''}`);
+
+        return {
+            transactionType,
+            totalSolAmount: 0,
+            usdcAmount: 0,
+            tokenChanges,
+            venue: null,
+            counterparty,
+            counterpartyMonitored: !!counterpartyWallet,
+        };
+    }
+
+    async classifyLiquidityEvent(event, tx, walletIndex, signature, costs) {
+        const solChange = ((tx.meta.postBalances[walletIndex] || 0) - (tx.meta.preBalances[walletIndex] || 0) + costs.total) / 1e9;
+        const totalSolAmount = event.type === 'lp_remove' ? Math.max(0, solChange) : Math.max(0, -solChange);
+        const createdMint = event.type === 'token_create' ? event.mints[0]?.mint || null : null;
+        const devBuySol = event.devBuy ? Math.min(event.devBuy.lamports / 1e9, totalSolAmount) : 0;
+
+        const changes = [];
+        event.mints.forEach((change) => {
+            if (devBuySol > 0 && change.amount > 0) {
+                changes.push({ mint: change.mint, rawChange: 0, decimals: change.decimals, operationType: event.type });
+                changes.push({ mint: change.mint, rawChange: change.amount, decimals: change.decimals, operationType: 'buy' });
+            } else {
+                changes.push({ mint: change.mint, rawChange: change.amount, decimals: change.decimals, operationType: event.type });
+            }
+        });
+        const tokenChanges = await this.attachTokenMetadata(changes);
+
+        console.log(`[${new Date().toISOString()}] 🏗️ gRPC ${event.type} detected for ${signature}${event.venue ? ` via ${event.venue}` : ''}: ${tokenChanges.map(tc => tc.symbol).join(', ') || 'no token changes'} (${totalSolAmount.toFixed(6)} SOL${devBuySol > 0 ? `, ${devBuySol.toFixed(6)} SOL dev buy` : ''})`);
+
+        return {
+            transactionType: event.type,
+            totalSolAmount,
+            usdcAmount: 0,
+            tokenChanges,
+            venue: event.venue,
+            createdMint,
+            devBuySol,
+        };
+    }
+
+    async classifyDecodedSwaps(swaps, signature, solPrice, thresholds) {
+        const QUOTE_MINTS = [WRAPPED_SOL_MINT, USDC_MINT];
+        const directions = swaps.map((swap) => {
+            if (QUOTE_MINTS.includes(swap.inputMint) && !QUOTE_MINTS.includes(swap.outputMint)) return 'buy';
+            if (!QUOTE_MINTS.includes(swap.inputMint) && QUOTE_MINTS.includes(swap.outputMint)) return 'sell';
+            if (!QUOTE_MINTS.includes(swap.inputMint) && !QUOTE_MINTS.includes(swap.outputMint)) return 'swap';
+            return null;
+        });
+
+        const transactionType = directions[0];
+        if (!transactionType || directions.some((direction) => direction !== transactionType)) {
+            console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${signature} - decoded swaps mix directions, skipping`);
+            return null;
+        }
+
+        if (transactionType === 'swap') {
+            const legs = [];
+            swaps.forEach((swap) => {
+                legs.push({ mint: swap.inputMint, rawChange: swap.inputAmount, decimals: swap.inputDecimals, operationType: 'sell' });
+                legs.push({ mint: swap.outputMint, rawChange: swap.outputAmount, decimals: swap.outputDecimals, operationType: 'buy' });
+            });
+            console.log(`[${new Date().toISOString()}] 🔁 gRPC Decoded ${swaps.length} ${swaps[0].venue} token swap(s) for ${signature}`);
+            const tokenChanges = await this.attachTokenMetadata(legs);
+            return { transactionType, totalSolAmount: 0, usdcAmount: 0, tokenChanges, venue: swaps[0].venue };
+        }
+
+        let solAmount = 0;
+        let usdcAmount = 0;
+        const mintChanges = new Map();
+        swaps.forEach((swap) => {
+            const quoteMint = transactionType === 'buy' ? swap.inputMint : swap.outputMint;
+            const quoteAmount = transactionType === 'buy' ? swap.inputAmount : swap.outputAmount;
+            const tokenMint = transactionType === 'buy' ? swap.outputMint : swap.inputMint;
+            const tokenAmount = transactionType === 'buy' ? swap.outputAmount : swap.inputAmount;
+            const tokenDecimals = transactionType === 'buy' ? swap.outputDecimals : swap.inputDecimals;
+
+            if (quoteMint === USDC_MINT) {
+                usdcAmount += quoteAmount / 1e6;
+            } else {
+                solAmount += quoteAmount / 1e9;
+            }
+
+            if (mintChanges.has(tokenMint)) {
+                mintChanges.get(tokenMint).totalRawChange += tokenAmount;
+            } else {
+                mintChanges.set(tokenMint, { decimals: tokenDecimals, totalRawChange: tokenAmount });
+            }
+        });
+
+        const totalSolAmount = solAmount + (usdcAmount > 0 ? usdcAmount / solPrice : 0);
+        const threshold = transactionType === 'buy' ? thresholds.buy : thresholds.sell;
+        const venue = swaps[0].venue;
+
+        console.log(`[${new Date().toISOString()}] 🧩 gRPC Decoded ${swaps.length} ${venue} swap(s) for ${signature}: ${transactionType} ${totalSolAmount.toFixed(6)} SOL${usdcAmount > 0 ? ` (${usdcAmount.toFixed(6)} USDC)` : ''}`);
+
+        if (totalSolAmount < threshold) {
+            console.log(`[${new Date().toISOString()}] ℹ️ gRPC Transaction ${signature} - decoded swap too small: ${totalSolAmount.toFixed(6)} (${transactionType} threshold: ${threshold})`);
+            return null;
+        }
+
+        const tokenChanges = await this.attachTokenMetadata(
+            Array.from(mintChanges.entries()).map(([mint, change]) => ({
+                mint,
+                rawChange: change.totalRawChange,
+                decimals: change.decimals,
+            }))
+        );
+
+        return { transactionType, totalSolAmount, usdcAmount, tokenChanges, venue };
+    }
+
+    async attachTokenMetadata(changes) {
+        const tokenInfos = await this.batchFetchTokenMetadata([...new Set(changes.map((change) => change.mint))]);
+        return changes.map((change) => {
+            const tokenInfo = tokenInfos.get(change.mint) || { symbol: 'Unknown', name: 'Unknown Token' };
+            return { ...change, symbol: tokenInfo.symbol, name: tokenInfo.name };
+        });
+    }
+
+    valueClassification(classification, tokenInfos, solPrice) {
+        const { transactionType, tokenChanges } = classification;
+        let totalSolAmount = classification.totalSolAmount;
+
+        const tradeType = transactionType === 'token_create' ? 'buy' : transactionType;
+        const tradeSolAmount = transactionType === 'token_create' ? classification.devBuySol || 0 : totalSolAmount;
+        const tradeLegs = ['buy', 'sell'].includes(tradeType)
+            ? tokenChanges.filter(tc => (tc.operationType || transactionType) === tradeType)
+            : [];
+        const executionLeg = tradeLegs.length === 1 ? tradeLegs[0] : null;
+
+        const enrichedTokenChanges = tokenChanges.map(tc => {
+            const tokenInfo = tokenInfos.get(tc.mint) || {
+                price: 0,
+                marketCap: 0,
+                deploymentTime: null,
+                ageInHours: null,
+                symbol: tc.symbol,
+                name: tc.name,
+                decimals: tc.decimals,
+            };
+            const amount = tc.rawChange / Math.pow(10, tc.decimals);
+            const executionPrice = tc === executionLeg && amount > 0 && tradeSolAmount > 0
+                ? (tradeSolAmount * solPrice) / amount
+                : null;
+            const priceUsd = executionPrice ?? tokenInfo.price;
+            const supply = tokenInfo.supply || (tokenInfo.marketCap && tokenInfo.price ? tokenInfo.marketCap / tokenInfo.price : null);
+
+            return {
+                mint: tc.mint,
+                rawChange: tc.rawChange,
+                decimals: tc.decimals,
+                symbol: tc.symbol,
+                name: tc.name,
+                operationType: tc.operationType || transactionType,
+                token_price_usd: priceUsd,
+                sol_price_usd: solPrice,
+                usd_value: amount * priceUsd,
+                sol_amount: amount * (priceUsd / solPrice),
+                market_cap: executionPrice && supply ? executionPrice * supply : tokenInfo.marketCap,
+                deployment_time: tokenInfo.deploymentTime,
+                ageInHours: tokenInfo.ageInHours,
+            };
+        });
+
+        let solSpent = SPENDING_TYPES.includes(transactionType) ? totalSolAmount : 0;
+        let solReceived = RECEIVING_TYPES.includes(transactionType) ? totalSolAmount : 0;
+        if (transactionType === 'swap') {
+            ({ solSpent, solReceived } = this.valueSwapLegs(enrichedTokenChanges, solPrice));
+            totalSolAmount = Math.max(solSpent, solReceived);
+        }
+
+        const usdSpent = transactionType === 'buy' && classification.usdcAmount ? classification.usdcAmount : 0;
+        const usdReceived = transactionType === 'sell' && classification.usdcAmount ? classification.usdcAmount : 0;
+
+        return { enrichedTokenChanges, solSpent, solReceived, usdSpent, usdReceived, totalSolAmount };
+    }
+
+    valueSwapLegs(enrichedTokenChanges, solPrice) {
+        const boughtLegs = enrichedTokenChanges.filter((tc) => tc.operationType === 'buy');
+        const soldLegs = enrichedTokenChanges.filter((tc) => tc.operationType === 'sell');
+        const sumSol = (legs) => legs.reduce((sum, leg) => sum + (leg.sol_amount || 0), 0);
+
+        const fillFrom = (legs, solValue) => {
+            legs.forEach((leg) => {
+                const amount = leg.rawChange / Math.pow(10, leg.decimals);
+                leg.sol_amount = solValue / legs.length;
+                leg.usd_value = leg.sol_amount * solPrice;
+                leg.token_price_usd = amount > 0 ? leg.usd_value / amount : 0;
+            });
+        };
+
+        const boughtValue = sumSol(boughtLegs);
+        const soldValue = sumSol(soldLegs);
+        if (boughtValue === 0 && soldValue > 0) {
+            fillFrom(boughtLegs, soldValue);
+        } else if (soldValue === 0 && boughtValue > 0) {
+            fillFrom(soldLegs, boughtValue);
+        }
+
+        return { solSpent: sumSol(boughtLegs), solReceived: sumSol(soldLegs) };
     }
 
     async analyzeTokenChanges(meta, transactionType, walletAddress) {
-        const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
-        const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
         const tokenChanges = [];
 
         const allBalanceChanges = new Map();
@@ -467,6 +878,8 @@ class WalletMonitoringService {
                 isValidChange = true;
             } else if (transactionType === 'sell' && rawChange < 0) {
                 isValidChange = true;
+            } else if (transactionType === 'swap' && rawChange !== 0) {
+                isValidChange = true;
             } else {
                 console.log(`[${new Date().toISOString()}] ⏭️ Skipping gRPC token ${change.mint} - balance change doesn't match transaction type`);
                 continue;
@@ -476,17 +889,34 @@ class WalletMonitoringService {
                 if (mintChanges.has(change.mint)) {
                     const existing = mintChanges.get(change.mint);
                     existing.totalRawChange += Math.abs(rawChange);
+                    existing.netRawChange += rawChange;
                 } else {
                     mintChanges.set(change.mint, {
                         mint: change.mint,
                         decimals: change.decimals,
-                        totalRawChange: Math.abs(rawChange)
+                        totalRawChange: Math.abs(rawChange),
+                        netRawChange: rawChange
                     });
                     console.log(`[${new Date().toISOString()}] 🆕 New gRPC mint change: ${change.mint} = ${Math.abs(rawChange)}`);
                 }
             }
         }
 
+        if (transactionType === 'swap') {
+            for (const [mint, aggregatedChange] of mintChanges) {
+                if (aggregatedChange.netRawChange === 0) {
+                    mintChanges.delete(mint);
+                    continue;
+                }
+                aggregatedChange.totalRawChange = Math.abs(aggregatedChange.netRawChange);
+                aggregatedChange.operationType = aggregatedChange.netRawChange > 0 ? 'buy' : 'sell';
+            }
+            const operationTypes = new Set(Array.from(mintChanges.values()).map((change) => change.operationType));
+            if (!operationTypes.has('buy') || !operationTypes.has('sell')) {
+                return [];
+            }
+        }
+
         if (mintChanges.size === 0) {
             return [];
         }
@@ -507,6 +937,7 @@ class WalletMonitoringService {
                 decimals: aggregatedChange.decimals,
                 symbol: tokenInfo.symbol,
                 name: tokenInfo.name,
+                operationType: aggregatedChange.operationType,
             });
         }
 
@@ -555,7 +986,7 @@ class WalletMonitoringService {
         return tokenInfos;
     }
 
-    async saveTokenOperationInTransaction(client, transactionId, tokenChange, transactionType) {
+    async saveTokenOperationInTransaction(client, transactionId, tokenChange, operationType) {
         try {
             const tokenInfo = await fetchTokenMetadata(tokenChange.mint, this.connection);
             if (!tokenInfo) {
@@ -584,10 +1015,24 @@ class WalletMonitoringService {
             const amount = tokenChange.rawChange / Math.pow(10, tokenChange.decimals);
 
             const operationQuery = `
-                INSERT INTO token_operations (transaction_id, token_id, amount, operation_type) 
-                VALUES ($1, $2, $3, $4)
+                INSERT INTO token_operations (
+                    transaction_id, token_id, amount, operation_type,
+                    token_price_usd, sol_price_usd, sol_amount, usd_value, market_cap, deployment_time
+                ) 
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
             `;
-            await client.query(operationQuery, [transactionId, tokenId, amount, transactionType]);
+            await client.query(operationQuery, [
+                transactionId,
+                tokenId,
+                amount,
+                operationType,
+                tokenChange.token_price_usd || null,
+                tokenChange.sol_price_usd || null,
+                tokenChange.sol_amount || null,
+                tokenChange.usd_value || null,
+                tokenChange.market_cap || null,
+                tokenChange.deployment_time || null,
+            ]);
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ Error saving gRPC token operation:`, error.message);
             throw error;
@@ -627,6 +1072,7 @@ class WalletMonitoringService {
 
     async close() {
         this.stopMonitoring();
+        await this.recorder.close();
         if (this.priceService) {
             await this.priceService.close();
         }
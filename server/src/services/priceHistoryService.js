@@ -0,0 +1,165 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const CANDLE_RESOLUTIONS = {
+    '1m': MINUTE,
+    '5m': 5 * MINUTE,
+    '1h': HOUR,
+};
+
+const CANDLE_RETENTION = {
+    '1m': 7 * DAY,
+    '5m': 90 * DAY,
+    '1h': null,
+};
+
+class PriceHistoryService {
+    constructor(priceService, db) {
+        this.priceService = priceService;
+        this.db = db;
+        this.intervalMs = parseInt(process.env.PRICE_SAMPLE_INTERVAL_MS) || MINUTE;
+        this.activeHours = parseInt(process.env.PRICE_SAMPLE_ACTIVE_HOURS) || 72;
+        this.sampleRetentionMs = (parseInt(process.env.PRICE_SAMPLE_RETENTION_HOURS) || 48) * HOUR;
+        this.timer = null;
+        this.isSampling = false;
+        this.lastPrunedAt = 0;
+    }
+
+    start() {
+        if (this.timer) return;
+        console.log(`[${new Date().toISOString()}] 🕯️ Sampling token prices every ${this.intervalMs / 1000}s for tokens traded in the last ${this.activeHours}h`);
+        this.timer = setInterval(() => this.sample(), this.intervalMs);
+        setImmediate(() => this.sample());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async getTrackedMints() {
+        const result = await this.db.pool.query(`
+            SELECT DISTINCT tk.mint
+            FROM token_operations o
+            JOIN tokens tk ON o.token_id = tk.id
+            JOIN transactions t ON o.transaction_id = t.id
+            WHERE t.block_time >= $1
+        `, [new Date(Date.now() - this.activeHours * HOUR).toISOString()]);
+        return result.rows.map((row) => row.mint);
+    }
+
+    async sample() {
+        if (this.isSampling) return;
+        this.isSampling = true;
+        const startTime = Date.now();
+
+        try {
+            const sampledAt = new Date();
+            await this.sampleSolPrice(sampledAt);
+
+            const mints = await this.getTrackedMints();
+            if (mints.length === 0) return;
+
+            const tokenInfos = await this.priceService.getTokenPrices(mints);
+            const samples = mints
+                .map((mint) => ({ mint, info: tokenInfos.get(mint) }))
+                .filter(({ info }) => info && info.price > 0)
+                .map(({ mint, info }) => ({
+                    mint,
+                    priceUsd: info.price,
+                    priceSol: info.priceInSol || null,
+                    marketCap: info.marketCap || null,
+                }));
+
+            if (samples.length > 0) {
+                await this.saveSamples(samples, sampledAt);
+            }
+
+            if (Date.now() - this.lastPrunedAt > HOUR) {
+                await this.prune();
+            }
+
+            console.log(`[${new Date().toISOString()}] 🕯️ Sampled ${samples.length}/${mints.length} token prices in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Token price sampling failed:`, error.message);
+        } finally {
+            this.isSampling = false;
+        }
+    }
+
+    async sampleSolPrice(sampledAt) {
+        const solPrice = await this.priceService.getSolPrice();
+        if (!solPrice.success || solPrice.stale) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Skipping SOL price sample, no fresh price available`);
+            return;
+        }
+
+        await this.db.recordSolPrices([{
+            minute: Math.floor(sampledAt.getTime() / MINUTE) * MINUTE,
+            price: solPrice.price,
+            source: solPrice.source,
+        }]);
+    }
+
+    async saveSamples(samples, sampledAt) {
+        const mints = samples.map((s) => s.mint);
+        const prices = samples.map((s) => s.priceUsd);
+
+        await this.db.withTransaction(async (client) => {
+            await client.query(`
+                INSERT INTO token_price_samples (mint, sampled_at, price_usd, price_sol, market_cap)
+                SELECT s.mint, $2, s.price_usd, s.price_sol, s.market_cap
+                FROM unnest($1::varchar[], $3::numeric[], $4::numeric[], $5::numeric[]) AS s(mint, price_usd, price_sol, market_cap)
+                ON CONFLICT (mint, sampled_at) DO NOTHING
+            `, [
+                mints,
+                sampledAt.toISOString(),
+                prices,
+                samples.map((s) => s.priceSol),
+                samples.map((s) => s.marketCap),
+            ]);
+
+            for (const [resolution, size] of Object.entries(CANDLE_RESOLUTIONS)) {
+                const bucketStart = new Date(Math.floor(sampledAt.getTime() / size) * size);
+                await client.query(`
+                    INSERT INTO token_price_candles (mint, resolution, bucket_start, open, high, low, close, samples)
+                    SELECT s.mint, $2, $3, s.price, s.price, s.price, s.price, 1
+                    FROM unnest($1::varchar[], $4::numeric[]) AS s(mint, price)
+                    ON CONFLICT (mint, resolution, bucket_start) DO UPDATE SET
+                        high = GREATEST(token_price_candles.high, EXCLUDED.high),
+                        low = LEAST(token_price_candles.low, EXCLUDED.low),
+                        close = EXCLUDED.close,
+                        samples = token_price_candles.samples + 1
+                `, [mints, resolution, bucketStart.toISOString(), prices]);
+            }
+        });
+    }
+
+    async prune() {
+        const now = Date.now();
+        const samples = await this.db.pool.query(
+            'DELETE FROM token_price_samples WHERE sampled_at < $1',
+            [new Date(now - this.sampleRetentionMs).toISOString()]
+        );
+
+        let candles = 0;
+        for (const [resolution, retention] of Object.entries(CANDLE_RETENTION)) {
+            if (!retention) continue;
+            const result = await this.db.pool.query(
+                'DELETE FROM token_price_candles WHERE resolution = $1 AND bucket_start < $2',
+                [resolution, new Date(now - retention).toISOString()]
+            );
+            candles += result.rowCount;
+        }
+
+        this.lastPrunedAt = now;
+        if (samples.rowCount > 0 || candles > 0) {
+            console.log(`[${new Date().toISOString()}] 🧹 Pruned ${samples.rowCount} price samples and ${candles} candles`);
+        }
+    }
+}
+
+PriceHistoryService.RESOLUTIONS = CANDLE_RESOLUTIONS;
+
+module.exports = PriceHistoryService;
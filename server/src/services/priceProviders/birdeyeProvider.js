@@ -0,0 +1,50 @@
+const { createQuote, fetchJson, liquidityConfidence } = require('./quote');
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+class BirdeyeProvider {
+    constructor() {
+        this.name = 'birdeye';
+        this.apiKey = process.env.BIRDEYE_API_KEY || null;
+        this.baseUrl = process.env.BIRDEYE_API_URL || 'https://public-api.birdeye.so';
+    }
+
+    get enabled() {
+        return !!this.apiKey;
+    }
+
+    async fetchPrice(mint) {
+        const data = await fetchJson(this.name, `${this.baseUrl}/defi/price?address=${mint}&include_liquidity=true`, {
+            headers: {
+                'X-API-KEY': this.apiKey,
+                'x-chain': 'solana',
+            },
+        });
+        if (!data.success || !data.data || !(data.data.value > 0)) {
+            return null;
+        }
+        return data.data;
+    }
+
+    async getTokenPrice(tokenMint) {
+        const data = await this.fetchPrice(tokenMint);
+        if (!data) {
+            return null;
+        }
+        return createQuote(this.name, {
+            priceUsd: data.value,
+            liquidity: data.liquidity || 0,
+            confidence: liquidityConfidence(data.liquidity),
+        });
+    }
+
+    async getSolPrice() {
+        const data = await this.fetchPrice(WRAPPED_SOL_MINT);
+        if (!data) {
+            return null;
+        }
+        return createQuote(this.name, { priceUsd: data.value, liquidity: data.liquidity || 0 });
+    }
+}
+
+module.exports = BirdeyeProvider;
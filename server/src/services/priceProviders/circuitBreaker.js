@@ -0,0 +1,74 @@
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldownMs = options.cooldownMs || 60000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeStartedAt = null;
+        this.lastError = null;
+        this.stats = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            rejected: 0,
+        };
+    }
+
+    canRequest() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.cooldownMs) {
+                this.stats.rejected++;
+                return false;
+            }
+            this.state = 'half_open';
+            console.log(`[${new Date().toISOString()}] 🔌 Price provider ${this.name} cooldown elapsed, probing`);
+        } else if (this.state === 'half_open' && this.probeStartedAt && Date.now() - this.probeStartedAt < this.cooldownMs) {
+            this.stats.rejected++;
+            return false;
+        }
+        if (this.state === 'half_open') {
+            this.probeStartedAt = Date.now();
+        }
+        this.stats.requests++;
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`[${new Date().toISOString()}] ✅ Price provider ${this.name} recovered`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeStartedAt = null;
+        this.stats.successes++;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.stats.failures++;
+        this.lastError = error.message;
+        this.probeStartedAt = null;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            console.warn(`[${new Date().toISOString()}] ⚠️ Price provider ${this.name} circuit opened for ${this.cooldownMs / 1000}s after ${this.failures} failure(s): ${error.message}`);
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            probeInFlight: this.probeStartedAt !== null,
+            lastError: this.lastError,
+            ...this.stats,
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
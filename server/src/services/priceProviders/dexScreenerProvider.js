@@ -0,0 +1,110 @@
+const { createQuote, fetchJson, liquidityConfidence } = require('./quote');
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+class DexScreenerProvider {
+    constructor(options = {}) {
+        this.name = 'dexscreener';
+        this.baseUrl = process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com';
+        this.redis = options.redis || null;
+        this.poolCacheTtl = 30;
+    }
+
+    async fetchPairs(tokenMint) {
+        const data = await fetchJson(this.name, `${this.baseUrl}/latest/dex/tokens/${tokenMint}`);
+        return data.pairs || [];
+    }
+
+    async findTokenPools(tokenMint) {
+        const cacheKey = `pools_${tokenMint}`;
+
+        if (this.redis) {
+            try {
+                const cached = await this.redis.get(cacheKey);
+                if (cached) {
+                    return JSON.parse(cached);
+                }
+            } catch (error) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Pool cache fetch failed:`, error.message);
+            }
+        }
+
+        const pairs = await this.fetchPairs(tokenMint);
+        const pools = pairs.map(pair => ({
+            address: pair.pairAddress,
+            type: pair.dexId?.toLowerCase() || 'unknown',
+            pairedWith: pair.baseToken.address === tokenMint ? pair.quoteToken.symbol : pair.baseToken.symbol,
+            baseAmount: parseFloat(pair.liquidity?.base || 0),
+            quoteAmount: parseFloat(pair.liquidity?.quote || 0),
+            liquidityUsd: parseFloat(pair.liquidity?.usd || 0),
+            volume24h: parseFloat(pair.volume?.h24 || 0),
+            priceUsd: parseFloat(pair.priceUsd || 0),
+            pairCreatedAt: pair.pairCreatedAt || null,
+            discovered: 'dexscreener'
+        }));
+
+        if (this.redis) {
+            try {
+                await this.redis.setex(cacheKey, this.poolCacheTtl, JSON.stringify(pools));
+            } catch (redisError) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Redis pool cache failed:`, redisError.message);
+            }
+        }
+
+        console.log(`[${new Date().toISOString()}] 🏊 Found ${pools.length} pools for ${tokenMint}`);
+        return pools;
+    }
+
+    async getTokenPrice(tokenMint) {
+        const pools = await this.findTokenPools(tokenMint);
+        if (pools.length === 0) {
+            return null;
+        }
+
+        const bestPool = pools.reduce((best, current) => {
+            const currentLiquidity = (current.baseAmount || 0) + (current.quoteAmount || 0);
+            const bestLiquidity = (best.baseAmount || 0) + (best.quoteAmount || 0);
+            return currentLiquidity > bestLiquidity ? current : best;
+        });
+        if (!bestPool.priceUsd) {
+            return null;
+        }
+
+        const earliestPairTime = pools
+            .filter(pool => pool.pairCreatedAt)
+            .map(pool => new Date(pool.pairCreatedAt).getTime())
+            .sort((a, b) => a - b)[0];
+
+        return createQuote(this.name, {
+            priceUsd: bestPool.priceUsd,
+            liquidity: pools.reduce((sum, pool) => sum + (pool.baseAmount || 0) + (pool.quoteAmount || 0), 0),
+            volume24h: pools.reduce((sum, pool) => sum + (pool.volume24h || 0), 0),
+            confidence: liquidityConfidence(pools.reduce((sum, pool) => sum + (pool.liquidityUsd || 0), 0)),
+            pools,
+            pairCreatedAt: earliestPairTime || null,
+        });
+    }
+
+    async getSolPrice() {
+        const pairs = await this.fetchPairs(WRAPPED_SOL_MINT);
+        if (pairs.length === 0) {
+            return null;
+        }
+
+        const bestPair = pairs.reduce((prev, current) =>
+            (current.volume?.h24 || 0) > (prev.volume?.h24 || 0) ? current : prev
+        );
+        const price = parseFloat(bestPair.priceUsd);
+        if (!price) {
+            return null;
+        }
+
+        return createQuote(this.name, {
+            priceUsd: price,
+            liquidity: parseFloat(bestPair.liquidity?.usd || 0),
+            volume24h: parseFloat(bestPair.volume?.h24 || 0),
+        });
+    }
+}
+
+module.exports = DexScreenerProvider;
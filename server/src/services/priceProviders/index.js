@@ -0,0 +1,49 @@
+const CircuitBreaker = require('./circuitBreaker');
+const DexScreenerProvider = require('./dexScreenerProvider');
+const JupiterProvider = require('./jupiterProvider');
+const BirdeyeProvider = require('./birdeyeProvider');
+const OnChainPoolProvider = require('./onChainPoolProvider');
+
+const PROVIDERS = {
+    dexscreener: DexScreenerProvider,
+    jupiter: JupiterProvider,
+    birdeye: BirdeyeProvider,
+    onchain: OnChainPoolProvider,
+};
+
+const DEFAULT_ORDER = 'dexscreener,jupiter,birdeye,onchain';
+
+function createPriceProviders(options = {}) {
+    const names = (process.env.PRICE_PROVIDERS || DEFAULT_ORDER)
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const breakerOptions = {
+        failureThreshold: parseInt(process.env.PRICE_PROVIDER_FAILURE_THRESHOLD) || 3,
+        cooldownMs: parseInt(process.env.PRICE_PROVIDER_COOLDOWN_MS) || 60000,
+    };
+
+    return [...new Set(names)]
+        .filter((name) => {
+            if (!PROVIDERS[name]) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Unknown price provider "${name}" in PRICE_PROVIDERS, ignoring`);
+                return false;
+            }
+            return true;
+        })
+        .map((name) => new PROVIDERS[name](options))
+        .filter((provider) => {
+            if (provider.enabled === false) {
+                console.log(`[${new Date().toISOString()}] ℹ️ Price provider ${provider.name} disabled (not configured)`);
+                return false;
+            }
+            return true;
+        })
+        .map((provider) => ({ provider, breaker: new CircuitBreaker(provider.name, breakerOptions) }));
+}
+
+module.exports = {
+    PROVIDERS,
+    createPriceProviders,
+};
@@ -0,0 +1,40 @@
+const { createQuote, fetchJson } = require('./quote');
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+class JupiterProvider {
+    constructor() {
+        this.name = 'jupiter';
+        this.apiKey = process.env.JUPITER_API_KEY || null;
+        this.baseUrl = process.env.JUPITER_PRICE_API_URL
+            || (this.apiKey ? 'https://api.jup.ag/price/v3' : 'https://lite-api.jup.ag/price/v3');
+        this.confidence = 0.8;
+    }
+
+    async fetchPrice(mint) {
+        const data = await fetchJson(this.name, `${this.baseUrl}?ids=${mint}`, {
+            headers: this.apiKey ? { 'x-api-key': this.apiKey } : {},
+        });
+        const entry = data[mint] || data.data?.[mint];
+        const price = parseFloat(entry?.usdPrice ?? entry?.price);
+        return price > 0 ? price : null;
+    }
+
+    async getTokenPrice(tokenMint) {
+        const price = await this.fetchPrice(tokenMint);
+        if (!price) {
+            return null;
+        }
+        return createQuote(this.name, { priceUsd: price, confidence: this.confidence });
+    }
+
+    async getSolPrice() {
+        const price = await this.fetchPrice(WRAPPED_SOL_MINT);
+        if (!price) {
+            return null;
+        }
+        return createQuote(this.name, { priceUsd: price, confidence: this.confidence });
+    }
+}
+
+module.exports = JupiterProvider;
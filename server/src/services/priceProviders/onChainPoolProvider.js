@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { PublicKey } = require('@solana/web3.js');
+const { createQuote } = require('./quote');
+
+const PUMP_FUN_PROGRAM = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const PUMP_SWAP_PROGRAM = new PublicKey('pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA');
+const RAYDIUM_AMM_PROGRAM = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const DEFAULT_SOL_USDC_POOL = '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2';
+const QUOTE_SYMBOLS = { [WRAPPED_SOL_MINT]: 'SOL', [USDC_MINT]: 'USDC' };
+
+const PUMP_TOKEN_DECIMALS = 6;
+const BONDING_CURVE_MIN_SIZE = 49;
+const INITIAL_REAL_TOKEN_RESERVES = 793100000 * Math.pow(10, PUMP_TOKEN_DECIMALS);
+
+const RAYDIUM_AMM_SIZE = 752;
+const RAYDIUM_BASE_MINT_OFFSET = 400;
+const RAYDIUM_QUOTE_MINT_OFFSET = 432;
+const PUMP_SWAP_POOL_DISCRIMINATOR = crypto.createHash('sha256').update('account:Pool').digest().subarray(0, 8);
+const PUMP_SWAP_BASE_MINT_OFFSET = 43;
+const PUMP_SWAP_QUOTE_MINT_OFFSET = 75;
+const PUMP_SWAP_MIN_SIZE = 211;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+const MINT_DECIMALS_OFFSET = 44;
+
+class OnChainPoolProvider {
+    constructor(options = {}) {
+        this.name = 'onchain';
+        this.connection = options.connection;
+        this.confidence = 0.9;
+        this.solUsdcPool = process.env.ONCHAIN_SOL_USDC_POOL || DEFAULT_SOL_USDC_POOL;
+    }
+
+    static bondingCurveAddress(mint) {
+        return PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+            PUMP_FUN_PROGRAM
+        )[0];
+    }
+
+    static decodeBondingCurve(data) {
+        if (!data || data.length < BONDING_CURVE_MIN_SIZE) {
+            return null;
+        }
+        const u64 = (offset) => Number(data.readBigUInt64LE(offset));
+        return {
+            virtualTokenReserves: u64(8),
+            virtualSolReserves: u64(16),
+            realTokenReserves: u64(24),
+            realSolReserves: u64(32),
+            tokenTotalSupply: u64(40),
+            complete: data[48] === 1,
+        };
+    }
+
+    async readBondingCurve(mint) {
+        const account = await this.connection.getAccountInfo(OnChainPoolProvider.bondingCurveAddress(mint));
+        if (!account || !account.owner.equals(PUMP_FUN_PROGRAM)) {
+            return null;
+        }
+        return OnChainPoolProvider.decodeBondingCurve(account.data);
+    }
+
+    static curveProgress(curve) {
+        if (curve.complete) {
+            return 100;
+        }
+        const progress = 100 - (curve.realTokenReserves * 100) / INITIAL_REAL_TOKEN_RESERVES;
+        return Math.min(100, Math.max(0, progress));
+    }
+
+    async getCurveLastActivity(tokenMint) {
+        const signatures = await this.connection.getSignaturesForAddress(
+            OnChainPoolProvider.bondingCurveAddress(tokenMint),
+            { limit: 1 },
+            'confirmed'
+        );
+        return signatures[0]?.blockTime ? new Date(signatures[0].blockTime * 1000) : null;
+    }
+
+    quoteFromCurve(tokenMint, curve, solPrice) {
+        if (!curve || curve.complete || curve.virtualTokenReserves === 0 || !solPrice) {
+            return null;
+        }
+
+        const priceInSol = (curve.virtualSolReserves / 1e9) / (curve.virtualTokenReserves / Math.pow(10, PUMP_TOKEN_DECIMALS));
+        return createQuote(this.name, {
+            priceUsd: priceInSol * solPrice,
+            priceInSol,
+            liquidity: (curve.realSolReserves / 1e9) * solPrice,
+            confidence: this.confidence,
+            pools: [{
+                address: OnChainPoolProvider.bondingCurveAddress(tokenMint).toBase58(),
+                type: 'pumpfun',
+                pairedWith: 'SOL',
+                baseAmount: curve.realTokenReserves / Math.pow(10, PUMP_TOKEN_DECIMALS),
+                quoteAmount: curve.realSolReserves / 1e9,
+                volume24h: 0,
+                priceUsd: priceInSol * solPrice,
+                pairCreatedAt: null,
+                discovered: 'onchain',
+            }],
+            supply: curve.tokenTotalSupply / Math.pow(10, PUMP_TOKEN_DECIMALS),
+        });
+    }
+
+    static readPubkey(data, offset) {
+        return new PublicKey(data.subarray(offset, offset + 32));
+    }
+
+    static decodeRaydiumPool(address, data) {
+        if (!data || data.length !== RAYDIUM_AMM_SIZE) {
+            return null;
+        }
+        const u64 = (offset) => Number(data.readBigUInt64LE(offset));
+        return {
+            address,
+            type: 'raydium',
+            baseVault: OnChainPoolProvider.readPubkey(data, 336),
+            quoteVault: OnChainPoolProvider.readPubkey(data, 368),
+            baseMint: OnChainPoolProvider.readPubkey(data, RAYDIUM_BASE_MINT_OFFSET).toBase58(),
+            quoteMint: OnChainPoolProvider.readPubkey(data, RAYDIUM_QUOTE_MINT_OFFSET).toBase58(),
+            basePending: u64(192),
+            quotePending: u64(200),
+        };
+    }
+
+    static decodePumpSwapPool(address, data) {
+        if (!data || data.length < PUMP_SWAP_MIN_SIZE || !data.subarray(0, 8).equals(PUMP_SWAP_POOL_DISCRIMINATOR)) {
+            return null;
+        }
+        return {
+            address,
+            type: 'pumpswap',
+            baseMint: OnChainPoolProvider.readPubkey(data, PUMP_SWAP_BASE_MINT_OFFSET).toBase58(),
+            quoteMint: OnChainPoolProvider.readPubkey(data, PUMP_SWAP_QUOTE_MINT_OFFSET).toBase58(),
+            baseVault: OnChainPoolProvider.readPubkey(data, 139),
+            quoteVault: OnChainPoolProvider.readPubkey(data, 171),
+            basePending: 0,
+            quotePending: 0,
+        };
+    }
+
+    async findPools(program, decode, mintOffset, tokenMint, filters = []) {
+        const accounts = await this.connection.getProgramAccounts(program, {
+            commitment: 'confirmed',
+            filters: [...filters, { memcmp: { offset: mintOffset, bytes: tokenMint } }],
+        });
+        return accounts
+            .map(({ pubkey, account }) => decode(pubkey.toBase58(), account.data))
+            .filter((pool) => pool && QUOTE_SYMBOLS[pool.baseMint === tokenMint ? pool.quoteMint : pool.baseMint]);
+    }
+
+    async findAmmPools(tokenMint) {
+        const raydium = [{ dataSize: RAYDIUM_AMM_SIZE }];
+        const pumpSwap = [{ memcmp: { offset: 0, bytes: bs58.encode(PUMP_SWAP_POOL_DISCRIMINATOR) } }];
+        const results = await Promise.all([
+            this.findPools(PUMP_SWAP_PROGRAM, OnChainPoolProvider.decodePumpSwapPool, PUMP_SWAP_BASE_MINT_OFFSET, tokenMint, pumpSwap),
+            this.findPools(PUMP_SWAP_PROGRAM, OnChainPoolProvider.decodePumpSwapPool, PUMP_SWAP_QUOTE_MINT_OFFSET, tokenMint, pumpSwap),
+            this.findPools(RAYDIUM_AMM_PROGRAM, OnChainPoolProvider.decodeRaydiumPool, RAYDIUM_BASE_MINT_OFFSET, tokenMint, raydium),
+            this.findPools(RAYDIUM_AMM_PROGRAM, OnChainPoolProvider.decodeRaydiumPool, RAYDIUM_QUOTE_MINT_OFFSET, tokenMint, raydium),
+        ]);
+        return results.flat();
+    }
+
+    async readReserves(pools) {
+        if (pools.length === 0) {
+            return [];
+        }
+        const keys = pools.flatMap((pool) => [
+            pool.baseVault,
+            pool.quoteVault,
+            new PublicKey(pool.baseMint),
+            new PublicKey(pool.quoteMint),
+        ]);
+        const accounts = await this.connection.getMultipleAccountsInfo(keys, 'confirmed');
+
+        return pools.map((pool, index) => {
+            const [baseVault, quoteVault, baseMint, quoteMint] = accounts.slice(index * 4, index * 4 + 4);
+            if (!baseVault || !quoteVault || !baseMint || !quoteMint) {
+                return null;
+            }
+            const baseDecimals = baseMint.data[MINT_DECIMALS_OFFSET];
+            const quoteDecimals = quoteMint.data[MINT_DECIMALS_OFFSET];
+            const baseRaw = Number(baseVault.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET)) - pool.basePending;
+            const quoteRaw = Number(quoteVault.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET)) - pool.quotePending;
+            if (baseRaw <= 0 || quoteRaw <= 0) {
+                return null;
+            }
+            return {
+                ...pool,
+                baseAmount: baseRaw / Math.pow(10, baseDecimals),
+                quoteAmount: quoteRaw / Math.pow(10, quoteDecimals),
+            };
+        }).filter(Boolean);
+    }
+
+    quoteFromPools(tokenMint, pools, solPrice) {
+        const usdPerUnit = (mint) => (mint === USDC_MINT ? 1 : solPrice);
+        const priced = pools
+            .map((pool) => {
+                const tokenIsBase = pool.baseMint === tokenMint;
+                const pairedMint = tokenIsBase ? pool.quoteMint : pool.baseMint;
+                const tokenAmount = tokenIsBase ? pool.baseAmount : pool.quoteAmount;
+                const pairedAmount = tokenIsBase ? pool.quoteAmount : pool.baseAmount;
+                const priceUsd = (pairedAmount / tokenAmount) * usdPerUnit(pairedMint);
+                return {
+                    address: pool.address,
+                    type: pool.type,
+                    pairedWith: QUOTE_SYMBOLS[pairedMint],
+                    baseAmount: tokenAmount,
+                    quoteAmount: pairedAmount,
+                    volume24h: 0,
+                    priceUsd,
+                    liquidity: pairedAmount * usdPerUnit(pairedMint) * 2,
+                    pairCreatedAt: null,
+                    discovered: 'onchain',
+                };
+            })
+            .filter((pool) => pool.priceUsd > 0 && Number.isFinite(pool.priceUsd))
+            .sort((a, b) => b.liquidity - a.liquidity);
+
+        if (priced.length === 0) {
+            return null;
+        }
+        const [deepest] = priced;
+        return createQuote(this.name, {
+            priceUsd: deepest.priceUsd,
+            priceInSol: deepest.priceUsd / solPrice,
+            liquidity: priced.reduce((sum, pool) => sum + pool.liquidity, 0),
+            pools: priced.map(({ liquidity, ...pool }) => pool),
+        });
+    }
+
+    async getTokenPrice(tokenMint, { solPrice } = {}) {
+        if (!solPrice) {
+            return null;
+        }
+        const curve = await this.readBondingCurve(tokenMint);
+        if (curve && !curve.complete) {
+            return this.quoteFromCurve(tokenMint, curve, solPrice);
+        }
+        const pools = await this.readReserves(await this.findAmmPools(tokenMint));
+        return this.quoteFromPools(tokenMint, pools, solPrice);
+    }
+
+    async getSolPrice() {
+        const address = new PublicKey(this.solUsdcPool);
+        const account = await this.connection.getAccountInfo(address, 'confirmed');
+        const pool = account
+            && (OnChainPoolProvider.decodeRaydiumPool(address.toBase58(), account.data)
+                || OnChainPoolProvider.decodePumpSwapPool(address.toBase58(), account.data));
+        if (!pool) {
+            throw new Error(`SOL/USDC pool ${this.solUsdcPool} is not a Raydium AMM or PumpSwap pool`);
+        }
+        const [reserves] = await this.readReserves([pool]);
+        if (!reserves) {
+            return null;
+        }
+        const mints = [reserves.baseMint, reserves.quoteMint];
+        if (!mints.includes(WRAPPED_SOL_MINT) || !mints.includes(USDC_MINT)) {
+            throw new Error(`Pool ${this.solUsdcPool} does not pair SOL with USDC`);
+        }
+        const solIsBase = reserves.baseMint === WRAPPED_SOL_MINT;
+        const solAmount = solIsBase ? reserves.baseAmount : reserves.quoteAmount;
+        const usdcAmount = solIsBase ? reserves.quoteAmount : reserves.baseAmount;
+        return createQuote(this.name, {
+            priceUsd: usdcAmount / solAmount,
+            priceInSol: 1,
+            liquidity: usdcAmount * 2,
+            pools: [{
+                address: reserves.address,
+                type: reserves.type,
+                pairedWith: 'USDC',
+                baseAmount: solAmount,
+                quoteAmount: usdcAmount,
+                volume24h: 0,
+                priceUsd: usdcAmount / solAmount,
+                pairCreatedAt: null,
+                discovered: 'onchain',
+            }],
+        });
+    }
+}
+
+module.exports = OnChainPoolProvider;
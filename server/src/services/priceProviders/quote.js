@@ -0,0 +1,54 @@
+class ProviderError extends Error {
+    constructor(provider, message, status = null) {
+        super(`${provider}: ${message}`);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+    }
+}
+
+function liquidityConfidence(liquidityUsd) {
+    if (!liquidityUsd) return 0.3;
+    if (liquidityUsd >= 100000) return 0.95;
+    if (liquidityUsd >= 20000) return 0.85;
+    if (liquidityUsd >= 5000) return 0.7;
+    return 0.5;
+}
+
+function createQuote(source, fields) {
+    return {
+        source,
+        confidence: fields.confidence ?? liquidityConfidence(fields.liquidity),
+        priceUsd: fields.priceUsd,
+        priceInSol: fields.priceInSol ?? null,
+        liquidity: fields.liquidity ?? 0,
+        volume24h: fields.volume24h ?? 0,
+        pools: fields.pools || [],
+        pairCreatedAt: fields.pairCreatedAt ?? null,
+        supply: fields.supply ?? null,
+        fetchedAt: new Date().toISOString(),
+    };
+}
+
+async function fetchJson(provider, url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        signal: AbortSignal.timeout(options.timeoutMs || 10000),
+        headers: {
+            'User-Agent': 'WalletPulse/2.0',
+            ...options.headers,
+        },
+    });
+
+    if (!response.ok) {
+        throw new ProviderError(provider, `HTTP ${response.status}`, response.status);
+    }
+    return response.json();
+}
+
+module.exports = {
+    ProviderError,
+    liquidityConfidence,
+    createQuote,
+    fetchJson,
+};
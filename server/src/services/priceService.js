@@ -1,5 +1,9 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
 const Redis = require('ioredis');
+const { createPriceProviders } = require('./priceProviders');
+const OnChainPoolProvider = require('./priceProviders/onChainPoolProvider');
+
+const GRADUATION_VENUES = ['pumpswap', 'raydium'];
 
 class PriceService {
     constructor() {
@@ -23,50 +27,60 @@ class PriceService {
             console.error(`[${new Date().toISOString()}] ❌ PriceService Redis error:`, err.message);
         });
 
+        this.providers = createPriceProviders({ connection: this.connection, redis: this.redis });
+        this.curveReader = new OnChainPoolProvider({ connection: this.connection });
+
         this.CACHE_TTL = 30;
         this.SOL_PRICE_TTL = 60;
+        this.CURVE_MISSING_TTL = 3600;
 
         this.solPriceCache = {
-            price: 150,
+            price: null,
+            source: null,
+            confidence: 0,
             lastUpdated: 0
         };
 
+        console.log(`[${new Date().toISOString()}] 💱 Price providers: ${this.providers.map(({ provider }) => provider.name).join(' → ') || 'none'}`);
     }
 
-    async updateSolPrice() {
-        try {
-            const response = await fetch('https://api.dexscreener.com/latest/dex/tokens/So11111111111111111111111111111111111111112', {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'WalletPulse/2.0'
-                }
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.pairs && data.pairs.length > 0) {
-                    const bestPair = data.pairs.reduce((prev, current) =>
-                        (current.volume?.h24 || 0) > (prev.volume?.h24 || 0) ? current : prev
-                    );
-                    const newPrice = parseFloat(bestPair.priceUsd || 150);
-
-                    this.solPriceCache = {
-                        price: newPrice,
-                        lastUpdated: Date.now()
-                    };
-
-                    try {
-                        await this.redis.setex('sol_price_enhanced', this.SOL_PRICE_TTL, JSON.stringify(this.solPriceCache));
-                    } catch (redisError) {
-                        console.warn(`[${new Date().toISOString()}] ⚠️ Redis setex failed:`, redisError.message);
-                    }
-                    
+    async queryProviders(method, ...args) {
+        for (const { provider, breaker } of this.providers) {
+            if (!breaker.canRequest()) {
+                continue;
+            }
+            try {
+                const quote = await provider[method](...args);
+                breaker.recordSuccess();
+                if (quote && quote.priceUsd > 0) {
+                    return quote;
                 }
-            } else {
-                console.warn(`[${new Date().toISOString()}] ⚠️ DexScreener SOL price API error: ${response.status}`);
+            } catch (error) {
+                breaker.recordFailure(error);
+                console.warn(`[${new Date().toISOString()}] ⚠️ Price provider ${provider.name} ${method} failed:`, error.message);
             }
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] ❌ Failed to update SOL price:`, error.message);
+        }
+        return null;
+    }
+
+    async updateSolPrice() {
+        const quote = await this.queryProviders('getSolPrice');
+        if (!quote) {
+            console.error(`[${new Date().toISOString()}] ❌ Failed to update SOL price: no provider returned a price`);
+            return;
+        }
+
+        this.solPriceCache = {
+            price: quote.priceUsd,
+            source: quote.source,
+            confidence: quote.confidence,
+            lastUpdated: Date.now()
+        };
+
+        try {
+            await this.redis.setex('sol_price_enhanced', this.SOL_PRICE_TTL, JSON.stringify(this.solPriceCache));
+        } catch (redisError) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Redis setex failed:`, redisError.message);
         }
     }
 
@@ -76,67 +90,107 @@ class PriceService {
             await this.updateSolPrice();
         }
 
+        const stale = Date.now() - this.solPriceCache.lastUpdated > this.SOL_PRICE_TTL * 1000;
         return {
-            success: true,
+            success: this.solPriceCache.price !== null,
             price: this.solPriceCache.price,
-            source: 'dexscreener',
-            lastUpdated: this.solPriceCache.lastUpdated
+            source: this.solPriceCache.source,
+            confidence: this.solPriceCache.confidence,
+            lastUpdated: this.solPriceCache.lastUpdated,
+            stale
         };
     }
 
-    async findTokenPools(tokenMint) {
-        const cacheKey = `pools_${tokenMint}`;
+    async getTokenQuote(tokenMint) {
+        if (!/^[1-9A-HJ-NP-Za-km-z]+$/.test(tokenMint) || tokenMint.length < 32 || tokenMint.length > 44) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Invalid mint address: ${tokenMint}`);
+            return null;
+        }
+
+        const { price: solPrice } = await this.getSolPrice();
+        const quote = await this.queryProviders('getTokenPrice', tokenMint, { solPrice });
+        if (!quote) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ No price provider returned a price for ${tokenMint}`);
+        }
+        return quote;
+    }
+
+    async readBondingCurve(tokenMint) {
+        const cacheKey = `bonding_curve_missing_${tokenMint}`;
 
         try {
-            const cached = await this.redis.get(cacheKey);
-            if (cached) {
-                return JSON.parse(cached);
+            if (await this.redis.get(cacheKey)) {
+                return null;
             }
         } catch (error) {
-            console.warn(`[${new Date().toISOString()}] ⚠️ Pool cache fetch failed:`, error.message);
+            console.warn(`[${new Date().toISOString()}] ⚠️ Bonding curve cache fetch failed:`, error.message);
         }
 
-        let pools = [];
-
+        let curve;
         try {
-            if (!/^[1-9A-HJ-NP-Za-km-z]+$/.test(tokenMint) || tokenMint.length < 32 || tokenMint.length > 44) {
-                console.warn(`[${new Date().toISOString()}] ⚠️ Invalid mint address: ${tokenMint}`);
-                return pools;
+            curve = await this.curveReader.readBondingCurve(tokenMint);
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Failed to read bonding curve for ${tokenMint}:`, error.message);
+            return null;
+        }
+
+        if (!curve) {
+            try {
+                await this.redis.setex(cacheKey, this.CURVE_MISSING_TTL, '1');
+            } catch (redisError) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Redis bonding curve cache failed:`, redisError.message);
             }
+        }
+        return curve;
+    }
 
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenMint}`, {
-                timeout: 10000,
-                headers: { 'User-Agent': 'WalletPulse/2.0' }
-            });
+    async getGraduation(tokenMint) {
+        try {
+            const cached = await this.redis.get(`graduation_${tokenMint}`);
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Graduation cache fetch failed:`, error.message);
+            return null;
+        }
+    }
 
-            if (response.ok) {
-                const data = await response.json();
-                if (data.pairs && data.pairs.length > 0) {
-                    pools = data.pairs.map(pair => ({
-                        address: pair.pairAddress,
-                        type: pair.dexId?.toLowerCase() || 'unknown',
-                        pairedWith: pair.baseToken.address === tokenMint ? pair.quoteToken.symbol : pair.baseToken.symbol,
-                        baseAmount: parseFloat(pair.liquidity?.base || 0),
-                        quoteAmount: parseFloat(pair.liquidity?.quote || 0),
-                        volume24h: parseFloat(pair.volume?.h24 || 0),
-                        priceUsd: parseFloat(pair.priceUsd || 0),
-                        pairCreatedAt: pair.pairCreatedAt || null,
-                        discovered: 'dexscreener'
-                    }));
-                }
+    async detectGraduation(tokenMint, pools) {
+        const pool = pools
+            .filter(candidate => GRADUATION_VENUES.includes(candidate.type))
+            .sort((a, b) => (a.pairCreatedAt || Infinity) - (b.pairCreatedAt || Infinity))[0];
+
+        let graduatedAt = pool?.pairCreatedAt ? new Date(pool.pairCreatedAt) : null;
+        if (!graduatedAt) {
+            try {
+                graduatedAt = await this.curveReader.getCurveLastActivity(tokenMint);
+            } catch (error) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Failed to get migration time for ${tokenMint}:`, error.message);
             }
+        }
+
+        const graduation = {
+            graduatedTo: pool?.type || null,
+            pool: pool?.address || null,
+            graduatedAt: graduatedAt ? graduatedAt.toISOString() : null
+        };
 
+        if (graduation.graduatedTo && graduation.graduatedAt) {
+            console.log(`[${new Date().toISOString()}] 🎓 Token ${tokenMint.slice(0,8)}... graduated to ${graduation.graduatedTo} at ${graduation.graduatedAt}`);
             try {
-                await this.redis.setex(cacheKey, Math.min(this.CACHE_TTL, 300), JSON.stringify(pools));
+                await this.redis.set(`graduation_${tokenMint}`, JSON.stringify(graduation));
             } catch (redisError) {
-                console.warn(`[${new Date().toISOString()}] ⚠️ Redis pool cache failed:`, redisError.message);
+                console.warn(`[${new Date().toISOString()}] ⚠️ Redis graduation cache failed:`, redisError.message);
             }
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] ❌ Pool discovery failed for ${tokenMint}:`, error.message);
         }
 
-        console.log(`[${new Date().toISOString()}] 🏊 Found ${pools.length} pools for ${tokenMint}`);
-        return pools;
+        return graduation;
+    }
+
+    getProviderStatus() {
+        return this.providers.map(({ provider, breaker }) => ({
+            name: provider.name,
+            ...breaker.getStatus()
+        }));
     }
 
     async getTokenDeploymentTime(tokenMint) {
@@ -184,55 +238,45 @@ class PriceService {
         }
     }
 
-    async analyzePools(tokenMint, pools) {
-        if (pools.length === 0) {
+    async analyzeQuote(tokenMint, quote) {
+        if (!quote) {
             return {
                 price: 0,
                 priceInSol: 0,
-                marketCap: 0,
+                marketCap: null,
                 volume24h: 0,
                 liquidity: 0,
                 pools: 0,
                 bestPool: null,
                 deploymentTime: null,
-                ageInHours: null
+                ageInHours: null,
+                source: null,
+                confidence: 0
             };
         }
 
-        const solPrice = this.solPriceCache.price;
-        const bestPool = pools.reduce((best, current) => {
+        const pools = quote.pools;
+        const bestPool = pools.length > 0 ? pools.reduce((best, current) => {
             const currentLiquidity = (current.baseAmount || 0) + (current.quoteAmount || 0);
             const bestLiquidity = (best.baseAmount || 0) + (best.quoteAmount || 0);
             return currentLiquidity > bestLiquidity ? current : best;
-        });
+        }) : null;
 
-        const priceUsd = bestPool.priceUsd || 0;
-        const priceInSol = priceUsd / solPrice;
-
-        const totalLiquidity = pools.reduce((sum, pool) => 
-            sum + (pool.baseAmount || 0) + (pool.quoteAmount || 0), 0
-        );
-        
-        const totalVolume24h = pools.reduce((sum, pool) => 
-            sum + (pool.volume24h || 0), 0
-        );
+        const priceUsd = quote.priceUsd;
+        const priceInSol = quote.priceInSol ?? (this.solPriceCache.price ? priceUsd / this.solPriceCache.price : null);
 
         const supplyData = await this.getTokenSupply(tokenMint);
-        const marketCap = supplyData.supply * priceUsd;
+        const supply = supplyData ? supplyData.supply : quote.supply;
+        const marketCap = supply != null ? supply * priceUsd : null;
 
         const metadata = await this.getBasicTokenMetadata(tokenMint);
 
         let deploymentTime = null;
         let ageInHours = null;
 
-        const earliestPairTime = pools
-            .filter(pool => pool.pairCreatedAt)
-            .map(pool => new Date(pool.pairCreatedAt).getTime())
-            .sort((a, b) => a - b)[0];
-
-        if (earliestPairTime) {
-            deploymentTime = new Date(earliestPairTime);
-            ageInHours = (Date.now() - earliestPairTime) / (1000 * 60 * 60);
+        if (quote.pairCreatedAt) {
+            deploymentTime = new Date(quote.pairCreatedAt);
+            ageInHours = (Date.now() - quote.pairCreatedAt) / (1000 * 60 * 60);
         } else {
             deploymentTime = await this.getTokenDeploymentTime(tokenMint);
             if (deploymentTime) {
@@ -244,8 +288,8 @@ class PriceService {
             price: priceUsd,
             priceInSol: priceInSol,
             marketCap: marketCap,
-            volume24h: totalVolume24h,
-            liquidity: totalLiquidity,
+            volume24h: quote.volume24h,
+            liquidity: quote.liquidity,
             pools: pools.length,
             bestPool: bestPool ? {
                 address: bestPool.address,
@@ -253,12 +297,14 @@ class PriceService {
                 liquidity: (bestPool.baseAmount || 0) + (bestPool.quoteAmount || 0),
                 volume24h: bestPool.volume24h || 0
             } : null,
-            supply: supplyData.supply,
-            decimals: supplyData.decimals,
+            supply: supply,
+            decimals: supplyData ? supplyData.decimals : null,
             symbol: metadata.symbol,
             name: metadata.name,
             deploymentTime: deploymentTime ? deploymentTime.toISOString() : null,
-            ageInHours: ageInHours
+            ageInHours: ageInHours,
+            source: quote.source,
+            confidence: quote.confidence
         };
     }
 
@@ -275,7 +321,7 @@ class PriceService {
             };
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ Failed to get token supply for ${tokenMint}:`, error.message);
-            return { supply: 1000000, decimals: 6 };
+            return null;
         }
     }
 
@@ -315,8 +361,36 @@ class PriceService {
             console.warn(`[${new Date().toISOString()}] ⚠️ Token data cache fetch failed:`, error.message);
         }
 
-        const pools = await this.findTokenPools(tokenMint);
-        const analysis = await this.analyzePools(tokenMint, pools);
+        const graduation = await this.getGraduation(tokenMint);
+        const curve = graduation ? null : await this.readBondingCurve(tokenMint);
+
+        let quote = null;
+        if (curve && !curve.complete) {
+            const { price: solPrice } = await this.getSolPrice();
+            quote = this.curveReader.quoteFromCurve(tokenMint, curve, solPrice);
+        }
+        if (!quote) {
+            quote = await this.getTokenQuote(tokenMint);
+        }
+        const analysis = await this.analyzeQuote(tokenMint, quote);
+
+        let bondingCurve = null;
+        if (graduation) {
+            bondingCurve = { progress: 100, complete: true, solReserves: 0, graduated: true, ...graduation };
+        } else if (curve) {
+            bondingCurve = {
+                progress: OnChainPoolProvider.curveProgress(curve),
+                complete: curve.complete,
+                solReserves: curve.realSolReserves / 1e9,
+                graduated: curve.complete,
+                graduatedTo: null,
+                pool: null,
+                graduatedAt: null
+            };
+            if (curve.complete) {
+                Object.assign(bondingCurve, await this.detectGraduation(tokenMint, quote?.pools || []));
+            }
+        }
 
         const tokenData = {
             mint: tokenMint,
@@ -326,8 +400,8 @@ class PriceService {
                 ageInHours: analysis.ageInHours,
                 isNew: analysis.ageInHours ? analysis.ageInHours < 24 : false
             },
-            lastUpdated: new Date().toISOString(),
-            source: 'price_service'
+            bondingCurve,
+            lastUpdated: new Date().toISOString()
         };
 
         try {
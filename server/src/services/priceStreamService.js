@@ -0,0 +1,126 @@
+const SUBSCRIPTIONS_KEY = 'prices:subscriptions';
+const PRICES_CHANNEL = 'prices';
+
+class PriceStreamService {
+    constructor(priceService, redis) {
+        this.priceService = priceService;
+        this.redis = redis;
+        this.intervalMs = parseInt(process.env.PRICE_STREAM_INTERVAL_MS) || 10000;
+        this.subscriptionTtlMs = parseInt(process.env.PRICE_STREAM_SUBSCRIPTION_TTL_MS) || 90000;
+        this.maxMints = parseInt(process.env.PRICE_STREAM_MAX_MINTS) || 500;
+        this.timer = null;
+        this.isRefreshing = false;
+        this.lastPublished = new Map();
+        this.lastSolPrice = null;
+    }
+
+    static streamChannel(streamId) {
+        return `${PRICES_CHANNEL}:stream:${streamId}`;
+    }
+
+    async subscribe(mints) {
+        if (mints.length === 0) return;
+        const expiresAt = Date.now() + this.subscriptionTtlMs;
+        await this.redis.zadd(SUBSCRIPTIONS_KEY, ...mints.flatMap((mint) => [expiresAt, mint]));
+    }
+
+    async getSubscribedMints() {
+        await this.redis.zremrangebyscore(SUBSCRIPTIONS_KEY, '-inf', Date.now());
+        return this.redis.zrevrange(SUBSCRIPTIONS_KEY, 0, this.maxMints - 1);
+    }
+
+    start() {
+        if (this.timer) return;
+        console.log(`[${new Date().toISOString()}] 📶 Refreshing subscribed token prices every ${this.intervalMs / 1000}s`);
+        this.timer = setInterval(() => this.refresh(), this.intervalMs);
+        setImmediate(() => this.refresh());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.lastPublished.clear();
+        this.lastSolPrice = null;
+    }
+
+    async refresh() {
+        if (this.isRefreshing) return;
+        this.isRefreshing = true;
+
+        try {
+            const update = { at: new Date().toISOString(), tokens: {} };
+
+            const sol = await this.solDelta();
+            if (sol) {
+                update.sol = sol;
+            }
+
+            const mints = await this.getSubscribedMints();
+            const subscribed = new Set(mints);
+            for (const mint of this.lastPublished.keys()) {
+                if (!subscribed.has(mint)) this.lastPublished.delete(mint);
+            }
+
+            const tokenInfos = await this.priceService.getTokenPrices(mints);
+            for (const [mint, info] of tokenInfos) {
+                const delta = this.tokenDelta(mint, info);
+                if (delta) update.tokens[mint] = delta;
+            }
+
+            const changed = Object.keys(update.tokens).length;
+            await this.redis.publish(PRICES_CHANNEL, JSON.stringify(update));
+            if (changed > 0 || update.sol) {
+                console.log(`[${new Date().toISOString()}] 📶 Pushed ${changed}/${mints.length} token price update(s)${update.sol ? ` and SOL $${update.sol.price}` : ''}`);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Price stream refresh failed:`, error.message);
+        } finally {
+            this.isRefreshing = false;
+        }
+    }
+
+    async solDelta() {
+        const solPrice = await this.priceService.getSolPrice();
+        if (!solPrice.success) return null;
+
+        const previous = this.lastSolPrice;
+        if (previous && previous.price === solPrice.price && previous.stale === solPrice.stale) {
+            return null;
+        }
+        this.lastSolPrice = solPrice;
+
+        return {
+            success: true,
+            price: solPrice.price,
+            source: solPrice.source,
+            confidence: solPrice.confidence,
+            lastUpdated: solPrice.lastUpdated,
+            fallback: solPrice.stale,
+            ...(solPrice.stale && { warning: `SOL price is stale, last updated ${new Date(solPrice.lastUpdated).toISOString()}` })
+        };
+    }
+
+    tokenDelta(mint, info) {
+        if (!info || !(info.price > 0)) return null;
+
+        const previous = this.lastPublished.get(mint);
+        if (previous && previous.price === info.price && previous.marketCap === info.marketCap) {
+            return null;
+        }
+
+        const delta = {
+            price: info.price,
+            priceInSol: info.priceInSol ?? null,
+            marketCap: info.marketCap ?? null,
+            source: info.source,
+            confidence: info.confidence,
+            lastUpdated: info.lastUpdated
+        };
+        this.lastPublished.set(mint, delta);
+        return delta;
+    }
+}
+
+PriceStreamService.CHANNEL = PRICES_CHANNEL;
+
+module.exports = PriceStreamService;
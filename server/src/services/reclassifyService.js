@@ -0,0 +1,436 @@
+const os = require('os');
+const { PublicKey } = require('@solana/web3.js');
+
+const roundAmount = (value) => Number(Number(value || 0).toFixed(9));
+
+function sameSnapshot(a, b) {
+    const normalize = (snapshot) => JSON.stringify({
+        ...snapshot,
+        tokens: snapshot.tokens
+            .map((token) => ({ ...token, amount: Number(Number(token.amount).toPrecision(12)) }))
+            .sort((x, y) => `${x.mint}${x.operationType}`.localeCompare(`${y.mint}${y.operationType}`)),
+    });
+    return normalize(a) === normalize(b);
+}
+
+class ReclassifyService {
+    constructor(monitoringService, db) {
+        this.monitoringService = monitoringService;
+        this.db = db;
+        this.pageSize = 100;
+        this.concurrency = parseInt(process.env.RECLASSIFY_CONCURRENCY) || 5;
+        this.nodeId = `${os.hostname()}-${process.pid}`;
+        this.pollMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+        this.leaseMs = parseInt(process.env.JOB_LEASE_TTL_MS) || 60000;
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    async createJob({ walletAddress = null, groupId = null, tokenMint = null, from = null, to = null, createdBy = null }) {
+        let walletId = null;
+        if (walletAddress) {
+            const wallet = await this.db.getWalletByAddress(walletAddress);
+            if (!wallet) {
+                throw new Error('Wallet not found');
+            }
+            walletId = wallet.id;
+        }
+
+        if (groupId) {
+            const groupResult = await this.db.pool.query('SELECT 1 FROM groups WHERE id = $1::uuid', [groupId]);
+            if (groupResult.rows.length === 0) {
+                throw new Error('Group not found');
+            }
+        }
+
+        if (tokenMint) {
+            try {
+                new PublicKey(tokenMint);
+            } catch (error) {
+                throw new Error('Invalid token mint');
+            }
+        }
+
+        const filter = { walletId, groupId: walletId ? null : groupId, tokenMint, from, to };
+        const { conditions, params } = this.buildFilter(filter);
+        const countResult = await this.db.pool.query(`
+            SELECT COUNT(*)::int AS count
+            FROM transactions t
+            JOIN wallets w ON t.wallet_id = w.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `, params);
+        const totalTransactions = countResult.rows[0].count;
+
+        if (totalTransactions === 0) {
+            throw new Error('No transactions to reclassify');
+        }
+
+        const job = await this.db.createReclassifyJob({ ...filter, totalTransactions, createdBy });
+
+        console.log(`[${new Date().toISOString()}] 🔁 Reclassify job ${job.id} queued: ${totalTransactions} stored transactions`);
+        return job;
+    }
+
+    start() {
+        if (this.timer) return;
+        console.log(`[${new Date().toISOString()}] 🔄 Picking up reclassify jobs every ${this.pollMs / 1000}s`);
+        this.timer = setInterval(() => this.runJobs(), this.pollMs);
+        setImmediate(() => this.runJobs());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    keepClaim(jobId) {
+        const claim = { lost: false };
+        claim.timer = setInterval(async () => {
+            try {
+                if (!(await this.db.heartbeatJob('reclassify_jobs', jobId, this.nodeId))) {
+                    claim.lost = true;
+                }
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] ❌ Failed to renew reclassify job ${jobId}:`, error.message);
+            }
+        }, Math.floor(this.leaseMs / 3));
+        return claim;
+    }
+
+    checkClaim(claim) {
+        if (claim.lost) throw new Error('Job claim lost');
+        if (!this.timer) throw new Error('Job runner stopped');
+    }
+
+    buildFilter({ walletId, groupId, tokenMint, from, to }) {
+        const conditions = [];
+        const params = [];
+        const add = (value, condition) => {
+            params.push(value);
+            conditions.push(condition(`$${params.length}`));
+        };
+
+        if (walletId) add(walletId, (p) => `t.wallet_id = ${p}::uuid`);
+        if (groupId) add(groupId, (p) => `w.group_id = ${p}::uuid`);
+        if (from) add(from, (p) => `t.block_time >= ${p}`);
+        if (to) add(to, (p) => `t.block_time <= ${p}`);
+        if (tokenMint) {
+            add(tokenMint, (p) => `EXISTS (
+                SELECT 1 FROM token_operations o
+                JOIN tokens tk ON o.token_id = tk.id
+                WHERE o.transaction_id = t.id AND tk.mint = ${p}
+            )`);
+        }
+
+        return { conditions, params };
+    }
+
+    async runJobs() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        try {
+            while (this.timer) {
+                const job = await this.db.claimJob('reclassify_jobs', this.nodeId, this.leaseMs);
+                if (!job) break;
+
+                await this.runJob(job);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ Reclassify runner error:`, error.message);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async runJob(job) {
+        const startTime = Date.now();
+        console.log(`[${new Date().toISOString()}] 🔁 Running reclassify job ${job.id}`);
+
+        const claim = this.keepClaim(job.id);
+
+        try {
+            let cursor = job.cursor_id ? { blockTime: job.cursor_block_time, id: job.cursor_id } : null;
+
+            while (true) {
+                this.checkClaim(claim);
+                const rows = await this.fetchPage(job, cursor);
+                if (rows.length === 0) break;
+
+                const counts = { changed: 0, unclassified: 0, errors: 0, lastError: null };
+                for (let i = 0; i < rows.length; i += this.concurrency) {
+                    await Promise.all(rows.slice(i, i + this.concurrency).map(async (row) => {
+                        try {
+                            const outcome = await this.reclassifyTransaction(job, row);
+                            if (outcome === 'updated') counts.changed++;
+                            if (outcome === 'unclassified') counts.unclassified++;
+                        } catch (error) {
+                            console.error(`[${new Date().toISOString()}] ❌ Reclassify failed for ${row.signature}:`, error.message);
+                            counts.errors++;
+                            counts.lastError = `${row.signature}: ${error.message}`;
+                        }
+                    }));
+                }
+
+                const last = rows[rows.length - 1];
+                cursor = { blockTime: last.block_time, id: last.id };
+                await this.saveProgress(job.id, cursor, rows.length, counts);
+
+                console.log(`[${new Date().toISOString()}] 🔁 Reclassify job ${job.id}: ${rows.length} transactions checked, ${counts.changed} updated, ${counts.unclassified} no longer classified`);
+
+                if (rows.length < this.pageSize) break;
+            }
+
+            await this.db.pool.query(`
+                UPDATE reclassify_jobs
+                SET status = 'completed', owner = NULL, finished_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND owner = $2
+            `, [job.id, this.nodeId]);
+
+            console.log(`[${new Date().toISOString()}] ✅ Reclassify job ${job.id} completed in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            if (claim.lost) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Reclassify job ${job.id} was claimed by another runner, stopping`);
+                return;
+            }
+            if (!this.timer) {
+                console.log(`[${new Date().toISOString()}] ⏸️ Reclassify job ${job.id} paused, releasing claim`);
+                await this.db.releaseJob('reclassify_jobs', job.id, this.nodeId);
+                return;
+            }
+            console.error(`[${new Date().toISOString()}] ❌ Reclassify job ${job.id} failed:`, error.message);
+            await this.db.pool.query(`
+                UPDATE reclassify_jobs
+                SET status = 'failed', owner = NULL, last_error = $3, finished_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND owner = $2
+            `, [job.id, this.nodeId, error.message]);
+        } finally {
+            clearInterval(claim.timer);
+        }
+    }
+
+    async fetchPage(job, cursor) {
+        const { conditions, params } = this.buildFilter({
+            walletId: job.wallet_id,
+            groupId: job.group_id,
+            tokenMint: job.token_mint,
+            from: job.from_time,
+            to: job.to_time,
+        });
+        if (cursor) {
+            params.push(cursor.blockTime, cursor.id);
+            conditions.push(`(t.block_time, t.id) > ($${params.length - 1}, $${params.length}::uuid)`);
+        }
+        params.push(this.pageSize);
+
+        const result = await this.db.pool.query(`
+            SELECT t.*, w.address AS wallet_address
+            FROM transactions t
+            JOIN wallets w ON t.wallet_id = w.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY t.block_time, t.id
+            LIMIT $${params.length}
+        `, params);
+        return result.rows;
+    }
+
+    async reclassifyTransaction(job, row) {
+        const wallet = await this.db.getWalletByAddress(row.wallet_address);
+        if (!wallet) {
+            throw new Error('Wallet no longer exists');
+        }
+
+        const tx = await this.monitoringService.fetchTransactionWithRetry(row.signature);
+        if (!tx || !tx.meta) {
+            throw new Error('Transaction could not be fetched');
+        }
+
+        const operations = await this.loadOperations(row.id);
+        const before = this.snapshotStored(row, operations);
+
+        const classification = await this.monitoringService.classifyTransaction(tx, this.withStoredThresholds(wallet, row.thresholds), row.signature);
+        if (!classification || classification.tokenChanges.length === 0) {
+            if (row.transaction_type === 'unclassified') {
+                return 'unchanged';
+            }
+            const createdMints = before.tokens.filter((t) => t.operationType === 'token_create').map((t) => t.mint);
+            await this.db.withTransaction(async (client) => {
+                await this.recordChange(client, job.id, row, 'unclassified', before, null);
+                if (createdMints.length > 0) {
+                    await client.query(
+                        'UPDATE tokens SET deployer_wallet_id = NULL WHERE deployer_wallet_id = $1 AND mint = ANY($2)',
+                        [wallet.id, createdMints]
+                    );
+                }
+                await client.query("UPDATE transactions SET transaction_type = 'unclassified' WHERE id = $1", [row.id]);
+            });
+            console.log(`[${new Date().toISOString()}] 🚫 Marked ${row.signature} unclassified: ${before.type} no longer classifies`);
+            return 'unclassified';
+        }
+
+        const { price: solPrice, fallback: solPriceFallback } = this.resolveSolRate(row, operations, classification);
+        const tokenInfos = await this.getTokenInfos(classification.tokenChanges, operations);
+        const valued = this.monitoringService.valueClassification(classification, tokenInfos, solPrice);
+        const { transactionType, venue = null, counterparty = null, counterpartyMonitored = false, createdMint = null, costs } = classification;
+
+        const after = {
+            type: transactionType,
+            venue,
+            solSpent: roundAmount(valued.solSpent),
+            solReceived: roundAmount(valued.solReceived),
+            usdSpent: roundAmount(valued.usdSpent),
+            usdReceived: roundAmount(valued.usdReceived),
+            baseFee: roundAmount(costs.baseFee / 1e9),
+            priorityFee: roundAmount(costs.priorityFee / 1e9),
+            jitoTip: roundAmount(costs.jitoTip / 1e9),
+            counterparty,
+            solPriceUsd: roundAmount(solPrice),
+            solPriceFallback,
+            tokens: valued.enrichedTokenChanges.map((tc) => ({
+                mint: tc.mint,
+                operationType: tc.operationType,
+                amount: tc.rawChange / Math.pow(10, tc.decimals),
+            })),
+        };
+
+        if (sameSnapshot(before, after)) {
+            return 'unchanged';
+        }
+
+        await this.db.withTransaction(async (client) => {
+            await client.query(`
+                UPDATE transactions
+                SET transaction_type = $2, sol_spent = $3, sol_received = $4, usd_spent = $5, usd_received = $6,
+                    venue = $7, base_fee = $8, priority_fee = $9, jito_tip = $10,
+                    counterparty = $11, counterparty_monitored = $12, sol_price_usd = $13, sol_price_fallback = $14
+                WHERE id = $1
+            `, [
+                row.id,
+                transactionType,
+                valued.solSpent,
+                valued.solReceived,
+                valued.usdSpent,
+                valued.usdReceived,
+                venue,
+                costs.baseFee / 1e9,
+                costs.priorityFee / 1e9,
+                costs.jitoTip / 1e9,
+                counterparty,
+                counterpartyMonitored,
+                solPrice,
+                solPriceFallback,
+            ]);
+
+            await client.query('DELETE FROM token_operations WHERE transaction_id = $1', [row.id]);
+            for (const tokenChange of valued.enrichedTokenChanges) {
+                await this.monitoringService.saveTokenOperationInTransaction(client, row.id, tokenChange, tokenChange.operationType);
+            }
+
+            if (transactionType === 'token_create' && createdMint) {
+                await client.query(
+                    'UPDATE tokens SET deployer_wallet_id = $1 WHERE mint = $2 AND deployer_wallet_id IS NULL',
+                    [wallet.id, createdMint]
+                );
+            }
+
+            await this.recordChange(client, job.id, row, 'updated', before, after);
+        });
+
+        console.log(`[${new Date().toISOString()}] ✏️ Reclassified ${row.signature}: ${before.type} -> ${after.type}`);
+        return 'updated';
+    }
+
+    resolveSolRate(row, operations, classification) {
+        const fresh = { price: classification.solPrice, fallback: !!classification.solPriceFallback };
+        if (row.sol_price_usd !== null && row.sol_price_usd !== undefined) {
+            const stored = { price: Number(row.sol_price_usd), fallback: !!row.sol_price_fallback };
+            return stored.fallback && !fresh.fallback ? fresh : stored;
+        }
+        const operationRate = operations.find((op) => op.sol_price_usd)?.sol_price_usd;
+        return operationRate ? { price: Number(operationRate), fallback: false } : fresh;
+    }
+
+    withStoredThresholds(wallet, thresholds) {
+        if (!thresholds) return wallet;
+        return {
+            ...wallet,
+            buy_threshold: thresholds.buy,
+            sell_threshold: thresholds.sell,
+            fee_threshold: thresholds.fee,
+        };
+    }
+
+    async loadOperations(transactionId) {
+        const result = await this.db.pool.query(`
+            SELECT o.*, tk.mint
+            FROM token_operations o
+            JOIN tokens tk ON o.token_id = tk.id
+            WHERE o.transaction_id = $1
+        `, [transactionId]);
+        return result.rows;
+    }
+
+    async getTokenInfos(tokenChanges, operations) {
+        const tokenInfos = new Map();
+        operations
+            .filter((op) => op.token_price_usd !== null)
+            .forEach((op) => tokenInfos.set(op.mint, {
+                price: Number(op.token_price_usd),
+                marketCap: Number(op.market_cap) || 0,
+                deploymentTime: op.deployment_time,
+                ageInHours: null,
+            }));
+
+        const missing = [...new Set(tokenChanges.map((tc) => tc.mint))].filter((mint) => !tokenInfos.has(mint));
+        if (missing.length > 0) {
+            const current = await this.monitoringService.priceService.getTokenPrices(missing);
+            current.forEach((info, mint) => tokenInfos.set(mint, info));
+        }
+        return tokenInfos;
+    }
+
+    snapshotStored(row, operations) {
+        return {
+            type: row.transaction_type,
+            venue: row.venue,
+            solSpent: roundAmount(row.sol_spent),
+            solReceived: roundAmount(row.sol_received),
+            usdSpent: roundAmount(row.usd_spent),
+            usdReceived: roundAmount(row.usd_received),
+            baseFee: roundAmount(row.base_fee),
+            priorityFee: roundAmount(row.priority_fee),
+            jitoTip: roundAmount(row.jito_tip),
+            counterparty: row.counterparty,
+            solPriceUsd: row.sol_price_usd === null ? null : roundAmount(row.sol_price_usd),
+            solPriceFallback: !!row.sol_price_fallback,
+            tokens: operations.map((op) => ({
+                mint: op.mint,
+                operationType: op.operation_type,
+                amount: Number(op.amount),
+            })),
+        };
+    }
+
+    async recordChange(client, jobId, row, changeType, before, after) {
+        await client.query(`
+            INSERT INTO reclassify_changes (job_id, transaction_id, signature, wallet_id, change_type, before, after)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [jobId, row.id, row.signature, row.wallet_id, changeType, JSON.stringify(before), after ? JSON.stringify(after) : null]);
+    }
+
+    async saveProgress(jobId, cursor, processed, counts) {
+        await this.db.pool.query(`
+            UPDATE reclassify_jobs
+            SET cursor_block_time = $2, cursor_id = $3,
+                processed_transactions = processed_transactions + $4,
+                changed_transactions = changed_transactions + $5,
+                unclassified_transactions = unclassified_transactions + $6,
+                errors_count = errors_count + $7,
+                last_error = COALESCE($8, last_error),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [jobId, cursor.blockTime, cursor.id, processed, counts.changed, counts.unclassified, counts.errors, counts.lastError]);
+    }
+}
+
+module.exports = ReclassifyService;
@@ -0,0 +1,126 @@
+const { fetchJson } = require('./priceProviders/quote');
+
+const MINUTE = 60 * 1000;
+const HISTORY_WINDOW_MINUTES = 30;
+const LOOKUP_CACHE_SIZE = 2000;
+
+class SolPriceHistoryService {
+    constructor(priceService, db) {
+        this.priceService = priceService;
+        this.db = db;
+        this.toleranceMs = parseInt(process.env.SOL_PRICE_LOOKUP_TOLERANCE_MS) || 5 * MINUTE;
+        this.historyUrl = process.env.SOL_PRICE_HISTORY_URL ?? 'https://api.binance.com';
+        this.historySymbol = process.env.SOL_PRICE_HISTORY_SYMBOL || 'SOLUSDT';
+        this.lastResortPrice = parseFloat(process.env.SOL_PRICE_FALLBACK_USD) || 150;
+        this.lookupCache = new Map();
+    }
+
+    static toMinute(time) {
+        return Math.floor(new Date(time).getTime() / MINUTE) * MINUTE;
+    }
+
+    async record(price, source, time = Date.now()) {
+        await this.db.recordSolPrices([{ minute: SolPriceHistoryService.toMinute(time), price, source }]);
+    }
+
+    async getPriceAt(time) {
+        const minute = SolPriceHistoryService.toMinute(time);
+        if (this.lookupCache.has(minute)) {
+            return this.lookupCache.get(minute);
+        }
+
+        let rate = null;
+        try {
+            rate = await this.lookupStored(minute) || await this.lookupLive(minute) || await this.fetchHistory(minute);
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ SOL price history lookup failed for ${new Date(minute).toISOString()}:`, error.message);
+        }
+
+        if (rate) {
+            if (rate.sampledAt && SolPriceHistoryService.toMinute(rate.sampledAt) === minute) {
+                this.cacheLookup(minute, rate);
+            }
+            return rate;
+        }
+        return this.getFallback(minute);
+    }
+
+    async lookupStored(minute) {
+        const sample = await this.db.getSolPriceAt(new Date(minute).toISOString(), this.toleranceMs);
+        if (!sample) {
+            return null;
+        }
+        return { price: sample.price, source: sample.source, sampledAt: sample.sampledAt, fallback: false };
+    }
+
+    async lookupLive(minute) {
+        if (Math.abs(Date.now() - minute) > this.toleranceMs) {
+            return null;
+        }
+        const live = await this.priceService.getSolPrice();
+        if (!live.success || live.stale) {
+            return null;
+        }
+        await this.record(live.price, live.source, live.lastUpdated);
+        return { price: live.price, source: live.source, sampledAt: live.lastUpdated, fallback: false };
+    }
+
+    async fetchHistory(minute) {
+        if (!this.historyUrl || Date.now() - minute < this.toleranceMs) {
+            return null;
+        }
+
+        const startTime = minute - HISTORY_WINDOW_MINUTES * MINUTE;
+        const endTime = Math.min(Date.now(), minute + HISTORY_WINDOW_MINUTES * MINUTE);
+        const klines = await fetchJson('sol-history', `${this.historyUrl}/api/v3/klines?symbol=${this.historySymbol}&interval=1m&startTime=${startTime}&endTime=${endTime}&limit=${HISTORY_WINDOW_MINUTES * 2 + 1}`);
+        if (!Array.isArray(klines) || klines.length === 0) {
+            return null;
+        }
+
+        const rows = klines
+            .map((kline) => ({ minute: Number(kline[0]), price: parseFloat(kline[4]), source: 'binance' }))
+            .filter((row) => row.price > 0);
+        if (rows.length === 0) {
+            return null;
+        }
+        await this.db.recordSolPrices(rows);
+        console.log(`[${new Date().toISOString()}] 🕰️ Backfilled ${rows.length} minute(s) of SOL/USD history around ${new Date(minute).toISOString()}`);
+
+        return this.lookupStored(minute);
+    }
+
+    async getFallback(minute) {
+        const at = new Date(minute).toISOString();
+        const live = await this.priceService.getSolPrice();
+        if (live.success) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ No SOL/USD history for ${at}, falling back to ${live.stale ? 'stale' : 'current'} price $${live.price} (${live.source})`);
+            return { price: live.price, source: live.source, sampledAt: live.lastUpdated, fallback: true };
+        }
+
+        try {
+            const latest = await this.db.getLatestSolPrice();
+            if (latest) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ No SOL/USD history for ${at} and no live price, falling back to last recorded $${latest.price} from ${new Date(latest.sampledAt).toISOString()}`);
+                return { ...latest, fallback: true };
+            }
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Latest SOL price lookup failed:`, error.message);
+        }
+
+        console.error(`[${new Date().toISOString()}] ❌ No SOL/USD price available for ${at}, using configured fallback $${this.lastResortPrice}`);
+        return { price: this.lastResortPrice, source: 'fallback', sampledAt: null, fallback: true };
+    }
+
+    cacheLookup(minute, rate) {
+        if (this.lookupCache.size >= LOOKUP_CACHE_SIZE) {
+            this.lookupCache.delete(this.lookupCache.keys().next().value);
+        }
+        this.lookupCache.set(minute, rate);
+    }
+
+    getSeries(from, to) {
+        return this.db.getSolPriceSeries(from, to);
+    }
+}
+
+module.exports = SolPriceHistoryService;
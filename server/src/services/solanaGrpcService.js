@@ -2,42 +2,72 @@ const grpcPackage = require("@triton-one/yellowstone-grpc");
 const { SubscribeRequest, SubscribeRequestFilterTransactions, CommitmentLevel } = grpcPackage;
 const WalletMonitoringService = require('./monitoringService');
 const Database = require('../database/connection');
+const GrpcEndpointPool = require('./grpcEndpointPool');
+const SubscriptionManager = require('./subscriptionManager');
+const { redis } = require('./tokenService');
 const { PublicKey } = require('@solana/web3.js');
+const { normalizeGrpcTransaction, encode } = require('./grpcTransactionNormalizer');
 class SolanaGrpcService {
-    constructor() {
-        this.grpcEndpoint = process.env.GRPC_ENDPOINT || 'http://45.134.108.254:10000';
+    constructor(monitoringService = new WalletMonitoringService()) {
+        this.endpointPool = GrpcEndpointPool.fromEnv();
+        this.activeEndpoint = null;
+        this.grpcEndpoint = this.endpointPool.best().url;
         this.client = null;
         this.stream = null;
-        this.monitoringService = new WalletMonitoringService();
+        this.standby = null;
+        this.hotStandby = process.env.GRPC_HOT_STANDBY === 'true' && this.endpointPool.endpoints.length > 1;
+        this.seenSignatures = new Map();
+        this.subscriptionManager = new SubscriptionManager();
+        this.healthCheckInterval = null;
+        this.healthCheckPeriod = parseInt(process.env.GRPC_HEALTH_INTERVAL_MS) || 15000;
+        this.failoverMargin = 25;
+        this.isFailingOver = false;
+        this.monitoringService = monitoringService;
         this.db = new Database();
         this.isStarted = false;
-        this.activeGroupId = null;
-        this.monitoredWallets = new Set();
+        this.isCurrent = () => true;
+        this.onExhausted = null;
+        this.monitoredWallets = new Map();
         this.messageCount = 0;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 20;
         this.reconnectInterval = 5000;
+        this.lastSlot = null;
+        this.lastSlotSavedAt = 0;
+        this.slotKey = 'grpc:last_slot';
+        this.maxReplaySlots = parseInt(process.env.GRPC_REPLAY_MAX_SLOTS) || 150;
+        this.recoveryUntilSlot = null;
+        this.rpcRecoveryActive = false;
+        this.pendingReplay = false;
+        this.replayUnsupported = false;
         this.stats = {
             totalTransactions: 0,
             processedTransactions: 0,
             filteredTransactions: 0,
+            recoveredTransactions: 0,
+            gapRecoveries: 0,
+            failovers: 0,
+            duplicateTransactions: 0,
             errors: 0,
             startTime: Date.now()
         };
     }
 
-    async start(groupId = null) {
-        if (this.isStarted && this.activeGroupId === groupId) {
-            console.log(`[${new Date().toISOString()}] 🔄 gRPC service already started${groupId ? ` for group ${groupId}` : ''}`);
+    async start({ isCurrent = () => true, onExhausted = null } = {}) {
+        if (this.isStarted) {
+            console.log(`[${new Date().toISOString()}] 🔄 gRPC service already started`);
             return;
         }
-        console.log(`[${new Date().toISOString()}] 🚀 Starting gRPC Solana client for ${this.grpcEndpoint}${groupId ? `, group ${groupId}` : ''}`);
+        this.isCurrent = isCurrent;
+        this.onExhausted = onExhausted;
+        console.log(`[${new Date().toISOString()}] 🚀 Starting gRPC Solana client for ${this.grpcEndpoint}`);
         this.isStarted = true;
-        this.activeGroupId = groupId;
         try {
+            const gapStartSlot = this.lastSlot || await this.loadLastSlot();
             await this.connect();
             await this.loadMonitoredWallets();
-            await this.subscribeToTransactions();
+            await this.subscribeWithRecovery(gapStartSlot);
+            this.startHealthChecks();
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ Failed to start gRPC service:`, error.message);
             this.isStarted = false;
@@ -45,21 +75,13 @@ class SolanaGrpcService {
         }
     }
 
-    async connect() {
+    async connect(exclude = []) {
         try {
-            console.log(`[${new Date().toISOString()}] 🔌 Connecting to gRPC: ${this.grpcEndpoint}`);
-            const Client = grpcPackage.default;
-            if (!Client) {
-                throw new Error('gRPC Client not found in default export');
-            }
-            this.client = new Client(this.grpcEndpoint, undefined, {
-                'grpc.keepalive_time_ms': 30000,
-                'grpc.keepalive_timeout_ms': 5000,
-                'grpc.keepalive_permit_without_calls': true,
-                'grpc.http2.max_pings_without_data': 0,
-                'grpc.http2.min_time_between_pings_ms': 10000,
-                'grpc.http2.min_ping_interval_without_data_ms': 30000
-            });
+            const endpoint = this.endpointPool.best(exclude);
+            console.log(`[${new Date().toISOString()}] 🔌 Connecting to gRPC: ${endpoint.url} (score ${endpoint.score})`);
+            this.client = this.endpointPool.getClient(endpoint);
+            this.activeEndpoint = endpoint;
+            this.grpcEndpoint = endpoint.url;
             console.log(`[${new Date().toISOString()}] ✅ Connected to gRPC Solana stream`);
             this.reconnectAttempts = 0;
         } catch (error) {
@@ -70,15 +92,15 @@ class SolanaGrpcService {
 
     async loadMonitoredWallets() {
         try {
-            const wallets = await this.db.getActiveWallets(this.activeGroupId);
+            const wallets = await this.db.getActiveWallets();
             this.monitoredWallets.clear();
             wallets.forEach(wallet => {
-                this.monitoredWallets.add(wallet.address);
+                this.addMonitoredWallet(wallet.address, wallet.group_id);
             });
-            console.log(`[${new Date().toISOString()}] 📊 Loaded ${this.monitoredWallets.size} wallets for monitoring${this.activeGroupId ? ` in group ${this.activeGroupId}` : ' (all groups)'}`);
+            console.log(`[${new Date().toISOString()}] 📊 Loaded ${this.monitoredWallets.size} wallets for monitoring across ${this.getMonitoredGroups().length} group(s)`);
             if (this.monitoredWallets.size > 0) {
-                console.log(`[${new Date().toISOString()}] 🔍 Sample monitored wallets (group: ${this.activeGroupId || 'all'}):`);
-                Array.from(this.monitoredWallets).slice(0, 5).forEach(address => {
+                console.log(`[${new Date().toISOString()}] 🔍 Sample monitored wallets:`);
+                Array.from(this.monitoredWallets.keys()).slice(0, 5).forEach(address => {
                     console.log(`  - ${address.slice(0, 8)}...`);
                 });
             }
@@ -88,100 +110,114 @@ class SolanaGrpcService {
         }
     }
 
-async subscribeToTransactions() {
-  if (this.stream) {
+buildSubscribeRequest(fromSlot = null) {
+  const accountsToMonitor = Array.from(this.monitoredWallets.keys()).filter(address => {
     try {
-      await this.stream.end();
-      console.log(`[${new Date().toISOString()}] 🔌 Closed existing gRPC stream`);
-    } catch (e) {
-      console.warn(`[${new Date().toISOString()}] ⚠️ Error ending existing stream:`, e.message);
+      new PublicKey(address);
+      return true;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Invalid wallet address: ${address.slice(0, 8)}...`, error.message);
+      return false;
     }
+  });
+  
+  console.log(`[${new Date().toISOString()}] 📊 Monitoring ${accountsToMonitor.length} valid wallets:`, 
+    accountsToMonitor.slice(0, 3).map(a => a.slice(0, 8)).join(', '));
+  
+  const { accounts, transactions } = this.subscriptionManager.buildFilters(accountsToMonitor);
+  const request = SubscribeRequest.fromJSON({
+    accounts,
+    slots: {
+      "slot_updates": { filterByCommitment: true }
+    },
+    transactions,
+    blocks: {},
+    blocksMeta: {},
+    accountsDataSlice: [],
+    commitment: CommitmentLevel.CONFIRMED,
+    entry: {}
+  });
+  this.subscriptionManager.commit(accountsToMonitor);
+  
+  if (accountsToMonitor.length > 0) {
+    console.log(`[${new Date().toISOString()}] 📡 Subscribing to ${accountsToMonitor.length} specific accounts in ${Object.keys(transactions).length} filter(s)`);
+  } else {
+    console.log(`[${new Date().toISOString()}] 📡 No wallets to monitor, subscribing to all transactions`);
+  }
+  
+  if (fromSlot) {
+    request.fromSlot = String(fromSlot);
+    console.log(`[${new Date().toISOString()}] ⏪ Requesting replay from slot ${fromSlot}`);
+  }
+  
+  return request;
+}
+
+async openStream(client, request) {
+  const stream = await client.subscribe();
+  await this.writeRequest(stream, request);
+  return stream;
+}
+
+async writeRequest(stream, request) {
+  await Promise.race([
+    new Promise((resolve, reject) => {
+      stream.write(request, (error) => (error ? reject(error) : resolve()));
+    }),
+    new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Subscription write timeout')), 10000)
+    )
+  ]);
+}
+
+async endStream(stream) {
+  if (!stream) return;
+  stream.closedByService = true;
+  try {
+    await stream.end();
+  } catch (e) {
+    console.warn(`[${new Date().toISOString()}] ⚠️ Error ending stream:`, e.message);
+  }
+}
+
+async subscribeToTransactions(options = {}) {
+  const { fromSlot = null } = options;
+  await this.closeStandby();
+  if (this.stream) {
+    await this.endStream(this.stream);
+    console.log(`[${new Date().toISOString()}] 🔌 Closed existing gRPC stream`);
     this.stream = null;
   }
 
   try {
     console.log(`[${new Date().toISOString()}] 📡 Starting gRPC transaction subscription...`);
     
-    const accountsToMonitor = Array.from(this.monitoredWallets).filter(address => {
-      try {
-        new PublicKey(address);
-        return true;
-      } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Invalid wallet address: ${address.slice(0, 8)}...`, error.message);
-        return false;
-      }
-    });
-    
-    console.log(`[${new Date().toISOString()}] 📊 Monitoring ${accountsToMonitor.length} valid wallets:`, 
-      accountsToMonitor.slice(0, 3).map(a => a.slice(0, 8)).join(', '));
-    
-    let request;
-    if (accountsToMonitor.length > 0) {
-      request = SubscribeRequest.fromJSON({
-        accounts: {
-          "monitored_accounts": {
-            account: accountsToMonitor,
-            owner: [],
-            filters: []
-          }
-        },
-        slots: {},
-        transactions: {
-          "monitored_transactions": {
-            accountInclude: accountsToMonitor,
-            accountExclude: [],
-            accountRequired: accountsToMonitor
-          }
-        },
-        blocks: {},
-        blocksMeta: {},
-        accountsDataSlice: [],
-        commitment: CommitmentLevel.CONFIRMED,
-        entry: {}
-      });
-      console.log(`[${new Date().toISOString()}] 📡 Subscribing to ${accountsToMonitor.length} specific accounts`);
-    } else {
-      request = SubscribeRequest.fromJSON({
-        accounts: {},
-        slots: {},
-        transactions: {
-          "all_transactions": {
-            accountInclude: [],
-            accountExclude: [],
-            accountRequired: []
-          }
-        },
-        blocks: {},
-        blocksMeta: {},
-        accountsDataSlice: [],
-        commitment: CommitmentLevel.CONFIRMED,
-        entry: {}
-      });
-      console.log(`[${new Date().toISOString()}] 📡 No wallets to monitor, subscribing to all transactions`);
-    }
+    const request = this.buildSubscribeRequest(fromSlot);
+    this.subscriptionManager.recordSubscribe();
     
     if (!this.client) {
       await this.connect();
     }
     
-    this.stream = await this.client.subscribe();
+    this.stream = await this.openStream(this.client, request);
+    this.pendingReplay = !!fromSlot;
     
-    await Promise.race([
-      this.stream.write(request),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Subscription write timeout')), 10000)
-      )
-    ]);
+    console.log(`[${new Date().toISOString()}] ✅ gRPC subscription request sent to ${this.grpcEndpoint}`);
     
-    console.log(`[${new Date().toISOString()}] ✅ gRPC subscription request sent`);
+    this.startMessageProcessing(this.stream, this.activeEndpoint);
     
-    this.startMessageProcessing();
+    if (this.hotStandby && !fromSlot) {
+      await this.openStandbyStream();
+    }
     
   } catch (error) {
     console.error(`[${new Date().toISOString()}] ❌ gRPC subscription error:`, error.message);
+    if (this.activeEndpoint) {
+      this.endpointPool.recordError(this.activeEndpoint, error);
+    }
     this.stream = null;
     
-    if (this.isStarted) {
+    if (this.isStarted && !fromSlot) {
       await new Promise(resolve => setTimeout(resolve, 2000));
       await this.handleReconnect();
     }
@@ -189,12 +225,26 @@ async subscribeToTransactions() {
   }
 }
 
-startMessageProcessing() {
-  this.stream.on('data', async (data) => {
+startMessageProcessing(stream, endpoint) {
+  stream.on('data', async (data) => {
     try {
-      console.log(`[${new Date().toISOString()}] 📥 Raw gRPC message:`, JSON.stringify(data, null, 2).slice(0, 500));
+      if (stream === this.stream) {
+        this.pendingReplay = false;
+      }
+      this.endpointPool.recordMessage(endpoint);
+      if (data.slot) {
+        this.endpointPool.recordSlot(endpoint, data.slot.slot);
+        this.trackSlot(data.slot.slot);
+        if (stream === this.stream) {
+          this.trackReplayProgress(Number(data.slot.slot));
+        }
+        return;
+      }
       if (data.transaction) {
-        await this.processTransaction(data);
+        this.monitoringService.recorder.recordUpdate(data);
+        await this.processTransaction(data.transaction);
+        this.endpointPool.recordSlot(endpoint, data.transaction.slot);
+        this.trackSlot(data.transaction.slot);
       }
     } catch (error) {
       console.error(`[${new Date().toISOString()}] ❌ Error processing gRPC message:`, error.message);
@@ -202,23 +252,52 @@ startMessageProcessing() {
     }
   });
 
-  this.stream.on('error', (error) => {
-    console.error(`[${new Date().toISOString()}] ❌ Stream processing error:`, error.message);
-    this.stream = null;
-    if (this.isStarted) {
-      console.log(`[${new Date().toISOString()}] 🔄 Stream ended, waiting for reconnection...`);
-      setTimeout(() => this.handleReconnect(), 2000);
+  stream.on('error', (error) => {
+    console.error(`[${new Date().toISOString()}] ❌ Stream processing error on ${endpoint.url}:`, error.message);
+    if (!stream.closedByService) {
+      this.endpointPool.recordError(endpoint, error);
     }
+    this.handleStreamClosed(stream);
   });
 
-  this.stream.on('end', () => {
-    console.log(`[${new Date().toISOString()}] 🔌 Stream ended`);
-    this.stream = null;
+  stream.on('end', () => {
+    console.log(`[${new Date().toISOString()}] 🔌 Stream ended on ${endpoint.url}`);
+    this.handleStreamClosed(stream);
+  });
+}
+
+handleStreamClosed(stream) {
+  if (stream.closedByService) return;
+  stream.closedByService = true;
+
+  if (this.standby && stream === this.standby.stream) {
+    console.warn(`[${new Date().toISOString()}] ⚠️ Hot standby stream on ${this.standby.endpoint.url} closed`);
+    this.standby = null;
     if (this.isStarted) {
-      console.log(`[${new Date().toISOString()}] 🔄 Scheduling reconnection...`);
-      setTimeout(() => this.handleReconnect(), 2000);
+      setTimeout(() => this.openStandbyStream(), this.reconnectInterval);
     }
-  });
+    return;
+  }
+
+  if (stream !== this.stream) return;
+  this.stream = null;
+
+  if (this.pendingReplay) {
+    console.warn(`[${new Date().toISOString()}] ⚠️ Stream failed during slot replay, falling back to RPC gap recovery next time`);
+    this.pendingReplay = false;
+    this.replayUnsupported = true;
+  }
+
+  if (!this.isStarted) return;
+
+  if (this.standby) {
+    this.stats.failovers++;
+    this.promoteStandby();
+    return;
+  }
+
+  console.log(`[${new Date().toISOString()}] 🔄 Scheduling reconnection...`);
+  setTimeout(() => this.handleReconnect(), 2000);
 }
 
     async handleGrpcMessage(data) {
@@ -256,26 +335,25 @@ async processTransaction(transactionData) {
       return;
     }
     
-    const signatureBuffer = transaction.signature?.data;
-    if (!signatureBuffer) {
+    if (!transaction.signature) {
       console.log(`[${new Date().toISOString()}] ⏭️ Skipping - no signature`);
       return;
     }
-    const signature = new PublicKey(signatureBuffer).toBase58();
+    const signature = encode(transaction.signature);
+    if (this.seenSignatures.has(signature)) {
+      this.stats.duplicateTransactions++;
+      return;
+    }
+    this.rememberSignature(signature);
     console.log(`[${new Date().toISOString()}] 🔍 Processing transaction: ${signature.slice(0, 8)}...`);
 
-    let meta = transactionData.meta;
+    let meta = transaction.meta;
+    let rpcTx = null;
     if (!meta) {
       console.log(`[${new Date().toISOString()}] ⚠️ No metadata in gRPC data, fetching from RPC...`);
-      const connection = new Connection(process.env.SOLANA_RPC_URL, {
-        commitment: 'confirmed'
-      });
-      const tx = await connection.getParsedTransaction(signature, {
-        maxSupportedTransactionVersion: 0,
-        commitment: 'confirmed'
-      });
-      if (tx) {
-        meta = tx.meta;
+      rpcTx = await this.monitoringService.fetchTransactionWithRetry(signature);
+      if (rpcTx) {
+        meta = rpcTx.meta;
         console.log(`[${new Date().toISOString()}] ✅ Fetched metadata from RPC for ${signature.slice(0, 8)}...`);
       } else {
         console.log(`[${new Date().toISOString()}] ⏭️ Skipping - could not fetch metadata for ${signature.slice(0, 8)}...`);
@@ -289,6 +367,12 @@ async processTransaction(transactionData) {
     }
 
     const accountKeys = this.extractAccountKeys(transaction);
+    const loadedAddresses = await this.extractLoadedAddresses(transaction, meta);
+    [...loadedAddresses.writable, ...loadedAddresses.readonly].forEach(key => {
+      if (!accountKeys.includes(key)) {
+        accountKeys.push(key);
+      }
+    });
     console.log(`[${new Date().toISOString()}] 🔍 Extracted ${accountKeys.length} account keys from transaction`);
     
     if (accountKeys.length === 0) {
@@ -309,16 +393,28 @@ async processTransaction(transactionData) {
       console.log(`[${new Date().toISOString()}] ⏭️ No monitored wallets found in transaction ${signature.slice(0, 8)}...`);
       if (accountKeys.length > 0) {
         console.log(`[${new Date().toISOString()}] 🔍 Account keys in transaction: ${accountKeys.slice(0, 3).map(k => k.slice(0, 8)).join(', ')}...`);
-        console.log(`[${new Date().toISOString()}] 🔍 First few monitored wallets: ${Array.from(this.monitoredWallets).slice(0, 3).map(k => k.slice(0, 8)).join(', ')}...`);
+        console.log(`[${new Date().toISOString()}] 🔍 First few monitored wallets: ${Array.from(this.monitoredWallets.keys()).slice(0, 3).map(k => k.slice(0, 8)).join(', ')}...`);
       }
       return;
     }
 
     this.stats.filteredTransactions++;
     const blockTime = this.extractBlockTime(transactionData);
+    const slot = Number(transactionData.transaction?.slot || transactionData.slot || 0);
+    const late = !!(this.recoveryUntilSlot && slot && slot < this.recoveryUntilSlot);
+    this.trackReplayProgress(slot);
 
     console.log(`[${new Date().toISOString()}] 🎯 Relevant transaction found: ${signature.slice(0, 8)}... for ${relevantWallets.length} wallet(s)`);
 
+    let tx = rpcTx;
+    if (!tx) {
+      try {
+        tx = normalizeGrpcTransaction(transaction, { slot, blockTime, loadedAddresses });
+      } catch (normalizeError) {
+        console.warn(`[${new Date().toISOString()}] ⚠️ Could not normalize gRPC payload for ${signature.slice(0, 8)}..., RPC will be used:`, normalizeError.message);
+      }
+    }
+
     for (const walletAddress of relevantWallets) {
       const wallet = await this.db.getWalletByAddress(walletAddress);
       if (!wallet) {
@@ -326,25 +422,26 @@ async processTransaction(transactionData) {
         continue;
       }
 
-      if (this.activeGroupId && wallet.group_id !== this.activeGroupId) {
-        console.log(`[${new Date().toISOString()}] ⏭️ Skipping wallet ${walletAddress.slice(0, 8)}... - wrong group (${wallet.group_id} vs ${this.activeGroupId})`);
-        continue;
-      }
-
       console.log(`[${new Date().toISOString()}] 📝 Processing transaction for wallet ${walletAddress.slice(0, 8)}... (group: ${wallet.group_id || 'none'})`);
       
       await this.monitoringService.processWebhookMessage({
         signature,
         walletAddress,
         blockTime,
-        groupId: wallet.group_id
+        groupId: wallet.group_id,
+        late,
+        tx,
+        metaSource: rpcTx ? 'rpc' : 'grpc'
       });
       
       this.stats.processedTransactions++;
+      if (late) {
+        this.stats.recoveredTransactions++;
+      }
     }
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] ❌ Error processing transaction:`, error.message);
-    console.error(`[${new Date().toISOString()}] 🔍 Transaction data structure:`, JSON.stringify(transactionData, null, 2).slice(0, 500));
+    const signature = transactionData?.transaction?.signature ? encode(transactionData.transaction.signature) : 'unknown';
+    console.error(`[${new Date().toISOString()}] ❌ Error processing transaction ${signature} at slot ${transactionData?.slot ?? 'unknown'}:`, error.message);
     this.stats.errors++;
   }
 }
@@ -391,22 +488,6 @@ extractAccountKeys(transaction) {
       });
     }
 
-    if (message.addressTableLookups && Array.isArray(message.addressTableLookups)) {
-      console.log(`[${new Date().toISOString()}] 🔍 Found ${message.addressTableLookups.length} address table lookups`);
-      message.addressTableLookups.forEach(lookup => {
-        try {
-          if (lookup.accountKey) {
-            const keyString = typeof lookup.accountKey === 'string' ? lookup.accountKey : new PublicKey(lookup.accountKey).toBase58();
-            if (keyString && !accountKeys.includes(keyString)) {
-              accountKeys.push(keyString);
-            }
-          }
-        } catch (lookupError) {
-          console.warn(`[${new Date().toISOString()}] ⚠️ Error processing address table lookup:`, lookupError.message);
-        }
-      });
-    }
-
     if (message.instructions && Array.isArray(message.instructions)) {
       message.instructions.forEach((instruction, instrIndex) => {
         try {
@@ -445,6 +526,21 @@ extractAccountKeys(transaction) {
   }
 }
 
+async extractLoadedAddresses(transaction, meta) {
+  const message = transaction.message || transaction.transaction?.message;
+  if (!message?.addressTableLookups || message.addressTableLookups.length === 0) {
+    return { writable: [], readonly: [] };
+  }
+  try {
+    const loaded = await this.monitoringService.lookupTableResolver.resolve(message, meta);
+    console.log(`[${new Date().toISOString()}] 🔍 Resolved ${loaded.writable.length + loaded.readonly.length} addresses from ${message.addressTableLookups.length} address table lookups`);
+    return loaded;
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] ⚠️ Error resolving address table lookups:`, error.message);
+    return { writable: [], readonly: [] };
+  }
+}
+
     extractBlockTime(transactionData) {
         try {
             let blockTime = null;
@@ -482,37 +578,49 @@ async updateSubscription() {
         return;
     }
 
+    const { added, removed } = this.subscriptionManager.diff(this.monitoredWallets.keys());
+    if (added.length === 0 && removed.length === 0) {
+        console.log(`[${new Date().toISOString()}] ⏭️ gRPC subscription already up to date`);
+        return;
+    }
+
     try {
-        console.log(`[${new Date().toISOString()}] 🔄 Updating gRPC subscription with current wallets`);
+        console.log(`[${new Date().toISOString()}] 🔄 Updating gRPC subscription in place: +${added.length} / -${removed.length} wallets`);
         
-        if (this.stream) {
-            console.log(`[${new Date().toISOString()}] 🔌 Closing existing gRPC stream...`);
-            try {
-                await this.stream.end();
-            } catch (endError) {
-                console.warn(`[${new Date().toISOString()}] ⚠️ Error ending stream:`, endError.message);
-            }
-            this.stream = null;
+        if (!this.stream) {
+            console.log(`[${new Date().toISOString()}] 🔄 No active stream, creating new gRPC subscription...`);
+            await this.subscribeToTransactions();
+            return;
         }
 
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        console.log(`[${new Date().toISOString()}] 🔄 Creating new gRPC subscription...`);
-        await this.subscribeToTransactions();
-        
-        console.log(`[${new Date().toISOString()}] ✅ gRPC subscription updated successfully`);
+        const startTime = Date.now();
+        const request = this.buildSubscribeRequest();
+        await this.writeRequest(this.stream, request);
+
+        if (this.standby) {
+            await this.writeRequest(this.standby.stream, request).catch((error) => {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Failed to update hot standby filters:`, error.message);
+            });
+        }
+
+        const latency = Date.now() - startTime;
+        this.subscriptionManager.recordUpdate(added.length, removed.length, latency);
+        console.log(`[${new Date().toISOString()}] ✅ gRPC subscription updated in ${latency}ms without restarting the stream`);
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error updating subscription:`, error.message);
-        console.error(`[${new Date().toISOString()}] 🔍 Error details:`, error.stack);
+        console.error(`[${new Date().toISOString()}] ❌ Error updating subscription in place, restarting stream:`, error.message);
         
-        await this.handleReconnect();
+        try {
+            await this.subscribeToTransactions();
+        } catch (restartError) {
+            console.error(`[${new Date().toISOString()}] 🔍 Error details:`, restartError.stack);
+        }
     }
 }
 
-    async subscribeToWallet(walletAddress) {
+    async subscribeToWallet(walletAddress, groupId = null) {
         try {
-            this.monitoredWallets.add(walletAddress);
+            this.addMonitoredWallet(walletAddress, groupId);
             console.log(`[${new Date().toISOString()}] ✅ Added wallet ${walletAddress.slice(0, 8)}... to gRPC monitoring (total: ${this.monitoredWallets.size})`);
             
             await this.updateSubscription();
@@ -524,13 +632,13 @@ async updateSubscription() {
         }
     }
 
-    async subscribeToWalletsBatch(walletAddresses, batchSize = 1000) {
-        if (!walletAddresses || walletAddresses.length === 0) return { successful: 0, failed: 0 };
+    async subscribeToWalletsBatch(wallets, batchSize = 1000) {
+        if (!wallets || wallets.length === 0) return { successful: 0, failed: 0 };
         const startTime = Date.now();
         let successful = 0;
         try {
-            walletAddresses.forEach(address => {
-                this.monitoredWallets.add(address);
+            wallets.forEach(wallet => {
+                this.addMonitoredWallet(wallet.address, wallet.groupId);
                 successful++;
             });
             
@@ -543,24 +651,7 @@ async updateSubscription() {
             return { successful, failed: 0, errors: [] };
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ Error in gRPC batch subscription:`, error.message);
-            return { successful, failed: walletAddresses.length - successful, errors: [error.message] };
-        }
-    }
-
-    async switchGroup(groupId) {
-        try {
-            const startTime = Date.now();
-            console.log(`[${new Date().toISOString()}] 🔄 Switching to group ${groupId || 'all'} in gRPC service`);
-            this.activeGroupId = groupId;
-            await this.loadMonitoredWallets();
-            
-            await this.updateSubscription();
-            
-            const duration = Date.now() - startTime;
-            console.log(`[${new Date().toISOString()}] ✅ gRPC group switch completed in ${duration}ms: now monitoring ${this.monitoredWallets.size} wallets`);
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] ❌ Error in gRPC switchGroup:`, error.message);
-            throw error;
+            return { successful, failed: wallets.length - successful, errors: [error.message] };
         }
     }
 
@@ -612,17 +703,13 @@ async updateSubscription() {
             console.log(`[${new Date().toISOString()}] 🗄️ Starting database removal...`);
             await this.monitoringService.removeAllWallets(groupId);
             console.log(`[${new Date().toISOString()}] ✅ Database removal completed`);
-            const shouldReload = this.isStarted && (
-                (groupId && groupId === this.activeGroupId) ||
-                (!groupId)
-            );
+            const shouldReload = this.isStarted;
             if (shouldReload) {
-                console.log(`[${new Date().toISOString()}] 🔄 Reloading monitored wallets after group deletion...`);
-                await this.loadMonitoredWallets();
+                console.log(`[${new Date().toISOString()}] 🔄 Updating subscription after wallet removal...`);
                 
                 await this.updateSubscription();
                 
-                console.log(`[${new Date().toISOString()}] ✅ Reload completed: ${this.monitoredWallets.size} wallets now monitored`);
+                console.log(`[${new Date().toISOString()}] ✅ Update completed: ${this.monitoredWallets.size} wallets now monitored`);
             }
             const duration = Date.now() - startTime;
             const finalReport = {
@@ -646,35 +733,303 @@ async updateSubscription() {
     }
 
     async handleReconnect() {
+        if (!this.isStarted || !this.isCurrent()) return;
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
             console.error(`[${new Date().toISOString()}] ❌ Max reconnect attempts reached for gRPC service`);
-            this.isStarted = false;
+            await this.stop();
+            if (this.onExhausted) {
+                await this.onExhausted();
+            }
             return;
         }
         this.reconnectAttempts++;
         console.log(`[${new Date().toISOString()}] 🔄 Reconnecting gRPC service (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
         await new Promise(resolve => setTimeout(resolve, this.reconnectInterval));
+        if (!this.isStarted || !this.isCurrent()) {
+            console.warn(`[${new Date().toISOString()}] 🔻 gRPC service stopped or lost leadership, abandoning reconnect`);
+            return;
+        }
         try {
+            const gapStartSlot = this.lastSlot;
+            const failedUrl = this.activeEndpoint?.url;
             await this.stop();
-            await this.connect();
+            if (!this.isCurrent()) {
+                console.warn(`[${new Date().toISOString()}] 🔻 Leadership lost during reconnect, staying stopped`);
+                return;
+            }
+            this.isStarted = true;
+            await this.connect(failedUrl ? [failedUrl] : []);
             await this.loadMonitoredWallets();
-            await this.subscribeToTransactions();
+            await this.subscribeWithRecovery(gapStartSlot);
+            this.startHealthChecks();
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ gRPC reconnect failed:`, error.message);
         }
     }
 
+    trackReplayProgress(slot) {
+        if (!this.recoveryUntilSlot || !slot || slot < this.recoveryUntilSlot) return;
+        console.log(`[${new Date().toISOString()}] ✅ Slot replay caught up at slot ${slot}`);
+        this.recoveryUntilSlot = null;
+        if (this.hotStandby) {
+            this.openStandbyStream();
+        }
+    }
+
+    async openStandbyStream() {
+        if (!this.isStarted || !this.hotStandby || this.standby) return;
+
+        const endpoint = this.endpointPool.best(this.activeEndpoint ? [this.activeEndpoint.url] : []);
+        if (!endpoint || endpoint === this.activeEndpoint) return;
+
+        try {
+            const client = this.endpointPool.getClient(endpoint);
+            const stream = await this.openStream(client, this.buildSubscribeRequest());
+            this.standby = { endpoint, client, stream };
+            this.startMessageProcessing(stream, endpoint);
+            console.log(`[${new Date().toISOString()}] 🔥 Hot standby stream running on ${endpoint.url}`);
+        } catch (error) {
+            this.endpointPool.recordError(endpoint, error);
+            console.warn(`[${new Date().toISOString()}] ⚠️ Failed to open hot standby on ${endpoint.url}:`, error.message);
+        }
+    }
+
+    async closeStandby() {
+        if (!this.standby) return;
+        const { stream } = this.standby;
+        this.standby = null;
+        await this.endStream(stream);
+    }
+
+    promoteStandby() {
+        const { endpoint, client, stream } = this.standby;
+        this.standby = null;
+        console.log(`[${new Date().toISOString()}] 🔀 Promoting hot standby ${endpoint.url} to primary`);
+        this.client = client;
+        this.stream = stream;
+        this.activeEndpoint = endpoint;
+        this.grpcEndpoint = endpoint.url;
+        setTimeout(() => this.openStandbyStream(), this.reconnectInterval);
+    }
+
+    async closePrimary({ stream, endpoint }) {
+        if (this.stream === stream) {
+            this.stream = null;
+        }
+        if (this.activeEndpoint === endpoint) {
+            this.client = null;
+        }
+        if (stream) {
+            await this.endStream(stream);
+        }
+        await this.endpointPool.resetClient(endpoint);
+    }
+
+    startHealthChecks() {
+        if (this.healthCheckInterval) return;
+        this.healthCheckInterval = setInterval(() => this.runHealthCheck(), this.healthCheckPeriod);
+    }
+
+    async runHealthCheck() {
+        if (!this.isStarted || this.isFailingOver) return;
+        try {
+            await this.endpointPool.checkHealth();
+
+            const active = this.activeEndpoint;
+            if (!active || this.endpointPool.endpoints.length < 2) return;
+
+            const best = this.endpointPool.best([active.url]);
+            const degraded = this.endpointPool.isLagging(active) || best.score - active.score >= this.failoverMargin;
+            if (degraded && best.score > active.score) {
+                await this.failover(`score ${active.score} vs ${best.score}, slot lag ${active.slotLag}`);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ gRPC health check failed:`, error.message);
+        }
+    }
+
+    async failover(reason) {
+        this.isFailingOver = true;
+        try {
+            console.log(`[${new Date().toISOString()}] 🔀 Failing over from ${this.grpcEndpoint}: ${reason}`);
+            this.stats.failovers++;
+
+            const previous = { stream: this.stream, endpoint: this.activeEndpoint };
+            if (this.standby) {
+                this.promoteStandby();
+                await this.closePrimary(previous);
+                return;
+            }
+
+            const gapStartSlot = this.lastSlot;
+            await this.closePrimary(previous);
+            await this.connect([previous.endpoint.url]);
+            await this.subscribeWithRecovery(gapStartSlot);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ❌ gRPC failover failed:`, error.message);
+        } finally {
+            this.isFailingOver = false;
+        }
+    }
+
+    addMonitoredWallet(address, groupId = null) {
+        const groups = this.monitoredWallets.get(address) || new Set();
+        groups.add(groupId || null);
+        this.monitoredWallets.set(address, groups);
+    }
+
+    getMonitoredGroups() {
+        const groups = new Set();
+        this.monitoredWallets.forEach((walletGroups) => {
+            walletGroups.forEach((groupId) => groups.add(groupId));
+        });
+        return Array.from(groups);
+    }
+
+    rememberSignature(signature) {
+        this.seenSignatures.set(signature, Date.now());
+        if (this.seenSignatures.size > 10000) {
+            const toDelete = Array.from(this.seenSignatures.keys()).slice(0, 5000);
+            toDelete.forEach((key) => this.seenSignatures.delete(key));
+        }
+    }
+
+    trackSlot(slot) {
+        const slotNumber = Number(slot);
+        if (!slotNumber || (this.lastSlot && slotNumber <= this.lastSlot)) return;
+        this.lastSlot = slotNumber;
+
+        const now = Date.now();
+        if (now - this.lastSlotSavedAt > 5000) {
+            this.lastSlotSavedAt = now;
+            redis.set(this.slotKey, String(slotNumber)).catch((error) => {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Failed to persist last slot:`, error.message);
+            });
+        }
+    }
+
+    async loadLastSlot() {
+        try {
+            const saved = await redis.get(this.slotKey);
+            return saved ? Number(saved) : null;
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Failed to load last slot:`, error.message);
+            return null;
+        }
+    }
+
+    async subscribeWithRecovery(gapStartSlot) {
+        this.recoveryUntilSlot = null;
+        if (!gapStartSlot) {
+            await this.subscribeToTransactions();
+            return;
+        }
+
+        let currentSlot = null;
+        try {
+            currentSlot = await this.monitoringService.connection.getSlot('confirmed');
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ Could not fetch current slot for gap recovery:`, error.message);
+        }
+
+        if (!currentSlot || currentSlot <= gapStartSlot) {
+            await this.subscribeToTransactions();
+            return;
+        }
+
+        const gap = currentSlot - gapStartSlot;
+        this.stats.gapRecoveries++;
+        console.log(`[${new Date().toISOString()}] 🕳️ Detected gap of ${gap} slots (${gapStartSlot} → ${currentSlot})`);
+
+        if (gap <= this.maxReplaySlots && !this.replayUnsupported) {
+            try {
+                this.recoveryUntilSlot = currentSlot;
+                await this.subscribeToTransactions({ fromSlot: gapStartSlot + 1 });
+                return;
+            } catch (error) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Slot replay rejected, falling back to RPC scan:`, error.message);
+                this.recoveryUntilSlot = null;
+                this.replayUnsupported = true;
+            }
+        }
+
+        await this.subscribeToTransactions();
+        this.rpcRecoveryActive = true;
+        this.recoverGapViaRpc(gapStartSlot, currentSlot)
+            .catch((error) => {
+                console.error(`[${new Date().toISOString()}] ❌ RPC gap recovery failed:`, error.message);
+            })
+            .finally(() => {
+                this.rpcRecoveryActive = false;
+            });
+    }
+
+    async recoverGapViaRpc(fromSlot, toSlot) {
+        const startTime = Date.now();
+        const wallets = (await this.db.getActiveWallets())
+            .filter((wallet) => this.monitoredWallets.has(wallet.address));
+        let recovered = 0;
+
+        console.log(`[${new Date().toISOString()}] 🔎 Scanning ${wallets.length} wallets via RPC for slots ${fromSlot + 1}-${toSlot}`);
+
+        for (const wallet of wallets) {
+            let before;
+            let done = false;
+
+            while (!done) {
+                const signatures = await this.monitoringService.connection.getSignaturesForAddress(
+                    new PublicKey(wallet.address),
+                    { before, limit: 1000 }
+                );
+                if (signatures.length === 0) break;
+
+                for (const sig of signatures) {
+                    if (sig.slot <= fromSlot) {
+                        done = true;
+                        break;
+                    }
+                    if (sig.err || sig.slot > toSlot) continue;
+
+                    await this.monitoringService.processWebhookMessage({
+                        signature: sig.signature,
+                        walletAddress: wallet.address,
+                        blockTime: sig.blockTime,
+                        groupId: wallet.group_id,
+                        late: true
+                    });
+                    recovered++;
+                }
+
+                if (signatures.length < 1000) break;
+                before = signatures[signatures.length - 1].signature;
+            }
+        }
+
+        this.stats.recoveredTransactions += recovered;
+        console.log(`[${new Date().toISOString()}] ✅ RPC gap recovery queued ${recovered} signatures in ${Date.now() - startTime}ms`);
+    }
+
     getStatus() {
         const uptime = Date.now() - this.stats.startTime;
         const transactionsPerSecond = this.stats.totalTransactions / (uptime / 1000);
         return {
             isConnected: this.client !== null && this.stream !== null,
             isStarted: this.isStarted,
-            activeGroupId: this.activeGroupId,
             monitoredWallets: this.monitoredWallets.size,
+            monitoredGroups: this.getMonitoredGroups().length,
             messageCount: this.messageCount,
             reconnectAttempts: this.reconnectAttempts,
+            lastSlot: this.lastSlot,
+            recovering: this.recoveryUntilSlot !== null || this.rpcRecoveryActive,
             grpcEndpoint: this.grpcEndpoint,
+            activeEndpoint: this.activeEndpoint ? this.activeEndpoint.url : null,
+            standbyEndpoint: this.standby ? this.standby.endpoint.url : null,
+            hotStandby: this.hotStandby,
+            endpoints: this.endpointPool.getStatus(),
+            subscription: this.subscriptionManager.getStats(),
+            lookupTables: this.monitoringService.lookupTableResolver.getStats(),
+            recorder: this.monitoringService.recorder.getStats(),
+            metaSources: this.monitoringService.getMetaSourceStats(),
             mode: 'grpc',
             stats: {
                 ...this.stats,
@@ -689,15 +1044,16 @@ async updateSubscription() {
     async stop() {
         console.log(`[${new Date().toISOString()}] ⏹️ Stopping gRPC service...`);
         this.isStarted = false;
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = null;
+        }
+        if (this.lastSlot) {
+            await redis.set(this.slotKey, String(this.lastSlot)).catch(() => {});
+        }
         try {
-            if (this.stream) {
-                await this.stream.end();
-                this.stream = null;
-            }
-            if (this.client) {
-                await this.client.close();
-                this.client = null;
-            }
+            await this.closeStandby();
+            await this.closePrimary({ stream: this.stream, endpoint: this.activeEndpoint });
         } catch (error) {
             console.error(`[${new Date().toISOString()}] ❌ Error stopping gRPC service:`, error.message);
         }
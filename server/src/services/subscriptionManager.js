@@ -0,0 +1,93 @@
+class SubscriptionManager {
+    constructor() {
+        this.shardSize = parseInt(process.env.GRPC_FILTER_ACCOUNT_LIMIT) || 5000;
+        this.subscribed = new Set();
+        this.hasSubscribed = false;
+        this.stats = {
+            incrementalUpdates: 0,
+            streamRestarts: 0,
+            walletsAdded: 0,
+            walletsRemoved: 0,
+            lastUpdateLatencyMs: null,
+            avgUpdateLatencyMs: null,
+            lastRestartAt: null,
+        };
+    }
+
+    diff(wallets) {
+        const next = new Set(wallets);
+        const added = Array.from(next).filter((address) => !this.subscribed.has(address));
+        const removed = Array.from(this.subscribed).filter((address) => !next.has(address));
+        return { added, removed };
+    }
+
+    shard(wallets) {
+        const shards = [];
+        for (let i = 0; i < wallets.length; i += this.shardSize) {
+            shards.push(wallets.slice(i, i + this.shardSize));
+        }
+        return shards;
+    }
+
+    buildFilters(wallets) {
+        const accounts = {};
+        const transactions = {};
+
+        if (wallets.length === 0) {
+            transactions.all_transactions = {
+                accountInclude: [],
+                accountExclude: [],
+                accountRequired: []
+            };
+            return { accounts, transactions };
+        }
+
+        this.shard(wallets).forEach((shard, index) => {
+            accounts[`monitored_accounts_${index}`] = {
+                account: shard,
+                owner: [],
+                filters: []
+            };
+            transactions[`monitored_transactions_${index}`] = {
+                accountInclude: shard,
+                accountExclude: [],
+                accountRequired: []
+            };
+        });
+
+        return { accounts, transactions };
+    }
+
+    commit(wallets) {
+        this.subscribed = new Set(wallets);
+    }
+
+    recordUpdate(added, removed, latencyMs) {
+        this.stats.incrementalUpdates++;
+        this.stats.walletsAdded += added;
+        this.stats.walletsRemoved += removed;
+        this.stats.lastUpdateLatencyMs = latencyMs;
+        this.stats.avgUpdateLatencyMs = this.stats.avgUpdateLatencyMs === null
+            ? latencyMs
+            : Math.round(this.stats.avgUpdateLatencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    recordSubscribe() {
+        if (this.hasSubscribed) {
+            this.stats.streamRestarts++;
+            this.stats.lastRestartAt = new Date().toISOString();
+        }
+        this.hasSubscribed = true;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            subscribedWallets: this.subscribed.size,
+            shards: Math.ceil(this.subscribed.size / this.shardSize),
+            shardSize: this.shardSize,
+        };
+    }
+}
+
+module.exports = SubscriptionManager;
@@ -0,0 +1,321 @@
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_IDS = [
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+];
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+const JITO_TIP_ACCOUNTS = [
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT',
+];
+
+const DEX_PROGRAMS = {
+    'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': { venue: 'jupiter', aggregator: true },
+    'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': { venue: 'jupiter', aggregator: true },
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { venue: 'raydium', aggregator: false },
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': { venue: 'raydium_clmm', aggregator: false },
+    'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': { venue: 'raydium_cpmm', aggregator: false },
+    'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj': { venue: 'raydium_launchlab', aggregator: false },
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': { venue: 'pumpfun', aggregator: false },
+    'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': { venue: 'pumpswap', aggregator: false },
+    'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': { venue: 'orca', aggregator: false },
+    '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': { venue: 'orca_v2', aggregator: false },
+    'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': { venue: 'meteora_dlmm', aggregator: false },
+    'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': { venue: 'meteora', aggregator: false },
+    'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG': { venue: 'meteora_damm', aggregator: false },
+    'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN': { venue: 'meteora_dbc', aggregator: false },
+};
+
+function keyToString(key) {
+    if (!key) return null;
+    if (typeof key === 'string') return key;
+    if (key.pubkey) return keyToString(key.pubkey);
+    if (typeof key.toBase58 === 'function') return key.toBase58();
+    return key.toString();
+}
+
+function getAccountKeys(tx) {
+    const message = tx.transaction?.message || {};
+    const keys = (message.accountKeys || message.staticAccountKeys || []).map(keyToString);
+    if (!message.accountKeys && tx.meta?.loadedAddresses) {
+        keys.push(...(tx.meta.loadedAddresses.writable || []).map(keyToString));
+        keys.push(...(tx.meta.loadedAddresses.readonly || []).map(keyToString));
+    }
+    return keys;
+}
+
+function buildTokenAccountIndex(meta, accountKeys) {
+    const tokenAccounts = new Map();
+    [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])].forEach((balance) => {
+        const address = accountKeys[balance.accountIndex];
+        if (!address || tokenAccounts.has(address)) return;
+        tokenAccounts.set(address, {
+            mint: balance.mint,
+            owner: balance.owner,
+            decimals: balance.uiTokenAmount?.decimals ?? 0,
+        });
+    });
+    return tokenAccounts;
+}
+
+function getProgramId(instruction, accountKeys) {
+    if (instruction.programId) return keyToString(instruction.programId);
+    if (typeof instruction.programIdIndex === 'number') return accountKeys[instruction.programIdIndex] || null;
+    return null;
+}
+
+function extractTransfer(instruction, programId, tokenAccounts) {
+    const parsed = instruction.parsed;
+    if (!parsed || typeof parsed !== 'object' || !parsed.info) return null;
+    const info = parsed.info;
+
+    if (programId === SYSTEM_PROGRAM_ID && parsed.type === 'transfer') {
+        return {
+            mint: WRAPPED_SOL_MINT,
+            amount: Number(info.lamports || 0),
+            decimals: 9,
+            from: tokenAccounts.get(info.source)?.owner || info.source,
+            to: tokenAccounts.get(info.destination)?.owner || info.destination,
+        };
+    }
+
+    if (TOKEN_PROGRAM_IDS.includes(programId) && (parsed.type === 'transfer' || parsed.type === 'transferChecked')) {
+        const source = tokenAccounts.get(info.source);
+        const destination = tokenAccounts.get(info.destination);
+        const mint = info.mint || source?.mint || destination?.mint;
+        if (!mint) return null;
+        return {
+            mint,
+            amount: Number(info.amount ?? info.tokenAmount?.amount ?? 0),
+            decimals: info.tokenAmount?.decimals ?? source?.decimals ?? destination?.decimals ?? 0,
+            from: source?.owner || info.authority || info.multisigAuthority,
+            to: destination?.owner || null,
+        };
+    }
+
+    return null;
+}
+
+function getLamportBalances(tx, index) {
+    return {
+        pre: Number(tx.meta.preBalances?.[index] || 0),
+        post: Number(tx.meta.postBalances?.[index] || 0),
+    };
+}
+
+function getInstructionAccounts(instruction, accountKeys) {
+    return Array.from(instruction.accounts || [])
+        .map((account) => (typeof account === 'number' ? accountKeys[account] : keyToString(account)))
+        .filter(Boolean);
+}
+
+function getNativeLamportDelta(tx, accountKeys, walletAddress, tokenAccounts) {
+    const walletIndex = accountKeys.indexOf(walletAddress);
+    if (walletIndex === -1 || !tx.meta.preBalances || !tx.meta.postBalances) return 0;
+    const wallet = getLamportBalances(tx, walletIndex);
+    let delta = wallet.post - wallet.pre + extractTradeCosts(tx, walletAddress, accountKeys).total;
+
+    accountKeys.forEach((address, index) => {
+        if (index === walletIndex) return;
+        const { pre, post } = getLamportBalances(tx, index);
+        const ownedByWallet = tokenAccounts.get(address)?.owner === walletAddress;
+        if (pre === 0 && post > 0 && (walletIndex === 0 || ownedByWallet)) {
+            delta += post;
+        } else if (pre > 0 && post === 0 && ownedByWallet) {
+            delta -= pre;
+        }
+    });
+    return delta;
+}
+
+function getPoolLamportMovement(tx, instructions, programIds, accountKeys, walletAddress, tokenAccounts, claimed) {
+    const executables = new Set(groupInstructions(tx).flat().map((ix) => getProgramId(ix, accountKeys)));
+    const poolAccounts = new Set();
+    instructions.forEach((instruction, index) => {
+        if (!DEX_PROGRAMS[programIds[index]]) return;
+        getInstructionAccounts(instruction, accountKeys).forEach((address) => {
+            if (address === walletAddress || executables.has(address) || claimed.has(address)) return;
+            if (tokenAccounts.get(address)?.owner === walletAddress) return;
+            poolAccounts.add(address);
+        });
+    });
+
+    let movement = 0;
+    poolAccounts.forEach((address) => {
+        claimed.add(address);
+        const index = accountKeys.indexOf(address);
+        if (index === -1) return;
+        const { pre, post } = getLamportBalances(tx, index);
+        if (pre === 0 || post === 0) return;
+        movement -= post - pre;
+    });
+    return movement;
+}
+
+function extractTradeCosts(tx, walletAddress, accountKeys = null) {
+    const costs = { baseFee: 0, priorityFee: 0, jitoTip: 0, total: 0 };
+    if (!tx || !tx.meta || !tx.transaction) return costs;
+
+    accountKeys = accountKeys || getAccountKeys(tx);
+    if (accountKeys[0] === walletAddress) {
+        const fee = Number(tx.meta.fee || 0);
+        const signatures = tx.transaction.signatures?.length
+            || tx.transaction.message?.header?.numRequiredSignatures
+            || 1;
+        costs.baseFee = Math.min(fee, signatures * LAMPORTS_PER_SIGNATURE);
+        costs.priorityFee = fee - costs.baseFee;
+    }
+
+    groupInstructions(tx).flat().forEach((instruction) => {
+        if (getProgramId(instruction, accountKeys) !== SYSTEM_PROGRAM_ID) return;
+        const parsed = instruction.parsed;
+        if (!parsed || parsed.type !== 'transfer' || !parsed.info) return;
+        if (parsed.info.source === walletAddress && JITO_TIP_ACCOUNTS.includes(parsed.info.destination)) {
+            costs.jitoTip += Number(parsed.info.lamports || 0);
+        }
+    });
+
+    costs.total = costs.baseFee + costs.priorityFee + costs.jitoTip;
+    return costs;
+}
+
+function groupInstructions(tx) {
+    const message = tx.transaction?.message || {};
+    const innerByIndex = new Map();
+    (tx.meta?.innerInstructions || []).forEach((inner) => {
+        innerByIndex.set(inner.index, inner.instructions || []);
+    });
+    return (message.instructions || []).map((instruction, index) => [instruction, ...(innerByIndex.get(index) || [])]);
+}
+
+function detectVenue(programIds) {
+    const known = programIds.filter((id) => DEX_PROGRAMS[id]);
+    if (known.length === 0) return null;
+    const programId = known.find((id) => DEX_PROGRAMS[id].aggregator) || known[0];
+    return { programId, venue: DEX_PROGRAMS[programId].venue };
+}
+
+function decodeSwaps(tx, walletAddress, accountKeys = null) {
+    if (!tx || !tx.meta || !tx.transaction) return [];
+
+    accountKeys = accountKeys || getAccountKeys(tx);
+    const tokenAccounts = buildTokenAccountIndex(tx.meta, accountKeys);
+    const candidates = [];
+
+    for (const instructions of groupInstructions(tx)) {
+        const programIds = instructions.map((ix) => getProgramId(ix, accountKeys));
+        const venue = detectVenue(programIds);
+        if (!venue) continue;
+
+        const flows = new Map();
+        instructions.forEach((instruction, index) => {
+            const transfer = extractTransfer(instruction, programIds[index], tokenAccounts);
+            if (!transfer || transfer.amount === 0) return;
+            const outgoing = transfer.from === walletAddress;
+            const incoming = transfer.to === walletAddress;
+            if (outgoing === incoming) return;
+
+            const flow = flows.get(transfer.mint) || { mint: transfer.mint, decimals: transfer.decimals, delta: 0 };
+            flow.delta += incoming ? transfer.amount : -transfer.amount;
+            flows.set(transfer.mint, flow);
+        });
+
+        const legs = Array.from(flows.values()).filter((flow) => flow.delta !== 0);
+        const input = legs.filter((flow) => flow.delta < 0).sort((a, b) => a.delta - b.delta)[0] || null;
+        const output = legs.filter((flow) => flow.delta > 0).sort((a, b) => b.delta - a.delta)[0] || null;
+        if (!input && !output) continue;
+        if ((input || output).mint === WRAPPED_SOL_MINT && !(input && output)) continue;
+
+        candidates.push({ venue, instructions, programIds, input, output });
+    }
+
+    const claimed = new Set();
+    const swaps = [];
+    for (const { venue, instructions, programIds, ...legs } of candidates) {
+        let { input, output } = legs;
+        if (!input || !output) {
+            let lamports = getPoolLamportMovement(tx, instructions, programIds, accountKeys, walletAddress, tokenAccounts, claimed);
+            if (lamports === 0 && candidates.length === 1) {
+                lamports = getNativeLamportDelta(tx, accountKeys, walletAddress, tokenAccounts);
+            }
+            const missing = { mint: WRAPPED_SOL_MINT, decimals: 9, delta: lamports };
+            if (!input && lamports < 0) input = missing;
+            else if (!output && lamports > 0) output = missing;
+            else continue;
+        }
+
+        if (input.mint === output.mint) continue;
+
+        swaps.push({
+            venue: venue.venue,
+            programId: venue.programId,
+            inputMint: input.mint,
+            inputAmount: Math.abs(input.delta),
+            inputDecimals: input.decimals,
+            outputMint: output.mint,
+            outputAmount: Math.abs(output.delta),
+            outputDecimals: output.decimals,
+        });
+    }
+
+    return swaps;
+}
+
+function decodeTokenTransfers(tx, walletAddress, accountKeys = null) {
+    if (!tx || !tx.meta || !tx.transaction) return [];
+
+    accountKeys = accountKeys || getAccountKeys(tx);
+    const tokenAccounts = buildTokenAccountIndex(tx.meta, accountKeys);
+    const flows = new Map();
+
+    for (const instructions of groupInstructions(tx)) {
+        const programIds = instructions.map((ix) => getProgramId(ix, accountKeys));
+        if (detectVenue(programIds)) continue;
+
+        instructions.forEach((instruction, index) => {
+            if (!TOKEN_PROGRAM_IDS.includes(programIds[index])) return;
+            const transfer = extractTransfer(instruction, programIds[index], tokenAccounts);
+            if (!transfer || transfer.amount === 0) return;
+            if (transfer.mint === WRAPPED_SOL_MINT || transfer.mint === USDC_MINT) return;
+
+            const outgoing = transfer.from === walletAddress;
+            const incoming = transfer.to === walletAddress;
+            if (outgoing === incoming) return;
+
+            const direction = incoming ? 'in' : 'out';
+            const counterparty = incoming ? transfer.from : transfer.to;
+            const key = `${transfer.mint}-${direction}-${counterparty}`;
+            const flow = flows.get(key) || { mint: transfer.mint, decimals: transfer.decimals, amount: 0, direction, counterparty: counterparty || null };
+            flow.amount += transfer.amount;
+            flows.set(key, flow);
+        });
+    }
+
+    return Array.from(flows.values());
+}
+
+module.exports = {
+    DEX_PROGRAMS,
+    WRAPPED_SOL_MINT,
+    USDC_MINT,
+    SYSTEM_PROGRAM_ID,
+    TOKEN_PROGRAM_IDS,
+    JITO_TIP_ACCOUNTS,
+    decodeSwaps,
+    decodeTokenTransfers,
+    extractTradeCosts,
+    getAccountKeys,
+    getProgramId,
+    groupInstructions,
+    keyToString,
+};
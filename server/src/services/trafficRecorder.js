@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SubscribeUpdate } = require('@triton-one/yellowstone-grpc');
+
+const FILE_PREFIX = 'capture-';
+const FILE_SUFFIX = '.ndjson';
+
+class TrafficRecorder {
+    constructor(options = {}) {
+        this.dir = options.dir || null;
+        this.enabled = !!this.dir;
+        this.maxFileBytes = options.maxFileBytes || 100 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 20;
+        this.instanceId = options.instanceId || `${os.hostname()}-${process.pid}`;
+        this.stream = null;
+        this.currentFile = null;
+        this.bytesWritten = 0;
+        this.stats = {
+            grpc: 0,
+            rpc: 0,
+            prices: 0,
+            files: 0,
+            errors: 0,
+        };
+
+        if (this.enabled) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            console.log(`[${new Date().toISOString()}] 🎙️ Recording gRPC and RPC traffic to ${this.dir}`);
+        }
+    }
+
+    static fromEnv() {
+        return new TrafficRecorder({
+            dir: process.env.GRPC_RECORD_DIR,
+            maxFileBytes: (parseInt(process.env.GRPC_RECORD_MAX_MB) || 100) * 1024 * 1024,
+            maxFiles: parseInt(process.env.GRPC_RECORD_MAX_FILES) || 20,
+        });
+    }
+
+    recordUpdate(update) {
+        if (!this.enabled) return;
+        this.stats.grpc++;
+        this.write({ type: 'grpc', recordedAt: Date.now(), update: SubscribeUpdate.toJSON(update) });
+    }
+
+    recordRpc(method, params, result) {
+        if (!this.enabled) return;
+        this.stats.rpc++;
+        this.write({ type: 'rpc', recordedAt: Date.now(), method, params, result });
+    }
+
+    recordPrice(asset, time, rate) {
+        if (!this.enabled) return;
+        this.stats.prices++;
+        this.write({ type: 'price', recordedAt: Date.now(), asset, time, rate });
+    }
+
+    write(entry) {
+        try {
+            const line = `${JSON.stringify(entry)}\n`;
+            if (!this.stream || this.bytesWritten + line.length > this.maxFileBytes) {
+                this.rotate();
+            }
+            this.stream.write(line);
+            this.bytesWritten += Buffer.byteLength(line);
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`[${new Date().toISOString()}] ❌ Failed to record traffic:`, error.message);
+        }
+    }
+
+    rotate() {
+        if (this.stream) {
+            this.stream.end();
+        }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.currentFile = path.join(this.dir, `${FILE_PREFIX}${stamp}-${this.instanceId}${FILE_SUFFIX}`);
+        this.stream = fs.createWriteStream(this.currentFile, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            this.stats.errors++;
+            console.error(`[${new Date().toISOString()}] ❌ Traffic recorder write error:`, error.message);
+        });
+        this.bytesWritten = 0;
+        this.stats.files++;
+        this.prune();
+    }
+
+    prune() {
+        const ownSuffix = `-${this.instanceId}${FILE_SUFFIX}`;
+        const files = TrafficRecorder.listCaptures(this.dir)
+            .filter((file) => file !== this.currentFile && file.endsWith(ownSuffix));
+        files.slice(0, Math.max(0, files.length - (this.maxFiles - 1))).forEach((file) => {
+            try {
+                fs.unlinkSync(file);
+            } catch (error) {
+                console.warn(`[${new Date().toISOString()}] ⚠️ Could not remove old capture ${file}:`, error.message);
+            }
+        });
+    }
+
+    async close() {
+        if (!this.stream) return;
+        const stream = this.stream;
+        this.stream = null;
+        await new Promise((resolve) => stream.end(resolve));
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            dir: this.dir,
+            currentFile: this.currentFile,
+            ...this.stats,
+        };
+    }
+
+    static listCaptures(dir) {
+        return fs.readdirSync(dir)
+            .filter((file) => file.startsWith(FILE_PREFIX) && file.endsWith(FILE_SUFFIX))
+            .sort()
+            .map((file) => path.join(dir, file));
+    }
+
+    static readCapture(file) {
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter((line) => line.trim().length > 0)
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+}
+
+module.exports = TrafficRecorder;
@@ -0,0 +1,250 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const FakeYellowstoneServer = require('./fakeYellowstone');
+const FakeRpcServer = require('./fakeRpc');
+const FakePriceApi = require('./fakePriceApi');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const RESET_TABLES = [
+    'token_operations',
+    'transactions',
+    'wallet_stats',
+    'monitoring_stats',
+    'backfill_job_wallets',
+    'backfill_jobs',
+    'reclassify_changes',
+    'reclassify_jobs',
+    'token_price_samples',
+    'token_price_candles',
+    'sol_price_samples',
+    'tokens',
+    'wallets',
+    'groups',
+];
+const AMOUNT_TOLERANCE = 1e-9;
+const TIMEOUT_MS = parseInt(process.env.E2E_TIMEOUT_MS) || 30000;
+
+function requireEnv() {
+    const databaseUrl = process.env.E2E_DATABASE_URL;
+    const redisUrl = process.env.E2E_REDIS_URL;
+    if (!databaseUrl || !redisUrl) {
+        console.error(`[${new Date().toISOString()}] ❌ E2E_DATABASE_URL and E2E_REDIS_URL must point at a disposable Postgres database and Redis DB; both are wiped before every scenario`);
+        process.exit(1);
+    }
+    return { databaseUrl, redisUrl };
+}
+
+function loadScenarios(names) {
+    return fs.readdirSync(SCENARIO_DIR)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => path.join(SCENARIO_DIR, file))
+        .filter((file) => names.length === 0 || names.includes(path.basename(file, '.json')));
+}
+
+function sameAmount(actual, expected) {
+    return Math.abs(Number(actual) - Number(expected)) <= AMOUNT_TOLERANCE * Math.max(1, Math.abs(Number(expected)));
+}
+
+function waitFor(check, timeoutMs) {
+    return new Promise((resolve) => {
+        const startedAt = Date.now();
+        const timer = setInterval(() => {
+            if (check() || Date.now() - startedAt > timeoutMs) {
+                clearInterval(timer);
+                resolve(check());
+            }
+        }, 100);
+    });
+}
+
+async function resetDatabase(databaseUrl) {
+    process.env.DATABASE_URL = databaseUrl;
+    const Database = require('../src/database/connection');
+    const db = new Database();
+    await db.ready;
+    await db.pool.query(`TRUNCATE ${RESET_TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+    return db;
+}
+
+async function seedScenario(db, scenario) {
+    const group = await db.addGroup(scenario.group || 'e2e');
+    await db.addWalletsBatchOptimized(scenario.wallets.map((wallet) => ({ ...wallet, groupId: group.id })));
+    if (scenario.thresholds) {
+        await db.updateGroupThresholds(group.id, scenario.thresholds);
+    }
+    return group;
+}
+
+async function loadStoredTransaction(db, signature) {
+    const { rows: [transaction] } = await db.pool.query(`
+        SELECT t.id, t.transaction_type, t.venue, t.sol_spent, t.sol_received, w.address AS wallet_address
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        WHERE t.signature = $1
+    `, [signature]);
+    if (!transaction) return null;
+
+    const { rows: tokens } = await db.pool.query(`
+        SELECT tk.mint, o.operation_type, o.amount
+        FROM token_operations o
+        JOIN tokens tk ON o.token_id = tk.id
+        WHERE o.transaction_id = $1
+    `, [transaction.id]);
+    return { ...transaction, tokens };
+}
+
+function compareTransaction(expected, stored) {
+    if (!stored) return [`${expected.signature} was not stored`];
+
+    const failures = [];
+    const check = (label, actual, wanted, same = (a, b) => a === b) => {
+        if (wanted !== undefined && !same(actual, wanted)) {
+            failures.push(`${expected.signature.slice(0, 8)}... ${label}: expected ${wanted}, got ${actual}`);
+        }
+    };
+    check('wallet', stored.wallet_address, expected.walletAddress);
+    check('type', stored.transaction_type, expected.transactionType);
+    check('venue', stored.venue, expected.venue);
+    check('solSpent', stored.sol_spent, expected.solSpent, sameAmount);
+    check('solReceived', stored.sol_received, expected.solReceived, sameAmount);
+
+    (expected.tokens || []).forEach((token) => {
+        const operation = stored.tokens.find((row) => row.mint === token.mint && row.operation_type === token.operationType);
+        if (!operation) {
+            failures.push(`${expected.signature.slice(0, 8)}... missing ${token.operationType} of ${token.mint}`);
+            return;
+        }
+        check(`${token.mint.slice(0, 8)}... amount`, operation.amount, token.amount, sameAmount);
+    });
+    return failures;
+}
+
+async function loadWalletStats(db, address) {
+    const wallet = await db.getWalletByAddress(address);
+    return wallet ? db.getWalletStats(wallet.id) : null;
+}
+
+function compareWalletStats(address, expected, stats) {
+    if (!stats) return [`${address.slice(0, 8)}... has no wallet stats`];
+
+    return Object.entries(expected)
+        .filter(([field, wanted]) => !sameAmount(stats[field], wanted))
+        .map(([field, wanted]) => `${address.slice(0, 8)}... stats ${field}: expected ${wanted}, got ${stats[field]}`);
+}
+
+async function runScenario(file) {
+    const { databaseUrl, redisUrl } = requireEnv();
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const expected = scenario.expected?.transactions || [];
+
+    const grpc = new FakeYellowstoneServer(scenario.updates || []);
+    const rpc = new FakeRpcServer(scenario.rpc || {});
+    const price = new FakePriceApi(scenario.prices || {});
+    process.env.GRPC_ENDPOINTS = await grpc.start();
+    process.env.SOLANA_RPC_URL = await rpc.start();
+    process.env.DEXSCREENER_API_URL = await price.start();
+    process.env.PRICE_PROVIDERS = 'dexscreener';
+    process.env.SOL_PRICE_HISTORY_URL = '';
+    process.env.REDIS_URL = redisUrl;
+    process.env.QUEUE_POLL_INTERVAL_MS = process.env.QUEUE_POLL_INTERVAL_MS || '100';
+
+    const db = await resetDatabase(databaseUrl);
+    const { redis } = require('../src/services/tokenService');
+    await redis.flushdb();
+    await seedScenario(db, scenario);
+
+    const published = new Map();
+    const subscriber = redis.duplicate();
+    subscriber.on('message', (channel, message) => {
+        const tx = JSON.parse(message);
+        published.set(`${tx.signature}:${tx.walletAddress}`, tx);
+    });
+    await subscriber.subscribe('transactions');
+
+    const { parseRoles, createServices, startBackgroundRoles } = require('../utils/bootstrap');
+    const services = createServices(parseRoles('ingester,worker,prices'));
+    startBackgroundRoles(services);
+
+    const allPublished = () => expected.every((tx) => published.has(`${tx.signature}:${tx.walletAddress}`));
+    await waitFor(() => allPublished() && grpc.isDrained(), TIMEOUT_MS);
+
+    const failures = [];
+    for (const tx of expected) {
+        if (!published.has(`${tx.signature}:${tx.walletAddress}`)) {
+            failures.push(`${tx.signature.slice(0, 8)}... was never published`);
+        }
+        failures.push(...compareTransaction(tx, await loadStoredTransaction(db, tx.signature)));
+    }
+
+    for (const [address, stats] of Object.entries(scenario.expected?.walletStats || {})) {
+        failures.push(...compareWalletStats(address, stats, await loadWalletStats(db, address)));
+    }
+
+    const { rows: [{ count }] } = await db.pool.query('SELECT COUNT(*)::int AS count FROM transactions');
+    if (scenario.expected?.exactTransactionCount !== false && count !== expected.length) {
+        failures.push(`expected ${expected.length} stored transactions, found ${count}`);
+    }
+
+    services.monitoringService.stopQueueWorker();
+    await services.priceElection.stop();
+    services.priceHistoryService.stop();
+    await services.solanaGrpcService.shutdown();
+    await subscriber.quit();
+    await services.priceService.close();
+    await services.monitoringService.close();
+    await db.close();
+    await Promise.all([grpc.stop(), rpc.stop(), price.stop()]);
+
+    return failures;
+}
+
+function runChild(file) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [__filename, '--child', file], {
+            env: process.env,
+            stdio: ['ignore', process.env.E2E_VERBOSE ? 'inherit' : 'ignore', 'inherit'],
+        });
+        child.on('exit', (code) => resolve(code));
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args[0] === '--child') {
+        const failures = await runScenario(args[1]);
+        failures.forEach((failure) => console.error(`    ❌ ${failure}`));
+        process.exit(failures.length === 0 ? 0 : 1);
+    }
+
+    requireEnv();
+    const files = loadScenarios(args);
+    if (files.length === 0) {
+        console.error(`[${new Date().toISOString()}] ❌ No scenarios found in ${SCENARIO_DIR}`);
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const file of files) {
+        const name = path.basename(file, '.json');
+        const startedAt = Date.now();
+        const code = await runChild(file);
+        const duration = Date.now() - startedAt;
+        if (code === 0) {
+            console.log(`✅ ${name} (${duration}ms)`);
+        } else {
+            failed++;
+            console.error(`❌ ${name} (${duration}ms)`);
+        }
+    }
+
+    console.log(`\n${files.length - failed}/${files.length} scenarios passed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error(`[${new Date().toISOString()}] ❌ E2E run failed:`, error);
+    process.exit(1);
+});
@@ -0,0 +1,55 @@
+const http = require('http');
+
+class FakePriceApi {
+    constructor(fixtures = {}) {
+        this.pairs = (fixtures.pairs || []).slice();
+        this.server = null;
+        this.port = null;
+        this.requests = [];
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        console.log(`[${new Date().toISOString()}] 🧪 Fake price API listening on ${this.url} with ${this.pairs.length} pairs`);
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise((resolve) => this.server.close(() => resolve()));
+        this.server = null;
+    }
+
+    handleRequest(req, res) {
+        this.requests.push(req.url);
+        const match = req.url.match(/^\/latest\/dex\/tokens\/([^/?]+)/);
+        if (req.method !== 'GET' || !match) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found' }));
+            return;
+        }
+
+        const mints = decodeURIComponent(match[1]).split(',');
+        const pairs = this.pairs.filter((pair) =>
+            mints.includes(pair.baseToken?.address) || mints.includes(pair.quoteToken?.address)
+        );
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ schemaVersion: '1.0.0', pairs: pairs.length > 0 ? pairs : null }));
+    }
+
+    setPrice(mint, priceUsd) {
+        this.pairs
+            .filter((pair) => pair.baseToken?.address === mint)
+            .forEach((pair) => {
+                pair.priceUsd = String(priceUsd);
+            });
+    }
+}
+
+module.exports = FakePriceApi;
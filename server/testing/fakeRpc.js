@@ -0,0 +1,147 @@
+const http = require('http');
+
+const FAKE_BLOCKHASH = '4sGjMW1sUnHzSxGspuhpqLDx6wiyjNtZAMdL4VZHirAn';
+
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+class FakeRpcServer {
+    constructor(fixtures = {}, options = {}) {
+        this.transactions = new Map(Object.entries(fixtures.transactions || {}));
+        this.accounts = new Map(Object.entries(fixtures.accounts || {}));
+        this.signatures = new Map(Object.entries(fixtures.signatures || {}));
+        this.slot = fixtures.slot || options.slot || 1;
+        this.server = null;
+        this.port = null;
+        this.calls = [];
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        console.log(`[${new Date().toISOString()}] 🧪 Fake Solana RPC listening on ${this.url} (${this.transactions.size} transactions, ${this.accounts.size} accounts)`);
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise((resolve) => this.server.close(() => resolve()));
+        this.server = null;
+    }
+
+    async handleRequest(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405).end();
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(req));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+            return;
+        }
+
+        const response = Array.isArray(payload)
+            ? payload.map((request) => this.dispatch(request))
+            : this.dispatch(payload);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+    }
+
+    dispatch({ id, method, params = [] }) {
+        this.calls.push({ method, params });
+        try {
+            return { jsonrpc: '2.0', id, result: this.call(method, params) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: error.code || -32603, message: error.message } };
+        }
+    }
+
+    call(method, params) {
+        const context = { slot: this.slot };
+        switch (method) {
+            case 'getTransaction':
+                return this.transactions.get(params[0]) || null;
+            case 'getAccountInfo':
+                return { context, value: this.getAccount(params[0], params[1]) };
+            case 'getMultipleAccounts':
+                return { context, value: (params[0] || []).map((address) => this.getAccount(address, params[1])) };
+            case 'getTokenSupply':
+                return { context, value: this.getTokenSupply(params[0]) };
+            case 'getSignaturesForAddress':
+                return this.getSignatures(params[0], params[1]);
+            case 'getSlot':
+            case 'getBlockHeight':
+                return this.slot;
+            case 'getLatestBlockhash':
+                return { context, value: { blockhash: FAKE_BLOCKHASH, lastValidBlockHeight: this.slot + 150 } };
+            case 'getBalance':
+                return { context, value: this.accounts.get(params[0])?.lamports || 0 };
+            case 'getHealth':
+                return 'ok';
+            case 'getVersion':
+                return { 'solana-core': '1.18.0', 'feature-set': 0 };
+            default:
+                throw new RpcError(-32601, `Method not found: ${method}`);
+        }
+    }
+
+    getAccount(address, config = {}) {
+        const account = this.accounts.get(address);
+        if (!account) return null;
+        const parsed = account.data && !Array.isArray(account.data);
+        if (parsed && config.encoding !== 'jsonParsed') return null;
+        return account;
+    }
+
+    getTokenSupply(mint) {
+        const info = this.accounts.get(mint)?.data?.parsed?.info;
+        if (!info || info.supply === undefined) {
+            throw new RpcError(-32602, `Invalid param: not a Token mint`);
+        }
+        const uiAmount = Number(info.supply) / Math.pow(10, info.decimals);
+        return { amount: String(info.supply), decimals: info.decimals, uiAmount, uiAmountString: String(uiAmount) };
+    }
+
+    getSignatures(address, options = {}) {
+        const signatures = this.signatures.get(address) || [];
+        const start = options.before ? signatures.findIndex((entry) => entry.signature === options.before) + 1 : 0;
+        if (options.before && start === 0) return [];
+        return signatures.slice(start, start + (options.limit || 1000));
+    }
+
+    setTransaction(signature, transaction) {
+        this.transactions.set(signature, transaction);
+    }
+
+    setAccount(address, account) {
+        this.accounts.set(address, account);
+    }
+
+    countCalls(method) {
+        return this.calls.filter((call) => call.method === method).length;
+    }
+}
+
+module.exports = FakeRpcServer;
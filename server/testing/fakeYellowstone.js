@@ -0,0 +1,182 @@
+const grpc = require('@grpc/grpc-js');
+const bs58 = require('bs58');
+const { SubscribeRequest, SubscribeUpdate } = require('@triton-one/yellowstone-grpc');
+
+function encodeVarint(value) {
+    const bytes = [];
+    let remaining = BigInt(value);
+    while (remaining > 0x7fn) {
+        bytes.push(Number(remaining & 0x7fn) | 0x80);
+        remaining >>= 7n;
+    }
+    bytes.push(Number(remaining));
+    return Buffer.from(bytes);
+}
+
+function encodeSlotResponse({ slot }) {
+    return Buffer.concat([Buffer.from([0x08]), encodeVarint(slot)]);
+}
+
+const GEYSER_SERVICE = {
+    subscribe: {
+        path: '/geyser.Geyser/Subscribe',
+        requestStream: true,
+        responseStream: true,
+        requestSerialize: (value) => Buffer.from(SubscribeRequest.encode(value).finish()),
+        requestDeserialize: (value) => SubscribeRequest.decode(value),
+        responseSerialize: (value) => Buffer.from(SubscribeUpdate.encode(value).finish()),
+        responseDeserialize: (value) => SubscribeUpdate.decode(value),
+    },
+    getSlot: {
+        path: '/geyser.Geyser/GetSlot',
+        requestStream: false,
+        responseStream: false,
+        requestSerialize: () => Buffer.alloc(0),
+        requestDeserialize: () => ({}),
+        responseSerialize: encodeSlotResponse,
+        responseDeserialize: (value) => value,
+    },
+};
+
+function updateSlot(update) {
+    const slot = update.transaction?.slot || update.slot?.slot || update.account?.slot || update.block?.slot || 0;
+    return Number(slot);
+}
+
+function transactionAccounts(update) {
+    const info = update.transaction?.transaction;
+    if (!info) return [];
+    const keys = info.transaction?.message?.accountKeys || [];
+    const meta = info.meta || {};
+    return [...keys, ...(meta.loadedWritableAddresses || []), ...(meta.loadedReadonlyAddresses || [])]
+        .map((key) => bs58.encode(Buffer.from(key)));
+}
+
+function matchesTransactionFilter(filter, update) {
+    const info = update.transaction.transaction;
+    if (filter.vote === false && info.isVote) return false;
+    if (filter.failed === false && info.meta?.err) return false;
+
+    const accounts = transactionAccounts(update);
+    const include = filter.accountInclude || [];
+    const exclude = filter.accountExclude || [];
+    const required = filter.accountRequired || [];
+    if (include.length > 0 && !include.some((account) => accounts.includes(account))) return false;
+    if (exclude.some((account) => accounts.includes(account))) return false;
+    return required.every((account) => accounts.includes(account));
+}
+
+function matchesRequest(request, update) {
+    if (!request) return false;
+    if (update.transaction) {
+        return Object.values(request.transactions || {}).some((filter) => matchesTransactionFilter(filter, update));
+    }
+    if (update.slot) {
+        return Object.keys(request.slots || {}).length > 0;
+    }
+    return false;
+}
+
+class FakeYellowstoneServer {
+    constructor(updates = [], options = {}) {
+        this.updates = updates.map((update) => SubscribeUpdate.fromJSON(update));
+        this.slot = options.slot || Math.max(1, ...this.updates.map(updateSlot));
+        this.messageDelayMs = options.messageDelayMs ?? 10;
+        this.server = null;
+        this.port = null;
+        this.streams = new Set();
+        this.requests = [];
+        this.cursor = 0;
+        this.emitting = false;
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    async start(port = 0) {
+        this.server = new grpc.Server();
+        this.server.addService(GEYSER_SERVICE, {
+            subscribe: (call) => this.handleSubscribe(call),
+            getSlot: (call, callback) => callback(null, { slot: String(this.slot) }),
+        });
+
+        this.port = await new Promise((resolve, reject) => {
+            this.server.bindAsync(`127.0.0.1:${port}`, grpc.ServerCredentials.createInsecure(), (error, boundPort) => (
+                error ? reject(error) : resolve(boundPort)
+            ));
+        });
+        console.log(`[${new Date().toISOString()}] 🧪 Fake Yellowstone gRPC listening on ${this.url} with ${this.updates.length} recorded updates`);
+        return this.url;
+    }
+
+    async stop() {
+        this.streams.forEach((call) => call.end());
+        this.streams.clear();
+        if (this.server) {
+            await new Promise((resolve) => this.server.tryShutdown(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    handleSubscribe(call) {
+        call.filter = null;
+        this.streams.add(call);
+
+        call.on('data', (request) => {
+            this.requests.push(request);
+            if (request.ping) {
+                call.write(SubscribeUpdate.fromPartial({ filters: [], pong: { id: request.ping.id } }));
+                return;
+            }
+            call.filter = request;
+            if (request.fromSlot) {
+                this.replayFrom(call, Number(request.fromSlot));
+            }
+            this.emit();
+        });
+        call.on('end', () => {
+            this.streams.delete(call);
+            call.end();
+        });
+        call.on('error', () => this.streams.delete(call));
+        call.on('cancelled', () => this.streams.delete(call));
+    }
+
+    replayFrom(call, fromSlot) {
+        this.updates.slice(0, this.cursor)
+            .filter((update) => updateSlot(update) >= fromSlot && matchesRequest(call.filter, update))
+            .forEach((update) => call.write(update));
+    }
+
+    push(update) {
+        this.updates.push(SubscribeUpdate.fromJSON(update));
+        this.emit();
+    }
+
+    async emit() {
+        if (this.emitting) return;
+        this.emitting = true;
+        try {
+            while (this.cursor < this.updates.length) {
+                const subscribers = Array.from(this.streams).filter((call) => call.filter);
+                if (subscribers.length === 0) break;
+
+                const update = this.updates[this.cursor++];
+                this.slot = Math.max(this.slot, updateSlot(update));
+                subscribers
+                    .filter((call) => matchesRequest(call.filter, update))
+                    .forEach((call) => call.write(update));
+                await new Promise((resolve) => setTimeout(resolve, this.messageDelayMs));
+            }
+        } finally {
+            this.emitting = false;
+        }
+    }
+
+    isDrained() {
+        return this.cursor >= this.updates.length;
+    }
+}
+
+module.exports = FakeYellowstoneServer;
@@ -0,0 +1,333 @@
+require('dotenv').config();
+const fs = require('fs');
+const { SubscribeUpdate } = require('@triton-one/yellowstone-grpc');
+const WalletMonitoringService = require('../src/services/monitoringService');
+const TrafficRecorder = require('../src/services/trafficRecorder');
+const SolPriceHistoryService = require('../src/services/solPriceHistoryService');
+const { normalizeGrpcTransaction, encode } = require('../src/services/grpcTransactionNormalizer');
+
+const USAGE = `Usage: node testing/replay.js <capture.ndjson | capture dir> [options]
+
+Options:
+  --wallet <address>   Classify for this wallet only (repeatable). Defaults to tracked wallets in the
+                       database that appear in each transaction, or the fee payer if none do.
+  --json               Print results as JSON instead of one line per transaction.
+  --out <file>         Write results as JSON to a file, e.g. to use as a later --diff baseline.
+  --diff <file>        Compare results against a previous --out file and exit 1 on any difference.
+  --diff-db            Compare results against the rows stored in the transactions table.
+  --verbose            Keep the classifier's own logging on stdout.
+
+SOL/USD rates come from the price lookups in the capture. Minutes without a recorded rate use
+SOL_PRICE_FALLBACK_USD (default 150), so results never depend on live price APIs. Transactions
+already stored for a wallet are valued with their stored SOL rate and token prices, which is what
+gives token-to-token swaps their SOL amount; without a stored row those swaps show 0 SOL.`;
+
+const print = (line) => process.stdout.write(`${line}\n`);
+
+function parseArgs(argv) {
+    const args = { target: null, wallets: [], json: false, out: null, diff: null, diffDb: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--wallet') args.wallets.push(argv[++i]);
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--diff') args.diff = argv[++i];
+        else if (arg === '--diff-db') args.diffDb = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (!args.target) args.target = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    return args;
+}
+
+function loadEntries(target) {
+    const files = fs.statSync(target).isDirectory() ? TrafficRecorder.listCaptures(target) : [target];
+    return files.flatMap((file) => TrafficRecorder.readCapture(file));
+}
+
+function indexRpc(entries) {
+    const transactions = new Map();
+    const tables = new Map();
+    entries.filter((entry) => entry.type === 'rpc').forEach((entry) => {
+        if (entry.method === 'getParsedTransaction' && entry.result) {
+            transactions.set(entry.params[0], entry.result);
+        } else if (entry.method === 'getAddressLookupTable' && entry.result) {
+            tables.set(entry.params[0], entry.result.addresses);
+        }
+    });
+    return { transactions, tables };
+}
+
+function indexPrices(entries) {
+    const prices = new Map();
+    entries.filter((entry) => entry.type === 'price' && entry.asset === 'SOL' && entry.rate).forEach((entry) => {
+        prices.set(SolPriceHistoryService.toMinute(entry.time), entry.rate);
+    });
+    return prices;
+}
+
+function stubLiveLookups(monitoringService, prices) {
+    const fallbackPrice = parseFloat(process.env.SOL_PRICE_FALLBACK_USD) || 150;
+    monitoringService.getSolPriceAt = async (blockTime) => (
+        prices.get(SolPriceHistoryService.toMinute(blockTime * 1000))
+        || { price: fallbackPrice, source: 'replay', sampledAt: null, fallback: true }
+    );
+    monitoringService.batchFetchTokenMetadata = async () => new Map();
+}
+
+async function quietly(verbose, fn) {
+    if (verbose) return fn();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function resolveWallets(monitoringService, accountKeys, requested) {
+    let addresses = requested.length > 0
+        ? accountKeys.filter((key) => requested.includes(key))
+        : (await monitoringService.db.pool.query(
+            'SELECT address FROM wallets WHERE address = ANY($1)',
+            [accountKeys]
+        )).rows.map((row) => row.address);
+
+    if (addresses.length === 0 && requested.length === 0) {
+        addresses = accountKeys.slice(0, 1);
+    }
+
+    return Promise.all(addresses.map(async (address) => (
+        await monitoringService.db.getWalletByAddress(address) || { address }
+    )));
+}
+
+async function loadStoredPricing(db, signature, walletAddress) {
+    const { rows } = await db.pool.query(`
+        SELECT tk.mint, o.token_price_usd, o.market_cap, o.deployment_time,
+               COALESCE(t.sol_price_usd, o.sol_price_usd) AS sol_price_usd
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        JOIN token_operations o ON o.transaction_id = t.id
+        JOIN tokens tk ON o.token_id = tk.id
+        WHERE t.signature = $1 AND w.address = $2
+    `, [signature, walletAddress]);
+
+    const tokenInfos = new Map();
+    rows.filter((row) => row.token_price_usd !== null).forEach((row) => tokenInfos.set(row.mint, {
+        price: Number(row.token_price_usd),
+        marketCap: Number(row.market_cap) || 0,
+        deploymentTime: row.deployment_time,
+        ageInHours: null,
+    }));
+    const solPrice = rows.find((row) => row.sol_price_usd)?.sol_price_usd;
+    return { tokenInfos, solPrice: solPrice ? Number(solPrice) : null };
+}
+
+function summarize(signature, wallet, classification, valued) {
+    if (!classification) {
+        return { signature, wallet, type: null, venue: null, solAmount: 0, usdcAmount: 0, tokens: [] };
+    }
+    return {
+        signature,
+        wallet,
+        type: classification.transactionType,
+        venue: classification.venue || null,
+        solAmount: Number(Math.max(valued.solSpent, valued.solReceived).toFixed(9)),
+        usdcAmount: Number(Math.max(valued.usdSpent, valued.usdReceived).toFixed(6)),
+        tokens: valued.enrichedTokenChanges.map((change) => ({
+            mint: change.mint,
+            operationType: change.operationType,
+            amount: change.rawChange / Math.pow(10, change.decimals),
+        })),
+    };
+}
+
+async function replayTransaction(monitoringService, signature, tx, options) {
+    const accountKeys = await monitoringService.lookupTableResolver.getAccountKeys(tx.transaction.message, tx.meta);
+    const wallets = await resolveWallets(monitoringService, accountKeys, options.wallets);
+    const rows = [];
+    for (const wallet of wallets) {
+        const classification = await quietly(options.verbose, () => monitoringService.classifyTransaction(tx, wallet, signature));
+        if (!classification) {
+            rows.push(summarize(signature, wallet.address, null));
+            continue;
+        }
+        const stored = await loadStoredPricing(monitoringService.db, signature, wallet.address);
+        const valued = monitoringService.valueClassification(classification, stored.tokenInfos, stored.solPrice || classification.solPrice);
+        rows.push(summarize(signature, wallet.address, classification, valued));
+    }
+    return rows;
+}
+
+async function replay(monitoringService, entries, options) {
+    const rpc = indexRpc(entries);
+    rpc.tables.forEach((addresses, address) => monitoringService.lookupTableResolver.preload(address, addresses));
+    stubLiveLookups(monitoringService, indexPrices(entries));
+
+    const rows = [];
+    const seen = new Set();
+
+    for (const entry of entries.filter((item) => item.type === 'grpc')) {
+        const update = SubscribeUpdate.fromJSON(entry.update);
+        const info = update.transaction?.transaction;
+        if (!info || !info.signature) continue;
+
+        const signature = encode(info.signature);
+        if (seen.has(signature)) continue;
+        seen.add(signature);
+
+        let tx = rpc.transactions.get(signature) || null;
+        if (info.meta) {
+            if (info.meta.err) continue;
+            const loadedAddresses = await monitoringService.lookupTableResolver.resolve(info.transaction?.message, info.meta);
+            tx = normalizeGrpcTransaction(info, {
+                slot: update.transaction.slot,
+                blockTime: Math.floor(entry.recordedAt / 1000),
+                loadedAddresses,
+            });
+        }
+        if (!tx) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ ${signature} has no meta and no recorded RPC response, skipping`);
+            continue;
+        }
+        rows.push(...await replayTransaction(monitoringService, signature, tx, options));
+    }
+
+    for (const [signature, tx] of rpc.transactions) {
+        if (seen.has(signature) || tx.meta?.err) continue;
+        seen.add(signature);
+        rows.push(...await replayTransaction(monitoringService, signature, tx, options));
+    }
+
+    return rows;
+}
+
+async function loadStoredRows(db, rows) {
+    const signatures = [...new Set(rows.map((row) => row.signature))];
+    const { rows: stored } = await db.pool.query(`
+        SELECT t.signature, w.address AS wallet, t.transaction_type AS type, t.venue,
+               GREATEST(t.sol_spent, t.sol_received) AS sol_amount,
+               GREATEST(t.usd_spent, t.usd_received) AS usdc_amount,
+               COALESCE(json_agg(json_build_object(
+                   'mint', tk.mint, 'operationType', o.operation_type, 'amount', o.amount
+               )) FILTER (WHERE o.id IS NOT NULL), '[]') AS tokens
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        LEFT JOIN token_operations o ON o.transaction_id = t.id
+        LEFT JOIN tokens tk ON o.token_id = tk.id
+        WHERE t.signature = ANY($1)
+        GROUP BY t.id, w.address
+    `, [signatures]);
+
+    return stored.map((row) => ({
+        signature: row.signature,
+        wallet: row.wallet,
+        type: row.type,
+        venue: row.venue,
+        solAmount: Number(Number(row.sol_amount).toFixed(9)),
+        usdcAmount: Number(Number(row.usdc_amount).toFixed(6)),
+        tokens: row.tokens.map((token) => ({ ...token, amount: Number(token.amount) })),
+    }));
+}
+
+function rowKey(row) {
+    return `${row.signature}:${row.wallet}`;
+}
+
+function describe(row) {
+    if (!row) return 'absent';
+    if (!row.type) return 'unclassified';
+    const tokens = row.tokens.map((token) => `${token.operationType} ${token.amount} ${token.mint.slice(0, 8)}...`).join(', ');
+    return `${row.type} ${row.solAmount} SOL${row.usdcAmount ? ` ${row.usdcAmount} USDC` : ''}${row.venue ? ` via ${row.venue}` : ''}${tokens ? ` [${tokens}]` : ''}`;
+}
+
+function sameRow(a, b) {
+    const normalize = (row) => row && row.type
+        ? JSON.stringify({
+            type: row.type,
+            venue: row.venue,
+            solAmount: row.solAmount,
+            usdcAmount: row.usdcAmount,
+            tokens: row.tokens
+                .map((token) => ({ mint: token.mint, operationType: token.operationType, amount: Number(token.amount.toPrecision(12)) }))
+                .sort((x, y) => `${x.mint}${x.operationType}`.localeCompare(`${y.mint}${y.operationType}`)),
+        })
+        : null;
+    return normalize(a) === normalize(b);
+}
+
+function diffRows(baseline, rows) {
+    const before = new Map(baseline.map((row) => [rowKey(row), row]));
+    const after = new Map(rows.map((row) => [rowKey(row), row]));
+    const keys = [...new Set([...before.keys(), ...after.keys()])];
+    return keys
+        .filter((key) => !sameRow(before.get(key), after.get(key)))
+        .map((key) => ({ key, before: before.get(key) || null, after: after.get(key) || null }));
+}
+
+function printDiff(label, changes) {
+    if (changes.length === 0) {
+        print(`✅ No differences against ${label}`);
+        return;
+    }
+    print(`❌ ${changes.length} difference(s) against ${label}:`);
+    changes.forEach(({ key, before, after }) => {
+        print(`  ${key.slice(0, 12)}...`);
+        print(`    - ${describe(before)}`);
+        print(`    + ${describe(after)}`);
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.target) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const entries = loadEntries(args.target);
+    console.error(`[${new Date().toISOString()}] 🔁 Replaying ${entries.filter((entry) => entry.type === 'grpc').length} gRPC updates and ${entries.filter((entry) => entry.type === 'rpc').length} RPC responses`);
+
+    const monitoringService = await quietly(args.verbose, async () => new WalletMonitoringService());
+    let differences = 0;
+    try {
+        const rows = await replay(monitoringService, entries, args);
+
+        if (args.json) {
+            print(JSON.stringify(rows, null, 2));
+        } else {
+            rows.forEach((row) => print(`${row.signature.slice(0, 12)}... ${row.wallet.slice(0, 8)}... ${describe(row)}`));
+        }
+        if (args.out) {
+            fs.writeFileSync(args.out, `${JSON.stringify(rows, null, 2)}\n`);
+        }
+        if (args.diff) {
+            const changes = diffRows(JSON.parse(fs.readFileSync(args.diff, 'utf8')), rows);
+            printDiff(args.diff, changes);
+            differences += changes.length;
+        }
+        if (args.diffDb) {
+            const changes = diffRows(await loadStoredRows(monitoringService.db, rows), rows);
+            printDiff('stored transactions', changes);
+            differences += changes.length;
+        }
+    } finally {
+        await monitoringService.close();
+    }
+    process.exit(differences > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`[${new Date().toISOString()}] ❌ Replay failed:`, error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    replay,
+    stubLiveLookups,
+    diffRows,
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const { SubscribeUpdate } = require('@triton-one/yellowstone-grpc');
+const { normalizeGrpcTransaction, encode } = require('../src/services/grpcTransactionNormalizer');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+
+function loadScenarios() {
+    return fs.readdirSync(SCENARIO_DIR)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => ({
+            name: path.basename(file, '.json'),
+            ...JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8')),
+        }));
+}
+
+function loadTransactions(scenario) {
+    const transactions = new Map();
+    (scenario.updates || []).forEach((json) => {
+        const update = SubscribeUpdate.fromJSON(json);
+        const info = update.transaction?.transaction;
+        if (!info || !info.signature) return;
+        transactions.set(encode(info.signature), {
+            info,
+            tx: normalizeGrpcTransaction(info, { slot: update.transaction.slot, blockTime: null }),
+        });
+    });
+    return transactions;
+}
+
+module.exports = {
+    SCENARIO_DIR,
+    loadScenarios,
+    loadTransactions,
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../../src/services/priceProviders/circuitBreaker');
+
+function openBreaker(t) {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('timeout'));
+    breaker.recordFailure(new Error('timeout'));
+    return { breaker, advance: (ms) => { now += ms; } };
+}
+
+test('opens after the failure threshold and rejects until the cooldown elapses', (t) => {
+    const { breaker, advance } = openBreaker(t);
+
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    advance(999);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.stats.rejected, 2);
+});
+
+test('allows a single half-open probe at a time', (t) => {
+    const { breaker, advance } = openBreaker(t);
+    advance(1000);
+
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, 'half_open');
+    assert.equal(breaker.getStatus().probeInFlight, true);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.canRequest(), false);
+});
+
+test('a successful probe closes the circuit', (t) => {
+    const { breaker, advance } = openBreaker(t);
+    advance(1000);
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), true);
+});
+
+test('a failed probe reopens the circuit for another cooldown', (t) => {
+    const { breaker, advance } = openBreaker(t);
+    advance(1000);
+    breaker.canRequest();
+
+    breaker.recordFailure(new Error('still down'));
+
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    advance(1000);
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), false);
+});
+
+test('a probe that never reports back is retried after the cooldown', (t) => {
+    const { breaker, advance } = openBreaker(t);
+    advance(1000);
+    breaker.canRequest();
+
+    advance(999);
+    assert.equal(breaker.canRequest(), false);
+    advance(1);
+    assert.equal(breaker.canRequest(), true);
+});
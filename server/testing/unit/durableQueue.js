@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DurableQueue = require('../../src/services/durableQueue');
+
+function createRedis() {
+    const streams = new Map();
+    const sortedSets = new Map();
+    let sequence = 0;
+    const stream = (key) => streams.get(key) || streams.set(key, []).get(key);
+    const sortedSet = (key) => sortedSets.get(key) || sortedSets.set(key, new Map()).get(key);
+
+    const commands = {
+        xadd: (key, ...args) => {
+            const fieldsAt = args.indexOf('*') + 1;
+            const id = `${Date.now()}-${sequence++}`;
+            stream(key).push([id, args.slice(fieldsAt).map(String)]);
+            return id;
+        },
+        xack: () => 1,
+        xdel: (key, ...ids) => {
+            const entries = stream(key);
+            const before = entries.length;
+            streams.set(key, entries.filter(([id]) => !ids.includes(id)));
+            return before - streams.get(key).length;
+        },
+        zadd: (key, score, member) => {
+            sortedSet(key).set(member, score);
+            return 1;
+        },
+    };
+
+    return {
+        streams,
+        sortedSets,
+        ...commands,
+        multi() {
+            const queued = [];
+            const chain = {
+                exec: async () => queued.map(([name, args]) => [null, commands[name](...args)]),
+            };
+            Object.keys(commands).forEach((name) => {
+                chain[name] = (...args) => {
+                    queued.push([name, args]);
+                    return chain;
+                };
+            });
+            return chain;
+        },
+    };
+}
+
+function entryFor(redis, queue, attempts = 0) {
+    const [[id, values]] = redis.streams.get(queue.streamKey);
+    return { id, raw: values[1], data: JSON.parse(values[1]), attempts };
+}
+
+test('fail schedules a retry with exponential backoff and removes the entry from the stream', async () => {
+    const redis = createRedis();
+    const queue = new DurableQueue(redis, 'test', { maxAttempts: 3, retryBaseMs: 1000 });
+    redis.xadd(queue.streamKey, '*', 'data', JSON.stringify({ signature: 'sig' }), 'attempts', 1);
+    const entry = entryFor(redis, queue, 1);
+
+    const startedAt = Date.now();
+    const result = await queue.fail(entry, new Error('rpc timeout'));
+
+    assert.deepEqual(result, { deadLettered: false, attempts: 2, delay: 2000 });
+    assert.equal(redis.streams.get(queue.streamKey).length, 0);
+    const [[member, score]] = redis.sortedSets.get(queue.retryKey);
+    assert.deepEqual(JSON.parse(member), { id: entry.id, data: '{"signature":"sig"}', attempts: 2, error: 'rpc timeout' });
+    assert.ok(score >= startedAt + 2000);
+    assert.equal(queue.stats.retried, 1);
+});
+
+test('fail moves the entry to the dead-letter stream on its last attempt', async () => {
+    const redis = createRedis();
+    const queue = new DurableQueue(redis, 'test', { maxAttempts: 3 });
+    redis.xadd(queue.streamKey, '*', 'data', JSON.stringify({ signature: 'sig' }), 'attempts', 2);
+    const entry = entryFor(redis, queue, 2);
+
+    const result = await queue.fail(entry, new Error('still failing'));
+
+    assert.deepEqual(result, { deadLettered: true, attempts: 3 });
+    assert.equal(redis.streams.get(queue.streamKey).length, 0);
+    assert.equal(redis.sortedSets.has(queue.retryKey), false);
+    const [[, values]] = redis.streams.get(queue.deadKey);
+    const fields = Object.fromEntries(values.reduce((pairs, value, index) => (
+        index % 2 === 0 ? [...pairs, [value, values[index + 1]]] : pairs
+    ), []));
+    assert.equal(fields.data, '{"signature":"sig"}');
+    assert.equal(fields.attempts, '3');
+    assert.equal(fields.error, 'still failing');
+    assert.equal(fields.sourceId, entry.id);
+    assert.equal(queue.stats.deadLettered, 1);
+});
+
+test('fail dead-letters an entry whose payload cannot be parsed without retrying it', async () => {
+    const redis = createRedis();
+    const queue = new DurableQueue(redis, 'test', { maxAttempts: 5 });
+    redis.xadd(queue.streamKey, '*', 'data', 'not json', 'attempts', 0);
+    const [[id]] = redis.streams.get(queue.streamKey);
+
+    const result = await queue.fail({ id, raw: 'not json', data: null, attempts: 0 }, new Error('bad payload'));
+
+    assert.deepEqual(result, { deadLettered: true, attempts: 1 });
+    assert.equal(redis.streams.get(queue.deadKey).length, 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScenarios, loadTransactions } = require('../scenarioFixtures');
+const { SYSTEM_PROGRAM_ID, TOKEN_PROGRAM_IDS, groupInstructions } = require('../../src/services/swapDecoder');
+
+for (const scenario of loadScenarios()) {
+    for (const [signature, { info, tx }] of loadTransactions(scenario)) {
+        const label = `${scenario.name}: ${signature.slice(0, 8)}...`;
+
+        test(`${label} normalizes into the jsonParsed RPC shape`, () => {
+            assert.equal(tx.transaction.signatures[0], signature);
+            assert.equal(tx.meta.fee, Number(info.meta.fee));
+            assert.equal(tx.meta.preBalances.length, tx.transaction.message.accountKeys.length);
+            assert.equal(tx.meta.postBalances.length, tx.transaction.message.accountKeys.length);
+            tx.transaction.message.accountKeys.forEach((key) => {
+                assert.equal(typeof key.pubkey, 'string');
+                assert.equal(typeof key.signer, 'boolean');
+                assert.equal(typeof key.writable, 'boolean');
+            });
+            tx.meta.preBalances.concat(tx.meta.postBalances).forEach((balance) => assert.equal(typeof balance, 'number'));
+        });
+
+        test(`${label} parses system and token instructions`, () => {
+            groupInstructions(tx).flat().forEach((instruction) => {
+                assert.equal(typeof instruction.programId, 'string');
+                if (instruction.programId === SYSTEM_PROGRAM_ID || TOKEN_PROGRAM_IDS.includes(instruction.programId)) {
+                    assert.ok(instruction.parsed, `${instruction.programId} instruction left unparsed`);
+                    assert.equal(typeof instruction.parsed.type, 'string');
+                } else {
+                    assert.ok(Array.isArray(instruction.accounts));
+                    instruction.accounts.forEach((account) => assert.equal(typeof account, 'string'));
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScenarios, loadTransactions } = require('../scenarioFixtures');
+const { decodeLiquidityEvent } = require('../../src/services/liquidityDecoder');
+
+const LIQUIDITY_TYPES = ['token_create', 'pool_create', 'lp_add', 'lp_remove'];
+
+for (const scenario of loadScenarios()) {
+    const transactions = loadTransactions(scenario);
+
+    for (const expected of scenario.expected?.transactions || []) {
+        const label = `${scenario.name}: ${expected.transactionType} ${expected.signature.slice(0, 8)}...`;
+        const { tx } = transactions.get(expected.signature) || {};
+
+        test(`${label} ${LIQUIDITY_TYPES.includes(expected.transactionType) ? 'is' : 'is not'} a liquidity event`, () => {
+            assert.ok(tx, 'scenario has no gRPC update for this signature');
+            const event = decodeLiquidityEvent(tx, expected.walletAddress);
+
+            if (!LIQUIDITY_TYPES.includes(expected.transactionType)) {
+                assert.equal(event, null);
+                return;
+            }
+
+            assert.equal(event.type, expected.transactionType);
+            assert.equal(event.venue, expected.venue);
+            expected.tokens.forEach((token) => {
+                assert.ok(event.mints.some((entry) => entry.mint === token.mint), `${token.mint} missing from event`);
+            });
+            const devBuy = expected.tokens.find((token) => token.operationType === 'buy');
+            if (expected.transactionType === 'token_create' && devBuy) {
+                const created = event.mints.find((entry) => entry.mint === devBuy.mint);
+                assert.equal(created.amount / Math.pow(10, created.decimals), devBuy.amount);
+                assert.ok(event.devBuy && event.devBuy.lamports > 0, 'dev buy lamports not found');
+            }
+        });
+    }
+}
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScenarios } = require('../scenarioFixtures');
+const { replay, stubLiveLookups, diffRows } = require('../replay');
+const WalletMonitoringService = require('../../src/services/monitoringService');
+const LookupTableResolver = require('../../src/services/lookupTableResolver');
+const { redis } = require('../../src/services/tokenService');
+
+const scenario = loadScenarios().find((entry) => entry.name === 'raydium-token-swap');
+const [expected] = scenario.expected.transactions;
+const SOL_PRICE = 150;
+
+function storedPricing() {
+    return expected.tokens.map((token) => {
+        const pair = scenario.prices.pairs.find((entry) => entry.baseToken.address === token.mint);
+        return { mint: token.mint, token_price_usd: pair.priceUsd, market_cap: pair.marketCap, deployment_time: null, sol_price_usd: SOL_PRICE };
+    });
+}
+
+function createReplayService(pricingRows) {
+    const service = Object.create(WalletMonitoringService.prototype);
+    Object.assign(service, {
+        db: {
+            pool: { query: async () => ({ rows: pricingRows }) },
+            getWalletByAddress: async () => null,
+        },
+        lookupTableResolver: new LookupTableResolver(null),
+        BUY_THRESHOLD: 0.01,
+        SELL_THRESHOLD: 0.001,
+        FEE_THRESHOLD: 0.01,
+    });
+    stubLiveLookups(service, new Map());
+    return service;
+}
+
+async function replayScenario(pricingRows) {
+    const entries = scenario.updates.map((update) => ({ type: 'grpc', recordedAt: Date.now(), update }));
+    return replay(createReplayService(pricingRows), entries, { wallets: [expected.walletAddress], verbose: false });
+}
+
+test.after(() => redis.disconnect());
+
+test('token-to-token swap replays with the SOL value of its stored legs', async () => {
+    const rows = await replayScenario(storedPricing());
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].type, 'swap');
+    assert.equal(rows[0].solAmount, Math.max(expected.solSpent, expected.solReceived));
+
+    const stored = {
+        signature: expected.signature,
+        wallet: expected.walletAddress,
+        type: expected.transactionType,
+        venue: expected.venue,
+        solAmount: Math.max(expected.solSpent, expected.solReceived),
+        usdcAmount: 0,
+        tokens: expected.tokens.map(({ mint, operationType, amount }) => ({ mint, operationType, amount })),
+    };
+    assert.deepEqual(diffRows([stored], rows), []);
+});
+
+test('token-to-token swap without a stored row replays at zero SOL', async () => {
+    const rows = await replayScenario([]);
+
+    assert.equal(rows[0].type, 'swap');
+    assert.equal(rows[0].solAmount, 0);
+});
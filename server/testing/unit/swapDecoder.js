@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScenarios, loadTransactions } = require('../scenarioFixtures');
+const {
+    WRAPPED_SOL_MINT,
+    decodeSwaps,
+    decodeTokenTransfers,
+    extractTradeCosts,
+} = require('../../src/services/swapDecoder');
+
+const TRADE_TYPES = ['buy', 'sell', 'swap', 'token_create'];
+const TRANSFER_TYPES = ['transfer_in', 'transfer_out'];
+
+const uiAmount = (raw, decimals) => raw / Math.pow(10, decimals);
+
+for (const scenario of loadScenarios()) {
+    const transactions = loadTransactions(scenario);
+
+    for (const expected of scenario.expected?.transactions || []) {
+        const label = `${scenario.name}: ${expected.transactionType} ${expected.signature.slice(0, 8)}...`;
+        const { tx } = transactions.get(expected.signature) || {};
+
+        test(`${label} decodes to the expected legs`, () => {
+            assert.ok(tx, 'scenario has no gRPC update for this signature');
+            const swaps = decodeSwaps(tx, expected.walletAddress);
+            const transfers = decodeTokenTransfers(tx, expected.walletAddress);
+
+            if (TRANSFER_TYPES.includes(expected.transactionType)) {
+                assert.deepEqual(swaps, []);
+                const direction = expected.transactionType === 'transfer_in' ? 'in' : 'out';
+                expected.tokens.forEach((token) => {
+                    const transfer = transfers.find((entry) => entry.mint === token.mint && entry.direction === direction);
+                    assert.ok(transfer, `no ${direction} transfer of ${token.mint}`);
+                    assert.equal(uiAmount(transfer.amount, transfer.decimals), token.amount);
+                });
+                return;
+            }
+
+            assert.ok(TRADE_TYPES.includes(expected.transactionType), `unexpected type ${expected.transactionType}`);
+            assert.ok(swaps.length > 0, 'no swap decoded');
+            swaps.forEach((swap) => assert.equal(swap.venue, expected.venue));
+
+            expected.tokens.filter((token) => token.operationType === 'buy' || token.operationType === 'sell').forEach((token) => {
+                const buying = token.operationType === 'buy';
+                const amount = swaps
+                    .filter((swap) => (buying ? swap.outputMint : swap.inputMint) === token.mint)
+                    .reduce((sum, swap) => sum + uiAmount(
+                        buying ? swap.outputAmount : swap.inputAmount,
+                        buying ? swap.outputDecimals : swap.inputDecimals
+                    ), 0);
+                assert.equal(amount, token.amount, `${token.operationType} amount of ${token.mint}`);
+            });
+
+            if (expected.transactionType === 'buy' || expected.transactionType === 'sell') {
+                const solIn = swaps.filter((swap) => swap.inputMint === WRAPPED_SOL_MINT);
+                const solOut = swaps.filter((swap) => swap.outputMint === WRAPPED_SOL_MINT);
+                if (solIn.length > 0) {
+                    assert.equal(solIn.reduce((sum, swap) => sum + uiAmount(swap.inputAmount, 9), 0), expected.solSpent);
+                }
+                if (solOut.length > 0) {
+                    assert.equal(solOut.reduce((sum, swap) => sum + uiAmount(swap.outputAmount, 9), 0), expected.solReceived);
+                }
+            }
+        });
+
+        test(`${label} splits the fee into base fee, priority fee and Jito tip`, () => {
+            const { baseFee, priorityFee, jitoTip } = expected.costs;
+            assert.deepEqual(extractTradeCosts(tx, expected.walletAddress), {
+                baseFee,
+                priorityFee,
+                jitoTip,
+                total: baseFee + priorityFee + jitoTip,
+            });
+        });
+    }
+}
+
+const PUMPFUN = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const WALLET = '6hrJsqaUvguvfDpBCmUWpN96jzHuA2EjcxUgA7J3eAdY';
+
+function buildTransaction({ accounts, instructions, fee = 10000 }) {
+    const accountKeys = [WALLET, ...Object.keys(accounts).filter((address) => address !== WALLET)];
+    const balance = (address, side) => accounts[address]?.[side] ?? 1;
+    const tokenBalances = (side) => accountKeys
+        .map((address, accountIndex) => ({ address, accountIndex, token: accounts[address]?.token }))
+        .filter(({ token }) => token && token[side] !== undefined)
+        .map(({ accountIndex, token }) => ({
+            accountIndex,
+            mint: token.mint,
+            owner: token.owner,
+            uiTokenAmount: { amount: String(token[side]), decimals: 6 },
+        }));
+
+    return {
+        transaction: {
+            signatures: ['sig'],
+            message: {
+                accountKeys: accountKeys.map((pubkey, index) => ({ pubkey, signer: index === 0, writable: true })),
+                instructions: instructions.map(({ accounts: keys }) => ({ programId: PUMPFUN, accounts: keys, data: '' })),
+            },
+        },
+        meta: {
+            err: null,
+            fee,
+            preBalances: accountKeys.map((address) => balance(address, 'pre')),
+            postBalances: accountKeys.map((address) => balance(address, 'post')),
+            preTokenBalances: tokenBalances('pre'),
+            postTokenBalances: tokenBalances('post'),
+            innerInstructions: instructions.map(({ transfer }, index) => ({
+                index,
+                instructions: [{
+                    programId: TOKEN_PROGRAM,
+                    parsed: { type: 'transfer', info: { ...transfer, authority: WALLET } },
+                }],
+            })),
+        },
+    };
+}
+
+function pumpSell({ mint, curve, sold, lamports }) {
+    return {
+        accounts: {
+            [curve]: { pre: 5000000000, post: 5000000000 - lamports },
+            [`${mint}-user`]: { pre: 2039280, post: 2039280, token: { mint, owner: WALLET, pre: sold, post: 0 } },
+            [`${mint}-curve`]: { pre: 2039280, post: 2039280, token: { mint, owner: curve, pre: 0, post: sold } },
+        },
+        instruction: {
+            accounts: [mint, curve, `${mint}-curve`, `${mint}-user`, WALLET],
+            transfer: { source: `${mint}-user`, destination: `${mint}-curve`, amount: String(sold) },
+        },
+    };
+}
+
+test('two bonding-curve sells in one transaction each take their own curve\'s SOL', () => {
+    const first = pumpSell({ mint: 'MintA', curve: 'CurveA', sold: 1000000, lamports: 400000000 });
+    const second = pumpSell({ mint: 'MintB', curve: 'CurveB', sold: 2000000, lamports: 200000000 });
+    const tx = buildTransaction({
+        accounts: {
+            [WALLET]: { pre: 1000000000, post: 1000000000 + 600000000 - 10000 },
+            ...first.accounts,
+            ...second.accounts,
+        },
+        instructions: [first.instruction, second.instruction],
+    });
+
+    const swaps = decodeSwaps(tx, WALLET);
+    assert.deepEqual(
+        swaps.map((swap) => [swap.inputMint, swap.outputMint, swap.outputAmount]),
+        [['MintA', WRAPPED_SOL_MINT, 400000000], ['MintB', WRAPPED_SOL_MINT, 200000000]]
+    );
+});
+
+test('a single swap falls back to the wallet balance change without rent for accounts it created', () => {
+    const sell = pumpSell({ mint: 'MintA', curve: 'CurveA', sold: 1000000, lamports: 500000000 });
+    sell.instruction.accounts = ['MintA', 'MintA-curve', 'MintA-user', WALLET];
+    const tx = buildTransaction({
+        accounts: {
+            [WALLET]: { pre: 1000000000, post: 1000000000 + 500000000 - 10000 - 2039280 },
+            ...sell.accounts,
+            NewAccount: { pre: 0, post: 2039280 },
+        },
+        instructions: [sell.instruction],
+    });
+
+    const [swap] = decodeSwaps(tx, WALLET);
+    assert.equal(swap.outputMint, WRAPPED_SOL_MINT);
+    assert.equal(swap.outputAmount, 500000000);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WalletMonitoringService = require('../../src/services/monitoringService');
+const { redis } = require('../../src/services/tokenService');
+
+const service = Object.assign(Object.create(WalletMonitoringService.prototype), {
+    BUY_THRESHOLD: 0.01,
+    SELL_THRESHOLD: 0.001,
+    FEE_THRESHOLD: 0.02,
+});
+
+test.after(() => redis.disconnect());
+
+test('getThresholds falls back to the configured defaults', () => {
+    assert.deepEqual(service.getThresholds({ address: 'wallet' }), {
+        source: { buy: 'default', sell: 'default', fee: 'default' },
+        groupId: null,
+        buy: 0.01,
+        sell: 0.001,
+        fee: 0.02,
+    });
+});
+
+test('getThresholds prefers group thresholds over the defaults', () => {
+    const thresholds = service.getThresholds({
+        group_id: 'group-1',
+        group_buy_threshold: '2',
+        group_sell_threshold: null,
+        group_fee_threshold: '0.5',
+    });
+
+    assert.deepEqual(thresholds.source, { buy: 'group', sell: 'default', fee: 'group' });
+    assert.equal(thresholds.groupId, 'group-1');
+    assert.equal(thresholds.buy, 2);
+    assert.equal(thresholds.sell, 0.001);
+    assert.equal(thresholds.fee, 0.5);
+});
+
+test('getThresholds prefers wallet overrides over group thresholds, including zero', () => {
+    const thresholds = service.getThresholds({
+        group_id: 'group-1',
+        buy_threshold: '0',
+        sell_threshold: null,
+        fee_threshold: '0.1',
+        group_buy_threshold: '2',
+        group_sell_threshold: '0.3',
+        group_fee_threshold: '0.5',
+    });
+
+    assert.deepEqual(thresholds.source, { buy: 'wallet', sell: 'group', fee: 'wallet' });
+    assert.equal(thresholds.buy, 0);
+    assert.equal(thresholds.sell, 0.3);
+    assert.equal(thresholds.fee, 0.1);
+});
@@ -0,0 +1,159 @@
+const express = require('express');
+const cors = require('cors');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const authRoutes = require('../routes/authRoutes');
+const adminRoutes = require('../routes/adminRoutes');
+const walletRoutes = require('../routes/walletsRoutes');
+const transactionRoutes = require('../routes/transactionsRoutes');
+const miscRoutes = require('../routes/miscRoutes');
+const groupRoutes = require('../routes/groupsRoutes');
+const pricesRoutes = require('../routes/pricesRoutes');
+const errorHandler = require('../middleware/errorHandler');
+
+// API server environment:
+//   CORS_ORIGINS   comma-separated allowed origins (default: localhost and degenlogs.com)
+//   TLS_KEY_PATH   TLS private key (default: the degenlogs.com Let's Encrypt key)
+//   TLS_CERT_PATH  TLS certificate chain (default: the degenlogs.com Let's Encrypt chain)
+//   TLS_DISABLED   set to "true" to serve plain HTTP, e.g. for local development
+const DEFAULT_CORS_ORIGINS = [
+  'http://localhost:3000',
+  'http://localhost:3001',
+  'https://degenlogs.com',
+  'http://degenlogs.com',
+  'https://degenlogs.com:3000',
+  'http://degenlogs.com:3000',
+];
+const DEFAULT_TLS_KEY_PATH = '/etc/letsencrypt/live/degenlogs.com/privkey.pem';
+const DEFAULT_TLS_CERT_PATH = '/etc/letsencrypt/live/degenlogs.com/fullchain.pem';
+
+const loadTlsOptions = () => {
+  if (process.env.TLS_DISABLED === 'true') return null;
+
+  const keyPath = process.env.TLS_KEY_PATH || DEFAULT_TLS_KEY_PATH;
+  const certPath = process.env.TLS_CERT_PATH || DEFAULT_TLS_CERT_PATH;
+  try {
+    return { key: fs.readFileSync(keyPath), cert: fs.readFileSync(certPath) };
+  } catch (error) {
+    throw new Error(`Cannot read TLS key/certificate (${keyPath}, ${certPath}): ${error.message}. Set TLS_KEY_PATH and TLS_CERT_PATH, or TLS_DISABLED=true to serve plain HTTP`);
+  }
+};
+
+module.exports = {
+  createApp: (services, sseClients) => {
+    const { redis, db, auth, monitoringService, priceService, solPriceHistory, priceStream, backfillService, reclassifyService, solanaGrpcService } = services;
+    const app = express();
+
+    app.use(express.json({ 
+      limit: '50mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use(express.urlencoded({ 
+      limit: '50mb', 
+      extended: true,
+      parameterLimit: 50000
+    }));
+    app.use(cors({
+      origin: process.env.CORS_ORIGINS
+        ? process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim())
+        : DEFAULT_CORS_ORIGINS,
+      optionsSuccessStatus: 200,
+    }));
+    app.use((req, res, next) => {
+      req.setTimeout(300000); 
+      res.setTimeout(300000);
+      next();
+    });
+
+    app.get('/api/init', auth.authRequired, async (req, res) => {
+      try {
+        const groupId = req.query.groupId || null;
+        const hours = parseInt(req.query.hours) || 24;
+        const transactionType = req.query.type;
+    
+        console.log(`[${new Date().toISOString()}] 🚀 App initialization${groupId ? ` for group ${groupId}` : ''}`);
+        const startTime = Date.now();
+    
+        const [walletCounts, transactions, monitoringStatus, groups] = await Promise.all([
+          db.getWalletCount(groupId),
+          db.getRecentTransactionsOptimized(hours, 4000, transactionType, groupId),
+          db.getMonitoringStatus(groupId),
+          db.getGroups()
+        ]);
+    
+        const grpcStatus = solanaGrpcService.getStatus();
+    
+        const duration = Date.now() - startTime;
+        console.log(`[${new Date().toISOString()}] ⚡ Global initialization completed in ${duration}ms`);
+    
+        res.json({
+          success: true,
+          duration,
+          data: {
+            wallets: {
+              totalCount: walletCounts.totalWallets,
+              groups: walletCounts.groups,
+              selectedGroup: walletCounts.selectedGroup
+            },
+            transactions,
+            monitoring: {
+              isMonitoring: grpcStatus.isConnected,
+              processedSignatures: grpcStatus.messageCount,
+              activeWallets: parseInt(monitoringStatus.active_wallets) || 0,
+              monitoredGroups: grpcStatus.monitoredGroups,
+              activeEndpoint: grpcStatus.activeEndpoint,
+              standbyEndpoint: grpcStatus.standbyEndpoint,
+              endpoints: grpcStatus.endpoints,
+              todayStats: {
+                buyTransactions: parseInt(monitoringStatus.buy_transactions_today) || 0,
+                sellTransactions: parseInt(monitoringStatus.sell_transactions_today) || 0,
+                solSpent: Number(monitoringStatus.sol_spent_today || 0).toFixed(6),
+                solReceived: Number(monitoringStatus.sol_received_today || 0).toFixed(6),
+                uniqueTokens: parseInt(monitoringStatus.unique_tokens_today) || 0
+              },
+              grpcStats: grpcStatus.stats
+            },
+            groups,
+            performance: {
+              loadTime: duration,
+              optimizationLevel: 'GLOBAL_GRPC'
+            }
+          }
+        });
+    
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ Error in global initialization:`, error);
+        res.status(500).json({ error: 'Failed to initialize application data' });
+      }
+    });
+
+    app.use('/api/auth', authRoutes(auth, db));
+    app.use('/api/admin', adminRoutes(auth, db, monitoringService, reclassifyService));
+    app.use('/api/wallets', walletRoutes(auth, db, solanaGrpcService, backfillService));
+    app.use('/api/transactions', transactionRoutes(auth, db, redis, sseClients));
+    app.use('/api', miscRoutes(auth, db, priceService, solanaGrpcService, solPriceHistory));
+    app.use('/api/groups', groupRoutes(auth, db, solanaGrpcService));
+    app.use('/api/prices', pricesRoutes(auth, redis, priceStream, sseClients));
+
+    app.use(errorHandler);
+
+    return app;
+  },
+
+  startApiServer: (app) => {
+    const port = process.env.PORT || 5001;
+    const host = process.env.HOST || '0.0.0.0';
+    const tlsOptions = loadTlsOptions();
+
+    const server = tlsOptions ? https.createServer(tlsOptions, app) : http.createServer(app);
+    const scheme = tlsOptions ? 'https' : 'http';
+
+    server.listen(port, host, () => {
+      console.log(`[${new Date().toISOString()}] 🚀 Global wallet monitoring API running on ${scheme}://${host}:${port}`);
+    });
+    return server;
+  },
+};
@@ -0,0 +1,103 @@
+const WalletMonitoringService = require('../src/services/monitoringService');
+const Database = require('../src/database/connection');
+const SolanaGrpcService = require('../src/services/solanaGrpcService');
+const BackfillService = require('../src/services/backfillService');
+const ReclassifyService = require('../src/services/reclassifyService');
+const IngestionControl = require('../src/services/ingestionControl');
+const LeaderElection = require('../src/services/leaderElection');
+const PriceService = require('../src/services/priceService');
+const PriceHistoryService = require('../src/services/priceHistoryService');
+const SolPriceHistoryService = require('../src/services/solPriceHistoryService');
+const PriceStreamService = require('../src/services/priceStreamService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const { redis } = require('../src/services/tokenService');
+const { startGrpcService } = require('./grpcStarter');
+
+module.exports = {
+  parseRoles: (value, fallback) => new Set((value || fallback).split(',').map((role) => role.trim()).filter(Boolean)),
+
+  createServices: (roles) => {
+    const monitoringService = new WalletMonitoringService();
+    const db = new Database();
+    const auth = new AuthMiddleware(db);
+    const priceService = new PriceService();
+    const priceHistoryService = new PriceHistoryService(priceService, db);
+    const solPriceHistory = new SolPriceHistoryService(priceService, db);
+    const priceStream = new PriceStreamService(priceService, redis);
+    const backfillService = new BackfillService(monitoringService, db);
+    const reclassifyService = new ReclassifyService(monitoringService, db);
+    const grpcService = roles.has('ingester') ? new SolanaGrpcService(monitoringService) : null;
+    const solanaGrpcService = new IngestionControl(redis, monitoringService, {
+      grpcService,
+      startService: grpcService ? startGrpcService(grpcService) : null,
+      onLeadership: () => {
+        backfillService.start();
+        reclassifyService.start();
+      },
+      onDemotion: () => {
+        backfillService.stop();
+        reclassifyService.stop();
+      },
+    });
+    const priceElection = roles.has('prices')
+      ? new LeaderElection(redis, 'prices:leader', {
+        ttlMs: parseInt(process.env.LEADER_LEASE_TTL_MS) || 15000,
+      })
+      : null;
+
+    return { roles, redis, db, auth, monitoringService, priceService, solPriceHistory, priceStream, backfillService, reclassifyService, priceHistoryService, priceElection, solanaGrpcService };
+  },
+
+  startBackgroundRoles: (services) => {
+    const { roles, monitoringService, priceHistoryService, priceStream, priceElection, solanaGrpcService } = services;
+    console.log(`[${new Date().toISOString()}] 🧩 Server roles: ${Array.from(roles).join(', ')}`);
+
+    setTimeout(() => solanaGrpcService.init(), 2000);
+
+    if (priceElection) {
+      priceElection.start({
+        onElected: () => {
+          priceHistoryService.start();
+          priceStream.start();
+        },
+        onDemoted: () => {
+          priceHistoryService.stop();
+          priceStream.stop();
+        },
+      });
+    }
+
+    if (roles.has('worker')) {
+      monitoringService.startQueueWorker();
+    }
+  },
+
+  registerShutdown: (services, onClose = async () => {}) => {
+    const { monitoringService, priceService, priceHistoryService, priceStream, priceElection, solanaGrpcService } = services;
+    let shuttingDown = false;
+
+    const shutdown = async () => {
+      if (shuttingDown) return;
+      shuttingDown = true;
+      console.log(`[${new Date().toISOString()}] 🛑 Shutting down ${Array.from(services.roles).join(', ')}...`);
+      try {
+        monitoringService.stopQueueWorker();
+        if (priceElection) {
+          await priceElection.stop();
+        }
+        priceHistoryService.stop();
+        priceStream.stop();
+        await onClose();
+        await solanaGrpcService.shutdown();
+        await priceService.close();
+        await monitoringService.close();
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ Error during shutdown:`, error.message);
+      }
+      process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  },
+};
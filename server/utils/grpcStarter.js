@@ -1,14 +1,23 @@
 module.exports = {
-  startGrpcService: (solanaGrpcService) => async () => {
+  startGrpcService: (solanaGrpcService) => async ({ isCurrent = () => true, onExhausted = null } = {}) => {
     let retries = 0;
     const maxRetries = 5;
     const retryDelay = 5000;
 
     while (retries < maxRetries) {
+      if (!isCurrent()) {
+        console.warn(`[${new Date().toISOString()}] 🔻 Leadership changed, abandoning gRPC service start`);
+        return false;
+      }
       try {
-        await solanaGrpcService.start();
+        await solanaGrpcService.start({ isCurrent, onExhausted });
+        if (!isCurrent()) {
+          console.warn(`[${new Date().toISOString()}] 🔻 Leadership changed while starting, stopping gRPC service`);
+          await solanaGrpcService.stop();
+          return false;
+        }
         console.log(`[${new Date().toISOString()}] 🚀 Solana gRPC service started successfully`);
-        return;
+        return true;
       } catch (error) {
         retries++;
         console.error(
@@ -22,5 +31,9 @@ module.exports = {
       }
     }
     console.error(`[${new Date().toISOString()}] 🛑 Max retries reached. Global gRPC service failed to start.`);
+    if (onExhausted) {
+      await onExhausted();
+    }
+    return false;
   }
 };
\ No newline at end of file
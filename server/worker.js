@@ -0,0 +1,7 @@
+require('dotenv').config();
+const { parseRoles, createServices, startBackgroundRoles, registerShutdown } = require('./utils/bootstrap');
+
+const services = createServices(parseRoles(process.env.WORKER_ROLES, 'ingester,worker,prices'));
+
+registerShutdown(services);
+startBackgroundRoles(services);